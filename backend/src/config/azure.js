@@ -1,3 +1,4 @@
+const path = require('path');
 const { DefaultAzureCredential } = require('@azure/identity');
 const { ComputerVisionClient } = require('@azure/cognitiveservices-computervision');
 const { ApiKeyCredentials } = require('@azure/ms-rest-js');
@@ -45,7 +46,7 @@ async function initializeAzureClients() {
       azureClients.openai = new OpenAI({
         apiKey: process.env.OPENAI_API_KEY,
         baseURL: `${process.env.OPENAI_ENDPOINT}/openai/deployments/${process.env.OPENAI_DEPLOYMENT_NAME}`,
-        defaultQuery: { 'api-version': '2024-02-01' },
+        defaultQuery: { 'api-version': azureConfig.openai.apiVersion },
         defaultHeaders: {
           'api-key': process.env.OPENAI_API_KEY,
         },
@@ -84,6 +85,22 @@ function getAzureClients() {
   return azureClients;
 }
 
+/**
+ * Read an integer from the environment, falling back when unset or invalid
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Read a number from the environment, falling back when unset or invalid
+ */
+function envFloat(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
 /**
  * Configuration for Azure AI services
  */
@@ -99,7 +116,13 @@ const azureConfig = {
       'Tags'
     ],
     genderNeutralCaption: true,
-    language: 'en'
+    language: 'en',
+    // Image Analysis v4.0 REST client
+    apiVersion: process.env.VISION_API_VERSION || '2024-02-01',
+    timeoutMs: envInt('VISION_TIMEOUT_MS', 30000),
+    maxRetries: envInt('VISION_MAX_RETRIES', 3),
+    retryBaseDelayMs: envInt('VISION_RETRY_BASE_DELAY_MS', 500),
+    maxRetryDelayMs: envInt('VISION_MAX_RETRY_DELAY_MS', 10000)
   },
   
   translator: {
@@ -111,14 +134,182 @@ const azureConfig = {
   
   openai: {
     deploymentName: 'gpt-4o',
+    // 2024-10-21 or later is needed for token usage on streamed responses
+    apiVersion: process.env.OPENAI_API_VERSION || '2024-10-21',
     maxTokens: 4000,
     temperature: 0.7,
+    // 'hybrid' adds Vision v4.0 geometry to GPT-4o descriptions; 'gpt4o' uses GPT-4o only
+    enhancedMode: process.env.ENHANCED_ANALYSIS_MODE || 'hybrid',
     // Enhanced vision capabilities
     visionEnabled: true,
     maxImageSize: 20 * 1024 * 1024, // 20MB
     supportedImageFormats: ['png', 'jpg', 'jpeg', 'gif', 'webp']
   },
   
+  images: {
+    maxSizeBytes: 20 * 1024 * 1024, // 20MB
+    // HEIC is detected but not accepted: the prebuilt libvips only reads AVIF from the HEIF family
+    supportedFormats: ['jpeg', 'png', 'gif', 'bmp', 'webp', 'tiff', 'ico']
+  },
+
+  ocr: {
+    // Words below this confidence are flagged for review
+    lowConfidenceThreshold: envFloat('OCR_LOW_CONFIDENCE_THRESHOLD', 0.6),
+    // Pages with a larger share of low-confidence words need manual review
+    reviewRatio: envFloat('OCR_REVIEW_RATIO', 0.1)
+  },
+
+  extraction: {
+    // Optional JSON file adding or overriding document types
+    typesFile: process.env.EXTRACTION_TYPES_FILE || null,
+    temperature: envFloat('EXTRACTION_TEMPERATURE', 0)
+  },
+
+  profiles: {
+    // Versioned prompt profiles (<name>.v<version>.json) for enhanced analysis
+    directory: process.env.PROFILES_DIR || path.resolve(__dirname, '../../profiles')
+  },
+
+  moderation: {
+    // 'azure' (Azure AI Content Safety), 'local' (rule-based stand-in for tests) or 'none'
+    provider: process.env.MODERATION_PROVIDER || (process.env.CONTENT_SAFETY_ENDPOINT ? 'azure' : 'none'),
+    apiVersion: process.env.CONTENT_SAFETY_API_VERSION || '2024-09-01',
+    timeoutMs: envInt('CONTENT_SAFETY_TIMEOUT_MS', 10000),
+    // JSON object of category actions, e.g. {"Violence": {"warn": 2, "block": 6}, "Sexual": "block"}
+    policy: process.env.MODERATION_POLICY || null,
+    // 'allow' lets requests through when screening fails; 'block' refuses them
+    onError: process.env.MODERATION_ON_ERROR === 'block' ? 'block' : 'allow',
+    // Rules for the local classifier
+    localRulesFile: process.env.MODERATION_LOCAL_RULES_FILE || null
+  },
+
+  redaction: {
+    // Privacy mode for stored images: 'none', 'blur' or 'pixelate'
+    mode: ['blur', 'pixelate'].includes(process.env.REDACTION_MODE) ? process.env.REDACTION_MODE : 'none',
+    // 'vision' (Azure Vision People boxes) or 'local' (skin-tone detector), used when the analysis has no People boxes
+    detector: process.env.REDACTION_DETECTOR === 'local' ? 'local' : 'vision',
+    minConfidence: envFloat('REDACTION_MIN_CONFIDENCE', 0.3),
+    // Fraction of each box added on every side
+    padding: envFloat('REDACTION_PADDING', 0.1)
+  },
+
+  thumbnails: {
+    maxRenditions: envInt('THUMBNAIL_MAX_RENDITIONS', 10),
+    maxDimension: envInt('THUMBNAIL_MAX_DIMENSION', 4096),
+    // Output format when a request does not pick one: jpeg, webp or png
+    format: ['jpeg', 'webp', 'png'].includes(process.env.THUMBNAIL_FORMAT) ? process.env.THUMBNAIL_FORMAT : 'jpeg',
+    quality: envInt('THUMBNAIL_QUALITY', 85)
+  },
+
+  embeddings: {
+    // 'vision' (multimodal embeddings), 'local' (offline stand-in) or 'none'
+    provider: process.env.EMBEDDING_PROVIDER || (process.env.VISION_ENDPOINT ? 'vision' : 'local'),
+    modelVersion: process.env.EMBEDDING_MODEL_VERSION || '2023-04-15',
+    indexFile: process.env.EMBEDDING_INDEX_FILE || path.join(__dirname, '../../data/vector-index.json'),
+    // Vectorize every analyzed image
+    autoIndex: process.env.EMBEDDING_AUTO_INDEX !== 'false',
+    maxEntries: envInt('EMBEDDING_INDEX_MAX_ENTRIES', 10000),
+    // Changes are written to EMBEDDING_INDEX_FILE at most once per delay
+    saveDelayMs: envInt('EMBEDDING_INDEX_SAVE_DELAY_MS', 5000),
+    defaultTopK: envInt('SEARCH_DEFAULT_RESULTS', 10),
+    maxTopK: envInt('SEARCH_MAX_RESULTS', 50)
+  },
+
+  duplicates: {
+    // Perceptual-hash matching of uploads against previously analyzed images
+    enabled: process.env.DUPLICATE_DETECTION_ENABLED !== 'false',
+    // Largest pHash and dHash Hamming distance (of 64 bits) counted as a duplicate
+    threshold: envInt('DUPLICATE_HAMMING_THRESHOLD', 6),
+    indexFile: process.env.DUPLICATE_INDEX_FILE || path.join(__dirname, '../../data/duplicate-index.json'),
+    maxEntries: envInt('DUPLICATE_INDEX_MAX_ENTRIES', 50000),
+    // Changes are written to DUPLICATE_INDEX_FILE at most once per delay
+    saveDelayMs: envInt('DUPLICATE_INDEX_SAVE_DELAY_MS', 5000)
+  },
+
+  chatSessions: {
+    // 'memory' or 'file' (one JSON file per session in CHAT_SESSION_DIR)
+    store: process.env.CHAT_SESSION_STORE || 'memory',
+    directory: process.env.CHAT_SESSION_DIR || path.join(__dirname, '../../data/chat-sessions'),
+    ttlMs: envInt('CHAT_SESSION_TTL_MS', 7 * 24 * 60 * 60 * 1000), // 7 days since last use
+    // Estimated tokens of summary plus history sent with each question
+    historyTokenBudget: envInt('CHAT_HISTORY_TOKEN_BUDGET', 3000),
+    // Most recent messages never folded into the summary
+    keepRecentMessages: envInt('CHAT_HISTORY_KEEP_MESSAGES', 6),
+    summaryMaxTokens: envInt('CHAT_SUMMARY_MAX_TOKENS', 400)
+  },
+
+  chatImages: {
+    // Attach the original image to chat questions so GPT-4o can look at the pixels
+    enabled: process.env.CHAT_ATTACH_IMAGE !== 'false',
+    // Prepared images kept in memory for later turns of a session
+    cacheEntries: envInt('CHAT_IMAGE_CACHE_ENTRIES', 20)
+  },
+
+  chatTools: {
+    // Tool calls (OCR, zoom, translation, similar images) the model may make per question
+    maxCallsPerTurn: envInt('CHAT_TOOL_MAX_CALLS', 5)
+  },
+
+  remoteImages: {
+    timeoutMs: envInt('REMOTE_IMAGE_TIMEOUT_MS', 10000),
+    maxRedirects: envInt('REMOTE_IMAGE_MAX_REDIRECTS', 3),
+    allowedPorts: (process.env.REMOTE_IMAGE_ALLOWED_PORTS || '80,443').split(',').map(port => Number(port.trim()))
+  },
+
+  preprocessing: {
+    enabled: process.env.PREPROCESS_ENABLED !== 'false',
+    autoOrient: process.env.PREPROCESS_AUTO_ORIENT !== 'false',
+    resize: process.env.PREPROCESS_RESIZE !== 'false',
+    reencode: process.env.PREPROCESS_REENCODE !== 'false',
+    stripMetadata: process.env.PREPROCESS_STRIP_METADATA !== 'false',
+    // Formats always re-encoded before reaching Azure
+    reencodeFormats: (process.env.PREPROCESS_REENCODE_FORMATS || 'tiff,bmp').split(',').map(f => f.trim()),
+    jpegQuality: envInt('PREPROCESS_JPEG_QUALITY', 90),
+    // Per-provider input limits
+    providers: {
+      vision: {
+        maxDimension: envInt('VISION_MAX_DIMENSION', 16000),
+        maxBytes: 20 * 1024 * 1024,
+        supportedFormats: ['jpeg', 'png', 'gif', 'bmp', 'webp', 'ico', 'tiff']
+      },
+      openai: {
+        maxDimension: envInt('OPENAI_MAX_DIMENSION', 2048),
+        maxBytes: 20 * 1024 * 1024,
+        supportedFormats: ['jpeg', 'png', 'gif', 'webp']
+      },
+      contentSafety: {
+        maxDimension: 2048,
+        maxBytes: 4 * 1024 * 1024,
+        supportedFormats: ['jpeg', 'png', 'gif', 'bmp', 'tiff', 'webp']
+      }
+    }
+  },
+
+  cache: {
+    enabled: process.env.ANALYSIS_CACHE_ENABLED !== 'false',
+    maxEntries: envInt('ANALYSIS_CACHE_MAX_ENTRIES', 500),
+    ttlMs: envInt('ANALYSIS_CACHE_TTL_MS', 24 * 60 * 60 * 1000), // 24 hours
+    persistentDir: process.env.ANALYSIS_CACHE_DIR || null,
+    maxPersistentEntries: envInt('ANALYSIS_CACHE_MAX_PERSISTENT_ENTRIES', 5000)
+  },
+
+  batch: {
+    maxImages: envInt('BATCH_MAX_IMAGES', 10),
+    concurrency: envInt('BATCH_CONCURRENCY', 3),
+    // Total size of a JSON batch; larger batches are sent as multipart uploads
+    maxJsonBytes: envInt('BATCH_MAX_JSON_BYTES', 32 * 1024 * 1024)
+  },
+
+  jobs: {
+    concurrency: envInt('JOB_CONCURRENCY', 2),
+    // Queued jobs waiting for a worker; further submissions get 503
+    maxPending: envInt('JOB_MAX_PENDING', 50),
+    ttlMs: envInt('JOB_TTL_MS', 60 * 60 * 1000), // keep finished jobs for 1 hour
+    webhookTimeoutMs: envInt('JOB_WEBHOOK_TIMEOUT_MS', 10000),
+    webhookMaxAttempts: envInt('JOB_WEBHOOK_MAX_ATTEMPTS', 3),
+    webhookSecret: process.env.JOB_WEBHOOK_SECRET || null
+  },
+
   storage: {
     containerName: 'images',
     maxRetries: 3,
@@ -129,5 +320,7 @@ const azureConfig = {
 module.exports = {
   initializeAzureClients,
   getAzureClients,
-  azureConfig
+  azureConfig,
+  envInt,
+  envFloat
 };
@@ -0,0 +1,101 @@
+/**
+ * Built-in document types for structured extraction.
+ * Field specs follow src/utils/fieldSchema.js. More types can be added,
+ * or these replaced, with a JSON file named by EXTRACTION_TYPES_FILE.
+ */
+const lineItem = {
+  type: 'object',
+  fields: {
+    description: { type: 'string', required: true, description: 'Item name as printed' },
+    quantity: { type: 'number' },
+    unitPrice: { type: 'amount' },
+    totalPrice: { type: 'amount', description: 'Line total' }
+  }
+};
+
+const extractionTypes = {
+  receipt: {
+    description: 'Retail, restaurant or travel receipt',
+    instructions: 'Read every purchased item as a line item. Use the grand total actually charged as total.',
+    fields: {
+      merchantName: { type: 'string', required: true },
+      merchantAddress: { type: 'string' },
+      merchantPhone: { type: 'phone' },
+      transactionDate: { type: 'date' },
+      transactionTime: { type: 'time' },
+      currency: { type: 'currency', description: 'Currency of the amounts, inferred from symbols if needed' },
+      items: { type: 'array', items: lineItem },
+      subtotal: { type: 'amount' },
+      tax: { type: 'amount' },
+      tip: { type: 'amount' },
+      total: { type: 'amount', required: true },
+      paymentMethod: { type: 'enum', values: ['cash', 'card', 'mobile', 'other'] },
+      receiptNumber: { type: 'string' }
+    }
+  },
+
+  'business-card': {
+    description: 'Business or contact card',
+    instructions: 'List every email address and phone number on the card.',
+    fields: {
+      fullName: { type: 'string', required: true },
+      jobTitle: { type: 'string' },
+      company: { type: 'string' },
+      emails: { type: 'array', items: { type: 'email' } },
+      phones: {
+        type: 'array',
+        items: {
+          type: 'object',
+          fields: {
+            number: { type: 'phone', required: true },
+            kind: { type: 'enum', values: ['mobile', 'work', 'home', 'fax', 'other'] }
+          }
+        }
+      },
+      website: { type: 'url' },
+      address: { type: 'string' }
+    }
+  },
+
+  invoice: {
+    description: 'Supplier invoice or bill',
+    instructions: 'Amounts are per the invoice currency. amountDue is the outstanding balance if printed.',
+    fields: {
+      invoiceNumber: { type: 'string', required: true },
+      invoiceDate: { type: 'date' },
+      dueDate: { type: 'date' },
+      vendorName: { type: 'string', required: true },
+      vendorAddress: { type: 'string' },
+      vendorTaxId: { type: 'string' },
+      customerName: { type: 'string' },
+      customerAddress: { type: 'string' },
+      purchaseOrder: { type: 'string' },
+      currency: { type: 'currency' },
+      items: { type: 'array', items: lineItem },
+      subtotal: { type: 'amount' },
+      tax: { type: 'amount' },
+      total: { type: 'amount', required: true },
+      amountDue: { type: 'amount' }
+    }
+  },
+
+  'id-card': {
+    description: 'Identity document such as a national ID card, driver license or passport',
+    instructions: 'Copy names exactly as printed. Do not infer values that are not printed on the document.',
+    fields: {
+      documentKind: { type: 'enum', values: ['national-id', 'driver-license', 'passport', 'residence-permit', 'other'] },
+      documentNumber: { type: 'string', required: true },
+      surname: { type: 'string' },
+      givenNames: { type: 'string' },
+      dateOfBirth: { type: 'date' },
+      sex: { type: 'enum', values: ['M', 'F', 'X'] },
+      nationality: { type: 'string' },
+      issuingCountry: { type: 'string' },
+      issueDate: { type: 'date' },
+      expiryDate: { type: 'date' },
+      address: { type: 'string' }
+    }
+  }
+};
+
+module.exports = extractionTypes;
@@ -3,19 +3,22 @@ const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const multer = require('multer');
-const path = require('path');
 require('dotenv').config();
 
 const logger = require('./utils/logger');
-const { initializeAzureClients } = require('./config/azure');
+const { initializeAzureClients, azureConfig } = require('./config/azure');
 const { errorHandler } = require('./middleware/errorHandler');
+const { parseImageUpload } = require('./middleware/imageIngestion');
+const { getDuplicateIndex } = require('./services/duplicateService');
+const { getVectorIndex } = require('./services/vectorIndex');
 
 // Import route handlers
 const visionRoutes = require('./routes/vision');
 const translationRoutes = require('./routes/translation');
 const chatRoutes = require('./routes/chat');
 const healthRoutes = require('./routes/health');
+const adminRoutes = require('./routes/admin');
+const searchRoutes = require('./routes/search');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -45,7 +48,8 @@ app.use(cors({
     : ['http://localhost:3000', 'http://localhost:19006'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Admin-Key'],
+  exposedHeaders: ['X-Cache', 'X-Analysis-Id']
 }));
 
 // Rate limiting
@@ -61,27 +65,13 @@ app.use('/api/', limiter);
 // Compression middleware
 app.use(compression());
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware (JSON limit leaves room for base64-encoded images)
+const jsonLimitBytes = Math.ceil(azureConfig.images.maxSizeBytes * 4 / 3) + 1024 * 1024;
+// JSON batches have a fixed total limit (BATCH_MAX_JSON_BYTES); parsed here, the general parser skips them
+app.use('/api/vision/batch', express.json({ limit: azureConfig.batch.maxJsonBytes }));
+app.use(express.json({ limit: jsonLimitBytes }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Configure multer for file uploads
-const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-    files: 1
-  },
-  fileFilter: (req, file, cb) => {
-    // Allow only image files
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
-  }
-});
-
 // Request logging
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path} - ${req.ip}`);
@@ -91,22 +81,19 @@ app.use((req, res, next) => {
 // Health check endpoint
 app.use('/health', healthRoutes);
 
-// API routes with conditional multer
-const conditionalUpload = (req, res, next) => {
-  const contentType = req.headers['content-type'] || '';
-  if (contentType.includes('multipart/form-data')) {
-    return upload.single('image')(req, res, next);
-  }
-  // For JSON requests, skip multer
-  next();
-};
-
-app.use('/api/vision', conditionalUpload, visionRoutes);
+// API routes
+app.use('/api/vision', parseImageUpload, visionRoutes);
 app.use('/api/translation', translationRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/search', parseImageUpload, searchRoutes);
 
-// Legacy route for backward compatibility  
-app.use('/analyze', conditionalUpload, visionRoutes);
+// Legacy route for backward compatibility: POST /analyze behaves like /api/vision/analyze
+app.post('/analyze', parseImageUpload, (req, res, next) => {
+  req.url = '/analyze';
+  visionRoutes(req, res, next);
+});
+app.use('/analyze', parseImageUpload, visionRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -119,7 +106,8 @@ app.get('/', (req, res) => {
       health: '/health',
       vision: '/api/vision',
       translation: '/api/translation',
-      chat: '/api/chat'
+      chat: '/api/chat',
+      search: '/api/search'
     }
   });
 });
@@ -135,21 +123,21 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  logger.info(`Azure Lens API server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Start server when run directly (tests import the app)
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', () => {
+    logger.info(`Azure Lens API server running on port ${PORT}`);
+    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully...');
-  process.exit(0);
-});
+  // Graceful shutdown, writing pending index changes first
+  const shutdown = (signal) => {
+    logger.info(`${signal} received, shutting down gracefully...`);
+    Promise.all([getDuplicateIndex().flush(), getVectorIndex().flush()]).finally(() => process.exit(0));
+  };
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully...');
-  process.exit(0);
-});
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+}
 
 module.exports = app;
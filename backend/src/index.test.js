@@ -0,0 +1,28 @@
+const request = require('supertest');
+
+process.env.BATCH_MAX_JSON_BYTES = String(64 * 1024);
+
+const app = require('./index');
+
+jest.mock('./utils/logger');
+
+describe('request body limits', () => {
+  it('rejects a JSON batch over the total limit with 413', async () => {
+    const image = Buffer.alloc(24 * 1024).toString('base64');
+
+    const response = await request(app)
+      .post('/api/vision/batch')
+      .send({ images: [image, image, image] });
+
+    expect(response.status).toBe(413);
+    expect(response.body).toMatchObject({ error: 'Payload too large' });
+  });
+
+  it('keeps the single-image limit for other routes', async () => {
+    const response = await request(app)
+      .post('/api/vision/analyze')
+      .send({ image: Buffer.alloc(96 * 1024).toString('base64'), type: 'unknown' });
+
+    expect(response.status).not.toBe(413);
+  });
+});
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Check a provided key against ADMIN_API_KEY in constant time
+ * @param {string|undefined} providedKey
+ * @returns {boolean}
+ */
+function isValidAdminKey(providedKey) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey || typeof providedKey !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(adminKey);
+  const provided = Buffer.from(providedKey);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Require a valid X-Admin-Key header for admin endpoints
+ */
+const requireAdminKey = (req, res, next) => {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(503).json({
+      error: 'Admin API disabled',
+      message: 'ADMIN_API_KEY is not configured'
+    });
+  }
+
+  if (!isValidAdminKey(req.get('X-Admin-Key'))) {
+    logger.warn('Rejected admin request', { path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid X-Admin-Key header is required'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  isValidAdminKey,
+  requireAdminKey
+};
@@ -0,0 +1,371 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { detectImageFormat } = require('../utils/imageFormat');
+const { fetchRemoteImage } = require('../services/remoteImageFetcher');
+const { downloadImageByBlobId } = require('../services/storageService');
+const { withPerceptualHash } = require('../services/duplicateService');
+
+const DATA_URL_PATTERN = /^data:([\w.+-]+\/[\w.+-]+)?((?:;[\w-]+=[^;,]*)*);base64,(.*)$/s;
+const BASE64_PATTERN = /^[A-Za-z0-9+/_-]*={0,2}$/;
+
+const REMOTE_ERROR_LABELS = {
+  400: 'Invalid image reference',
+  404: 'Image not found',
+  413: 'Image too large',
+  415: 'Unsupported image format',
+  502: 'Image fetch failed',
+  503: 'Storage unavailable',
+  504: 'Image fetch timed out'
+};
+
+// Configure multer for file uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: azureConfig.images.maxSizeBytes,
+    files: azureConfig.batch.maxImages
+  },
+  fileFilter: (req, file, cb) => {
+    // Allow image files and generic binary uploads; the real format is sniffed later
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/octet-stream') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// Raw binary bodies (application/octet-stream or image/*)
+const rawImageParser = express.raw({
+  type: () => true,
+  limit: azureConfig.images.maxSizeBytes
+});
+
+/**
+ * Parse image uploads based on the request content type.
+ * Multipart requests go through multer, raw binary bodies are buffered,
+ * JSON bodies are left to the global JSON parser.
+ */
+const parseImageUpload = (req, res, next) => {
+  const contentType = req.headers['content-type'] || '';
+
+  if (contentType.includes('multipart/form-data')) {
+    return upload.fields([
+      { name: 'image', maxCount: 1 },
+      { name: 'images', maxCount: azureConfig.batch.maxImages }
+    ])(req, res, (error) => {
+      // Expose the single-image field the way upload.single() would
+      req.file = req.files?.image?.[0];
+      next(error);
+    });
+  }
+
+  if (contentType.includes('application/octet-stream') || contentType.startsWith('image/')) {
+    return rawImageParser(req, res, next);
+  }
+
+  // For JSON requests, skip multer
+  next();
+};
+
+/**
+ * Decode a base64 string or data: URL into a buffer
+ * @param {string} value - Base64 string or data: URL
+ * @returns {{buffer: Buffer, source: string, declaredMimeType: string|null}|null}
+ */
+function decodeBase64Image(value) {
+  let payload = value.trim();
+  let source = 'base64';
+  let declaredMimeType = null;
+
+  const dataUrlMatch = payload.match(DATA_URL_PATTERN);
+  if (dataUrlMatch) {
+    source = 'data-url';
+    declaredMimeType = dataUrlMatch[1] || null;
+    payload = dataUrlMatch[3];
+  }
+
+  payload = payload.replace(/\s/g, '');
+
+  if (!payload || !BASE64_PATTERN.test(payload)) {
+    return null;
+  }
+
+  return {
+    buffer: Buffer.from(payload, 'base64'),
+    source,
+    declaredMimeType
+  };
+}
+
+/**
+ * Load an image referenced by URL or blob ID
+ * @param {Object} body - Request body with imageUrl or blobId
+ * @returns {Promise<Object>} - Raw image payload
+ */
+async function loadReferencedImage(body) {
+  try {
+    if (body.imageUrl) {
+      if (typeof body.imageUrl !== 'string') {
+        throw createIngestionError(400, 'Invalid image reference', 'imageUrl must be a string');
+      }
+      const { buffer, contentType, finalUrl } = await fetchRemoteImage(body.imageUrl);
+      const fileName = path.basename(new URL(finalUrl).pathname);
+      return {
+        buffer,
+        source: 'url',
+        declaredMimeType: contentType,
+        originalName: body.fileName || fileName || null,
+        reference: { imageUrl: finalUrl }
+      };
+    }
+
+    const { buffer, contentType, url, metadata } = await downloadImageByBlobId(body.blobId);
+    return {
+      buffer,
+      source: 'blob',
+      declaredMimeType: contentType,
+      originalName: metadata.originalName || body.blobId,
+      reference: { blobId: body.blobId, blobUrl: url }
+    };
+  } catch (error) {
+    if (error.body) {
+      throw error;
+    }
+    const status = error.status || 502;
+    throw createIngestionError(status, REMOTE_ERROR_LABELS[status] || 'Image fetch failed', error.message);
+  }
+}
+
+/**
+ * Extract the raw image payload from the request
+ * @param {Object} req - Express request
+ * @returns {Promise<{buffer: Buffer, source: string, declaredMimeType: string|null, originalName: string|null}|null>}
+ */
+async function extractImagePayload(req) {
+  if (req.file) {
+    return {
+      buffer: req.file.buffer,
+      source: 'multipart',
+      declaredMimeType: req.file.mimetype || null,
+      originalName: req.file.originalname || null
+    };
+  }
+
+  if (Buffer.isBuffer(req.body)) {
+    const payload = {
+      buffer: req.body,
+      source: 'binary',
+      declaredMimeType: req.headers['content-type'] || null,
+      originalName: req.query.fileName || null
+    };
+    // Options for raw uploads travel in the query string
+    req.body = { ...req.query };
+    return payload;
+  }
+
+  if (typeof req.body?.image === 'string') {
+    const decoded = decodeBase64Image(req.body.image);
+    if (!decoded) {
+      const error = new Error('Failed to decode base64 image data');
+      error.status = 400;
+      throw error;
+    }
+    return {
+      ...decoded,
+      declaredMimeType: decoded.declaredMimeType || req.body.mimeType || null,
+      originalName: req.body.fileName || null
+    };
+  }
+
+  if (req.body?.imageUrl || req.body?.blobId) {
+    return loadReferencedImage(req.body);
+  }
+
+  return null;
+}
+
+/**
+ * Create an ingestion error carrying an HTTP status and response body
+ */
+function createIngestionError(status, error, message, extra = {}) {
+  const ingestionError = new Error(message);
+  ingestionError.status = status;
+  ingestionError.body = { error, message, ...extra };
+  return ingestionError;
+}
+
+/**
+ * Validate a raw image payload and build the normalized image object
+ * @param {{buffer: Buffer, source: string, declaredMimeType: string|null, originalName: string|null}} payload
+ * @returns {Object} - Normalized image
+ */
+function normalizeImage(payload) {
+  const { buffer } = payload;
+
+  if (!buffer || buffer.length === 0) {
+    throw createIngestionError(400, 'Invalid image data', 'Image buffer is empty or corrupted');
+  }
+
+  const { maxSizeBytes, supportedFormats } = azureConfig.images;
+  if (buffer.length > maxSizeBytes) {
+    throw createIngestionError(413, 'Image too large',
+      `Image size (${Math.round(buffer.length / 1024)}KB) exceeds the ${Math.round(maxSizeBytes / 1024 / 1024)}MB limit`);
+  }
+
+  const detected = detectImageFormat(buffer);
+  if (detected?.format === 'heic' && !supportedFormats.includes('heic')) {
+    throw createIngestionError(415, 'Unsupported image format',
+      'HEIC images are not supported. Convert the photo to JPEG or PNG before uploading ' +
+      '(on iOS, choose Most Compatible under Settings > Camera > Formats).',
+      { detectedFormat: 'heic' });
+  }
+  if (!detected || !supportedFormats.includes(detected.format)) {
+    throw createIngestionError(415, 'Unsupported image format',
+      `Supported formats: ${supportedFormats.map(f => f.toUpperCase()).join(', ')}`,
+      { detectedFormat: detected?.format || 'unknown' });
+  }
+
+  if (payload.declaredMimeType && payload.declaredMimeType.startsWith('image/') &&
+      payload.declaredMimeType !== detected.mimeType) {
+    logger.warn('Declared image type does not match content', {
+      declared: payload.declaredMimeType,
+      detected: detected.mimeType
+    });
+  }
+
+  return {
+    buffer,
+    size: buffer.length,
+    format: detected.format,
+    mimeType: detected.mimeType,
+    extension: detected.extension,
+    originalName: payload.originalName || `image${detected.extension}`,
+    source: payload.source,
+    ...(payload.reference && { reference: payload.reference })
+  };
+}
+
+/**
+ * Send an ingestion error response
+ */
+function sendIngestionError(res, error) {
+  return res.status(error.status || 400).json(error.body || {
+    error: 'Invalid image data',
+    message: error.message
+  });
+}
+
+/**
+ * Image ingestion middleware.
+ * Accepts multipart uploads, base64 strings, data: URLs, raw binary
+ * bodies, a public imageUrl or the blobId of a previously uploaded image,
+ * sniffs the real format from magic bytes and exposes a normalized image
+ * object as req.image.
+ */
+const ingestImage = async (req, res, next) => {
+  try {
+    const payload = await extractImagePayload(req);
+
+    if (!payload) {
+      return res.status(400).json({
+        error: 'No image data provided',
+        message: 'Please provide image data as a multipart file, base64 string, data URL, binary body, imageUrl or blobId'
+      });
+    }
+
+    req.image = normalizeImage(payload);
+  } catch (error) {
+    return sendIngestionError(res, error);
+  }
+
+  // Perceptual hashes let the analysis pipeline recognize near-duplicate uploads
+  if (azureConfig.duplicates.enabled) {
+    req.image = await withPerceptualHash(req.image);
+  }
+
+  logger.info('Image ingested', {
+    source: req.image.source,
+    format: req.image.format,
+    size: req.image.size
+  });
+
+  next();
+};
+
+/**
+ * Multi-image ingestion middleware for batch requests.
+ * Accepts multipart 'images' files or a JSON 'images' array of base64
+ * strings, data URLs or { image, fileName, mimeType } objects. Invalid
+ * images do not fail the request; each entry of req.images holds either
+ * an image or an error.
+ */
+const ingestImages = (req, res, next) => {
+  const { maxImages } = azureConfig.batch;
+  let payloads;
+
+  if (req.files?.images?.length) {
+    payloads = req.files.images.map(file => () => ({
+      buffer: file.buffer,
+      source: 'multipart',
+      declaredMimeType: file.mimetype || null,
+      originalName: file.originalname || null
+    }));
+  } else if (Array.isArray(req.body?.images)) {
+    payloads = req.body.images.map(entry => () => {
+      const item = typeof entry === 'string' ? { image: entry } : (entry || {});
+      const decoded = typeof item.image === 'string' ? decodeBase64Image(item.image) : null;
+      if (!decoded) {
+        throw createIngestionError(400, 'Invalid image data', 'Failed to decode base64 image data');
+      }
+      return {
+        ...decoded,
+        declaredMimeType: decoded.declaredMimeType || item.mimeType || null,
+        originalName: item.fileName || null
+      };
+    });
+  } else {
+    return res.status(400).json({
+      error: 'No image data provided',
+      message: 'Please provide images as multipart files or a base64 array'
+    });
+  }
+
+  if (payloads.length === 0 || payloads.length > maxImages) {
+    return res.status(400).json({
+      error: 'Invalid batch size',
+      message: `A batch must contain between 1 and ${maxImages} images`
+    });
+  }
+
+  req.images = payloads.map((getPayload, index) => {
+    try {
+      return { index, image: normalizeImage(getPayload()) };
+    } catch (error) {
+      return { index, error: { status: error.status || 400, ...(error.body || { message: error.message }) } };
+    }
+  });
+
+  // Images are no longer needed in the body once decoded
+  if (Array.isArray(req.body?.images)) {
+    delete req.body.images;
+  }
+
+  logger.info('Batch images ingested', {
+    count: req.images.length,
+    invalid: req.images.filter(item => item.error).length
+  });
+
+  next();
+};
+
+module.exports = {
+  parseImageUpload,
+  ingestImage,
+  ingestImages,
+  decodeBase64Image,
+  normalizeImage
+};
@@ -0,0 +1,47 @@
+const { normalizeImage, decodeBase64Image } = require('./imageIngestion');
+
+jest.mock('../utils/logger');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+/**
+ * ISO-BMFF file type box with the given major brand
+ */
+function ftyp(brand) {
+  return Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from(`ftyp${brand}`), Buffer.alloc(16)]);
+}
+
+describe('normalizeImage', () => {
+  it('detects the format from the content rather than the declared type', () => {
+    const image = normalizeImage({ buffer: PNG_SIGNATURE, source: 'multipart', declaredMimeType: 'image/jpeg', originalName: null });
+
+    expect(image).toMatchObject({ format: 'png', mimeType: 'image/png', originalName: 'image.png', size: 8 });
+  });
+
+  it('rejects HEIC photos with a hint to convert them', () => {
+    const error = (() => {
+      try {
+        return normalizeImage({ buffer: ftyp('heic'), source: 'base64' });
+      } catch (e) {
+        return e;
+      }
+    })();
+
+    expect(error.status).toBe(415);
+    expect(error.body).toMatchObject({ error: 'Unsupported image format', detectedFormat: 'heic' });
+    expect(error.body.message).toMatch(/^HEIC images are not supported/);
+  });
+
+  it('rejects unknown formats and empty buffers', () => {
+    expect(() => normalizeImage({ buffer: Buffer.from('not an image') })).toThrow(/Supported formats: JPEG, PNG/);
+    expect(() => normalizeImage({ buffer: Buffer.alloc(0) })).toThrow('Image buffer is empty or corrupted');
+  });
+});
+
+describe('decodeBase64Image', () => {
+  it('reads data URLs and plain base64', () => {
+    expect(decodeBase64Image(`data:image/png;base64,${PNG_SIGNATURE.toString('base64')}`))
+      .toMatchObject({ buffer: PNG_SIGNATURE, declaredMimeType: 'image/png' });
+    expect(decodeBase64Image(PNG_SIGNATURE.toString('base64')).buffer).toEqual(PNG_SIGNATURE);
+  });
+});
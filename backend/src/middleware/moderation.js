@@ -0,0 +1,30 @@
+const logger = require('../utils/logger');
+const { screenText, describeRefusal } = require('../services/moderationService');
+
+/**
+ * Screen the user's question before it reaches the model.
+ * Blocked questions get the shared refusal payload; warnings are kept on
+ * req.moderation for the route to include in its response.
+ */
+const screenQuestion = async (req, res, next) => {
+  const { question } = req.body;
+  if (typeof question !== 'string' || !question.trim()) {
+    return next();
+  }
+
+  try {
+    const verdict = await screenText(question);
+    if (verdict.decision === 'warn') {
+      req.moderation = verdict;
+    }
+    next();
+  } catch (error) {
+    logger.warn('Question refused by moderation', { message: error.message });
+    const { status, body } = describeRefusal(error, 'question');
+    res.status(status).json(body);
+  }
+};
+
+module.exports = {
+  screenQuestion
+};
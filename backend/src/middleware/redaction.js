@@ -0,0 +1,28 @@
+const logger = require('../utils/logger');
+const { isValidAdminKey } = require('./auth');
+const { resolveRedactionMode } = require('../services/redactionService');
+
+/**
+ * Resolve the redaction mode for images stored by this request.
+ * The redact field (body or query) overrides REDACTION_MODE; turning
+ * privacy mode off requires a valid X-Admin-Key header. The result is
+ * kept on req.redaction.
+ */
+const resolveRedaction = (req, res, next) => {
+  const requested = req.body.redact ?? req.query.redact;
+
+  try {
+    req.redaction = resolveRedactionMode(requested, isValidAdminKey(req.get('X-Admin-Key')));
+    next();
+  } catch (error) {
+    logger.warn('Rejected redaction override', { redact: requested, path: req.originalUrl, ip: req.ip });
+    res.status(error.status || 400).json({
+      error: error.status === 403 ? 'Forbidden' : 'Invalid redaction mode',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  resolveRedaction
+};
@@ -0,0 +1,217 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { requireAdminKey } = require('../middleware/auth');
+const { getAnalysisCache, isValidCacheKey } = require('../services/analysisCache');
+const { getVectorIndex } = require('../services/vectorIndex');
+const { getDuplicateIndex } = require('../services/duplicateService');
+
+router.use(requireAdminKey);
+
+/**
+ * Get analysis cache statistics and entries
+ * GET /api/admin/cache
+ */
+router.get('/cache', async (req, res) => {
+  try {
+    const cache = getAnalysisCache();
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    let entries = await cache.list();
+
+    if (req.query.type) {
+      entries = entries.filter(entry => entry.type === req.query.type);
+    }
+
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      stats: await cache.getStats(),
+      totalEntries: entries.length,
+      entries: entries.slice(0, limit)
+    });
+  } catch (error) {
+    logger.error('Failed to list cache entries:', error);
+    res.status(500).json({
+      error: 'Cache inspection failed',
+      message: 'Failed to read the analysis cache'
+    });
+  }
+});
+
+/**
+ * Get a single cache entry including its cached result
+ * GET /api/admin/cache/:key
+ */
+router.get('/cache/:key', async (req, res) => {
+  try {
+    if (!isValidCacheKey(req.params.key)) {
+      return res.status(400).json({
+        error: 'Invalid cache key',
+        message: 'Cache keys are 64-character lowercase hex digests'
+      });
+    }
+
+    const found = await getAnalysisCache().lookup(req.params.key);
+
+    if (!found) {
+      return res.status(404).json({
+        error: 'Cache entry not found',
+        message: `No cache entry with key ${req.params.key}`
+      });
+    }
+
+    res.json({ ...found.entry, tier: found.tier });
+  } catch (error) {
+    logger.error('Failed to read cache entry:', error);
+    res.status(500).json({
+      error: 'Cache inspection failed',
+      message: 'Failed to read the cache entry'
+    });
+  }
+});
+
+/**
+ * Purge a single cache entry
+ * DELETE /api/admin/cache/:key
+ */
+router.delete('/cache/:key', async (req, res) => {
+  try {
+    if (!isValidCacheKey(req.params.key)) {
+      return res.status(400).json({
+        error: 'Invalid cache key',
+        message: 'Cache keys are 64-character lowercase hex digests'
+      });
+    }
+
+    const removed = await getAnalysisCache().delete(req.params.key);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Cache entry not found',
+        message: `No cache entry with key ${req.params.key}`
+      });
+    }
+
+    logger.info('Cache entry purged', { key: req.params.key });
+    res.json({ success: true, removed: 1 });
+  } catch (error) {
+    logger.error('Failed to purge cache entry:', error);
+    res.status(500).json({
+      error: 'Cache purge failed',
+      message: 'Failed to purge the cache entry'
+    });
+  }
+});
+
+/**
+ * Purge all cache entries, optionally filtered by analysis type
+ * DELETE /api/admin/cache?type=ocr
+ */
+router.delete('/cache', async (req, res) => {
+  try {
+    const removed = await getAnalysisCache().purge(req.query.type);
+
+    logger.info('Analysis cache purged', { type: req.query.type || 'all', removed });
+    res.json({ success: true, removed });
+  } catch (error) {
+    logger.error('Failed to purge analysis cache:', error);
+    res.status(500).json({
+      error: 'Cache purge failed',
+      message: 'Failed to purge the analysis cache'
+    });
+  }
+});
+
+/**
+ * Get vector index statistics
+ * GET /api/admin/index
+ */
+router.get('/index', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      stats: await getVectorIndex().getStats()
+    });
+  } catch (error) {
+    logger.error('Failed to read vector index:', error);
+    res.status(500).json({
+      error: 'Index inspection failed',
+      message: 'Failed to read the vector index'
+    });
+  }
+});
+
+/**
+ * Remove an image from the vector index
+ * DELETE /api/admin/index/:id
+ */
+router.delete('/index/:id', async (req, res) => {
+  try {
+    const removed = await getVectorIndex().delete(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Index entry not found',
+        message: `No indexed image with ID ${req.params.id}`
+      });
+    }
+
+    logger.info('Vector index entry removed', { id: req.params.id });
+    res.json({ success: true, removed: 1 });
+  } catch (error) {
+    logger.error('Failed to remove vector index entry:', error);
+    res.status(500).json({
+      error: 'Index update failed',
+      message: 'Failed to remove the index entry'
+    });
+  }
+});
+
+/**
+ * Get duplicate index statistics
+ * GET /api/admin/duplicates
+ */
+router.get('/duplicates', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      stats: await getDuplicateIndex().getStats()
+    });
+  } catch (error) {
+    logger.error('Failed to read duplicate index:', error);
+    res.status(500).json({
+      error: 'Index inspection failed',
+      message: 'Failed to read the duplicate index'
+    });
+  }
+});
+
+/**
+ * Forget an image so its near-duplicates are analyzed and stored again
+ * DELETE /api/admin/duplicates/:id
+ */
+router.delete('/duplicates/:id', async (req, res) => {
+  try {
+    const removed = await getDuplicateIndex().delete(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Index entry not found',
+        message: `No recorded image with ID ${req.params.id}`
+      });
+    }
+
+    logger.info('Duplicate index entry removed', { id: req.params.id });
+    res.json({ success: true, removed: 1 });
+  } catch (error) {
+    logger.error('Failed to remove duplicate index entry:', error);
+    res.status(500).json({
+      error: 'Index update failed',
+      message: 'Failed to remove the index entry'
+    });
+  }
+});
+
+module.exports = router;
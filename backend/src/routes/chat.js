@@ -1,22 +1,69 @@
 const express = require('express');
 const { getAzureClients, azureConfig } = require('../config/azure');
 const logger = require('../utils/logger');
+const { screenQuestion } = require('../middleware/moderation');
+const { ModerationError, isContentFilterError, describeRefusal } = require('../services/moderationService');
+const { ChatSessionError, getChatSessionManager } = require('../services/chatSessionService');
+const { ChatImageError, chooseImageDetail, resolveChatImage, forgetSessionImage } = require('../services/chatImageService');
+const { ChatToolError, parseToolSelection, runChatAgent } = require('../services/chatAgentService');
+const { decodeBase64Image, normalizeImage } = require('../middleware/imageIngestion');
+const { collectCitationSources, buildCitationPrompt, extractCitations } = require('../utils/citations');
+const { getGeometrySource } = require('../utils/annotate');
+const { openEventStream, sendEvent, abortOnDisconnect } = require('../utils/sse');
 
 const router = express.Router();
 
+const IMAGE_SYSTEM_PROMPT = 'The original image is attached to the latest question. Use it to check the analysis ' +
+  'and to answer about details the analysis does not mention, such as colours, small objects or text in the background. ' +
+  'If the image does not show what is asked about, say so.';
+
 /**
  * POST /api/chat/analyze
- * Interactive Q&A about image analysis results
+ * Interactive Q&A about image analysis results.
+ * With `stream: true` (or ?stream=true, or Accept: text/event-stream) the
+ * answer is sent as Server-Sent Events: a token event per content delta,
+ * then a done event with the full answer, finish reason and token usage.
+ * Failures after the stream has started are sent as an error event.
+ * With a sessionId the analysis and history come from the chat session
+ * and the new turn is recorded there; analysisResults and
+ * conversationHistory are then ignored.
+ * The original image is attached to the question so GPT-4o can answer from
+ * the pixels: an inline `image` (base64 or data URL) or `blobId`, else the
+ * session's image, else the blob the analysis was stored as. `imageDetail`
+ * (low, high or auto) overrides the detail chosen from the question and
+ * `attachImage: false` answers from the analysis alone. The image is
+ * screened like an upload when first attached, which also covers the tools.
+ * With `tools` (true for all, or a list of names) the model may call tools
+ * before answering: read_text_in_region, analyze_region, translate_text and
+ * find_similar_images. The calls it made are returned as toolCalls, and
+ * streamed as tool events; sessions only record the question and answer.
+ * With `citations: true` the answer comes with claims linked to the objects,
+ * people, OCR lines and dense captions they rely on, with their bounding
+ * boxes; claims about anything else are flagged as ungrounded. Streamed
+ * tokens carry the raw citation tags, the done event the clean answer.
  */
-router.post('/analyze', async (req, res) => {
+router.post('/analyze', screenQuestion, async (req, res) => {
   try {
-    const { question, analysisResults, conversationHistory = [] } = req.body;
+    const { question, sessionId, conversationHistory = [] } = req.body;
+    let { analysisResults } = req.body;
+
+    let session = null;
+    if (sessionId) {
+      session = await getChatSessionManager().get(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: `No chat session with ID ${sessionId}`
+        });
+      }
+      analysisResults = session.analysisResults;
+    }
     
     // Validate request
     if (!question || !analysisResults) {
       return res.status(400).json({
         error: 'Bad Request',
-        message: 'Missing required fields: question and analysisResults'
+        message: 'Missing required fields: question and analysisResults (or sessionId)'
       });
     }
 
@@ -29,86 +76,483 @@ router.post('/analyze', async (req, res) => {
       });
     }
 
-    // Build context from analysis results
-    const analysisContext = buildAnalysisContext(analysisResults);
-    
-    // Check if we have enhanced analysis results from GPT-4o
-    const isEnhancedAnalysis = analysisResults.enhanced && analysisResults.analysis;
-    
-    // Build conversation messages with enhanced system prompt
-    const systemPrompt = isEnhancedAnalysis ? 
-      buildEnhancedSystemPrompt(analysisResults) : 
-      buildStandardSystemPrompt(analysisContext);
-    
-    const messages = [
-      {
-        role: 'system',
-        content: systemPrompt
-      }
-    ];
+    const tools = parseToolSelection(req.body.tools);
+    const attachment = await attachChatImage(req, question, analysisResults, session);
+    if (session && attachment.reference) {
+      session = { ...session, image: attachment.reference };
+    }
 
-    // Add conversation history
-    conversationHistory.forEach(msg => {
-      messages.push({
-        role: msg.role === 'user' ? 'user' : 'assistant',
-        content: msg.content
-      });
-    });
+    // Keep the stored history within the token budget before adding the question
+    if (session) {
+      session = await getChatSessionManager().fitHistory(session, question, openai);
+    }
 
-    // Add current question
-    messages.push({
-      role: 'user',
-      content: question
-    });
+    const history = session ? session.messages : conversationHistory;
+    const messages = buildChatMessages(question, analysisResults, history, session?.summary, attachment.image);
+
+    const citationSources = wantsCitations(req) ? collectCitationSources(analysisResults) : null;
+    if (citationSources) {
+      messages.splice(messages.length - 1, 0, { role: 'system', content: buildCitationPrompt(citationSources, analysisResults) });
+    }
 
     logger.info('Sending chat request to Azure OpenAI', {
       messageCount: messages.length,
-      question: question.substring(0, 100)
+      question: question.substring(0, 100),
+      stream: wantsStream(req),
+      imageDetail: attachment.image?.detail || null,
+      tools: tools.length,
+      citationSources: citationSources?.length ?? null
     });
 
-    // Call Azure OpenAI
-    const response = await openai.chat.completions.create({
+    const request = {
       messages: messages,
       max_tokens: azureConfig.openai.maxTokens,
-      temperature: azureConfig.openai.temperature,
-      stream: false
-    });
+      temperature: azureConfig.openai.temperature
+    };
 
-    const answer = response.choices[0]?.message?.content;
-    
-    if (!answer) {
+    if (wantsStream(req)) {
+      return streamChatAnswer(req, res, openai, request, { session, attachment, tools, analysisResults, citationSources });
+    }
+
+    // Call Azure OpenAI, through the tool loop when tools were requested
+    const response = tools.length > 0
+      ? await runChatAgent({ openai, request, tools, image: attachment.image, analysisResults })
+      : toChatAnswer(await openai.chat.completions.create({ ...request, stream: false }));
+
+    // Azure OpenAI may filter the completion itself
+    if (response.finishReason === 'content_filter') {
+      throw createAnswerFilteredError();
+    }
+
+    if (!response.answer) {
       throw new Error('No response received from OpenAI');
     }
 
-    logger.info('Chat response generated successfully');
+    const { answer, citations } = citationSources
+      ? extractCitations(response.answer, citationSources, analysisResults)
+      : { answer: response.answer };
+
+    logger.info('Chat response generated successfully', { toolCalls: response.toolCalls?.length || 0 });
+
+    if (session) {
+      await getChatSessionManager().recordTurn(session, { question, answer, usage: response.usage });
+    }
 
     res.json({
       question,
       answer,
       timestamp: new Date().toISOString(),
-      usage: response.usage
+      usage: response.usage,
+      image: attachment.summary,
+      ...(tools.length > 0 && { toolCalls: response.toolCalls }),
+      ...(citations && { citations }),
+      ...(session && { sessionId: session.id }),
+      ...(req.moderation && { moderation: req.moderation })
     });
 
   } catch (error) {
     logger.error('Chat analysis error:', error);
-    
-    if (error.code === 'insufficient_quota') {
-      return res.status(429).json({
+    const { status, body } = describeChatError(error);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Shape a plain chat completion like an agent answer
+ */
+function toChatAnswer(response) {
+  return {
+    answer: response.choices[0]?.message?.content,
+    finishReason: response.choices[0]?.finish_reason || null,
+    usage: response.usage
+  };
+}
+
+/**
+ * Stream a chat completion to the client as Server-Sent Events.
+ * The upstream request is aborted when the client disconnects; the turn
+ * is only recorded in the session once the answer is complete. With tools,
+ * a tool event is sent after each call the model makes.
+ */
+async function streamChatAnswer(req, res, openai, request, { session, attachment, tools, analysisResults, citationSources }) {
+  // Stop paying for tokens nobody will read
+  const controller = abortOnDisconnect(res);
+  openEventStream(res);
+
+  let answer = '';
+  let finishReason = null;
+  let usage = null;
+  let toolCalls = null;
+
+  try {
+    if (tools.length > 0) {
+      ({ answer, finishReason, usage, toolCalls } = await runChatAgent({
+        openai,
+        request,
+        tools,
+        image: attachment.image,
+        analysisResults,
+        signal: controller.signal,
+        onToken: content => sendEvent(res, 'token', { content }),
+        onToolCall: call => sendEvent(res, 'tool', call)
+      }));
+    } else {
+      ({ answer, finishReason, usage } = await streamCompletion(res, openai, request, controller.signal));
+    }
+
+    // Tokens already sent stay on screen; the error event tells the client to discard them
+    if (finishReason === 'content_filter') {
+      throw createAnswerFilteredError();
+    }
+    if (!answer) {
+      throw new Error('No response received from OpenAI');
+    }
+
+    let citations = null;
+    if (citationSources) {
+      ({ answer, citations } = extractCitations(answer, citationSources, analysisResults));
+    }
+
+    logger.info('Streaming chat response completed', { finishReason, tokensUsed: usage?.total_tokens });
+    if (session) {
+      await getChatSessionManager().recordTurn(session, { question: req.body.question, answer, usage });
+    }
+
+    sendEvent(res, 'done', {
+      question: req.body.question,
+      answer,
+      finishReason,
+      timestamp: new Date().toISOString(),
+      usage,
+      image: attachment.summary,
+      ...(toolCalls && { toolCalls }),
+      ...(citations && { citations }),
+      ...(session && { sessionId: session.id }),
+      ...(req.moderation && { moderation: req.moderation })
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info('Streaming chat cancelled by client', { tokensStreamed: answer.length });
+      return;
+    }
+    logger.error('Streaming chat error:', error);
+    const { status, body } = describeChatError(error);
+    sendEvent(res, 'error', { status, ...body });
+  }
+
+  res.end();
+}
+
+/**
+ * Stream one completion, sending a token event per content delta
+ * @returns {Promise<{answer: string, finishReason: string|null, usage: Object|null}>}
+ */
+async function streamCompletion(res, openai, request, signal) {
+  let answer = '';
+  let finishReason = null;
+  let usage = null;
+
+  const stream = await openai.chat.completions.create({
+      ...request,
+      stream: true,
+      stream_options: { include_usage: true }
+  }, { signal });
+
+  for await (const chunk of stream) {
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+    const choice = chunk.choices?.[0];
+    if (choice?.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+    if (choice?.delta?.content) {
+      answer += choice.delta.content;
+      sendEvent(res, 'token', { content: choice.delta.content });
+    }
+  }
+
+  return { answer, finishReason, usage };
+}
+
+/**
+ * Whether the client asked for a streamed answer
+ */
+function wantsStream(req) {
+  const { stream } = req.body;
+  return stream === true || stream === 'true' ||
+    req.query.stream === 'true' ||
+    (req.get('Accept') || '').includes('text/event-stream');
+}
+
+/**
+ * Whether the client asked for region citations
+ */
+function wantsCitations(req) {
+  const { citations } = req.body;
+  return citations === true || citations === 'true';
+}
+
+/**
+ * Resolve the image to attach to a question
+ * @returns {Promise<{image: {url: string, detail: string}|null, reference: Object|null, summary: Object}>}
+ *   summary describes the attachment in the response
+ */
+async function attachChatImage(req, question, analysisResults, session) {
+  const { attachImage, imageDetail, blobId } = req.body;
+  if (!azureConfig.chatImages.enabled || attachImage === false || attachImage === 'false') {
+    return { image: null, reference: null, summary: { attached: false } };
+  }
+
+  const detail = chooseImageDetail(question, imageDetail);
+  if (blobId !== undefined && typeof blobId !== 'string') {
+    throw new ChatImageError('blobId must be a string');
+  }
+
+  const resolved = await resolveChatImage({
+    inlineImage: parseInlineImage(req.body.image),
+    blobId,
+    analysisResults,
+    session
+  });
+
+  if (!resolved.image) {
+    return {
+      image: null,
+      reference: null,
+      summary: { attached: false, ...(resolved.error && { error: resolved.error }) }
+    };
+  }
+
+  return {
+    image: { url: resolved.image.url, detail },
+    reference: resolved.reference,
+    summary: {
+      attached: true,
+      source: resolved.reference?.source || null,
+      detail,
+      cached: resolved.cached,
+      ...(resolved.image.moderation && { moderation: resolved.image.moderation })
+    }
+  };
+}
+
+/**
+ * Decode and validate an image sent inline with a question
+ * @param {string|undefined} value - Base64 string or data URL
+ * @returns {Object|null} - Normalized image
+ */
+function parseInlineImage(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const decoded = typeof value === 'string' ? decodeBase64Image(value) : null;
+  if (!decoded) {
+    throw new ChatImageError('image must be a base64 string or data URL');
+  }
+  try {
+    return normalizeImage({ ...decoded, originalName: null });
+  } catch (error) {
+    throw new ChatImageError(error.message, error.status || 400);
+  }
+}
+
+/**
+ * Build the system prompt, history and question for a chat completion
+ * @param {string} question
+ * @param {Object} analysisResults
+ * @param {Array} conversationHistory - Earlier messages, oldest first
+ * @param {string|null} [summary] - Summary of turns no longer in the history
+ * @param {{url: string, detail: string}|null} [image] - Image attached to the question
+ */
+function buildChatMessages(question, analysisResults, conversationHistory, summary = null, image = null) {
+  // Build context from analysis results
+  const analysisContext = buildAnalysisContext(analysisResults);
+  
+  // Check if we have enhanced analysis results from GPT-4o
+  const isEnhancedAnalysis = analysisResults.enhanced && analysisResults.analysis;
+  
+  // Build conversation messages with enhanced system prompt
+  const systemPrompt = isEnhancedAnalysis ? 
+    buildEnhancedSystemPrompt(analysisResults) : 
+    buildStandardSystemPrompt(analysisContext);
+  
+  const messages = [
+    {
+      role: 'system',
+      content: systemPrompt
+    }
+  ];
+
+  if (summary) {
+    messages.push({
+      role: 'system',
+      content: `Summary of the earlier conversation:\n${summary}`
+    });
+  }
+
+  // Add conversation history
+  conversationHistory.forEach(msg => {
+    messages.push({
+      role: msg.role === 'user' ? 'user' : 'assistant',
+      content: msg.content
+    });
+  });
+
+  if (image) {
+    messages.push({
+      role: 'system',
+      content: IMAGE_SYSTEM_PROMPT
+    });
+  }
+
+  // Add current question, with the image only on this turn
+  messages.push({
+    role: 'user',
+    content: image
+      ? [
+        { type: 'text', text: question },
+        { type: 'image_url', image_url: { url: image.url, detail: image.detail } }
+      ]
+      : question
+  });
+
+  return messages;
+}
+
+/**
+ * Error for a completion stopped by the Azure OpenAI content filter
+ */
+function createAnswerFilteredError() {
+  return Object.assign(new Error('Completion was filtered by the content filter'), { code: 'content_filter', source: 'answer' });
+}
+
+/**
+ * Map a chat failure to a status and response body
+ * @param {Error} error
+ * @returns {{status: number, body: Object}}
+ */
+function describeChatError(error) {
+  if (error instanceof ChatImageError) {
+    const labels = { 404: 'Image not found', 413: 'Image too large', 415: 'Unsupported image format' };
+    return {
+      status: error.status,
+      body: {
+        error: labels[error.status] || (error.status >= 500 ? 'Image unavailable' : 'Invalid image'),
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof ChatToolError) {
+    return {
+      status: error.status,
+      body: {
+        error: 'Invalid tools',
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof ChatSessionError) {
+    return {
+      status: error.status,
+      body: {
+        error: error.status === 404 ? 'Analysis not found' : 'Invalid chat session',
+        message: error.message
+      }
+    };
+  }
+
+  if (error.code === 'insufficient_quota') {
+    return {
+      status: 429,
+      body: {
         error: 'Quota Exceeded',
         message: 'OpenAI quota exceeded. Please try again later.'
+      }
+    };
+  }
+  
+  if (error instanceof ModerationError || isContentFilterError(error)) {
+    return describeRefusal(error, error.source || 'question');
+  }
+
+  return {
+    status: 500,
+    body: {
+      error: 'Internal Server Error',
+      message: 'Failed to process chat request'
+    }
+  };
+}
+
+/**
+ * POST /api/chat/sessions
+ * Start a chat session about an analysis, identified by analysisId (a job
+ * ID or the X-Analysis-Id of an analysis response) or given inline as
+ * analysisResults
+ */
+router.post('/sessions', async (req, res) => {
+  try {
+    const { analysisId, analysisResults } = req.body;
+    const session = await getChatSessionManager().create({ analysisId, analysisResults });
+    res.status(201).json(session);
+  } catch (error) {
+    logger.error('Chat session creation error:', error);
+    const { status, body } = describeChatError(error);
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * GET /api/chat/sessions/:id
+ * Get a chat session to resume the conversation
+ */
+router.get('/sessions/:id', async (req, res) => {
+  try {
+    const session = await getChatSessionManager().get(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No chat session with ID ${req.params.id}`
       });
     }
-    
-    if (error.code === 'content_filter') {
-      return res.status(400).json({
-        error: 'Content Filtered',
-        message: 'Your question was filtered by content policy. Please rephrase.'
+
+    res.json(session);
+  } catch (error) {
+    logger.error('Chat session lookup error:', error);
+    res.status(500).json({
+      error: 'Session lookup failed',
+      message: 'Failed to retrieve the chat session. Please try again.'
+    });
+  }
+});
+
+/**
+ * DELETE /api/chat/sessions/:id
+ * Delete a chat session
+ */
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const removed = await getChatSessionManager().delete(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: `No chat session with ID ${req.params.id}`
       });
     }
 
+    await forgetSessionImage(req.params.id);
+    logger.info('Chat session deleted', { sessionId: req.params.id });
+    res.json({ success: true, deleted: req.params.id });
+  } catch (error) {
+    logger.error('Chat session deletion error:', error);
     res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Failed to process chat request'
+      error: 'Session deletion failed',
+      message: 'Failed to delete the chat session. Please try again.'
     });
   }
 });
@@ -145,10 +589,56 @@ router.post('/suggestions', async (req, res) => {
   }
 });
 
+/**
+ * Convert a stored analysis of any type into the shape the chat context
+ * is built from: the legacy enhanced shape, with `caption` as
+ * {text, confidence}, `object` names, `rectangle` boxes and `text` as an
+ * array of lines. /analyze results nest their data under `analysis` with
+ * string captions and `boundingBox` boxes; OCR results carry `text` as a
+ * string; extract results carry `fields`.
+ * @param {Object} results - Analysis response body
+ * @returns {Object}
+ */
+function toChatAnalysis(results) {
+  if (results.enhanced) {
+    return results;
+  }
+
+  const source = getGeometrySource(results);
+  const caption = typeof source.caption === 'string'
+    ? { text: source.caption, confidence: source.confidence ?? null }
+    : source.caption || null;
+  const denseCaptions = source.denseCaptions || [];
+  const text = Array.isArray(source.text)
+    ? source.text
+    : String(source.text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+  return {
+    caption,
+    description: source.description || (denseCaptions.length > 0 ? { captions: denseCaptions } : undefined),
+    objects: (source.objects || []).map(obj => ({
+      object: obj.object || obj.name,
+      confidence: obj.confidence ?? null,
+      rectangle: obj.rectangle || obj.boundingBox || null
+    })),
+    people: (source.people || []).map(person => ({
+      confidence: person.confidence ?? null,
+      rectangle: person.rectangle || person.boundingBox || null
+    })),
+    tags: source.tags || [],
+    text,
+    translatedText: results.translatedText || null,
+    color: source.color || null,
+    documentType: results.documentType || null,
+    fields: results.fields || null
+  };
+}
+
 /**
  * Build analysis context string from results
  */
-function buildAnalysisContext(results) {
+function buildAnalysisContext(analysisResults) {
+  const results = toChatAnalysis(analysisResults);
   let context = '';
   
   // Add caption/description
@@ -168,7 +658,11 @@ function buildAnalysisContext(results) {
   if (results.objects && results.objects.length > 0) {
     context += `Detected Objects:\n`;
     results.objects.forEach(obj => {
-      context += `- ${obj.object} at location (${obj.rectangle.x}, ${obj.rectangle.y}) with confidence ${obj.confidence}\n`;
+      // Objects described only by GPT-4o have no box or score
+      const location = obj.rectangle ? ` at location (${obj.rectangle.x}, ${obj.rectangle.y})` : '';
+      const confidence = obj.confidence != null ? ` with confidence ${obj.confidence}` : '';
+      const description = obj.description ? `: ${obj.description}` : '';
+      context += `- ${obj.object}${location}${confidence}${description}\n`;
     });
     context += '\n';
   }
@@ -177,14 +671,15 @@ function buildAnalysisContext(results) {
   if (results.people && results.people.length > 0) {
     context += `People Detected: ${results.people.length} person(s)\n`;
     results.people.forEach((person, i) => {
-      context += `- Person ${i+1} at location (${person.rectangle.x}, ${person.rectangle.y})\n`;
+      const location = person.rectangle ? ` at location (${person.rectangle.x}, ${person.rectangle.y})` : '';
+      context += `- Person ${i+1}${location}\n`;
     });
     context += '\n';
   }
 
   // Add tags
   if (results.tags && results.tags.length > 0) {
-    context += `Tags: ${results.tags.map(tag => `${tag.name} (${tag.confidence})`).join(', ')}\n\n`;
+    context += `Tags: ${results.tags.map(tag => (tag.confidence != null ? `${tag.name} (${tag.confidence})` : tag.name)).join(', ')}\n\n`;
   }
 
   // Add text (OCR)
@@ -192,6 +687,19 @@ function buildAnalysisContext(results) {
     context += `Text Found in Image:\n"${results.text.join(' ')}"\n\n`;
   }
 
+  if (results.translatedText) {
+    context += `Translated Text:\n"${results.translatedText.split('\n').join(' ')}"\n\n`;
+  }
+
+  // Add extracted document fields
+  if (results.fields) {
+    context += `Extracted Fields${results.documentType ? ` (${results.documentType})` : ''}:\n`;
+    Object.entries(results.fields).forEach(([name, value]) => {
+      context += `- ${name}: ${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}\n`;
+    });
+    context += '\n';
+  }
+
   // Add color analysis
   if (results.color) {
     context += `Color Analysis:\n`;
@@ -283,13 +791,15 @@ ${analysisContext}`;
 /**
  * Generate question suggestions based on analysis results
  */
-function generateQuestionSuggestions(results) {
+function generateQuestionSuggestions(analysisResults) {
   const suggestions = [];
   
   // Check if we have enhanced analysis
-  if (results.enhanced && results.analysis) {
-    return generateEnhancedSuggestions(results);
+  if (analysisResults.enhanced && analysisResults.analysis) {
+    return generateEnhancedSuggestions(analysisResults);
   }
+
+  const results = toChatAnalysis(analysisResults);
   
   // Basic questions for standard analysis
   suggestions.push("What do you see in this image?");
@@ -0,0 +1,306 @@
+const express = require('express');
+const http = require('http');
+const request = require('supertest');
+const sharp = require('sharp');
+
+process.env.MODERATION_PROVIDER = 'none';
+
+const { getAzureClients } = require('../config/azure');
+const { buildCacheKey, getAnalysisCache } = require('../services/analysisCache');
+const chatRoutes = require('./chat');
+
+jest.mock('../utils/logger');
+
+const app = express();
+app.use(express.json());
+app.use('/api/chat', chatRoutes);
+
+// Stored result bodies of each analysis type, as cached under X-Analysis-Id
+const ANALYSES = {
+  analyze: {
+    result: {
+      success: true,
+      imageUrl: null,
+      analysis: {
+        caption: 'a cat on a sofa',
+        confidence: 0.91,
+        denseCaptions: [{ text: 'a grey cat', confidence: 0.8, boundingBox: { x: 10, y: 20, w: 30, h: 40 } }],
+        objects: [{ name: 'cat', confidence: 0.8, boundingBox: { x: 10, y: 20, w: 30, h: 40 } }],
+        people: [{ confidence: 0.9, boundingBox: { x: 50, y: 5, w: 20, h: 60 } }],
+        tags: [{ name: 'indoor', confidence: 0.95 }],
+        smartCrops: [],
+        text: 'HELLO\nWORLD',
+        lines: [],
+        metadata: { width: 100, height: 80 }
+      }
+    },
+    expected: ['Image Description: a cat on a sofa', '- cat at location (10, 20)', '- Person 1 at location (50, 5)', 'indoor (0.95)', '"HELLO WORLD"']
+  },
+  ocr: {
+    result: {
+      success: true,
+      text: 'STOP\nNO PARKING',
+      detailedText: [{ text: 'STOP', boundingBox: { x: 1, y: 2, w: 30, h: 10 } }],
+      layout: { width: 100, height: 80, blocks: [] },
+      wordCount: 3
+    },
+    expected: ['"STOP NO PARKING"']
+  },
+  'ocr-translate': {
+    result: {
+      success: true,
+      targetLanguage: 'en',
+      text: 'SORTIE',
+      translatedText: 'EXIT',
+      lines: [{ text: 'SORTIE', translation: 'EXIT', boundingBox: { x: 1, y: 2, w: 30, h: 10 } }]
+    },
+    expected: ['"SORTIE"', 'Translated Text:\n"EXIT"']
+  },
+  'analyze-enhanced': {
+    result: {
+      enhanced: true,
+      analysis: { mainDescription: 'A tabby cat asleep in the sun', objects: ['cat'] },
+      caption: { text: 'A tabby cat asleep in the sun', confidence: 0.9 },
+      objects: [{ object: 'cat', confidence: null, rectangle: null }],
+      people: [],
+      tags: [{ name: 'cat', confidence: null }],
+      text: ['MEOW'],
+      sceneContext: 'a sunny living room'
+    },
+    expected: ['Main Description: A tabby cat asleep in the sun', 'Text Content: MEOW']
+  },
+  extract: {
+    result: {
+      success: true,
+      documentType: 'receipt',
+      fields: { merchant: 'Corner Cafe', total: 12.5, items: [{ name: 'Tea' }] }
+    },
+    expected: ['Extracted Fields (receipt):', '- merchant: Corner Cafe', '- items: [{"name":"Tea"}]']
+  }
+};
+
+describe('chat sessions created from an analysis ID', () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: 'It is a cat.' }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 }
+    });
+    getAzureClients().openai = { chat: { completions: { create } } };
+  });
+
+  afterAll(() => {
+    delete getAzureClients().openai;
+  });
+
+  it.each(Object.keys(ANALYSES))('answers about a stored %s result', async (type) => {
+    const { result, expected } = ANALYSES[type];
+    const analysisId = buildCacheKey({ type, imageBuffer: Buffer.from(type) });
+    await getAnalysisCache().set(analysisId, result, { type });
+
+    const created = await request(app).post('/api/chat/sessions').send({ analysisId });
+    expect(created.status).toBe(201);
+
+    const response = await request(app).post('/api/chat/analyze').send({ sessionId: created.body.id, question: 'What is this?' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ answer: 'It is a cat.', sessionId: created.body.id });
+    const systemPrompt = create.mock.calls[0][0].messages[0].content;
+    expected.forEach(text => expect(systemPrompt).toContain(text));
+  });
+
+  it('suggests questions from a stored /analyze result', async () => {
+    const response = await request(app).post('/api/chat/suggestions').send({ analysisResults: ANALYSES.analyze.result });
+
+    expect(response.status).toBe(200);
+    expect(response.body.suggestions).toContain('Tell me more about the cat in the image');
+  });
+
+  it('reports an unknown analysis ID', async () => {
+    const response = await request(app).post('/api/chat/sessions').send({ analysisId: 'f'.repeat(64) });
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('streamed chat answers', () => {
+  const create = jest.fn();
+  const analysisResults = ANALYSES.analyze.result;
+
+  /**
+   * Parse a Server-Sent Events body into [event, data] pairs
+   */
+  const parseEvents = text => text.trim().split('\n\n').map(block => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return [event, JSON.parse(data)];
+  });
+
+  const ask = body => request(app)
+    .post('/api/chat/analyze')
+    .buffer(true)
+    .parse((res, callback) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => callback(null, text));
+    })
+    .send({ question: 'What is this?', stream: true, ...body });
+
+  /**
+   * Completion stream yielding the given chunks
+   */
+  const chunks = (...values) => async () => (async function* () {
+    yield* values;
+  })();
+
+  beforeEach(() => {
+    create.mockReset();
+    getAzureClients().openai = { chat: { completions: { create } } };
+  });
+
+  afterAll(() => {
+    delete getAzureClients().openai;
+  });
+
+  it('sends a token event per delta, then the answer with usage, and records the turn', async () => {
+    create.mockImplementation(chunks(
+      { choices: [{ delta: { content: 'It is ' } }] },
+      { choices: [{ delta: { content: 'a cat.' }, finish_reason: 'stop' }] },
+      { choices: [], usage: { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 } }
+    ));
+    const session = (await request(app).post('/api/chat/sessions').send({ analysisResults })).body;
+
+    const response = await ask({ sessionId: session.id });
+
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(create.mock.calls[0][0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    const events = parseEvents(response.body);
+    expect(events.slice(0, 2)).toEqual([['token', { content: 'It is ' }], ['token', { content: 'a cat.' }]]);
+    expect(events[2]).toEqual(['done', expect.objectContaining({
+      answer: 'It is a cat.',
+      finishReason: 'stop',
+      usage: { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 },
+      sessionId: session.id
+    })]);
+
+    const stored = await request(app).get(`/api/chat/sessions/${session.id}`);
+    expect(stored.body.messages.map(message => message.content)).toEqual(['What is this?', 'It is a cat.']);
+  });
+
+  it('reports a filtered completion as an error event after its tokens', async () => {
+    create.mockImplementation(chunks(
+      { choices: [{ delta: { content: 'Partial' } }] },
+      { choices: [{ delta: {}, finish_reason: 'content_filter' }] }
+    ));
+
+    const events = parseEvents((await ask({ analysisResults })).body);
+
+    expect(events.map(([event]) => event)).toEqual(['token', 'error']);
+    expect(events[1][1]).toMatchObject({ status: 400, error: 'Content blocked', refusal: { source: 'answer', stage: 'provider' } });
+  });
+
+  it('maps quota errors raised mid-stream to 429', async () => {
+    create.mockImplementation(async () => (async function* () {
+      yield { choices: [{ delta: { content: 'It' } }] };
+      throw Object.assign(new Error('Quota exceeded'), { code: 'insufficient_quota' });
+    })());
+
+    const events = parseEvents((await ask({ analysisResults })).body);
+
+    expect(events[1]).toEqual(['error', { status: 429, error: 'Quota Exceeded', message: 'OpenAI quota exceeded. Please try again later.' }]);
+  });
+
+  it('aborts the upstream request when the client disconnects', async () => {
+    let signal;
+    create.mockImplementation(async (body, options) => {
+      signal = options.signal;
+      return (async function* () {
+        yield { choices: [{ delta: { content: 'It' } }] };
+        await new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+      })();
+    });
+    const server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+
+    try {
+      await new Promise((resolve, reject) => {
+        const req = http.request({
+          host: '127.0.0.1',
+          port: server.address().port,
+          path: '/api/chat/analyze',
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' }
+        }, res => res.once('data', () => {
+          req.destroy();
+          resolve();
+        }));
+        req.on('error', reject);
+        req.end(JSON.stringify({ question: 'What is this?', stream: true, analysisResults }));
+      });
+      await new Promise(resolve => (signal.aborted ? resolve() : signal.addEventListener('abort', resolve)));
+
+      expect(signal.aborted).toBe(true);
+    } finally {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('images attached to chat questions', () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.fn().mockResolvedValue({
+      choices: [{ message: { content: 'The sign is red.' }, finish_reason: 'stop' }],
+      usage: { total_tokens: 20 }
+    });
+    getAzureClients().openai = { chat: { completions: { create } } };
+  });
+
+  afterAll(() => {
+    delete getAzureClients().openai;
+  });
+
+  it('sends an inline image with the question at the detail the question needs', async () => {
+    const image = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#c04020' } }).png().toBuffer();
+
+    const response = await request(app).post('/api/chat/analyze').send({
+      question: 'What colour is the sign behind the car?',
+      analysisResults: ANALYSES.analyze.result,
+      image: image.toString('base64')
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.image).toEqual({ attached: true, source: 'inline', detail: 'high', cached: false });
+    const { messages } = create.mock.calls[0][0];
+    expect(messages[messages.length - 1].content).toEqual([
+      { type: 'text', text: 'What colour is the sign behind the car?' },
+      { type: 'image_url', image_url: { url: expect.stringMatching(/^data:image\//), detail: 'high' } }
+    ]);
+  });
+
+  it('answers from the analysis alone when attachImage is false', async () => {
+    const response = await request(app).post('/api/chat/analyze').send({
+      question: 'What is this?',
+      analysisResults: ANALYSES.analyze.result,
+      attachImage: false
+    });
+
+    expect(response.body.image).toEqual({ attached: false });
+    expect(create.mock.calls[0][0].messages.pop().content).toBe('What is this?');
+  });
+
+  it('rejects inline images that are not images', async () => {
+    const response = await request(app).post('/api/chat/analyze').send({
+      question: 'What is this?',
+      analysisResults: ANALYSES.analyze.result,
+      image: Buffer.from('plain text').toString('base64')
+    });
+
+    expect(response.status).toBe(415);
+    expect(response.body.error).toBe('Unsupported image format');
+    expect(create).not.toHaveBeenCalled();
+  });
+});
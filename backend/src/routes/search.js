@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { ingestImage } = require('../middleware/imageIngestion');
+const { describeAnalysisError } = require('../services/analysisService');
+const { searchSimilar, searchText } = require('../services/searchService');
+
+/**
+ * Find stored images that look like the given image
+ * POST /api/search/similar
+ * Accepts any image input of /api/vision/analyze plus topK, minScore and
+ * filter (metadata fields such as tags, objects, source, indexedAfter).
+ */
+router.post('/similar', ingestImage, async (req, res) => {
+  try {
+    const result = await searchSimilar(req.image, {
+      topK: req.body.topK ?? req.query.topK,
+      minScore: req.body.minScore ?? req.query.minScore,
+      filter: req.body.filter
+    });
+    res.json(result);
+  } catch (error) {
+    logger.error('Similar image search failed:', error);
+    const { status, body } = describeAnalysisError(error, 'search');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Find stored images matching a natural-language query
+ * POST /api/search/text
+ * Body: { query, topK?, minScore?, filter? }
+ */
+router.post('/text', async (req, res) => {
+  try {
+    const result = await searchText(req.body.query, {
+      topK: req.body.topK,
+      minScore: req.body.minScore,
+      filter: req.body.filter
+    });
+    res.json(result);
+  } catch (error) {
+    logger.error('Text image search failed:', error);
+    const { status, body } = describeAnalysisError(error, 'search');
+    res.status(status).json(body);
+  }
+});
+
+module.exports = router;
@@ -2,425 +2,364 @@ const express = require('express');
 const router = express.Router();
 const { getAzureClients, azureConfig } = require('../config/azure');
 const logger = require('../utils/logger');
-const { validateImageAnalysisRequest } = require('../middleware/validation');
-const { uploadImageToBlob } = require('../services/storageService');
-const EnhancedVisionService = require('../services/enhancedVisionService');
-const axios = require('axios');
+const { ingestImage, ingestImages } = require('../middleware/imageIngestion');
+const { resolveRedaction } = require('../middleware/redaction');
+const {
+  ANALYSIS_TYPES,
+  runAnalysis,
+  runAnalysisWithCache,
+  describeAnalysisError
+} = require('../services/analysisService');
+const { getJobQueue, isValidWebhookUrl, JobQueueFullError } = require('../services/jobQueue');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { openEventStream, sendEvent, abortOnDisconnect } = require('../utils/sse');
+const { OCR_EXPORT_FORMATS, exportOcrResult } = require('../utils/ocrExport');
+const { listExtractionTypes } = require('../services/extractionService');
+const { getProfileRegistry } = require('../services/profileService');
+const { OUTPUT_LANGUAGES, STREAM_SECTIONS, pickSectionFields } = require('../services/enhancedVisionService');
+const {
+  parseLayers,
+  parseRenderFormat,
+  parseAnalysisInput,
+  getLayerFeatures,
+  renderAnnotatedImage
+} = require('../services/renderService');
+const { generateThumbnails } = require('../services/thumbnailService');
+const { screenImage } = require('../services/moderationService');
 
 /**
- * Analyze image with Azure AI Vision v4.0 REST API
- * POST /api/vision/analyze
+ * Build a route handler that runs a cached analysis on req.image.
+ * The X-Cache header reports HIT, MISS, BYPASS or DISABLED; X-Analysis-Id
+ * names the cached result.
+ * @param {string} type - Analysis type
+ * @param {string} failureMessage - Log message on failure
+ * @param {Function} [sendResult] - (req, res, result) => void, defaults to JSON
  */
-router.post('/analyze', async (req, res) => {
+const createAnalysisHandler = (type, failureMessage, sendResult = sendJsonResult) => async (req, res) => {
   try {
-    let imageBuffer;
-    let features;
-    let language;
-
-    // Handle both multipart/form-data (legacy) and JSON (new base64 format)
-    if (req.file) {
-      // Legacy multipart upload
-      imageBuffer = req.file.buffer;
-      features = req.body.features ? req.body.features.split(',') : ['Caption', 'Objects', 'Tags', 'People'];
-      language = req.body.language || 'en';
-    } else if (req.body.image) {
-      // New base64 format
-      try {
-        imageBuffer = Buffer.from(req.body.image, 'base64');
-        features = req.body.features ? req.body.features.split(',') : ['Caption', 'Objects', 'Tags', 'People'];
-        language = req.body.language || 'en';
-      } catch (decodeError) {
-        return res.status(400).json({ 
-          error: 'Invalid image data',
-          message: 'Failed to decode base64 image data' 
-        });
-      }
-    } else {
-      return res.status(400).json({ 
-        error: 'No image data provided',
-        message: 'Please provide image data either as multipart file or base64 string' 
-      });
+    const { result, cacheStatus, cacheKey } = await runAnalysisWithCache(type, req.image, {
+      ...getAnalysisOptions(req),
+      noCache: wantsFreshAnalysis(req)
+    });
+    res.set('X-Cache', cacheStatus);
+    // Cached results can be referenced later, e.g. to start a chat session
+    if (cacheKey && !result.partial) {
+      res.set('X-Analysis-Id', cacheKey);
     }
+    sendResult(req, res, result);
+  } catch (error) {
+    logger.error(failureMessage, error);
+    const { status, body } = describeAnalysisError(error, type);
+    res.status(status).json(body);
+  }
+};
 
-    logger.info('Starting image analysis', { 
-      fileSize: imageBuffer.length, 
-      encoding: req.file ? 'multipart' : 'base64',
-      mimetype: req.file?.mimetype || 'image/jpeg',
-      features: features 
-    });
+/**
+ * Analyze image with Azure AI Vision v4.0 REST API
+ * POST /api/vision/analyze
+ */
+router.post('/analyze', ingestImage, resolveRedaction, createAnalysisHandler('analyze', 'Image analysis failed:'));
 
-    // Validate image buffer
-    if (!imageBuffer || imageBuffer.length === 0) {
-      return res.status(400).json({ 
-        error: 'Invalid image data',
-        message: 'Image buffer is empty or corrupted' 
-      });
-    }
+/**
+ * Extract text from image (OCR) using v4.0 REST API
+ * POST /api/vision/ocr
+ * Optional format=json|hocr|alto|txt selects the export format.
+ */
+router.post('/ocr', ingestImage, validateOcrFormat, createAnalysisHandler('ocr', 'OCR analysis failed:', sendOcrResult));
 
-    if (imageBuffer.length > 20 * 1024 * 1024) { // 20MB
-      return res.status(400).json({ 
-        error: 'Image too large',
-        message: `Image size (${Math.round(imageBuffer.length / 1024)}KB) exceeds the 20MB limit` 
-      });
-    }
+/**
+ * Extract text and translate each line, keeping line geometry
+ * POST /api/vision/ocr-translate
+ */
+router.post('/ocr-translate', ingestImage, createAnalysisHandler('ocr-translate', 'OCR translation failed:'));
 
-    // Build the v4.0 API URL with features as query parameters
-    const visionEndpoint = process.env.VISION_ENDPOINT;
-    const visionApiKey = process.env.VISION_API_KEY;
-    
-    if (!visionEndpoint || !visionApiKey) {
-      return res.status(503).json({ 
-        error: 'Vision service unavailable',
-        message: 'Azure Vision service is not configured' 
-      });
-    }
+/**
+ * Extract structured fields from a document image
+ * POST /api/vision/extract?type=receipt|business-card|invoice|id-card
+ */
+router.post('/extract', ingestImage, (req, res, next) => {
+  req.body.documentType = req.query.type || req.body.type || req.body.documentType;
+  next();
+}, createAnalysisHandler('extract', 'Document extraction failed:'));
 
-    const apiUrl = `${visionEndpoint}/computervision/imageanalysis:analyze`;
-    const apiVersion = '2024-02-01';
-    
-    // Map features to v4.0 API format
-    const featureParams = features.join(',');
-    
-    const params = new URLSearchParams({
-      'api-version': apiVersion,
-      features: featureParams,
-      language: language
-    });
+/**
+ * List document types available for extraction with their schemas
+ * GET /api/vision/extract/types
+ */
+router.get('/extract/types', (req, res) => {
+  res.json({ types: listExtractionTypes() });
+});
 
-    logger.info('Making v4.0 API request', { 
-      url: `${apiUrl}?${params.toString()}`,
-      features: featureParams,
-      bufferSize: imageBuffer.length,
-      contentType: 'application/octet-stream'
-    });
+/**
+ * Enhanced image analysis with GPT-4o.
+ * An optional profile ("name" or "name@version") selects a prompt profile.
+ * Narrative fields follow `language`; Vision labels are machine-translated.
+ * POST /api/vision/analyze-enhanced
+ */
+router.post('/analyze-enhanced', ingestImage, validateOutputLanguage, resolveRedaction, createAnalysisHandler('analyze-enhanced', 'Enhanced image analysis failed:'));
 
-    // Make the REST API call to v4.0
-    const response = await axios.post(
-      `${apiUrl}?${params.toString()}`,
-      imageBuffer,
-      {
-        headers: {
-          'Ocp-Apim-Subscription-Key': visionApiKey,
-          'Content-Type': 'application/octet-stream'
-        },
-        timeout: 30000
-      }
-    );
-
-    const result = response.data;
-    
-    // Log the full result structure for debugging
-    logger.info('Vision API v4.0 result structure:', { 
-      resultKeys: Object.keys(result),
-      resultData: process.env.NODE_ENV === 'development' ? result : 'hidden in production'
+/**
+ * Streaming enhanced analysis over Server-Sent Events.
+ * Emits description, objects, scene, mood and details events as GPT-4o
+ * completes each section, then a result event holding the same body as
+ * /analyze-enhanced with its token usage and analysis ID. Failures after
+ * the stream has started are sent as an error event.
+ * POST /api/vision/analyze-enhanced/stream
+ */
+router.post('/analyze-enhanced/stream', ingestImage, validateOutputLanguage, resolveRedaction, async (req, res) => {
+  // Stop paying for tokens nobody will read
+  const controller = abortOnDisconnect(res);
+  const emitted = new Set();
+
+  openEventStream(res);
+
+  const sendSection = (name, fields) => {
+    emitted.add(name);
+    sendEvent(res, name, fields);
+  };
+
+  try {
+    const { result, cacheStatus, cacheKey } = await runAnalysisWithCache('analyze-enhanced', req.image, {
+      ...getAnalysisOptions(req),
+      noCache: wantsFreshAnalysis(req),
+      onSection: sendSection,
+      signal: controller.signal
     });
 
-    // Upload image to blob storage for caching (optional)
-    let imageUrl = null;
-    try {
-      imageUrl = await uploadImageToBlob(imageBuffer, req.file.originalname);
-      logger.info('Image uploaded to blob storage', { imageUrl });
-    } catch (uploadError) {
-      logger.warn('Failed to upload image to blob storage', uploadError);
+    // Cached results were not streamed; replay their sections (profile results have none)
+    if (result.analysis) {
+      STREAM_SECTIONS
+        .filter(section => !emitted.has(section.name))
+        .forEach(section => sendSection(section.name, pickSectionFields(section, result.analysis)));
     }
 
-    // Process and format the response for v4.0 API
-    const analysisResponse = {
-      success: true,
-      timestamp: new Date().toISOString(),
-      imageUrl,
-      analysis: {
-        // Caption from v4.0 API
-        caption: result.captionResult?.text || null,
-        confidence: result.captionResult?.confidence || null,
-        
-        // Dense captions (v4.0 feature)
-        denseCaptions: result.denseCaptionsResult?.values?.map(cap => ({
-          text: cap.text,
-          confidence: cap.confidence,
-          boundingBox: cap.boundingBox
-        })) || [],
-        
-        // Objects from v4.0 API
-        objects: result.objectsResult?.values?.map(obj => ({
-          name: obj.tags?.[0]?.name || obj.name,
-          confidence: obj.tags?.[0]?.confidence || obj.confidence,
-          boundingBox: obj.boundingBox
-        })) || [],
-        
-        // People from v4.0 API
-        people: result.peopleResult?.values?.map(person => ({
-          confidence: person.confidence,
-          boundingBox: person.boundingBox
-        })) || [],
-        
-        // Tags from v4.0 API
-        tags: result.tagsResult?.values?.map(tag => ({
-          name: tag.name,
-          confidence: tag.confidence
-        })) || [],
-        
-        // Smart crops (v4.0 feature)
-        smartCrops: result.smartCropsResult?.values?.map(crop => ({
-          aspectRatio: crop.aspectRatio,
-          boundingBox: crop.boundingBox
-        })) || [],
-        
-        // OCR/Read results
-        text: result.readResult?.blocks?.flatMap(block => 
-          block.lines.map(line => line.text)
-        ).join('\n') || null
-      }
-    };
+    sendEvent(res, 'result', {
+      result,
+      usage: result.usage || null,
+      cache: cacheStatus,
+      analysisId: cacheKey && !result.partial ? cacheKey : null
+    });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info('Streaming enhanced analysis cancelled by client');
+      return;
+    }
+    logger.error('Streaming enhanced analysis failed:', error);
+    const { status, body } = describeAnalysisError(error, 'analyze-enhanced');
+    sendEvent(res, 'error', { status, ...body });
+  }
 
-    logger.info('Image analysis completed successfully');
-    res.json(analysisResponse);
+  res.end();
+});
 
-  } catch (error) {
-    logger.error('Image analysis failed:', error);
-    
-    // Handle specific Azure API errors
-    if (error.response) {
-      logger.error('Azure API Error Response:', {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data
-      });
-      
-      return res.status(error.response.status).json({ 
-        error: 'Analysis failed',
-        message: error.response.data?.error?.message || 'Failed to analyze the image. Please try again.',
-        details: process.env.NODE_ENV === 'development' ? error.response.data : undefined
+/**
+ * List prompt profiles for enhanced analysis with their output schemas
+ * GET /api/vision/profiles
+ */
+router.get('/profiles', (req, res) => {
+  res.json({ profiles: getProfileRegistry().list() });
+});
+
+/**
+ * Draw analysis geometry on an image and return it as PNG or JPEG.
+ * Uses the analysis result in the body when given (analyze, ocr or
+ * analyze-enhanced), otherwise runs the analysis for the requested layers.
+ * Either way the image is screened by the moderation policy.
+ * layers: objects, people, text, crops or all (default objects,people)
+ * POST /api/vision/render
+ */
+router.post('/render', ingestImage, resolveRedaction, async (req, res) => {
+  try {
+    const layers = parseLayers(req.body.layers || req.query.layers);
+    const format = parseRenderFormat(req.body.format || req.query.format);
+    let analysis = parseAnalysisInput(req.body.analysis);
+
+    if (analysis) {
+      // runAnalysisWithCache screens the image otherwise
+      await screenImage(req.image);
+    } else {
+      const { result, cacheStatus } = await runAnalysisWithCache('analyze', req.image, {
+        ...getAnalysisOptions(req),
+        features: getLayerFeatures(layers),
+        noCache: wantsFreshAnalysis(req)
       });
+      analysis = result;
+      res.set('X-Cache', cacheStatus);
     }
-    
-    res.status(500).json({ 
-      error: 'Analysis failed',
-      message: 'Failed to analyze the image. Please try again.',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+
+    const rendered = await renderAnnotatedImage(req.image, analysis, { layers, format });
+    const baseName = req.image.originalName.replace(/\.[^.]*$/, '').replace(/[^\w.-]+/g, '_');
+
+    res.status(200)
+      .type(rendered.mimeType)
+      .set({
+        'Content-Disposition': `inline; filename="${baseName}-annotated.${format === 'jpeg' ? 'jpg' : 'png'}"`,
+        'X-Annotation-Count': String(rendered.shapes)
+      })
+      .send(rendered.buffer);
+  } catch (error) {
+    logger.error('Image rendering failed:', error);
+    const { status, body } = describeAnalysisError(error, 'render');
+    res.status(status).json(body);
+  }
+});
+
+/**
+ * Cropped and resized renditions chosen by Vision SmartCrops.
+ * renditions: preset names (avatar, hero, social), aspect ratios ("16:9")
+ * or { name, aspectRatio, width, height } objects. With store=true each
+ * rendition is uploaded and its URL returned; otherwise it is returned as
+ * base64.
+ * POST /api/vision/thumbnails
+ */
+router.post('/thumbnails', ingestImage, resolveRedaction, async (req, res) => {
+  try {
+    const result = await generateThumbnails(req.image, {
+      renditions: req.body.renditions,
+      store: req.body.store ?? req.query.store,
+      format: req.body.format || req.query.format,
+      redaction: req.redaction
     });
+    res.json(result);
+  } catch (error) {
+    logger.error('Thumbnail generation failed:', error);
+    const { status, body } = describeAnalysisError(error, 'thumbnails');
+    res.status(status).json(body);
   }
 });
 
 /**
- * Extract text from image (OCR) using v4.0 REST API
- * POST /api/vision/ocr
+ * Analyze multiple images in one request
+ * POST /api/vision/batch
+ * JSON batches are limited to BATCH_MAX_JSON_BYTES in total; larger
+ * batches are sent as multipart 'images' files.
  */
-router.post('/ocr', async (req, res) => {
+router.post('/batch', ingestImages, resolveRedaction, async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ 
-        error: 'No image file provided',
-        message: 'Please upload an image file' 
-      });
-    }
+    const type = req.body.type || 'analyze';
 
-    const imageBuffer = req.file.buffer;
-    const language = req.body.language || 'en';
-    
-    logger.info('Starting OCR analysis', { fileSize: imageBuffer.length });
-
-    // Build the v4.0 API URL for OCR
-    const visionEndpoint = process.env.VISION_ENDPOINT;
-    const visionApiKey = process.env.VISION_API_KEY;
-    
-    if (!visionEndpoint || !visionApiKey) {
-      return res.status(503).json({ 
-        error: 'Vision service unavailable',
-        message: 'Azure Vision service is not configured' 
+    if (!ANALYSIS_TYPES[type]) {
+      return res.status(400).json({
+        error: 'Invalid analysis type',
+        message: `Analysis type must be one of: ${Object.keys(ANALYSIS_TYPES).join(', ')}`
       });
     }
 
-    const apiUrl = `${visionEndpoint}/computervision/imageanalysis:analyze`;
-    const apiVersion = '2024-02-01';
-    
-    const params = new URLSearchParams({
-      'api-version': apiVersion,
-      features: 'Read',
-      language: language
-    });
+    const options = getAnalysisOptions(req);
 
-    // Make the REST API call to v4.0
-    const response = await axios.post(
-      `${apiUrl}?${params.toString()}`,
-      imageBuffer,
-      {
-        headers: {
-          'Ocp-Apim-Subscription-Key': visionApiKey,
-          'Content-Type': 'application/octet-stream'
-        },
-        timeout: 30000
+    logger.info('Starting batch analysis', { type, imageCount: req.images.length });
+
+    const results = await mapWithConcurrency(req.images, azureConfig.batch.concurrency, async ({ index, image, error }) => {
+      if (error) {
+        return { index, status: 'failed', error };
+      }
+
+      try {
+        const result = await runAnalysis(type, image, options);
+        return { index, fileName: image.originalName, status: 'succeeded', result };
+      } catch (analysisError) {
+        logger.warn('Batch item analysis failed', { index, message: analysisError.message });
+        const { status, body } = describeAnalysisError(analysisError, type);
+        return { index, fileName: image.originalName, status: 'failed', error: { status, ...body } };
       }
-    );
-
-    const result = response.data;
-
-    // Extract text from the v4.0 result
-    const extractedText = result.readResult?.blocks?.flatMap(block => 
-      block.lines.map(line => line.text)
-    ).join('\n') || '';
-
-    const detailedText = result.readResult?.blocks?.flatMap(block => 
-      block.lines.map(line => ({
-        text: line.text,
-        boundingBox: line.boundingBox,
-        words: line.words?.map(word => ({
-          text: word.text,
-          boundingBox: word.boundingBox,
-          confidence: word.confidence
-        })) || []
-      }))
-    ) || [];
-
-    const ocrResponse = {
-      success: true,
-      timestamp: new Date().toISOString(),
-      text: extractedText,
-      detailedText,
-      language: language,
-      wordCount: extractedText.split(/\s+/).length
-    };
-
-    logger.info('OCR analysis completed successfully', { 
-      textLength: extractedText.length,
-      wordCount: ocrResponse.wordCount 
     });
-    
-    res.json(ocrResponse);
 
+    const succeeded = results.filter(item => item.status === 'succeeded').length;
+
+    logger.info('Batch analysis completed', { type, succeeded, failed: results.length - succeeded });
+
+    res.json({
+      success: succeeded > 0,
+      timestamp: new Date().toISOString(),
+      type,
+      total: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
   } catch (error) {
-    logger.error('OCR analysis failed:', error);
-    
-    // Handle specific Azure API errors
-    if (error.response) {
-      logger.error('Azure API Error Response:', {
-        status: error.response.status,
-        statusText: error.response.statusText,
-        data: error.response.data
-      });
-      
-      return res.status(error.response.status).json({ 
-        error: 'OCR failed',
-        message: error.response.data?.error?.message || 'Failed to extract text from the image. Please try again.',
-        details: process.env.NODE_ENV === 'development' ? error.response.data : undefined
-      });
-    }
-    
-    res.status(500).json({ 
-      error: 'OCR failed',
-      message: 'Failed to extract text from the image. Please try again.',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    logger.error('Batch analysis failed:', error);
+    res.status(500).json({
+      error: 'Batch analysis failed',
+      message: 'Failed to process the batch. Please try again.'
     });
   }
 });
 
 /**
- * Enhanced image analysis with GPT-4o
- * POST /api/vision/analyze-enhanced
+ * Queue an asynchronous analysis job
+ * POST /api/vision/jobs
  */
-router.post('/analyze-enhanced', async (req, res) => {
+router.post('/jobs', ingestImage, resolveRedaction, async (req, res) => {
   try {
-    let imageBuffer;
-    let mimeType = 'image/jpeg';
-
-    // Handle both multipart/form-data and JSON base64 format
-    if (req.file) {
-      imageBuffer = req.file.buffer;
-      mimeType = req.file.mimetype || 'image/jpeg';
-    } else if (req.body.image) {
-      try {
-        imageBuffer = Buffer.from(req.body.image, 'base64');
-        mimeType = req.body.mimeType || 'image/jpeg';
-      } catch (decodeError) {
-        return res.status(400).json({ 
-          error: 'Invalid image data',
-          message: 'Failed to decode base64 image data' 
-        });
-      }
-    } else {
-      return res.status(400).json({ 
-        error: 'No image data provided',
-        message: 'Please provide image data either as multipart file or base64 string' 
-      });
-    }
+    const type = req.body.type || 'analyze';
+    const { webhookUrl } = req.body;
 
-    // Validate image
-    if (!imageBuffer || imageBuffer.length === 0) {
-      return res.status(400).json({ 
-        error: 'Invalid image data',
-        message: 'Image buffer is empty or corrupted' 
+    if (!ANALYSIS_TYPES[type]) {
+      return res.status(400).json({
+        error: 'Invalid job type',
+        message: `Job type must be one of: ${Object.keys(ANALYSIS_TYPES).join(', ')}`
       });
     }
 
-    if (imageBuffer.length > 20 * 1024 * 1024) { // 20MB
-      return res.status(400).json({ 
-        error: 'Image too large',
-        message: `Image size (${Math.round(imageBuffer.length / 1024)}KB) exceeds the 20MB limit` 
+    if (webhookUrl && !await isValidWebhookUrl(webhookUrl)) {
+      return res.status(400).json({
+        error: 'Invalid webhook URL',
+        message: 'webhookUrl must be an absolute http(s) URL on a public host'
       });
     }
 
-    logger.info('Starting enhanced image analysis with GPT-4o', { 
-      fileSize: imageBuffer.length,
-      mimeType: mimeType
-    });
-
-    // Use enhanced vision service
-    const enhancedVisionService = new EnhancedVisionService();
-    const analysisResult = await enhancedVisionService.analyzeImageWithGPT4o(imageBuffer, mimeType);
+    const job = await getJobQueue().enqueue(type, {
+      image: req.image,
+      options: getAnalysisOptions(req)
+    }, { webhookUrl });
 
-    // Upload to blob storage (optional, based on configuration)
-    let blobUrl = null;
-    try {
-      if (process.env.STORAGE_CONNECTION_STRING) {
-        blobUrl = await uploadImageToBlob(imageBuffer, mimeType);
-        logger.info('Image uploaded to blob storage', { blobUrl });
-      }
-    } catch (uploadError) {
-      logger.warn('Failed to upload to blob storage:', uploadError.message);
-    }
-
-    // Return enhanced analysis
-    const result = {
-      ...analysisResult,
-      blobUrl,
-      timestamp: new Date().toISOString(),
-      processing: {
-        model: 'gpt-4o',
-        enhanced: true,
-        processingTimeMs: Date.now() - req.startTime
-      }
-    };
-
-    logger.info('Enhanced image analysis completed', {
-      model: result.processing.model,
-      tokensUsed: result.usage?.total_tokens,
-      confidence: result.analysis?.confidence,
-      processingTime: result.processing.processingTimeMs
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      createdAt: job.createdAt
     });
-
-    res.status(200).json(result);
-
   } catch (error) {
-    logger.error('Enhanced image analysis failed:', error);
-
-    if (error.message.includes('quota exceeded')) {
-      return res.status(429).json({
-        error: 'Service quota exceeded',
-        message: 'AI service quota exceeded. Please try again later.',
-        retryAfter: 60
+    if (error instanceof JobQueueFullError) {
+      logger.warn('Analysis job rejected, queue full', { message: error.message });
+      res.set('Retry-After', '30');
+      return res.status(error.status).json({
+        error: 'Queue full',
+        message: error.message
       });
     }
+    logger.error('Failed to queue analysis job:', error);
+    res.status(500).json({
+      error: 'Job creation failed',
+      message: 'Failed to queue the analysis job. Please try again.'
+    });
+  }
+});
 
-    if (error.message.includes('content filtered')) {
-      return res.status(400).json({
-        error: 'Content filtered',
-        message: 'The image was filtered by content policy. Please try a different image.'
+/**
+ * Get analysis job status and result
+ * GET /api/vision/jobs/:id
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJobQueue().getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        message: `No analysis job with ID ${req.params.id}`
       });
     }
 
+    res.json(job);
+  } catch (error) {
+    logger.error('Failed to get analysis job:', error);
     res.status(500).json({
-      error: 'Enhanced analysis failed',
-      message: error.message || 'An unexpected error occurred during enhanced image analysis'
+      error: 'Job lookup failed',
+      message: 'Failed to retrieve the analysis job. Please try again.'
     });
   }
 });
@@ -432,8 +371,92 @@ router.post('/analyze-enhanced', async (req, res) => {
 router.get('/features', (req, res) => {
   res.json({
     supportedFeatures: azureConfig.vision.visualFeatures,
-    supportedLanguages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh']
+    supportedLanguages: ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh'],
+    ocrFormats: Object.keys(OCR_EXPORT_FORMATS)
   });
 });
 
+/**
+ * Analysis options shared by single, batch and job requests
+ */
+function getAnalysisOptions(req) {
+  return {
+    features: req.body.features,
+    language: req.body.language,
+    preprocess: req.body.preprocess,
+    mode: req.body.mode,
+    targetLanguage: req.body.targetLanguage,
+    sourceLanguage: req.body.sourceLanguage,
+    documentType: req.body.documentType,
+    profile: req.body.profile || req.query.profile,
+    redaction: req.redaction,
+    dedupe: req.body.dedupe ?? req.query.dedupe,
+    duplicateThreshold: req.body.duplicateThreshold ?? req.query.duplicateThreshold
+  };
+}
+
+/**
+ * Send an analysis result as JSON
+ */
+function sendJsonResult(req, res, result) {
+  res.status(200).json(result);
+}
+
+/**
+ * Requested OCR export format (body for JSON and multipart, query otherwise)
+ */
+function getOcrFormat(req) {
+  return String(req.body.format || req.query.format || 'json').toLowerCase();
+}
+
+/**
+ * Reject unknown OCR export formats before calling Azure
+ */
+function validateOcrFormat(req, res, next) {
+  if (!OCR_EXPORT_FORMATS[getOcrFormat(req)]) {
+    return res.status(400).json({
+      error: 'Invalid format',
+      message: `Supported formats: ${Object.keys(OCR_EXPORT_FORMATS).join(', ')}`
+    });
+  }
+  next();
+}
+
+/**
+ * Reject output languages enhanced analysis cannot produce before calling Azure
+ */
+function validateOutputLanguage(req, res, next) {
+  const { language } = req.body;
+  if (language !== undefined && !OUTPUT_LANGUAGES[language]) {
+    return res.status(400).json({
+      error: 'Invalid language',
+      message: `Supported languages: ${Object.keys(OUTPUT_LANGUAGES).join(', ')}`
+    });
+  }
+  next();
+}
+
+/**
+ * Send an OCR result in the requested export format
+ */
+function sendOcrResult(req, res, result) {
+  const { contentType, body } = exportOcrResult(result, getOcrFormat(req), {
+    fileName: req.image.originalName,
+    softwareVersion: azureConfig.vision.apiVersion
+  });
+
+  if (typeof body !== 'string') {
+    return res.status(200).json(body);
+  }
+  res.status(200).type(contentType).send(body);
+}
+
+/**
+ * Whether the client asked to skip cached results
+ */
+function wantsFreshAnalysis(req) {
+  const cacheControl = req.headers['cache-control'] || '';
+  return cacheControl.includes('no-cache') || req.body.noCache === true || req.body.noCache === 'true';
+}
+
 module.exports = router;
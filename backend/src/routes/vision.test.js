@@ -0,0 +1,430 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vision-routes-'));
+Object.assign(process.env, {
+  ADMIN_API_KEY: 'admin-key',
+  DUPLICATE_INDEX_FILE: path.join(directory, 'duplicate-index.json'),
+  EMBEDDING_PROVIDER: 'none',
+  MODERATION_PROVIDER: 'none'
+});
+
+const app = require('../index');
+const { getAzureClients } = require('../config/azure');
+
+jest.mock('../utils/logger');
+
+/**
+ * Diagonal split with a dark circle, at any size
+ */
+function drawScene(size) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+    '<rect width="100%" height="100%" fill="#1e90ff"/>' +
+    `<polygon points="0,0 ${size},0 0,${size}" fill="#ffd700"/>` +
+    `<circle cx="${size * 0.7}" cy="${size * 0.7}" r="${size * 0.15}" fill="#222"/></svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+let server;
+let visionCalls = 0;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    visionCalls++;
+    req.resume();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      captionResult: { text: 'a yellow and blue square', confidence: 0.9 },
+      readResult: {
+        blocks: [{
+          lines: [{
+            text: 'OPEN 24H',
+            boundingPolygon: [{ x: 10, y: 10 }, { x: 90, y: 10 }, { x: 90, y: 30 }, { x: 10, y: 30 }],
+            words: [
+              { text: 'OPEN', confidence: 0.98, boundingPolygon: [{ x: 10, y: 10 }, { x: 45, y: 10 }, { x: 45, y: 30 }, { x: 10, y: 30 }] },
+              { text: '24H', confidence: 0.3, boundingPolygon: [{ x: 55, y: 10 }, { x: 90, y: 10 }, { x: 90, y: 30 }, { x: 55, y: 30 }] }
+            ]
+          }]
+        }]
+      },
+      metadata: { width: 256, height: 256 }
+    }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.VISION_ENDPOINT = `http://127.0.0.1:${server.address().port}`;
+  process.env.VISION_API_KEY = 'key';
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('duplicate detection on /api/vision/analyze', () => {
+  const analyze = (buffer, body = {}) => request(app)
+    .post('/api/vision/analyze')
+    .send({ image: buffer.toString('base64'), features: 'Caption', ...body });
+
+  const recordedEntries = async () => {
+    const response = await request(app).get('/api/admin/duplicates').set('X-Admin-Key', 'admin-key');
+    return response.body.stats.entries;
+  };
+
+  it('reuses the analysis of a near-duplicate upload and can forget it', async () => {
+    const first = await analyze(await drawScene(256));
+    expect(first.status).toBe(200);
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(first.body.duplicateOf).toBeUndefined();
+
+    // Images are registered in the background
+    for (let attempt = 0; attempt < 20 && await recordedEntries() === 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    expect(await recordedEntries()).toBe(1);
+
+    const copy = await sharp(await drawScene(256)).resize(180).jpeg({ quality: 70 }).toBuffer();
+    const second = await analyze(copy);
+
+    expect(second.status).toBe(200);
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body.duplicateOf).toMatchObject({ pHashDistance: expect.any(Number), dHashDistance: expect.any(Number) });
+    expect(visionCalls).toBe(1);
+
+    const optedOut = await analyze(copy, { dedupe: false });
+    expect(optedOut.body.duplicateOf).toBeUndefined();
+    expect(visionCalls).toBe(2);
+
+    const { id } = second.body.duplicateOf;
+    const removed = await request(app).delete(`/api/admin/duplicates/${id}`).set('X-Admin-Key', 'admin-key');
+    const missing = await request(app).delete(`/api/admin/duplicates/${id}`).set('X-Admin-Key', 'admin-key');
+    expect(removed.status).toBe(200);
+    expect(missing.status).toBe(404);
+  });
+
+  it('requires the admin key to inspect the index', async () => {
+    const response = await request(app).get('/api/admin/duplicates');
+
+    expect(response.status).toBe(401);
+  });
+});
+
+describe('analysis jobs', () => {
+  const submit = async body => request(app)
+    .post('/api/vision/jobs')
+    .send({ image: (await drawScene(64)).toString('base64'), features: 'Caption', dedupe: false, ...body });
+
+  it('queues a job whose result can be polled', async () => {
+    const queued = await submit({ type: 'analyze' });
+
+    expect(queued.status).toBe(202);
+    expect(queued.body).toMatchObject({ status: 'queued', statusUrl: `/api/vision/jobs/${queued.body.jobId}` });
+
+    let job;
+    for (let attempt = 0; attempt < 40; attempt++) {
+      job = (await request(app).get(queued.body.statusUrl)).body;
+      if (job.completedAt) break;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    expect(job).toMatchObject({ status: 'succeeded', result: { success: true, analysis: { caption: 'a yellow and blue square' } } });
+  });
+
+  it('rejects unknown job types and non-public webhooks', async () => {
+    const badType = await submit({ type: 'describe' });
+    const badWebhook = await submit({ webhookUrl: 'http://169.254.169.254/hook' });
+
+    expect(badType.status).toBe(400);
+    expect(badType.body.error).toBe('Invalid job type');
+    expect(badWebhook.status).toBe(400);
+    expect(badWebhook.body.error).toBe('Invalid webhook URL');
+  });
+
+  it('returns 404 for unknown jobs', async () => {
+    const response = await request(app).get('/api/vision/jobs/unknown');
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('OCR exports', () => {
+  const ocr = async (format, query = '') => request(app)
+    .post(`/api/vision/ocr${query}`)
+    .send({ image: (await drawScene(64)).toString('base64'), ...(format && { format }) });
+
+  it('returns the layout with review flags as JSON by default', async () => {
+    const response = await ocr();
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      text: 'OPEN 24H',
+      wordCount: 2,
+      needsReview: true,
+      lowConfidenceRegions: [{ lineId: 'line_1', text: '24H', wordIds: ['word_2'] }]
+    });
+    expect(response.body.layout.blocks[0].paragraphs[0].lines[0].words).toHaveLength(2);
+  });
+
+  it('serializes hOCR, ALTO and plain text', async () => {
+    const hocr = await ocr('hocr');
+    const alto = await ocr(null, '?format=ALTO');
+    const text = await ocr('txt');
+
+    expect(hocr.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(hocr.text).toContain('<span class="ocrx_word" id="word_2" title="bbox 55 10 90 30; x_wconf 30">24H</span>');
+    expect(alto.headers['content-type']).toBe('application/xml; charset=utf-8');
+    expect(alto.text).toContain('CONTENT="OPEN" WC="0.980"');
+    expect(text.text).toBe('OPEN 24H');
+  });
+
+  it('rejects unknown formats before calling Vision', async () => {
+    const calls = visionCalls;
+    const response = await ocr('pdf');
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Invalid format', message: 'Supported formats: json, hocr, alto, txt' });
+    expect(visionCalls).toBe(calls);
+  });
+});
+
+describe('OCR translation', () => {
+  const translate = async body => request(app)
+    .post('/api/vision/ocr-translate')
+    .send({ image: (await drawScene(64)).toString('base64'), ...body });
+
+  afterEach(() => {
+    getAzureClients().translator = null;
+  });
+
+  it('translates each line and keeps its geometry', async () => {
+    const post = jest.fn(async ({ body }) => ({
+      status: '200',
+      headers: {},
+      request: { method: 'POST', url: 'https://translator.test/translate' },
+      body: body.map(() => ({ translations: [{ text: 'OUVERT 24H' }], detectedLanguage: { language: 'en', score: 1 } }))
+    }));
+    getAzureClients().translator = { path: () => ({ post }) };
+
+    const response = await translate({ targetLanguage: 'fr' });
+
+    expect(response.status).toBe(200);
+    expect(post.mock.calls[0][0].body).toEqual([{ text: 'OPEN 24H' }]);
+    expect(response.body).toMatchObject({
+      targetLanguage: 'fr',
+      sourceLanguage: 'auto',
+      detectedLanguages: [{ language: 'en', lineCount: 1 }],
+      translatedText: 'OUVERT 24H',
+      image: { width: 256, height: 256 },
+      lines: [{ id: 'line_1', blockId: 'block_1', paragraphId: 'par_1', text: 'OPEN 24H', translation: 'OUVERT 24H', boundingBox: { x: 10, y: 10, w: 80, h: 20 } }]
+    });
+  });
+
+  it('requires a target language', async () => {
+    const response = await translate({});
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Invalid translation request', message: 'targetLanguage is required' });
+  });
+
+  it('reports a missing Translator as 503', async () => {
+    const response = await translate({ targetLanguage: 'de' });
+
+    expect(response.status).toBe(503);
+    expect(response.body.error).toBe('Translation service unavailable');
+  });
+});
+
+describe('prompt profiles', () => {
+  it('lists the bundled profiles', async () => {
+    const response = await request(app).get('/api/vision/profiles');
+
+    expect(response.status).toBe(200);
+    expect(response.body.profiles.map(profile => profile.name)).toContain('alt-text');
+  });
+
+  it('returns 404 for an unknown profile', async () => {
+    const response = await request(app)
+      .post('/api/vision/analyze-enhanced')
+      .send({ image: (await drawScene(64)).toString('base64'), profile: 'horoscope' });
+
+    expect(response.status).toBe(404);
+    expect(response.body).toMatchObject({ error: 'Profile not found', message: expect.stringMatching(/^Unknown profile: horoscope\./) });
+  });
+
+  it('returns 400 for a malformed profile reference', async () => {
+    const response = await request(app)
+      .post('/api/vision/analyze-enhanced')
+      .send({ image: (await drawScene(64)).toString('base64'), profile: 'alt-text@newest' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid profile');
+  });
+});
+
+describe('streaming enhanced analysis', () => {
+  const create = jest.fn();
+
+  /**
+   * Parse a Server-Sent Events body into [event, data] pairs
+   */
+  const parseEvents = text => text.trim().split('\n\n').map(block => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return [event, JSON.parse(data)];
+  });
+
+  const stream = async body => request(app)
+    .post('/api/vision/analyze-enhanced/stream')
+    .buffer(true)
+    .parse((res, callback) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => callback(null, text));
+    })
+    .send({ image: (await drawScene(96)).toString('base64'), mode: 'gpt4o', dedupe: false, ...body });
+
+  beforeEach(() => {
+    getAzureClients().openai = { chat: { completions: { create } } };
+    create.mockReset();
+  });
+
+  afterAll(() => {
+    getAzureClients().openai = null;
+  });
+
+  it('sends each section, then the result with its analysis ID, and replays sections from the cache', async () => {
+    const answer = JSON.stringify({
+      mainDescription: 'A yellow and blue square',
+      objects: ['circle'],
+      objectDetails: [{ name: 'circle', description: 'A dark circle', position: 'bottom right' }],
+      sceneContext: 'Abstract',
+      activities: [],
+      moodAtmosphere: 'Bold',
+      textContent: '',
+      colorsComposition: 'Yellow and blue',
+      interestingDetails: [],
+      confidence: 0.8
+    });
+    create.mockImplementation(async () => (async function* () {
+      yield { choices: [{ delta: { content: answer.slice(0, 40) } }] };
+      yield { choices: [{ delta: { content: answer.slice(40) }, finish_reason: 'stop' }] };
+      yield { choices: [], usage: { total_tokens: 420 } };
+    })());
+
+    const first = await stream();
+    const second = await stream();
+
+    expect(first.headers['content-type']).toMatch(/^text\/event-stream/);
+    const events = parseEvents(first.body);
+    expect(events.map(([event]) => event)).toEqual(['description', 'objects', 'scene', 'mood', 'details', 'result']);
+    expect(events[0][1]).toEqual({ mainDescription: 'A yellow and blue square' });
+    expect(events[5][1]).toMatchObject({ cache: 'MISS', usage: { total_tokens: 420 }, analysisId: expect.any(String), result: { enhanced: true } });
+
+    const replayed = parseEvents(second.body);
+    expect(replayed.map(([event]) => event)).toEqual(['description', 'objects', 'scene', 'mood', 'details', 'result']);
+    expect(replayed[5][1]).toMatchObject({ cache: 'HIT', analysisId: events[5][1].analysisId });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports failures after the stream has started as an error event', async () => {
+    create.mockRejectedValue(new Error('Connection reset'));
+
+    const response = await stream({ noCache: true });
+
+    expect(response.status).toBe(200);
+    expect(parseEvents(response.body)).toEqual([['error', {
+      status: 500,
+      error: 'Enhanced analysis failed',
+      message: 'Enhanced vision analysis failed: Connection reset'
+    }]]);
+  });
+
+  it('validates the output language before streaming', async () => {
+    const response = await request(app)
+      .post('/api/vision/analyze-enhanced/stream')
+      .send({ image: (await drawScene(96)).toString('base64'), language: 'tlh' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Invalid language');
+  });
+});
+
+describe('redaction overrides', () => {
+  it('rejects unknown redaction modes before analysis', async () => {
+    const calls = visionCalls;
+    const response = await request(app)
+      .post('/api/vision/analyze')
+      .send({ image: (await drawScene(64)).toString('base64'), redact: 'smudge' });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'Invalid redaction mode', message: 'redact must be one of: none, blur, pixelate' });
+    expect(visionCalls).toBe(calls);
+  });
+});
+
+describe('annotated rendering', () => {
+  const render = async body => request(app)
+    .post('/api/vision/render')
+    .send({ image: (await drawScene(128)).toString('base64'), ...body });
+
+  it('draws a supplied analysis without calling Vision', async () => {
+    const calls = visionCalls;
+    const response = await render({
+      layers: 'objects,people',
+      format: 'jpg',
+      analysis: { objects: [{ name: 'circle', confidence: 0.9, rectangle: { x: 70, y: 70, w: 40, h: 40 } }], people: [] }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/jpeg');
+    expect(response.headers['x-annotation-count']).toBe('1');
+    expect(response.headers['content-disposition']).toBe('inline; filename="image-annotated.jpg"');
+    expect(await sharp(response.body).metadata()).toMatchObject({ format: 'jpeg', width: 128, height: 128 });
+    expect(visionCalls).toBe(calls);
+  });
+
+  it('rejects unknown layers', async () => {
+    const response = await render({ layers: 'faces' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe("layers must be 'all' or any of: objects, people, text, crops");
+  });
+});
+
+describe('thumbnails', () => {
+  it('returns inline renditions, falling back to attention cropping without smart crops', async () => {
+    const response = await request(app)
+      .post('/api/vision/thumbnails')
+      .send({ image: (await drawScene(256)).toString('base64'), renditions: 'avatar,3:1', format: 'png' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.source).toEqual({ width: 256, height: 256 });
+    expect(response.body.renditions.map(({ name, width, height, strategy }) => ({ name, width, height, strategy }))).toEqual([
+      { name: 'avatar', width: 256, height: 256, strategy: 'attention' },
+      { name: '3:1', width: 256, height: 85, strategy: 'attention' }
+    ]);
+    expect(await sharp(Buffer.from(response.body.renditions[1].data, 'base64')).metadata()).toMatchObject({ format: 'png', width: 256, height: 85 });
+  });
+
+  it('rejects invalid renditions before calling Vision', async () => {
+    const calls = visionCalls;
+    const response = await request(app)
+      .post('/api/vision/thumbnails')
+      .send({ image: (await drawScene(64)).toString('base64'), renditions: ['wide'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Invalid aspect ratio: wide. Use a ratio such as "16:9" or a number');
+    expect(visionCalls).toBe(calls);
+  });
+
+  it('reports storing without Blob storage as 503', async () => {
+    const response = await request(app)
+      .post('/api/vision/thumbnails?store=true')
+      .send({ image: (await drawScene(64)).toString('base64'), renditions: 'avatar' });
+
+    expect(response.status).toBe(503);
+    expect(response.body.error).toBe('Storage unavailable');
+  });
+});
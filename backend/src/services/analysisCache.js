@@ -0,0 +1,370 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+
+// Keys are SHA-256 hex digests; anything else could escape the cache directory
+const CACHE_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+// Eviction removes this share of entries beyond the limit at once, so a full store is not scanned on every write
+const EVICTION_HEADROOM = 0.1;
+
+/**
+ * Whether a value has the shape of a cache key
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isValidCacheKey(key) {
+  return typeof key === 'string' && CACHE_KEY_PATTERN.test(key);
+}
+
+/**
+ * Build a content-addressed cache key for an analysis
+ * @param {Object} params
+ * @param {string} params.type - Analysis type
+ * @param {Buffer} params.imageBuffer - Normalized image buffer
+ * @param {string} [params.imageHash] - Precomputed image hash used instead of hashing imageBuffer
+ * @param {string[]} [params.features] - Visual features
+ * @param {string} [params.language] - Output language
+ * @param {string} [params.model] - Model or API version producing the result
+ * @param {Object} [params.variant] - Any other settings that change the result
+ * @returns {string} - SHA-256 hex digest
+ */
+function buildCacheKey({ type, imageBuffer, imageHash: knownHash, features = [], language = 'en', model = '', ...variant }) {
+  const imageHash = knownHash || crypto.createHash('sha256').update(imageBuffer).digest('hex');
+  const descriptor = JSON.stringify({
+    type,
+    features: [...features].sort(),
+    language,
+    model,
+    variant
+  });
+  return crypto.createHash('sha256').update(imageHash).update(descriptor).digest('hex');
+}
+
+/**
+ * In-memory LRU tier built on Map insertion order
+ */
+class MemoryCacheStore {
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    // Refresh recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  async list() {
+    return [...this.entries.values()];
+  }
+}
+
+/**
+ * Persistent tier storing one JSON file per entry. Reads refresh a file's
+ * modification time and the least recently used files are evicted beyond
+ * maxEntries, like the memory LRU.
+ */
+class FileCacheStore {
+  /**
+   * @param {string} directory
+   * @param {number} [maxEntries] - Defaults to ANALYSIS_CACHE_MAX_PERSISTENT_ENTRIES
+   */
+  constructor(directory, maxEntries = azureConfig.cache.maxPersistentEntries) {
+    this.directory = directory;
+    this.maxEntries = maxEntries;
+  }
+
+  filePath(key) {
+    if (!isValidCacheKey(key)) {
+      throw new Error('Invalid cache key');
+    }
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async get(key) {
+    if (!isValidCacheKey(key)) {
+      return null;
+    }
+    try {
+      const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      const now = new Date();
+      await fs.utimes(this.filePath(key), now, now).catch(() => {});
+      return entry;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read cache entry', { key, message: error.message });
+      }
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(this.filePath(key), JSON.stringify(entry));
+    await this.evict();
+  }
+
+  /**
+   * Remove the least recently used files beyond maxEntries
+   */
+  async evict() {
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    if (files.length <= this.maxEntries) {
+      return 0;
+    }
+
+    const stats = await Promise.all(files.map(async file => {
+      try {
+        return { file, mtimeMs: (await fs.stat(path.join(this.directory, file))).mtimeMs };
+      } catch (error) {
+        return null;
+      }
+    }));
+    const target = Math.floor(this.maxEntries * (1 - EVICTION_HEADROOM));
+    const oldest = stats.filter(Boolean).sort((a, b) => a.mtimeMs - b.mtimeMs).slice(0, Math.max(0, files.length - target));
+    await Promise.all(oldest.map(({ file }) => fs.unlink(path.join(this.directory, file)).catch(() => {})));
+
+    logger.info('Evicted persistent cache entries', { removed: oldest.length, maxEntries: this.maxEntries });
+    return oldest.length;
+  }
+
+  async delete(key) {
+    if (!isValidCacheKey(key)) {
+      return false;
+    }
+    try {
+      await fs.unlink(this.filePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async clear() {
+    const entries = await this.list();
+    await Promise.all(entries.map(entry => this.delete(entry.key)));
+    return entries.length;
+  }
+
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      return [];
+    }
+    const entries = await Promise.all(files
+      .filter(file => file.endsWith('.json') && isValidCacheKey(path.basename(file, '.json')))
+      .map(file => this.get(path.basename(file, '.json'))));
+    return entries.filter(Boolean);
+  }
+}
+
+/**
+ * Two-tier analysis result cache: in-memory LRU in front of an optional
+ * persistent store.
+ */
+class AnalysisCache {
+  /**
+   * @param {Object} options
+   * @param {number} [options.maxEntries] - In-memory LRU size
+   * @param {number} [options.ttlMs] - Entry lifetime
+   * @param {Object} [options.persistentStore] - Optional persistent tier
+   */
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs ?? azureConfig.cache.ttlMs;
+    this.memory = new MemoryCacheStore(options.maxEntries ?? azureConfig.cache.maxEntries);
+    this.persistent = options.persistentStore || null;
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  isExpired(entry) {
+    return Boolean(entry.expiresAt) && entry.expiresAt < new Date().toISOString();
+  }
+
+  /**
+   * Look up an entry in the memory tier, then the persistent tier
+   * @param {string} key - Cache key
+   * @returns {Promise<{entry: Object, tier: string}|null>}
+   */
+  async lookup(key) {
+    let entry = await this.memory.get(key);
+    let tier = 'memory';
+
+    if (!entry && this.persistent) {
+      entry = await this.persistent.get(key);
+      tier = 'persistent';
+      if (entry && !this.isExpired(entry)) {
+        await this.memory.set(key, entry);
+      }
+    }
+
+    if (!entry || this.isExpired(entry)) {
+      if (entry) {
+        await this.delete(key);
+      }
+      return null;
+    }
+
+    return { entry, tier };
+  }
+
+  /**
+   * Get a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    const found = await this.lookup(key);
+    if (found) {
+      this.stats.hits++;
+      return found.entry.value;
+    }
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Store a value in every tier
+   * @param {string} key - Cache key
+   * @param {Object} value - Analysis result
+   * @param {Object} [metadata] - Extra entry fields (type, features, language)
+   */
+  async set(key, value, metadata = {}) {
+    const now = Date.now();
+    const entry = {
+      key,
+      ...metadata,
+      value,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: this.ttlMs > 0 ? new Date(now + this.ttlMs).toISOString() : null,
+      sizeBytes: Buffer.byteLength(JSON.stringify(value))
+    };
+
+    await this.memory.set(key, entry);
+    if (this.persistent) {
+      try {
+        await this.persistent.set(key, entry);
+      } catch (error) {
+        logger.warn('Failed to persist cache entry', { key, message: error.message });
+      }
+    }
+    this.stats.writes++;
+  }
+
+  /**
+   * Remove an entry from every tier
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} - Whether an entry was removed
+   */
+  async delete(key) {
+    const removed = await Promise.all([
+      this.memory.delete(key),
+      this.persistent ? this.persistent.delete(key) : false
+    ]);
+    return removed.some(Boolean);
+  }
+
+  /**
+   * Remove all entries, optionally only those of one analysis type
+   * @param {string} [type] - Analysis type filter
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async purge(type) {
+    if (!type) {
+      const counts = await Promise.all([
+        this.memory.clear(),
+        this.persistent ? this.persistent.clear() : 0
+      ]);
+      return Math.max(...counts);
+    }
+
+    const entries = await this.list();
+    const matching = entries.filter(entry => entry.type === type);
+    await Promise.all(matching.map(entry => this.delete(entry.key)));
+    return matching.length;
+  }
+
+  /**
+   * List entries from all tiers without their values
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const byKey = new Map();
+    const persistentEntries = this.persistent ? await this.persistent.list() : [];
+    persistentEntries.forEach(entry => byKey.set(entry.key, { ...entry, tier: 'persistent' }));
+    (await this.memory.list()).forEach(entry => byKey.set(entry.key, { ...entry, tier: 'memory' }));
+
+    return [...byKey.values()]
+      .filter(entry => !this.isExpired(entry))
+      .map(({ value, ...summary }) => summary);
+  }
+
+  /**
+   * Cache statistics
+   */
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round(this.stats.hits / lookups * 1000) / 1000 : 0,
+      memoryEntries: this.memory.entries.size,
+      maxMemoryEntries: this.memory.maxEntries,
+      persistent: Boolean(this.persistent),
+      ttlMs: this.ttlMs
+    };
+  }
+}
+
+let defaultCache = null;
+
+/**
+ * Get the shared analysis cache
+ * @returns {AnalysisCache}
+ */
+function getAnalysisCache() {
+  if (!defaultCache) {
+    const { persistentDir } = azureConfig.cache;
+    defaultCache = new AnalysisCache({
+      persistentStore: persistentDir ? new FileCacheStore(persistentDir) : null
+    });
+  }
+  return defaultCache;
+}
+
+module.exports = {
+  AnalysisCache,
+  MemoryCacheStore,
+  FileCacheStore,
+  buildCacheKey,
+  isValidCacheKey,
+  getAnalysisCache
+};
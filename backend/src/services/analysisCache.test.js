@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AnalysisCache, MemoryCacheStore, FileCacheStore, buildCacheKey, isValidCacheKey } = require('./analysisCache');
+
+jest.mock('../utils/logger');
+
+const imageBuffer = Buffer.from('image bytes');
+
+describe('buildCacheKey', () => {
+  const base = { type: 'analyze', imageBuffer, features: ['Caption', 'Objects'], language: 'en', model: '2024-02-01' };
+
+  it('is a stable SHA-256 hex digest', () => {
+    const key = buildCacheKey(base);
+
+    expect(isValidCacheKey(key)).toBe(true);
+    expect(buildCacheKey({ ...base, imageBuffer: Buffer.from('image bytes') })).toBe(key);
+  });
+
+  it('ignores feature order', () => {
+    expect(buildCacheKey({ ...base, features: ['Objects', 'Caption'] })).toBe(buildCacheKey(base));
+  });
+
+  it.each([
+    ['type', { type: 'ocr' }],
+    ['image', { imageBuffer: Buffer.from('other image') }],
+    ['features', { features: ['Caption'] }],
+    ['language', { language: 'fr' }],
+    ['model', { model: '2023-10-01' }],
+    ['variant settings', { redaction: 'faces' }]
+  ])('changes with the %s', (name, change) => {
+    expect(buildCacheKey({ ...base, ...change })).not.toBe(buildCacheKey(base));
+  });
+
+  it('uses a known image hash instead of hashing the buffer', () => {
+    const imageHash = 'a'.repeat(64);
+
+    expect(buildCacheKey({ ...base, imageBuffer: Buffer.from('near duplicate'), imageHash }))
+      .toBe(buildCacheKey({ ...base, imageHash }));
+  });
+});
+
+describe('isValidCacheKey', () => {
+  it.each(['../secret', '..%2F..%2Fsecret', 'A'.repeat(64), 'a'.repeat(63), undefined])('rejects %p', key => {
+    expect(isValidCacheKey(key)).toBe(false);
+  });
+});
+
+describe('AnalysisCache', () => {
+  const key = buildCacheKey({ type: 'analyze', imageBuffer });
+
+  it('counts misses, writes and hits', async () => {
+    const cache = new AnalysisCache({ maxEntries: 10, ttlMs: 60000 });
+
+    expect(await cache.get(key)).toBeNull();
+    await cache.set(key, { caption: 'a cat' }, { type: 'analyze' });
+
+    expect(await cache.get(key)).toEqual({ caption: 'a cat' });
+    expect(await cache.getStats()).toMatchObject({ hits: 1, misses: 1, writes: 1, hitRate: 0.5, memoryEntries: 1 });
+  });
+
+  it('expires entries after the TTL', async () => {
+    const cache = new AnalysisCache({ maxEntries: 10, ttlMs: 1000 });
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now - 2000);
+    await cache.set(key, { caption: 'old' });
+    Date.now.mockRestore();
+
+    expect(await cache.get(key)).toBeNull();
+    expect(await cache.list()).toEqual([]);
+  });
+
+  it('evicts the least recently used memory entries', async () => {
+    const store = new MemoryCacheStore(2);
+    await store.set('a', 1);
+    await store.set('b', 2);
+    await store.get('a');
+    await store.set('c', 3);
+
+    expect([...store.entries.keys()]).toEqual(['a', 'c']);
+  });
+
+  it('purges entries by analysis type', async () => {
+    const cache = new AnalysisCache({ maxEntries: 10, ttlMs: 60000 });
+    await cache.set(key, {}, { type: 'analyze' });
+    await cache.set(buildCacheKey({ type: 'ocr', imageBuffer }), {}, { type: 'ocr' });
+
+    expect(await cache.purge('ocr')).toBe(1);
+    expect((await cache.list()).map(entry => entry.type)).toEqual(['analyze']);
+  });
+
+  describe('with a persistent tier', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'analysis-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('serves persisted entries after a restart and promotes them to memory', async () => {
+      await new AnalysisCache({ persistentStore: new FileCacheStore(directory) }).set(key, { caption: 'a cat' });
+      const restarted = new AnalysisCache({ persistentStore: new FileCacheStore(directory) });
+
+      await expect(restarted.lookup(key)).resolves.toMatchObject({ tier: 'persistent', entry: { value: { caption: 'a cat' } } });
+      await expect(restarted.lookup(key)).resolves.toMatchObject({ tier: 'memory' });
+    });
+
+    it('never reads or deletes files outside the cache directory', async () => {
+      const outside = path.join(directory, '..', `${path.basename(directory)}-secret.json`);
+      fs.writeFileSync(outside, '{"secret": true}');
+      const store = new FileCacheStore(directory);
+      const escaping = `../${path.basename(outside, '.json')}`;
+
+      try {
+        expect(await store.get(escaping)).toBeNull();
+        expect(await store.delete(escaping)).toBe(false);
+        await expect(store.set(escaping, {})).rejects.toThrow('Invalid cache key');
+        expect(fs.existsSync(outside)).toBe(true);
+      } finally {
+        fs.rmSync(outside, { force: true });
+      }
+    });
+
+    it('evicts the least recently used files beyond maxEntries', async () => {
+      const store = new FileCacheStore(directory, 10);
+      const keys = Array.from({ length: 11 }, (_, index) => buildCacheKey({ type: 'analyze', imageBuffer: Buffer.from([index]) }));
+      const touch = (entryKey, time) => fs.utimesSync(path.join(directory, `${entryKey}.json`), time, time);
+
+      for (const [index, entryKey] of keys.slice(0, 10).entries()) {
+        await store.set(entryKey, { key: entryKey });
+        touch(entryKey, new Date(2026, 0, 1, 0, index));
+      }
+      // Reading refreshes recency
+      await store.get(keys[0]);
+      await store.set(keys[10], { key: keys[10] });
+
+      const remaining = (await store.list()).map(entry => entry.key);
+      expect(remaining).toHaveLength(9);
+      expect(remaining).toEqual(expect.arrayContaining([keys[0], keys[10]]));
+      expect(remaining).not.toContain(keys[1]);
+      expect(remaining).not.toContain(keys[2]);
+    });
+  });
+});
@@ -0,0 +1,736 @@
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { uploadImageToBlob } = require('./storageService');
+const EnhancedVisionService = require('./enhancedVisionService');
+const { ANALYSIS_MODES } = require('./enhancedVisionService');
+const VisionService = require('./visionService');
+const { VisionApiError } = require('./visionService');
+const { buildCacheKey, getAnalysisCache } = require('./analysisCache');
+const { ImagePreprocessingError, preprocessImage, resolveTransforms } = require('./imagePreprocessor');
+const { TranslationError, translateTexts } = require('./translationService');
+const { ExtractionError, extractDocument, getExtractionType, getTypeVersion } = require('./extractionService');
+const { ModerationError, screenImage, isContentFilterError, describeRefusal } = require('./moderationService');
+const { ProfileError, analyzeWithProfile, getProfileRegistry, getProfileHash } = require('./profileService');
+const { redactImage, getRedactionMetadata } = require('./redactionService');
+const { RenderError } = require('./renderService');
+const { ThumbnailError } = require('./thumbnailService');
+const { EmbeddingError } = require('./embeddingService');
+const { indexAnalyzedImage } = require('./searchService');
+const { withPerceptualHash, getHashMetadata, isDedupeEnabled, findDuplicate, registerImage, describeDuplicate } = require('./duplicateService');
+const { buildOcrLayout, flattenLines, computeConfidenceStats, findLowConfidenceRegions } = require('../utils/ocrLayout');
+
+const DEFAULT_FEATURES = ['Caption', 'Objects', 'Tags', 'People'];
+
+/**
+ * Parse a features option given as a comma-separated string or an array
+ * @param {string|string[]|undefined} features
+ * @returns {string[]}
+ */
+function parseFeatures(features) {
+  if (Array.isArray(features)) {
+    return features.map(f => String(f).trim()).filter(Boolean);
+  }
+  if (typeof features === 'string' && features.trim()) {
+    return features.split(',').map(f => f.trim()).filter(Boolean);
+  }
+  return DEFAULT_FEATURES;
+}
+
+/**
+ * Upload an analyzed image to blob storage, redacting people first when
+ * privacy mode is on. Images loaded from a blob are already stored. When
+ * redaction fails the image is not stored at all.
+ * @param {Object} image - Normalized image
+ * @param {Object} options
+ * @param {string} [options.redaction] - Resolved redaction mode ('none', 'blur' or 'pixelate')
+ * @param {Array|null} [options.people] - People boxes from the analysis, null when not detected
+ * @returns {Promise<{url: string|null, redaction?: Object}>}
+ */
+async function storeImage(image, { redaction = 'none', people = null } = {}) {
+  if (image.reference?.blobUrl) {
+    return { url: image.reference.blobUrl };
+  }
+
+  let stored = image;
+  let report = null;
+  if (redaction !== 'none') {
+    try {
+      ({ image: stored, report } = await redactImage(image, { method: redaction, people }));
+    } catch (error) {
+      logger.error('Redaction failed, image not stored', { message: error.message });
+      return { url: null, redaction: { applied: false, method: redaction, error: 'Redaction failed; the image was not stored' } };
+    }
+  }
+
+  let url = null;
+  try {
+    url = await uploadImageToBlob(stored.buffer, stored.originalName, {
+      metadata: { ...getRedactionMetadata(report, redaction), ...getHashMetadata(image) }
+    });
+    logger.info('Image uploaded to blob storage', { imageUrl: url, redacted: !!report });
+  } catch (uploadError) {
+    logger.warn('Failed to upload image to blob storage', { message: uploadError.message });
+  }
+
+  return report ? { url, redaction: report } : { url };
+}
+
+/**
+ * Analyze an image with Azure AI Vision v4.0
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @param {Object} options
+ * @param {string|string[]} [options.features] - Visual features
+ * @param {string} [options.language] - Output language
+ * @param {string} [options.redaction] - Redaction mode for the stored copy
+ * @returns {Promise<Object>} - Analysis response body
+ */
+async function analyzeImage(image, options = {}) {
+  const features = parseFeatures(options.features);
+  const language = options.language || 'en';
+
+  logger.info('Starting image analysis', {
+    fileSize: image.size,
+    encoding: image.source,
+    mimetype: image.mimeType,
+    features: features
+  });
+
+  const visionService = new VisionService();
+  const { raw, analysis } = await visionService.analyzeImage(image.buffer, { features, language });
+
+  // Log the full result structure for debugging
+  logger.info('Vision API v4.0 result structure:', {
+    resultKeys: Object.keys(raw),
+    resultData: process.env.NODE_ENV === 'development' ? raw : 'hidden in production'
+  });
+
+  // Upload image to blob storage for caching (optional); People boxes, when requested, guide redaction
+  const stored = await storeImage(image, {
+    redaction: options.redaction,
+    people: features.includes('People') ? analysis.people : null
+  });
+
+  logger.info('Image analysis completed successfully');
+
+  return {
+    success: true,
+    timestamp: new Date().toISOString(),
+    imageUrl: stored.url,
+    analysis,
+    ...(stored.redaction && { redaction: stored.redaction })
+  };
+}
+
+/**
+ * Extract text from an image (OCR) with Azure AI Vision v4.0
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @param {Object} options
+ * @param {string} [options.language] - Text language hint
+ * @returns {Promise<Object>} - OCR response body
+ */
+async function extractText(image, options = {}) {
+  const language = options.language || 'en';
+
+  logger.info('Starting OCR analysis', { fileSize: image.size });
+
+  const visionService = new VisionService();
+  const { raw, text: extractedText, lines } = await visionService.readText(image.buffer, { language });
+
+  const detailedText = lines.map(line => ({
+    text: line.text,
+    boundingBox: line.boundingBox,
+    boundingPolygon: line.boundingPolygon,
+    words: line.words
+  }));
+
+  const { lowConfidenceThreshold, reviewRatio } = azureConfig.ocr;
+  const layout = buildOcrLayout(raw.readResult, raw.metadata);
+  const confidence = computeConfidenceStats(layout, lowConfidenceThreshold);
+  const lowConfidenceRegions = findLowConfidenceRegions(layout, lowConfidenceThreshold);
+
+  const ocrResponse = {
+    success: true,
+    timestamp: new Date().toISOString(),
+    text: extractedText,
+    detailedText,
+    layout,
+    language: language,
+    wordCount: lines.reduce((count, line) => count + line.words.length, 0),
+    confidence,
+    lowConfidenceRegions,
+    needsReview: confidence.lowConfidenceRatio > reviewRatio
+  };
+
+  logger.info('OCR analysis completed successfully', {
+    textLength: extractedText.length,
+    wordCount: ocrResponse.wordCount,
+    lowConfidenceRegions: lowConfidenceRegions.length
+  });
+
+  return ocrResponse;
+}
+
+/**
+ * Extract text with Azure AI Vision v4.0 and translate every line in one
+ * Translator call, keeping each line's geometry
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @param {Object} options
+ * @param {string} options.targetLanguage - Translation target language
+ * @param {string} [options.sourceLanguage] - Source language, detected per line when omitted
+ * @param {string} [options.language] - Text language hint for Read
+ * @returns {Promise<Object>} - OCR and translation response body
+ */
+async function extractAndTranslateText(image, options = {}) {
+  const { targetLanguage } = options;
+  const sourceLanguage = options.sourceLanguage || 'auto';
+
+  // Fail before calling Vision when the request cannot be translated
+  if (!targetLanguage) {
+    throw new TranslationError('targetLanguage is required', 400, 'MissingTargetLanguage');
+  }
+
+  logger.info('Starting OCR translation', { fileSize: image.size, targetLanguage, sourceLanguage });
+
+  const visionService = new VisionService();
+  const { raw } = await visionService.readText(image.buffer, { language: options.language || 'en' });
+
+  const layout = buildOcrLayout(raw.readResult, raw.metadata);
+  const entries = flattenLines(layout).filter(({ line }) => line.text.trim());
+  const translations = await translateTexts(entries.map(({ line }) => line.text), {
+    to: targetLanguage,
+    from: sourceLanguage
+  });
+
+  const lines = entries.map(({ block, paragraph, line }, index) => ({
+    id: line.id,
+    blockId: block.id,
+    paragraphId: paragraph.id,
+    readingOrder: line.readingOrder,
+    text: line.text,
+    translation: translations[index].translation,
+    detectedLanguage: translations[index].detectedLanguage,
+    boundingPolygon: line.boundingPolygon,
+    boundingBox: line.boundingBox
+  }));
+
+  const languageCounts = {};
+  lines.forEach(line => {
+    const language = line.detectedLanguage?.language || 'unknown';
+    languageCounts[language] = (languageCounts[language] || 0) + 1;
+  });
+
+  logger.info('OCR translation completed successfully', { lineCount: lines.length, targetLanguage });
+
+  return {
+    success: true,
+    timestamp: new Date().toISOString(),
+    targetLanguage,
+    sourceLanguage,
+    detectedLanguages: Object.entries(languageCounts)
+      .map(([language, lineCount]) => ({ language, lineCount }))
+      .sort((a, b) => b.lineCount - a.lineCount),
+    text: lines.map(line => line.text).join('\n'),
+    translatedText: lines.map(line => line.translation).join('\n'),
+    image: { width: layout.width, height: layout.height },
+    lineCount: lines.length,
+    lines
+  };
+}
+
+/**
+ * Enhanced image analysis with GPT-4o
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @param {Object} options
+ * @param {string} [options.mode] - 'hybrid' or 'gpt4o'
+ * @param {string} [options.profile] - Prompt profile ("name" or "name@version"); overrides mode
+ * @param {string} [options.language] - Output language
+ * @param {Function} [options.onSection] - Stream the GPT-4o answer, reporting sections as they complete
+ * @param {AbortSignal} [options.signal] - Cancels the GPT-4o request
+ * @param {string} [options.redaction] - Redaction mode for the stored copy
+ * @returns {Promise<Object>} - Enhanced analysis response body
+ */
+async function analyzeImageEnhanced(image, options = {}) {
+  const startTime = Date.now();
+
+  logger.info('Starting enhanced image analysis with GPT-4o', {
+    fileSize: image.size,
+    mimeType: image.mimeType,
+    profile: options.profile
+  });
+
+  let analysisResult;
+  if (options.profile) {
+    analysisResult = await analyzeWithProfile(image, { profile: options.profile, language: options.language });
+  } else {
+    // Use enhanced vision service
+    const enhancedVisionService = new EnhancedVisionService();
+    analysisResult = await enhancedVisionService.analyzeImageWithGPT4o(image.buffer, image.mimeType, {
+      mode: options.mode,
+      language: options.language,
+      onSection: options.onSection,
+      signal: options.signal
+    });
+  }
+
+  // Upload to blob storage (optional, based on configuration)
+  let stored = { url: image.reference?.blobUrl || null };
+  if (!stored.url && process.env.STORAGE_CONNECTION_STRING) {
+    stored = await storeImage(image, {
+      redaction: options.redaction,
+      // Hybrid mode has Vision People boxes; otherwise the redaction detector runs
+      people: analysisResult.hybrid?.vision === 'ok' ? analysisResult.people : null
+    });
+  }
+
+  // Return enhanced analysis
+  const result = {
+    ...analysisResult,
+    blobUrl: stored.url,
+    ...(stored.redaction && { redaction: stored.redaction }),
+    timestamp: new Date().toISOString(),
+    processing: {
+      model: 'gpt-4o',
+      mode: analysisResult.mode,
+      enhanced: true,
+      processingTimeMs: Date.now() - startTime
+    }
+  };
+
+  logger.info('Enhanced image analysis completed', {
+    model: result.processing.model,
+    tokensUsed: result.usage?.total_tokens,
+    confidence: result.analysis?.confidence,
+    processingTime: result.processing.processingTimeMs
+  });
+
+  return result;
+}
+
+/**
+ * Analysis types that can be run by name (jobs, batches)
+ */
+const ANALYSIS_TYPES = {
+  analyze: analyzeImage,
+  ocr: extractText,
+  'ocr-translate': extractAndTranslateText,
+  'analyze-enhanced': analyzeImageEnhanced,
+  extract: extractDocument
+};
+
+// Azure provider receiving the image for each analysis type
+const ANALYSIS_PROVIDERS = {
+  analyze: 'vision',
+  ocr: 'vision',
+  'ocr-translate': 'vision',
+  'analyze-enhanced': 'openai',
+  extract: 'openai'
+};
+
+// Client-facing error labels per analysis type
+const ERROR_LABELS = {
+  analyze: {
+    error: 'Analysis failed',
+    message: 'Failed to analyze the image. Please try again.'
+  },
+  ocr: {
+    error: 'OCR failed',
+    message: 'Failed to extract text from the image. Please try again.'
+  },
+  'ocr-translate': {
+    error: 'OCR translation failed',
+    message: 'Failed to extract and translate text from the image. Please try again.'
+  },
+  'analyze-enhanced': {
+    error: 'Enhanced analysis failed',
+    message: 'An unexpected error occurred during enhanced image analysis'
+  },
+  extract: {
+    error: 'Extraction failed',
+    message: 'Failed to extract data from the document. Please try again.'
+  },
+  render: {
+    error: 'Rendering failed',
+    message: 'Failed to render the annotated image. Please try again.'
+  },
+  thumbnails: {
+    error: 'Thumbnail generation failed',
+    message: 'Failed to generate thumbnails. Please try again.'
+  },
+  search: {
+    error: 'Search failed',
+    message: 'Failed to search stored images. Please try again.'
+  }
+};
+
+/**
+ * Map an analysis failure to an HTTP status and response body
+ * @param {Error} error - Error thrown by an analysis
+ * @param {string} type - Analysis type
+ * @returns {{status: number, body: Object}}
+ */
+function describeAnalysisError(error, type) {
+  const labels = ERROR_LABELS[type] || ERROR_LABELS.analyze;
+
+  if (error instanceof ImagePreprocessingError) {
+    return {
+      status: error.status,
+      body: {
+        error: 'Image preprocessing failed',
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof ModerationError || isContentFilterError(error)) {
+    return describeRefusal(error, 'image');
+  }
+
+  if (error instanceof ProfileError) {
+    return {
+      status: error.status,
+      body: {
+        error: error.status === 404 ? 'Profile not found' : 'Invalid profile',
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof RenderError) {
+    return {
+      status: error.status,
+      body: {
+        error: error.status === 415 ? 'Unsupported image' : 'Invalid render request',
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof ThumbnailError) {
+    const errors = { 415: 'Unsupported image', 500: labels.error, 503: 'Storage unavailable' };
+    return {
+      status: error.status,
+      body: {
+        error: errors[error.status] || 'Invalid thumbnail request',
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof EmbeddingError) {
+    return {
+      status: error.status,
+      body: {
+        error: error.status === 503 ? 'Search unavailable' : 'Invalid search request',
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof ExtractionError) {
+    return {
+      status: error.status,
+      body: {
+        error: 'Invalid extraction request',
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof TranslationError) {
+    if (error.code === 'NotConfigured') {
+      return {
+        status: 503,
+        body: {
+          error: 'Translation service unavailable',
+          message: 'Azure Translator service is not configured'
+        }
+      };
+    }
+
+    return {
+      status: error.status,
+      body: {
+        error: error.status === 400 ? 'Invalid translation request' : labels.error,
+        message: error.message
+      }
+    };
+  }
+
+  if (error instanceof VisionApiError) {
+    if (error.code === 'NotConfigured') {
+      return {
+        status: 503,
+        body: {
+          error: 'Vision service unavailable',
+          message: 'Azure Vision service is not configured'
+        }
+      };
+    }
+
+    logger.error('Azure API Error Response:', {
+      status: error.status,
+      code: error.code,
+      data: error.details
+    });
+
+    return {
+      status: error.status,
+      body: {
+        error: labels.error,
+        message: error.message || labels.message,
+        details: process.env.NODE_ENV === 'development' ? error.details : undefined
+      }
+    };
+  }
+
+  const message = error.message || '';
+
+  if (message.includes('quota exceeded')) {
+    return {
+      status: 429,
+      body: {
+        error: 'Service quota exceeded',
+        message: 'AI service quota exceeded. Please try again later.',
+        retryAfter: 60
+      }
+    };
+  }
+
+  // Enhanced analysis errors carry a descriptive message from the service
+  if (type === 'analyze-enhanced') {
+    return {
+      status: 500,
+      body: {
+        error: labels.error,
+        message: message || labels.message
+      }
+    };
+  }
+
+  return {
+    status: 500,
+    body: {
+      error: labels.error,
+      message: labels.message,
+      details: process.env.NODE_ENV === 'development' ? message : undefined
+    }
+  };
+}
+
+/**
+ * Describe the parameters that determine an analysis result
+ * @param {string} type - Analysis type
+ * @param {Object} options - Analysis options
+ * @returns {{features: string[], language: string, model: string, mode?: string}}
+ */
+function getCacheDescriptor(type, options) {
+  const language = options.language || 'en';
+  const preprocess = resolveTransforms(options.preprocess);
+  const redaction = options.redaction || azureConfig.redaction.mode;
+
+  if (type === 'analyze-enhanced' && options.profile) {
+    const profile = getProfileRegistry().get(options.profile);
+    return {
+      features: [],
+      language,
+      model: azureConfig.openai.deploymentName,
+      mode: 'profile',
+      profile: profile.name,
+      profileVersion: profile.version,
+      // Edits to a published version still invalidate its cached results
+      profileHash: getProfileHash(profile),
+      preprocess,
+      redaction
+    };
+  }
+
+  if (type === 'analyze-enhanced') {
+    const mode = ANALYSIS_MODES.includes(options.mode) ? options.mode : azureConfig.openai.enhancedMode;
+    return { features: [], language, model: azureConfig.openai.deploymentName, mode, preprocess, redaction };
+  }
+
+  if (type === 'extract') {
+    return {
+      features: [],
+      language,
+      model: azureConfig.openai.deploymentName,
+      documentType: options.documentType,
+      typeVersion: getTypeVersion(getExtractionType(options.documentType)),
+      preprocess
+    };
+  }
+
+  if (type === 'ocr-translate') {
+    return {
+      features: ['Read'],
+      language,
+      model: `vision-${azureConfig.vision.apiVersion}`,
+      targetLanguage: options.targetLanguage,
+      sourceLanguage: options.sourceLanguage || 'auto',
+      preprocess
+    };
+  }
+
+  return {
+    features: type === 'ocr' ? ['Read'] : parseFeatures(options.features),
+    language,
+    model: `vision-${azureConfig.vision.apiVersion}`,
+    preprocess,
+    // Stored image URLs differ between redacted and original copies
+    ...(type === 'analyze' && { redaction })
+  };
+}
+
+/**
+ * Preprocess the image for the type's provider and run the analysis.
+ * The response reports which transforms were applied.
+ */
+async function preprocessAndRun(type, image, options) {
+  const { image: prepared, report } = await preprocessImage(image, {
+    provider: ANALYSIS_PROVIDERS[type],
+    overrides: options.preprocess
+  });
+  const result = await ANALYSIS_TYPES[type](prepared, options);
+  return { ...result, preprocessing: report };
+}
+
+/**
+ * Add an analyzed image to the vector index without delaying the response
+ */
+function indexInBackground(type, image, result) {
+  indexAnalyzedImage(image, type, result).catch(error => {
+    logger.warn('Failed to index analyzed image', { type, message: error.message });
+  });
+}
+
+/**
+ * Redaction mode the stored copy of an image is produced with
+ */
+function getStoredRedaction(options) {
+  return options.redaction || azureConfig.redaction.mode;
+}
+
+/**
+ * Record an image in the duplicate index without delaying the response
+ */
+function registerInBackground(image, duplicate, result, options) {
+  registerImage(image, {
+    duplicate,
+    blobUrl: result.imageUrl || result.blobUrl || null,
+    redaction: getStoredRedaction(options)
+  }).catch(error => {
+    logger.warn('Failed to record image in duplicate index', { message: error.message });
+  });
+}
+
+/**
+ * Run an analysis and record the image in the duplicate index. A
+ * near-duplicate stored with the same redaction mode reuses the existing
+ * blob instead of uploading another copy.
+ */
+async function analyzeAndRegister(type, image, options, dedupe, duplicate) {
+  const existing = duplicate?.entry;
+  const reuseBlob = existing?.blobUrl && existing.redaction === getStoredRedaction(options);
+  const target = reuseBlob ? { ...image, reference: { ...image.reference, blobUrl: existing.blobUrl } } : image;
+
+  const result = await preprocessAndRun(type, target, options);
+  if (dedupe) {
+    registerInBackground(image, duplicate, result, options);
+  }
+  return result;
+}
+
+/**
+ * Run an analysis by type name, serving repeated requests from the cache.
+ * The image is screened by the moderation stage first, so blocked images
+ * never reach an analysis or a cached result; warnings are attached to the
+ * result as `moderation`.
+ * The cache key is computed from the image as ingested, so hits skip
+ * preprocessing entirely. Analyze and analyze-enhanced results are added
+ * to the vector index in the background.
+ * Analyze and analyze-enhanced uploads within the Hamming threshold of an
+ * earlier upload use its cache key and stored blob, and the result names
+ * the earlier image as `duplicateOf`.
+ * @param {string} type - One of ANALYSIS_TYPES
+ * @param {Object} image - Normalized image
+ * @param {Object} options - Analysis options
+ * @param {boolean} [options.noCache] - Skip the cache lookup (the result is still stored)
+ * @param {string|Object} [options.preprocess] - Preprocessing overrides
+ * @param {boolean|string} [options.dedupe] - false skips duplicate detection
+ * @param {number|string} [options.duplicateThreshold] - Hamming threshold override
+ * @returns {Promise<{result: Object, cacheStatus: string, cacheKey: string|null}>}
+ */
+async function runAnalysisWithCache(type, image, options = {}) {
+  if (!ANALYSIS_TYPES[type]) {
+    throw new Error(`Unknown analysis type: ${type}`);
+  }
+
+  const moderation = await screenImage(image);
+  const withModeration = result => (moderation.decision === 'warn' ? { ...result, moderation } : result);
+
+  // Near-duplicates of an earlier upload share its cache entries and stored blob
+  const dedupe = isDedupeEnabled(type, options);
+  let duplicate = null;
+  if (dedupe) {
+    image = await withPerceptualHash(image);
+    duplicate = await findDuplicate(image, options);
+  }
+  const withDuplicate = result => (duplicate ? { ...result, duplicateOf: describeDuplicate(duplicate) } : result);
+  const finish = (result, cacheStatus, cacheKey) => ({ result: withModeration(withDuplicate(result)), cacheStatus, cacheKey });
+
+  if (!azureConfig.cache.enabled) {
+    const result = await analyzeAndRegister(type, image, options, dedupe, duplicate);
+    indexInBackground(type, image, result);
+    return finish(result, 'DISABLED', null);
+  }
+
+  const cache = getAnalysisCache();
+  const descriptor = getCacheDescriptor(type, options);
+  const cacheKey = buildCacheKey({ type, imageBuffer: image.buffer, imageHash: duplicate?.entry.id, ...descriptor });
+
+  if (!options.noCache) {
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      logger.info('Analysis served from cache', { type, cacheKey });
+      if (dedupe) {
+        registerInBackground(image, duplicate, cached, options);
+      }
+      indexInBackground(type, image, cached);
+      return finish(cached, 'HIT', cacheKey);
+    }
+  }
+
+  const result = await analyzeAndRegister(type, image, options, dedupe, duplicate);
+  indexInBackground(type, image, result);
+  // Partial results (a provider failed) are returned but not cached
+  if (!result.partial) {
+    await cache.set(cacheKey, result, { type, ...descriptor });
+  }
+
+  return finish(result, options.noCache ? 'BYPASS' : 'MISS', cacheKey);
+}
+
+/**
+ * Run an analysis by type name
+ * @param {string} type - One of ANALYSIS_TYPES
+ * @param {Object} image - Normalized image
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object>}
+ */
+async function runAnalysis(type, image, options = {}) {
+  const { result } = await runAnalysisWithCache(type, image, options);
+  return result;
+}
+
+module.exports = {
+  ANALYSIS_TYPES,
+  ANALYSIS_PROVIDERS,
+  parseFeatures,
+  analyzeImage,
+  extractText,
+  extractAndTranslateText,
+  analyzeImageEnhanced,
+  runAnalysis,
+  runAnalysisWithCache,
+  describeAnalysisError
+};
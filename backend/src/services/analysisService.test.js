@@ -0,0 +1,65 @@
+const http = require('http');
+const sharp = require('sharp');
+
+process.env.EMBEDDING_PROVIDER = 'none';
+process.env.MODERATION_PROVIDER = 'none';
+
+const { runAnalysisWithCache } = require('./analysisService');
+
+jest.mock('../utils/logger');
+
+describe('runAnalysisWithCache', () => {
+  let server;
+  let requests;
+  let image;
+
+  beforeAll(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      req.resume();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        metadata: { width: 64, height: 32 },
+        readResult: { blocks: [{ lines: [{ text: 'HELLO', boundingPolygon: [], words: [] }] }] }
+      }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.VISION_ENDPOINT = `http://127.0.0.1:${server.address().port}`;
+    process.env.VISION_API_KEY = 'key';
+
+    const buffer = await sharp({ create: { width: 64, height: 32, channels: 3, background: '#ffffff' } }).png().toBuffer();
+    image = { buffer, size: buffer.length, format: 'png', mimeType: 'image/png', extension: '.png', originalName: 'sign.png', source: 'test' };
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('serves a repeated analysis from the cache', async () => {
+    const first = await runAnalysisWithCache('ocr', image, { language: 'en' });
+    const second = await runAnalysisWithCache('ocr', image, { language: 'en' });
+
+    expect(first.cacheStatus).toBe('MISS');
+    expect(second.cacheStatus).toBe('HIT');
+    expect(second.cacheKey).toBe(first.cacheKey);
+    expect(second.result.text).toBe('HELLO');
+    expect(requests).toHaveLength(1);
+  });
+
+  it('bypasses the cache on request', async () => {
+    const calls = requests.length;
+    const { cacheStatus } = await runAnalysisWithCache('ocr', image, { language: 'en', noCache: true });
+
+    expect(cacheStatus).toBe('BYPASS');
+    expect(requests).toHaveLength(calls + 1);
+  });
+
+  it('caches each option set separately', async () => {
+    const english = await runAnalysisWithCache('ocr', image, { language: 'en' });
+    const french = await runAnalysisWithCache('ocr', image, { language: 'fr' });
+
+    expect(french.cacheStatus).toBe('MISS');
+    expect(french.cacheKey).not.toBe(english.cacheKey);
+  });
+});
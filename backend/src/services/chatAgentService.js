@@ -0,0 +1,433 @@
+const sharp = require('sharp');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const VisionService = require('./visionService');
+const { preprocessImage } = require('./imagePreprocessor');
+const { translateTexts } = require('./translationService');
+const { searchSimilar } = require('./searchService');
+const { getAnalysisDimensions } = require('../utils/annotate');
+
+// Regions smaller than this are enlarged before analysis so small text stays legible
+const ZOOM_MIN_SIZE = 512;
+// Vision rejects images below 50 pixels on either side
+const MIN_REGION_SIZE = 50;
+const MAX_TRANSLATION_LENGTH = 5000;
+
+const REGION_SCHEMA = {
+  type: 'object',
+  description: 'Rectangle in pixel coordinates of the analyzed image',
+  properties: {
+    x: { type: 'number', description: 'Left edge' },
+    y: { type: 'number', description: 'Top edge' },
+    w: { type: 'number', description: 'Width' },
+    h: { type: 'number', description: 'Height' }
+  },
+  required: ['x', 'y', 'w', 'h']
+};
+
+/**
+ * Tools the chat model may call. `needsImage` tools are only offered when
+ * the image is attached to the question.
+ */
+const CHAT_TOOLS = {
+  read_text_in_region: {
+    needsImage: true,
+    description: 'Run OCR on a region of the image and return the text lines found there. ' +
+      'Use it for small or partly hidden text the analysis did not report.',
+    parameters: {
+      type: 'object',
+      properties: {
+        region: REGION_SCHEMA,
+        language: { type: 'string', description: 'Text language hint, e.g. en' }
+      },
+      required: ['region']
+    },
+    run: readTextInRegion
+  },
+  analyze_region: {
+    needsImage: true,
+    description: 'Zoom into a region of the image and analyze the crop: caption, objects and tags.',
+    parameters: {
+      type: 'object',
+      properties: {
+        region: REGION_SCHEMA
+      },
+      required: ['region']
+    },
+    run: analyzeRegion
+  },
+  translate_text: {
+    needsImage: false,
+    description: 'Translate text, for example text detected in the image, into another language.',
+    parameters: {
+      type: 'object',
+      properties: {
+        text: { type: 'string' },
+        to: { type: 'string', description: 'Target language code, e.g. en, fr, ja' },
+        from: { type: 'string', description: 'Source language code; detected when omitted' }
+      },
+      required: ['text', 'to']
+    },
+    run: translateText
+  },
+  find_similar_images: {
+    needsImage: true,
+    description: 'Find previously analyzed images similar to this image or to a region of it.',
+    parameters: {
+      type: 'object',
+      properties: {
+        region: REGION_SCHEMA,
+        topK: { type: 'integer', description: 'Number of results, 1 to 10' }
+      }
+    },
+    run: findSimilarImages
+  }
+};
+
+/**
+ * Error raised for invalid tool selections and tool arguments
+ */
+class ChatToolError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChatToolError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse the tools option of a chat request
+ * @param {boolean|string|string[]|undefined} value - true for all tools, or tool names
+ * @returns {string[]} - Selected tool names (empty when tools are off)
+ */
+function parseToolSelection(value) {
+  if (value === undefined || value === null || value === false || value === 'false' || value === '') {
+    return [];
+  }
+  if (value === true || value === 'true' || value === 'all') {
+    return Object.keys(CHAT_TOOLS);
+  }
+
+  const names = (Array.isArray(value) ? value : String(value).split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  const unknown = names.filter(name => !CHAT_TOOLS[name]);
+  if (unknown.length > 0) {
+    throw new ChatToolError(`Unknown tools: ${unknown.join(', ')}. Available: ${Object.keys(CHAT_TOOLS).join(', ')}`);
+  }
+  return [...new Set(names)];
+}
+
+/**
+ * Decode the image attached to the question
+ * @param {{url: string}} image - Attachment with a data URL
+ * @param {Object} analysisResults
+ * @returns {Promise<Object>} - Tool image context
+ */
+async function createImageContext(image, analysisResults) {
+  const buffer = Buffer.from(image.url.slice(image.url.indexOf(',') + 1), 'base64');
+  const { data, info } = await sharp(buffer).rotate().png().toBuffer({ resolveWithObject: true });
+  // Tool regions use the analysis coordinates, which may differ from the prepared image's size
+  const space = getAnalysisDimensions(analysisResults) || { width: info.width, height: info.height };
+  return { buffer: data, width: info.width, height: info.height, space };
+}
+
+/**
+ * Crop a region given in analysis coordinates, enlarging small crops
+ * @param {Object} imageContext - From createImageContext
+ * @param {Object} region - { x, y, w, h }
+ * @returns {Promise<Object>} - Normalized PNG image of the region
+ */
+async function cropRegion(imageContext, region) {
+  const values = ['x', 'y', 'w', 'h'].map(key => Number(region?.[key]));
+  if (values.some(value => !Number.isFinite(value)) || values[2] <= 0 || values[3] <= 0) {
+    throw new ChatToolError('region must have numeric x, y and positive w, h');
+  }
+
+  const { width, height, space } = imageContext;
+  const scaleX = width / space.width;
+  const scaleY = height / space.height;
+  const left = Math.min(width - 1, Math.max(0, Math.round(values[0] * scaleX)));
+  const top = Math.min(height - 1, Math.max(0, Math.round(values[1] * scaleY)));
+  const cropWidth = Math.max(1, Math.min(width - left, Math.round(values[2] * scaleX)));
+  const cropHeight = Math.max(1, Math.min(height - top, Math.round(values[3] * scaleY)));
+
+  let pipeline = sharp(imageContext.buffer).extract({ left, top, width: cropWidth, height: cropHeight });
+  if (Math.max(cropWidth, cropHeight) < ZOOM_MIN_SIZE || Math.min(cropWidth, cropHeight) < MIN_REGION_SIZE) {
+    const scale = Math.max(ZOOM_MIN_SIZE / Math.max(cropWidth, cropHeight), MIN_REGION_SIZE / Math.min(cropWidth, cropHeight));
+    pipeline = pipeline.resize(Math.round(cropWidth * scale), Math.round(cropHeight * scale), { kernel: 'lanczos3' });
+  }
+
+  const buffer = await pipeline.png().toBuffer();
+  return {
+    buffer,
+    size: buffer.length,
+    format: 'png',
+    mimeType: 'image/png',
+    extension: '.png',
+    originalName: 'region.png',
+    source: 'chat-tool'
+  };
+}
+
+/**
+ * Prepare a crop for Vision
+ */
+async function prepareForVision(image) {
+  const { image: prepared } = await preprocessImage(image, { provider: 'vision' });
+  return prepared.buffer;
+}
+
+async function readTextInRegion({ region, language }, { image }) {
+  const crop = await cropRegion(image, region);
+  const { text, lines } = await new VisionService().readText(await prepareForVision(crop), { language: language || 'en' });
+  return {
+    text,
+    lines: lines.map(line => line.text)
+  };
+}
+
+async function analyzeRegion({ region }, { image }) {
+  const crop = await cropRegion(image, region);
+  const { analysis } = await new VisionService().analyzeImage(await prepareForVision(crop), {
+    features: ['Caption', 'Objects', 'Tags']
+  });
+  return {
+    caption: analysis.caption,
+    objects: analysis.objects.map(({ name, confidence }) => ({ name, confidence })),
+    tags: analysis.tags.filter(tag => tag.confidence >= 0.5).map(tag => tag.name)
+  };
+}
+
+async function translateText({ text, to, from }) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ChatToolError('text is required');
+  }
+  if (text.length > MAX_TRANSLATION_LENGTH) {
+    throw new ChatToolError(`text must be at most ${MAX_TRANSLATION_LENGTH} characters`);
+  }
+  const [translated] = await translateTexts([text], { to, from });
+  return {
+    translation: translated.translation,
+    detectedLanguage: translated.detectedLanguage?.language || from || null
+  };
+}
+
+async function findSimilarImages({ region, topK }, { image }) {
+  const query = region
+    ? await cropRegion(image, region)
+    : { buffer: image.buffer, size: image.buffer.length, format: 'png', mimeType: 'image/png', extension: '.png', originalName: 'image.png', source: 'chat-tool' };
+  const { results } = await searchSimilar(query, { topK: Math.min(10, Math.max(1, Number(topK) || 5)) });
+  return {
+    results: results.map(({ id, score, imageUrl, metadata }) => ({
+      id,
+      score,
+      imageUrl,
+      caption: metadata.caption,
+      tags: (metadata.tags || []).slice(0, 10)
+    }))
+  };
+}
+
+/**
+ * Tool definitions in the chat completions format
+ * @param {string[]} names
+ */
+function getToolDefinitions(names) {
+  return names.map(name => ({
+    type: 'function',
+    function: {
+      name,
+      description: CHAT_TOOLS[name].description,
+      parameters: CHAT_TOOLS[name].parameters
+    }
+  }));
+}
+
+/**
+ * Run one tool call, capturing failures as tool results
+ * @returns {Promise<Object>} - Transcript entry
+ */
+async function executeToolCall(call, context) {
+  const started = Date.now();
+  const entry = { id: call.id, name: call.function.name, arguments: null, status: 'ok' };
+
+  try {
+    const tool = context.tools.includes(entry.name) ? CHAT_TOOLS[entry.name] : null;
+    if (!tool) {
+      throw new ChatToolError(`Tool ${entry.name} is not available`);
+    }
+    try {
+      entry.arguments = JSON.parse(call.function.arguments || '{}');
+    } catch (error) {
+      throw new ChatToolError('Tool arguments must be a JSON object');
+    }
+    entry.result = await tool.run(entry.arguments, context);
+  } catch (error) {
+    logger.warn('Chat tool call failed', { tool: entry.name, message: error.message });
+    entry.status = 'error';
+    entry.error = error.message;
+  }
+
+  entry.durationMs = Date.now() - started;
+  return entry;
+}
+
+/**
+ * Non-streamed completion round
+ */
+async function completeRound(openai, params, signal) {
+  const response = await openai.chat.completions.create({ ...params, stream: false }, { signal });
+  const choice = response.choices[0] || {};
+  return { message: choice.message || {}, finishReason: choice.finish_reason || null, usage: response.usage };
+}
+
+/**
+ * Streamed completion round: content deltas are forwarded as they arrive
+ * and tool call fragments are joined by index
+ */
+async function streamRound(openai, params, signal, onToken) {
+  const stream = await openai.chat.completions.create({
+    ...params,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  const toolCalls = [];
+
+  for await (const chunk of stream) {
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+    const choice = chunk.choices?.[0];
+    if (!choice) {
+      continue;
+    }
+    if (choice.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+    if (choice.delta?.content) {
+      content += choice.delta.content;
+      onToken(choice.delta.content);
+    }
+    (choice.delta?.tool_calls || []).forEach(fragment => {
+      const call = toolCalls[fragment.index] || (toolCalls[fragment.index] = { id: null, type: 'function', function: { name: '', arguments: '' } });
+      if (fragment.id) call.id = fragment.id;
+      if (fragment.function?.name) call.function.name += fragment.function.name;
+      if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+    });
+  }
+
+  return {
+    message: { content, ...(toolCalls.length > 0 && { tool_calls: toolCalls.filter(Boolean) }) },
+    finishReason,
+    usage
+  };
+}
+
+/**
+ * Add token usage counts
+ */
+function addUsage(total, usage) {
+  if (!usage) {
+    return total;
+  }
+  return {
+    prompt_tokens: (total?.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+    completion_tokens: (total?.completion_tokens || 0) + (usage.completion_tokens || 0),
+    total_tokens: (total?.total_tokens || 0) + (usage.total_tokens || 0)
+  };
+}
+
+/**
+ * System message describing the tools and the region coordinate space
+ */
+function buildToolPrompt(tools, imageContext) {
+  const lines = [`You can call these tools when the analysis is not enough to answer: ${tools.join(', ')}.`];
+  if (imageContext) {
+    lines.push(`Regions are pixel rectangles of the analyzed image, which is ${imageContext.space.width}x${imageContext.space.height}; ` +
+      'bounding boxes in the analysis use the same coordinates.');
+  }
+  lines.push('Only call a tool when it helps answer the question, and use what the tools return in your answer.');
+  return lines.join(' ');
+}
+
+/**
+ * Answer a chat question with function calling. The model may call the
+ * selected tools; results are fed back until it answers or the per-turn
+ * call limit is reached, after which it must answer with what it has.
+ * @param {Object} params
+ * @param {Object} params.openai - Azure OpenAI client
+ * @param {Object} params.request - Chat completion request (messages, max_tokens, temperature)
+ * @param {string[]} params.tools - Selected tool names
+ * @param {{url: string}|null} params.image - Image attached to the question
+ * @param {Object} params.analysisResults
+ * @param {AbortSignal} [params.signal]
+ * @param {Function} [params.onToken] - Streams answer content when given
+ * @param {Function} [params.onToolCall] - Called with each transcript entry
+ * @returns {Promise<{answer: string, finishReason: string|null, usage: Object|null, toolCalls: Array}>}
+ */
+async function runChatAgent({ openai, request, tools, image, analysisResults, signal, onToken, onToolCall }) {
+  const imageContext = image ? await createImageContext(image, analysisResults) : null;
+  const available = tools.filter(name => imageContext || !CHAT_TOOLS[name].needsImage);
+  const maxCalls = azureConfig.chatTools.maxCallsPerTurn;
+  const context = { tools: available, image: imageContext };
+
+  const [systemMessage, ...rest] = request.messages;
+  const messages = available.length > 0
+    ? [systemMessage, { role: 'system', content: buildToolPrompt(available, imageContext) }, ...rest]
+    : [...request.messages];
+  const transcript = [];
+  let usage = null;
+
+  for (;;) {
+    const limitReached = transcript.length >= maxCalls;
+    const params = {
+      ...request,
+      messages,
+      ...(available.length > 0 && {
+        tools: getToolDefinitions(available),
+        tool_choice: limitReached ? 'none' : 'auto'
+      })
+    };
+
+    const round = onToken
+      ? await streamRound(openai, params, signal, onToken)
+      : await completeRound(openai, params, signal);
+    usage = addUsage(usage, round.usage);
+
+    const calls = round.message.tool_calls || [];
+    if (calls.length === 0 || limitReached) {
+      return { answer: round.message.content || '', finishReason: round.finishReason, usage, toolCalls: transcript };
+    }
+
+    messages.push({ role: 'assistant', content: round.message.content || null, tool_calls: calls });
+    for (const call of calls) {
+      const entry = transcript.length < maxCalls
+        ? await executeToolCall(call, context)
+        : { id: call.id, name: call.function.name, arguments: null, status: 'skipped', error: `Limit of ${maxCalls} tool calls per question reached`, durationMs: 0 };
+      transcript.push(entry);
+      if (onToolCall) {
+        onToolCall(entry);
+      }
+      messages.push({
+        role: 'tool',
+        tool_call_id: call.id,
+        content: JSON.stringify(entry.status === 'ok' ? entry.result : { error: entry.error })
+      });
+    }
+
+    logger.info('Chat tool calls completed', { calls: calls.map(call => call.function.name), total: transcript.length });
+  }
+}
+
+module.exports = {
+  CHAT_TOOLS,
+  ChatToolError,
+  parseToolSelection,
+  cropRegion,
+  runChatAgent
+};
@@ -0,0 +1,190 @@
+const sharp = require('sharp');
+
+process.env.CHAT_TOOL_MAX_CALLS = '2';
+
+const { getAzureClients } = require('../config/azure');
+const { CHAT_TOOLS, ChatToolError, parseToolSelection, cropRegion, runChatAgent } = require('./chatAgentService');
+
+jest.mock('../utils/logger');
+
+/**
+ * Red left half, blue right half
+ */
+function drawHalves(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: '#ff0000' } })
+    .composite([{ input: { create: { width: width / 2, height, channels: 3, background: '#0000ff' } }, left: width / 2, top: 0 }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Non-streamed completion
+ */
+const completion = (message, usage = { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 }) => ({
+  choices: [{ message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+  usage
+});
+
+/**
+ * Tool call in the chat completions format
+ */
+const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+
+const request = {
+  messages: [{ role: 'system', content: 'You answer questions about an image.' }, { role: 'user', content: 'What does it say?' }],
+  max_tokens: 100,
+  temperature: 0.2
+};
+
+describe('parseToolSelection', () => {
+  it('selects every tool, or the named tools once each', () => {
+    expect(parseToolSelection(true)).toEqual(Object.keys(CHAT_TOOLS));
+    expect(parseToolSelection(' translate_text,translate_text ')).toEqual(['translate_text']);
+    expect(parseToolSelection(undefined)).toEqual([]);
+    expect(parseToolSelection('false')).toEqual([]);
+  });
+
+  it('rejects unknown tools', () => {
+    expect(() => parseToolSelection(['translate_text', 'delete_image'])).toThrow(ChatToolError);
+    expect(() => parseToolSelection('delete_image')).toThrow(/^Unknown tools: delete_image\. Available: read_text_in_region/);
+  });
+});
+
+describe('cropRegion', () => {
+  let imageContext;
+
+  beforeAll(async () => {
+    // A 200x100 copy of the 400x200 image the analysis coordinates refer to
+    imageContext = { buffer: await drawHalves(200, 100), width: 200, height: 100, space: { width: 400, height: 200 } };
+  });
+
+  it.each([
+    [{ x: 'left', y: 0, w: 10, h: 10 }],
+    [{ x: 0, y: 0, w: 0, h: 10 }],
+    [{ x: 0, y: 0, w: 10 }],
+    [null]
+  ])('rejects the invalid region %j', async region => {
+    const error = await cropRegion(imageContext, region).catch(e => e);
+
+    expect(error).toBeInstanceOf(ChatToolError);
+    expect(error).toMatchObject({ status: 400, message: 'region must have numeric x, y and positive w, h' });
+  });
+
+  it('maps analysis coordinates to the image and enlarges small crops', async () => {
+    const crop = await cropRegion(imageContext, { x: 200, y: 0, w: 200, h: 200 });
+
+    expect(crop).toMatchObject({ format: 'png', mimeType: 'image/png', size: crop.buffer.length });
+    expect(await sharp(crop.buffer).metadata()).toMatchObject({ width: 512, height: 512 });
+    const { dominant } = await sharp(crop.buffer).stats();
+    expect(dominant.b).toBeGreaterThan(200);
+    expect(dominant.r).toBeLessThan(50);
+  });
+});
+
+describe('runChatAgent', () => {
+  let create;
+
+  beforeEach(() => {
+    create = jest.fn();
+    const post = jest.fn(async ({ body, queryParameters }) => ({
+      status: '200',
+      headers: {},
+      request: { method: 'POST', url: 'https://api.cognitive.microsofttranslator.com/translate' },
+      body: body.map(({ text }) => ({ translations: [{ text: text.toUpperCase(), to: queryParameters.to }], detectedLanguage: { language: 'fr', score: 0.9 } }))
+    }));
+    getAzureClients().translator = { path: () => ({ post }) };
+  });
+
+  afterAll(() => {
+    getAzureClients().translator = null;
+  });
+
+  it('only offers the image tools when the image is attached', async () => {
+    create.mockResolvedValueOnce(completion({ content: 'It says EXIT.' }));
+
+    const result = await runChatAgent({ openai: { chat: { completions: { create } } }, request, tools: Object.keys(CHAT_TOOLS), image: null, analysisResults: {} });
+
+    expect(result).toEqual({ answer: 'It says EXIT.', finishReason: 'stop', usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 }, toolCalls: [] });
+    const params = create.mock.calls[0][0];
+    expect(params.tools.map(tool => tool.function.name)).toEqual(['translate_text']);
+    expect(params.tool_choice).toBe('auto');
+    expect(params.messages[1].content).toMatch(/^You can call these tools when the analysis is not enough to answer: translate_text\./);
+  });
+
+  it('skips calls past the per-question limit, then makes the model answer', async () => {
+    create
+      .mockResolvedValueOnce(completion({
+        content: null,
+        tool_calls: [
+          toolCall('call_1', 'translate_text', { text: 'sortie', to: 'en' }),
+          toolCall('call_2', 'translate_text', { text: 'entrée', to: 'en' }),
+          toolCall('call_3', 'translate_text', { text: 'caisse', to: 'en' })
+        ]
+      }))
+      .mockResolvedValueOnce(completion({ content: 'Exit and entrance.', tool_calls: [toolCall('call_4', 'translate_text', { text: 'x', to: 'en' })] }));
+
+    const result = await runChatAgent({ openai: { chat: { completions: { create } } }, request, tools: ['translate_text'], image: null, analysisResults: {} });
+
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls[1][0].tool_choice).toBe('none');
+    expect(result.answer).toBe('Exit and entrance.');
+    expect(result.usage).toEqual({ prompt_tokens: 20, completion_tokens: 4, total_tokens: 24 });
+    expect(result.toolCalls.map(({ id, status }) => [id, status])).toEqual([['call_1', 'ok'], ['call_2', 'ok'], ['call_3', 'skipped']]);
+    expect(result.toolCalls[0]).toMatchObject({ name: 'translate_text', arguments: { text: 'sortie', to: 'en' }, result: { translation: 'SORTIE', detectedLanguage: 'fr' } });
+    expect(result.toolCalls[2].error).toBe('Limit of 2 tool calls per question reached');
+
+    const toolMessages = create.mock.calls[1][0].messages.filter(message => message.role === 'tool');
+    expect(toolMessages.map(message => [message.tool_call_id, JSON.parse(message.content)])).toEqual([
+      ['call_1', { translation: 'SORTIE', detectedLanguage: 'fr' }],
+      ['call_2', { translation: 'ENTRÉE', detectedLanguage: 'fr' }],
+      ['call_3', { error: 'Limit of 2 tool calls per question reached' }]
+    ]);
+  });
+
+  it('returns invalid regions and unavailable tools to the model as errors', async () => {
+    const image = { url: `data:image/png;base64,${(await drawHalves(200, 100)).toString('base64')}`, detail: 'high' };
+    create
+      .mockResolvedValueOnce(completion({
+        content: null,
+        tool_calls: [
+          toolCall('call_1', 'analyze_region', { region: { x: 0, y: 0, w: -5, h: 10 } }),
+          toolCall('call_2', 'find_similar_images', {})
+        ]
+      }))
+      .mockResolvedValueOnce(completion({ content: 'I could not zoom in.' }));
+
+    const result = await runChatAgent({ openai: { chat: { completions: { create } } }, request, tools: ['analyze_region'], image, analysisResults: {} });
+
+    expect(result.answer).toBe('I could not zoom in.');
+    expect(result.toolCalls).toEqual([
+      expect.objectContaining({ name: 'analyze_region', status: 'error', error: 'region must have numeric x, y and positive w, h' }),
+      expect.objectContaining({ name: 'find_similar_images', status: 'error', error: 'Tool find_similar_images is not available' })
+    ]);
+    expect(create.mock.calls[0][0].messages[1].content).toContain('which is 200x100');
+  });
+
+  it('joins streamed tool call fragments and forwards tokens and calls', async () => {
+    const stream = chunks => async () => (async function* () {
+      yield* chunks;
+    })();
+    create
+      .mockImplementationOnce(stream([
+        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'translate_', arguments: '{"text": "sor' } }] } }] },
+        { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'text', arguments: 'tie", "to": "en"}' } }] }, finish_reason: 'tool_calls' }] },
+        { choices: [], usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } }
+      ]))
+      .mockImplementationOnce(stream([
+        { choices: [{ delta: { content: 'It says ' } }] },
+        { choices: [{ delta: { content: 'EXIT.' }, finish_reason: 'stop' }] }
+      ]));
+    const onToken = jest.fn();
+    const onToolCall = jest.fn();
+
+    const result = await runChatAgent({ openai: { chat: { completions: { create } } }, request, tools: ['translate_text'], image: null, analysisResults: {}, onToken, onToolCall });
+
+    expect(create.mock.calls[0][0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(onToolCall).toHaveBeenCalledWith(expect.objectContaining({ id: 'call_1', name: 'translate_text', arguments: { text: 'sortie', to: 'en' }, status: 'ok' }));
+    expect(onToken.mock.calls.map(([content]) => content)).toEqual(['It says ', 'EXIT.']);
+    expect(result).toMatchObject({ answer: 'It says EXIT.', finishReason: 'stop', usage: { total_tokens: 15 } });
+  });
+});
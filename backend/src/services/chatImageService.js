@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { MemoryCacheStore } = require('./analysisCache');
+const { ImagePreprocessingError, preprocessImage } = require('./imagePreprocessor');
+const { ModerationError, screenImage } = require('./moderationService');
+const { downloadImageByBlobId } = require('./storageService');
+const { detectImageFormat } = require('../utils/imageFormat');
+
+const IMAGE_DETAILS = ['low', 'high', 'auto'];
+
+// Questions about small or fine-grained content need the high-resolution tiles
+const HIGH_DETAIL_PATTERN = /\b(read|reads|text|say|says|written|writing|word|words|sign|signs|label|labels|number|numbers|digits?|plate|brand|logo|small|tiny|detail|details|behind|background|corner|exact|exactly|count|how many|colou?rs?|wearing|holding)\b/i;
+// Questions about the whole picture are answered from the low-resolution overview
+const LOW_DETAIL_PATTERN = /\b(describe|description|overall|mood|feel|feeling|atmosphere|vibe|story|style|summar\w*|main subject|scene|setting|composition)\b/i;
+
+/**
+ * Error raised when an attached chat image is invalid
+ */
+class ChatImageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChatImageError';
+    this.status = status;
+  }
+}
+
+// Prepared images by session or blob, so later turns skip download, screening and preprocessing
+const imageCache = new MemoryCacheStore(azureConfig.chatImages.cacheEntries);
+
+/**
+ * Pick the GPT-4o image detail level for a question: high for text,
+ * counts, colours and small or background details, low for questions
+ * about the picture as a whole, auto otherwise
+ * @param {string} question
+ * @param {string} [requested] - Explicit 'low', 'high' or 'auto'
+ * @returns {string}
+ */
+function chooseImageDetail(question, requested) {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    if (!IMAGE_DETAILS.includes(requested)) {
+      throw new ChatImageError(`imageDetail must be one of: ${IMAGE_DETAILS.join(', ')}`);
+    }
+    return requested;
+  }
+  if (HIGH_DETAIL_PATTERN.test(question)) {
+    return 'high';
+  }
+  if (LOW_DETAIL_PATTERN.test(question)) {
+    return 'low';
+  }
+  return 'auto';
+}
+
+/**
+ * Blob name of a URL in the images container, or null for any other URL
+ * @param {string} url - Stored image URL from an analysis result
+ * @returns {string|null}
+ */
+function getStoredBlobId(url) {
+  if (typeof url !== 'string') {
+    return null;
+  }
+  try {
+    const [, container, ...rest] = new URL(url).pathname.split('/');
+    const containerName = azureConfig.storage.containerName || 'images';
+    return container === containerName && rest.length === 1 && rest[0] ? decodeURIComponent(rest[0]) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Stored blob behind an analysis result (analyze uses imageUrl, enhanced uses blobUrl)
+ * @param {Object} analysisResults
+ * @returns {string|null}
+ */
+function getAnalysisBlobId(analysisResults) {
+  return getStoredBlobId(analysisResults?.imageUrl) || getStoredBlobId(analysisResults?.blobUrl);
+}
+
+/**
+ * Screen an image, then shrink and re-encode it for GPT-4o and build its data URL
+ * @param {Object} image - Normalized image
+ * @returns {Promise<{url: string, size: number, sha256: string, moderation: Object|null}>}
+ * @throws {ModerationError} - When the moderation policy blocks the image
+ */
+async function prepareImage(image) {
+  const moderation = await screenImage(image);
+  try {
+    const { image: prepared } = await preprocessImage(image, { provider: 'openai' });
+    return {
+      url: `data:${prepared.mimeType};base64,${prepared.buffer.toString('base64')}`,
+      size: prepared.size,
+      sha256: crypto.createHash('sha256').update(image.buffer).digest('hex'),
+      moderation: moderation.decision === 'warn' ? moderation : null
+    };
+  } catch (error) {
+    if (error instanceof ImagePreprocessingError) {
+      throw new ChatImageError(error.message, error.status === 422 ? 400 : error.status);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Download a stored image and prepare it
+ * @param {string} blobId
+ * @returns {Promise<Object>}
+ */
+async function loadStoredImage(blobId) {
+  const { buffer, metadata } = await downloadImageByBlobId(blobId);
+  const detected = detectImageFormat(buffer);
+  if (!detected) {
+    throw new ChatImageError(`Stored image ${blobId} is not a supported image`, 415);
+  }
+  return prepareImage({
+    buffer,
+    size: buffer.length,
+    format: detected.format,
+    mimeType: detected.mimeType,
+    extension: detected.extension,
+    originalName: metadata.originalName || blobId,
+    source: 'blob'
+  });
+}
+
+/**
+ * Find the image a chat question is about. In order: an inline image or
+ * blobId sent with the question, the image cached for the session, the
+ * session's stored blob, then the blob the analysis was stored as.
+ * Images are screened by the moderation policy when first prepared.
+ * Failures to fetch a stored image are logged and the question is
+ * answered from the analysis alone; blocked images are refused.
+ * @param {Object} params
+ * @param {Object} [params.inlineImage] - Normalized image sent with the question
+ * @param {string} [params.blobId] - Stored image sent with the question
+ * @param {Object} params.analysisResults
+ * @param {Object} [params.session] - Chat session record
+ * @returns {Promise<{image: Object|null, reference: Object|null, cached: boolean, error?: string}>}
+ *   image holds the data URL; reference is what a session should remember
+ */
+async function resolveChatImage({ inlineImage, blobId, analysisResults, session }) {
+  const sessionKey = session ? `session:${session.id}` : null;
+
+  if (inlineImage) {
+    const image = await prepareImage(inlineImage);
+    if (sessionKey) {
+      await imageCache.set(sessionKey, image);
+    }
+    return { image, reference: { source: 'inline', sha256: image.sha256 }, cached: false };
+  }
+
+  const storedBlobId = blobId ||
+    (session?.image?.source === 'blob' ? session.image.blobId : null) ||
+    getAnalysisBlobId(analysisResults);
+
+  if (sessionKey && !blobId) {
+    const cached = await imageCache.get(sessionKey);
+    if (cached) {
+      return { image: cached, reference: session.image || null, cached: true };
+    }
+  }
+
+  if (!storedBlobId) {
+    // Inline session images live only in the cache
+    const error = session?.image?.source === 'inline' ? 'The session image is no longer cached; send it again' : undefined;
+    return { image: null, reference: session?.image || null, cached: false, ...(error && { error }) };
+  }
+
+  const blobKey = `blob:${storedBlobId}`;
+  try {
+    let image = await imageCache.get(blobKey);
+    const cached = Boolean(image);
+    if (!image) {
+      image = await loadStoredImage(storedBlobId);
+      await imageCache.set(blobKey, image);
+    }
+    if (sessionKey) {
+      await imageCache.set(sessionKey, image);
+    }
+    return { image, reference: { source: 'blob', blobId: storedBlobId }, cached };
+  } catch (error) {
+    // An explicitly requested image must exist; otherwise fall back to text only
+    if (error instanceof ModerationError) {
+      throw error;
+    }
+    if (blobId) {
+      throw error instanceof ChatImageError ? error : new ChatImageError(error.message, error.status || 502);
+    }
+    logger.warn('Stored image unavailable for chat, answering from the analysis', { blobId: storedBlobId, message: error.message });
+    return { image: null, reference: null, cached: false, error: 'The stored image could not be loaded' };
+  }
+}
+
+/**
+ * Drop a session's cached image
+ * @param {string} sessionId
+ */
+async function forgetSessionImage(sessionId) {
+  await imageCache.delete(`session:${sessionId}`);
+}
+
+module.exports = {
+  IMAGE_DETAILS,
+  ChatImageError,
+  chooseImageDetail,
+  getStoredBlobId,
+  resolveChatImage,
+  forgetSessionImage
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+process.env.MODERATION_PROVIDER = 'none';
+
+const { ChatImageError, chooseImageDetail, getStoredBlobId, resolveChatImage, forgetSessionImage } = require('./chatImageService');
+const { ModerationError, LocalSafetyClassifier, setClassifier } = require('./moderationService');
+
+jest.mock('../utils/logger');
+
+describe('chooseImageDetail', () => {
+  it('uses high detail for text, counts and small details, low for the overall picture', () => {
+    expect(chooseImageDetail('What does the sign behind the car say?')).toBe('high');
+    expect(chooseImageDetail('How many birds are there?')).toBe('high');
+    expect(chooseImageDetail('Describe the mood of this scene')).toBe('low');
+    expect(chooseImageDetail('Is this in Paris?')).toBe('auto');
+  });
+
+  it('honours an explicit detail and rejects unknown ones', () => {
+    expect(chooseImageDetail('Describe it', 'high')).toBe('high');
+    expect(() => chooseImageDetail('Describe it', 'ultra')).toThrow(ChatImageError);
+  });
+});
+
+describe('getStoredBlobId', () => {
+  it('reads blob names from URLs in the images container only', () => {
+    expect(getStoredBlobId('https://account.blob.core.windows.net/images/cat%20photo.png')).toBe('cat photo.png');
+    expect(getStoredBlobId('https://account.blob.core.windows.net/other/cat.png')).toBeNull();
+    expect(getStoredBlobId('https://account.blob.core.windows.net/images/a/b.png')).toBeNull();
+    expect(getStoredBlobId('not a url')).toBeNull();
+  });
+});
+
+describe('resolveChatImage', () => {
+  let image;
+
+  beforeAll(async () => {
+    const buffer = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#c04020' } }).png().toBuffer();
+    image = { buffer, size: buffer.length, format: 'png', mimeType: 'image/png', extension: '.png', originalName: null };
+  });
+
+  afterEach(() => {
+    setClassifier(undefined);
+  });
+
+  it('prepares an inline image and reuses it for later turns of the session', async () => {
+    const session = { id: 'session-inline' };
+
+    const first = await resolveChatImage({ inlineImage: image, analysisResults: {}, session });
+    const second = await resolveChatImage({ analysisResults: {}, session: { ...session, image: first.reference } });
+
+    expect(first.image.url).toMatch(/^data:image\/\w+;base64,/);
+    expect(first.reference).toEqual({ source: 'inline', sha256: crypto.createHash('sha256').update(image.buffer).digest('hex') });
+    expect(first.cached).toBe(false);
+    expect(second).toMatchObject({ image: first.image, reference: first.reference, cached: true });
+  });
+
+  it('asks for the image again once an inline session image is forgotten', async () => {
+    const session = { id: 'session-forgotten' };
+    const { reference } = await resolveChatImage({ inlineImage: image, analysisResults: {}, session });
+    await forgetSessionImage(session.id);
+
+    const result = await resolveChatImage({ analysisResults: {}, session: { ...session, image: reference } });
+
+    expect(result).toEqual({ image: null, reference, cached: false, error: 'The session image is no longer cached; send it again' });
+  });
+
+  it('screens attached images and refuses blocked ones', async () => {
+    const sha256 = crypto.createHash('sha256').update(image.buffer).digest('hex');
+    setClassifier(new LocalSafetyClassifier({ images: [{ sha256, category: 'Violence', severity: 6 }] }));
+
+    const error = await resolveChatImage({ inlineImage: image, analysisResults: {} }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ModerationError);
+    expect(error.categories).toEqual([{ category: 'Violence', severity: 6, action: 'block' }]);
+  });
+
+  it('answers from the analysis when its stored image cannot be loaded', async () => {
+    const analysisResults = { imageUrl: 'https://account.blob.core.windows.net/images/cat.png' };
+
+    const result = await resolveChatImage({ analysisResults });
+
+    expect(result).toEqual({ image: null, reference: null, cached: false, error: 'The stored image could not be loaded' });
+  });
+
+  it('fails when an explicitly requested blob cannot be loaded', async () => {
+    const error = await resolveChatImage({ blobId: 'cat.png', analysisResults: {} }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ChatImageError);
+    expect(error.status).toBe(503);
+  });
+});
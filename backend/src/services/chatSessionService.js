@@ -0,0 +1,414 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { getAnalysisCache } = require('./analysisCache');
+const { getJobQueue } = require('./jobQueue');
+
+// GPT-4o averages about four characters of English per token
+const CHARS_PER_TOKEN = 4;
+// Role and separator tokens the chat format adds to every message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const SESSION_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+const SUMMARY_PROMPT = 'You condense conversations about an image. Summarize the conversation so far in a few sentences. ' +
+  'Keep what was learned about the image, what the user asked and any preferences needed to continue the conversation. ' +
+  'Reply with the summary only.';
+
+/**
+ * Error raised for unknown sessions and invalid session requests
+ */
+class ChatSessionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChatSessionError';
+    this.status = status;
+  }
+}
+
+/**
+ * In-memory session store.
+ * Any object implementing get/save/delete/deleteExpired can replace it.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(id) {
+    const session = this.sessions.get(id);
+    return session ? structuredClone(session) : null;
+  }
+
+  async save(session) {
+    this.sessions.set(session.id, structuredClone(session));
+    return session;
+  }
+
+  async delete(id) {
+    return this.sessions.delete(id);
+  }
+
+  async deleteExpired(cutoffIso) {
+    let removed = 0;
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt < cutoffIso) {
+        this.sessions.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Persistent session store with one JSON file per session
+ */
+class FileSessionStore {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async get(id) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read chat session', { sessionId: id, message: error.message });
+      }
+      return null;
+    }
+  }
+
+  async save(session) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const temporary = `${this.filePath(session.id)}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(session));
+    await fs.rename(temporary, this.filePath(session.id));
+    return session;
+  }
+
+  async delete(id) {
+    try {
+      await fs.unlink(this.filePath(id));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async deleteExpired(cutoffIso) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      return 0;
+    }
+    let removed = 0;
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      const session = await this.get(path.basename(file, '.json'));
+      if (session && session.expiresAt < cutoffIso && await this.delete(session.id)) {
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Rough token count of a text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Rough token count of chat messages
+ * @param {Array<{content: string}>} messages
+ * @returns {number}
+ */
+function estimateMessageTokens(messages) {
+  return messages.reduce((sum, message) => sum + estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * Ask the model for a running summary of older turns
+ * @param {Object} openai - Azure OpenAI client
+ * @param {string|null} previousSummary - Summary of turns folded earlier
+ * @param {Array} messages - Turns to fold into the summary
+ * @param {number} maxTokens
+ * @returns {Promise<{summary: string, usage: Object}>}
+ */
+async function summarizeMessages(openai, previousSummary, messages, maxTokens) {
+  const transcript = messages
+    .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+    .join('\n');
+
+  const response = await openai.chat.completions.create({
+    messages: [
+      { role: 'system', content: SUMMARY_PROMPT },
+      {
+        role: 'user',
+        content: `${previousSummary ? `Earlier summary:\n${previousSummary}\n\n` : ''}Conversation:\n${transcript}`
+      }
+    ],
+    max_tokens: maxTokens,
+    temperature: 0.2
+  });
+
+  const summary = response.choices[0]?.message?.content?.trim();
+  if (!summary) {
+    throw new Error('No summary received from OpenAI');
+  }
+  return { summary, usage: response.usage };
+}
+
+/**
+ * Add token usage counts
+ */
+function addUsage(total, usage) {
+  if (!usage) {
+    return total;
+  }
+  return {
+    prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+    completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+    total_tokens: total.total_tokens + (usage.total_tokens || 0)
+  };
+}
+
+/**
+ * Server-side chat sessions. A session holds the analysis it discusses
+ * and the conversation so far. Before each question the history is kept
+ * within a token budget by folding the oldest turns into a running summary.
+ */
+class ChatSessionManager {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - Session store, defaults to the CHAT_SESSION_STORE one
+   * @param {number} [options.ttlMs] - Lifetime since last use
+   * @param {number} [options.historyTokenBudget] - Summary plus history tokens per question
+   * @param {number} [options.keepRecentMessages] - Messages never summarized
+   * @param {number} [options.summaryMaxTokens]
+   */
+  constructor(options = {}) {
+    const config = azureConfig.chatSessions;
+    this.store = options.store || (config.store === 'file' ? new FileSessionStore(config.directory) : new MemorySessionStore());
+    this.ttlMs = options.ttlMs ?? config.ttlMs;
+    this.historyTokenBudget = options.historyTokenBudget ?? config.historyTokenBudget;
+    this.keepRecentMessages = options.keepRecentMessages ?? config.keepRecentMessages;
+    this.summaryMaxTokens = options.summaryMaxTokens ?? config.summaryMaxTokens;
+
+    this.pruneTimer = setInterval(() => this.pruneExpired(), Math.min(this.ttlMs, 60 * 60 * 1000));
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Find a stored analysis result: a succeeded job or a cached analysis
+   * @param {string} analysisId - Job ID or analysis ID (X-Analysis-Id)
+   * @returns {Promise<Object>}
+   */
+  async resolveAnalysis(analysisId) {
+    const job = await getJobQueue().getJob(analysisId);
+    if (job) {
+      if (job.status !== 'succeeded') {
+        throw new ChatSessionError(`Analysis job ${analysisId} is ${job.status}`, 409);
+      }
+      return job.result;
+    }
+
+    const cached = await getAnalysisCache().get(analysisId);
+    if (!cached) {
+      throw new ChatSessionError(`No analysis with ID ${analysisId}; it may have expired`, 404);
+    }
+    return cached;
+  }
+
+  /**
+   * Start a session about an analysis
+   * @param {Object} params
+   * @param {string} [params.analysisId] - Job ID or analysis ID
+   * @param {Object} [params.analysisResults] - Analysis result, when there is no ID to look up
+   * @returns {Promise<Object>} - Session record
+   */
+  async create({ analysisId, analysisResults } = {}) {
+    if (analysisId !== undefined && typeof analysisId !== 'string') {
+      throw new ChatSessionError('analysisId must be a string');
+    }
+    if (!analysisId && (!analysisResults || typeof analysisResults !== 'object')) {
+      throw new ChatSessionError('Missing required field: analysisId or analysisResults');
+    }
+
+    const now = new Date();
+    const session = {
+      id: crypto.randomUUID(),
+      analysisId: analysisId || null,
+      analysisResults: analysisId ? await this.resolveAnalysis(analysisId) : analysisResults,
+      image: null,
+      summary: null,
+      summarizedMessages: 0,
+      messages: [],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlMs).toISOString()
+    };
+
+    await this.store.save(session);
+    logger.info('Chat session created', { sessionId: session.id, analysisId: session.analysisId });
+    return session;
+  }
+
+  /**
+   * Get a session that has not expired
+   * @param {string} id - Session ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    if (!SESSION_ID_PATTERN.test(String(id))) {
+      return null;
+    }
+    const session = await this.store.get(id);
+    if (session && session.expiresAt < new Date().toISOString()) {
+      await this.store.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Delete a session
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>} - Whether a session was removed
+   */
+  async delete(id) {
+    return SESSION_ID_PATTERN.test(String(id)) && this.store.delete(id);
+  }
+
+  /**
+   * Keep the summary and history within the token budget before a new
+   * question. The oldest turns are folded into the summary; the most recent
+   * messages are kept verbatim. When summarization fails the folded turns
+   * are dropped so the budget still holds.
+   * @param {Object} session - Session record
+   * @param {string} question - Upcoming question
+   * @param {Object} openai - Azure OpenAI client used for summaries
+   * @returns {Promise<Object>} - Updated session record
+   */
+  async fitHistory(session, question, openai) {
+    const budget = this.historyTokenBudget - estimateTokens(question);
+    const { messages } = session;
+    if (estimateTokens(session.summary) + estimateMessageTokens(messages) <= budget) {
+      return session;
+    }
+
+    // Leave room for the summary, then start the kept history at a question
+    let split = Math.max(0, messages.length - this.keepRecentMessages);
+    while (split < messages.length && estimateMessageTokens(messages.slice(split)) + this.summaryMaxTokens > budget) {
+      split++;
+    }
+    while (split < messages.length && messages[split].role !== 'user') {
+      split++;
+    }
+    if (split === 0) {
+      return session;
+    }
+
+    const folded = messages.slice(0, split);
+    let { summary, usage } = session;
+    try {
+      const result = await summarizeMessages(openai, session.summary, folded, this.summaryMaxTokens);
+      summary = result.summary;
+      usage = addUsage(usage, result.usage);
+    } catch (error) {
+      logger.warn('Failed to summarize chat history, dropping oldest turns', { sessionId: session.id, message: error.message });
+    }
+
+    const updated = {
+      ...session,
+      summary,
+      summarizedMessages: session.summarizedMessages + folded.length,
+      messages: messages.slice(split),
+      usage
+    };
+    await this.store.save(updated);
+
+    logger.info('Chat history summarized', {
+      sessionId: session.id,
+      foldedMessages: folded.length,
+      keptMessages: updated.messages.length
+    });
+    return updated;
+  }
+
+  /**
+   * Append a question and its answer
+   * @param {Object} session - Session record
+   * @param {Object} turn
+   * @param {string} turn.question
+   * @param {string} turn.answer
+   * @param {Object} [turn.usage] - Token usage of the answer
+   * @returns {Promise<Object>} - Updated session record
+   */
+  async recordTurn(session, { question, answer, usage }) {
+    const now = new Date();
+    const updated = {
+      ...session,
+      messages: [
+        ...session.messages,
+        { role: 'user', content: question, timestamp: now.toISOString() },
+        { role: 'assistant', content: answer, timestamp: now.toISOString() }
+      ],
+      usage: addUsage(session.usage, usage),
+      updatedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.ttlMs).toISOString()
+    };
+    await this.store.save(updated);
+    return updated;
+  }
+
+  /**
+   * Remove sessions past their expiry
+   */
+  async pruneExpired() {
+    try {
+      const removed = await this.store.deleteExpired(new Date().toISOString());
+      if (removed > 0) {
+        logger.info('Pruned expired chat sessions', { removed });
+      }
+    } catch (error) {
+      logger.warn('Failed to prune chat sessions', { message: error.message });
+    }
+  }
+}
+
+let defaultManager = null;
+
+/**
+ * Get the shared chat session manager
+ * @returns {ChatSessionManager}
+ */
+function getChatSessionManager() {
+  if (!defaultManager) {
+    defaultManager = new ChatSessionManager();
+  }
+  return defaultManager;
+}
+
+module.exports = {
+  ChatSessionError,
+  MemorySessionStore,
+  FileSessionStore,
+  ChatSessionManager,
+  estimateTokens,
+  estimateMessageTokens,
+  getChatSessionManager
+};
@@ -0,0 +1,129 @@
+const { ChatSessionError, MemorySessionStore, ChatSessionManager, estimateTokens, estimateMessageTokens } = require('./chatSessionService');
+
+jest.mock('../utils/logger');
+
+/**
+ * Question and answer messages of `turns` turns, 40 characters each
+ */
+function conversation(turns) {
+  return Array.from({ length: turns }, (_, index) => [
+    { role: 'user', content: `Question ${index}`.padEnd(40, '?') },
+    { role: 'assistant', content: `Answer ${index}`.padEnd(40, '.') }
+  ]).flat();
+}
+
+/**
+ * Azure OpenAI client answering summary requests
+ */
+function fakeOpenAI(create) {
+  return { chat: { completions: { create: jest.fn(create) } } };
+}
+
+describe('token estimates', () => {
+  it('counts four characters per token plus a per-message overhead', () => {
+    expect(estimateTokens('abcdefghi')).toBe(3);
+    expect(estimateTokens(null)).toBe(0);
+    expect(estimateMessageTokens(conversation(1))).toBe(28);
+  });
+});
+
+describe('ChatSessionManager', () => {
+  let store;
+  let manager;
+
+  beforeEach(() => {
+    store = new MemorySessionStore();
+    // 58 tokens for the summary and history once the 2-token question is counted
+    manager = new ChatSessionManager({ store, historyTokenBudget: 60, keepRecentMessages: 2, summaryMaxTokens: 10 });
+  });
+
+  afterEach(() => {
+    clearInterval(manager.pruneTimer);
+  });
+
+  const createSession = async messages => {
+    const session = await manager.create({ analysisResults: { caption: 'a cat' } });
+    return store.save({ ...session, messages });
+  };
+
+  it('leaves history within the budget untouched', async () => {
+    const openai = fakeOpenAI();
+    const session = await createSession(conversation(2));
+
+    expect(await manager.fitHistory(session, 'Next?', openai)).toBe(session);
+    expect(openai.chat.completions.create).not.toHaveBeenCalled();
+  });
+
+  it('folds the oldest turns into a running summary and keeps the recent ones', async () => {
+    const openai = fakeOpenAI(async () => ({
+      choices: [{ message: { content: ' The user asked about a cat. ' } }],
+      usage: { prompt_tokens: 50, completion_tokens: 8, total_tokens: 58 }
+    }));
+    const messages = conversation(3);
+    const session = await createSession(messages);
+
+    const updated = await manager.fitHistory(session, 'Next?', openai);
+
+    expect(updated).toMatchObject({
+      summary: 'The user asked about a cat.',
+      summarizedMessages: 4,
+      messages: messages.slice(4),
+      usage: { prompt_tokens: 50, completion_tokens: 8, total_tokens: 58 }
+    });
+    expect(await store.get(session.id)).toEqual(updated);
+    const [{ messages: prompt, max_tokens: maxTokens }] = openai.chat.completions.create.mock.calls[0];
+    expect(maxTokens).toBe(10);
+    expect(prompt[1].content).toBe(`Conversation:\n${messages.slice(0, 4).map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n')}`);
+  });
+
+  it('passes the earlier summary on and starts the kept history at a question', async () => {
+    const openai = fakeOpenAI(async () => ({ choices: [{ message: { content: 'Newer summary' } }] }));
+    // The last message alone is kept, but history must start at a user turn
+    manager.keepRecentMessages = 1;
+    const messages = conversation(3);
+    const session = await createSession(messages);
+
+    const updated = await manager.fitHistory({ ...session, summary: 'Old summary', summarizedMessages: 2 }, 'Next?', openai);
+
+    expect(openai.chat.completions.create.mock.calls[0][0].messages[1].content).toMatch(/^Earlier summary:\nOld summary\n\nConversation:\n/);
+    expect(updated).toMatchObject({ summary: 'Newer summary', summarizedMessages: 8, messages: [] });
+  });
+
+  it('drops the oldest turns when summarization fails', async () => {
+    const openai = fakeOpenAI(async () => {
+      throw new Error('Rate limited');
+    });
+    const messages = conversation(3);
+    const session = await createSession(messages);
+
+    const updated = await manager.fitHistory(session, 'Next?', openai);
+
+    expect(updated).toMatchObject({ summary: null, summarizedMessages: 4, messages: messages.slice(4) });
+    expect(updated.usage).toEqual(session.usage);
+  });
+
+  it('records turns with their usage and extends the expiry', async () => {
+    const session = await createSession([]);
+
+    const updated = await manager.recordTurn(session, { question: 'What is it?', answer: 'A cat.', usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 } });
+
+    expect(updated.messages.map(({ role, content }) => [role, content])).toEqual([['user', 'What is it?'], ['assistant', 'A cat.']]);
+    expect(updated.usage).toEqual({ prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 });
+    expect(updated.expiresAt >= session.expiresAt).toBe(true);
+    expect(await manager.get(session.id)).toEqual(updated);
+  });
+
+  it('forgets expired sessions and ignores malformed IDs', async () => {
+    const session = await createSession([]);
+    await store.save({ ...session, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    expect(await manager.get(session.id)).toBeNull();
+    expect(await store.get(session.id)).toBeNull();
+    expect(await manager.get('../secrets')).toBeNull();
+  });
+
+  it('needs an analysis to discuss', async () => {
+    await expect(manager.create({})).rejects.toThrow(ChatSessionError);
+    await expect(manager.create({ analysisId: 42 })).rejects.toThrow('analysisId must be a string');
+  });
+});
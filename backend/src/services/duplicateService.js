@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { computePerceptualHashes, hammingDistance } = require('../utils/perceptualHash');
+
+const INDEX_FORMAT_VERSION = 1;
+
+// Analysis types whose uploads are stored in blob storage and deduplicated
+const DEDUPE_TYPES = ['analyze', 'analyze-enhanced'];
+
+const MAX_HASH_DISTANCE = 64;
+
+/**
+ * Perceptual hashes of previously analyzed images, persisted to a JSON
+ * file. Entries are keyed by the SHA-256 of the ingested image and record
+ * the blob the image was stored as. Changes are written after a delay, so
+ * a burst of uploads costs one rewrite of the file rather than one each.
+ */
+class DuplicateIndex {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - Persistence file; memory only when null
+   * @param {number} [options.maxEntries] - Least recently seen entries are dropped beyond this
+   * @param {number} [options.saveDelayMs] - Delay before changes are written; 0 writes every change
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? azureConfig.duplicates.indexFile : options.filePath;
+    this.maxEntries = options.maxEntries ?? azureConfig.duplicates.maxEntries;
+    this.saveDelayMs = options.saveDelayMs ?? azureConfig.duplicates.saveDelayMs;
+    this.entries = new Map();
+    this.loading = null;
+    this.writing = Promise.resolve();
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load the persisted entries once
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.readFile();
+    }
+    return this.loading;
+  }
+
+  async readFile() {
+    if (!this.filePath) {
+      return;
+    }
+    try {
+      const stored = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      (stored.entries || []).forEach(entry => this.entries.set(entry.id, entry));
+      logger.info('Duplicate index loaded', { filePath: this.filePath, entries: this.entries.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load duplicate index, starting empty', { filePath: this.filePath, message: error.message });
+      }
+    }
+  }
+
+  /**
+   * Write the index, one write at a time, replacing the file atomically
+   */
+  async save() {
+    if (!this.filePath) {
+      return;
+    }
+    this.writing = this.writing.then(async () => {
+      const temporary = `${this.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(temporary, JSON.stringify({ version: INDEX_FORMAT_VERSION, entries: [...this.entries.values()] }));
+      await fs.rename(temporary, this.filePath);
+    }).catch(error => {
+      logger.error('Failed to persist duplicate index', { filePath: this.filePath, message: error.message });
+    });
+    return this.writing;
+  }
+
+  /**
+   * Write the index once saveDelayMs has passed since the first unsaved change
+   */
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) {
+      return;
+    }
+    if (this.saveDelayMs <= 0) {
+      this.save();
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write pending changes now (on shutdown)
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save();
+    }
+    return this.writing;
+  }
+
+  async get(id) {
+    await this.load();
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Add or replace an entry
+   * @param {Object} entry - { id, pHash, dHash, blobUrl, redaction, firstSeenAt, lastSeenAt, uploads }
+   */
+  async upsert(entry) {
+    await this.load();
+    // Re-insert so insertion order tracks recency for eviction
+    this.entries.delete(entry.id);
+    this.entries.set(entry.id, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.scheduleSave();
+  }
+
+  async delete(entryId) {
+    await this.load();
+    const removed = this.entries.delete(entryId);
+    if (removed) {
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  /**
+   * Closest entry whose pHash and dHash are both within the threshold
+   * @param {{pHash: string, dHash: string}} hashes
+   * @param {number} threshold - Largest Hamming distance per hash
+   * @returns {Promise<{entry: Object, pHashDistance: number, dHashDistance: number}|null>}
+   */
+  async findNearest({ pHash, dHash }, threshold) {
+    await this.load();
+    let nearest = null;
+    this.entries.forEach(entry => {
+      const pHashDistance = hammingDistance(pHash, entry.pHash);
+      const dHashDistance = hammingDistance(dHash, entry.dHash);
+      if (pHashDistance > threshold || dHashDistance > threshold) {
+        return;
+      }
+      if (!nearest || pHashDistance + dHashDistance < nearest.pHashDistance + nearest.dHashDistance) {
+        nearest = { entry, pHashDistance, dHashDistance };
+      }
+    });
+    return nearest;
+  }
+
+  async getStats() {
+    await this.load();
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      persistent: Boolean(this.filePath),
+      threshold: azureConfig.duplicates.threshold
+    };
+  }
+}
+
+let defaultIndex = null;
+
+/**
+ * Get the shared duplicate index
+ * @returns {DuplicateIndex}
+ */
+function getDuplicateIndex() {
+  if (!defaultIndex) {
+    defaultIndex = new DuplicateIndex();
+  }
+  return defaultIndex;
+}
+
+/**
+ * Attach perceptual hashes to an image, computing them once.
+ * Images sharp cannot decode get `perceptualHash: null`.
+ * @param {Object} image - Normalized image
+ * @returns {Promise<Object>} - The image with `perceptualHash`
+ */
+async function withPerceptualHash(image) {
+  if (image.perceptualHash !== undefined) {
+    return image;
+  }
+  try {
+    return { ...image, perceptualHash: await computePerceptualHashes(image.buffer) };
+  } catch (error) {
+    logger.warn('Failed to compute perceptual hash', { format: image.format, message: error.message });
+    return { ...image, perceptualHash: null };
+  }
+}
+
+/**
+ * Blob metadata recording an image's perceptual hashes
+ * @param {Object} image
+ * @returns {Object}
+ */
+function getHashMetadata(image) {
+  const hashes = image.perceptualHash;
+  return hashes ? { phash: hashes.pHash, dhash: hashes.dHash } : {};
+}
+
+/**
+ * Validate a per-request threshold, falling back to DUPLICATE_HAMMING_THRESHOLD
+ * @param {number|string|undefined} value
+ * @returns {number}
+ */
+function resolveThreshold(value) {
+  const threshold = value === undefined || value === '' ? NaN : Number(value);
+  return Number.isInteger(threshold) && threshold >= 0 && threshold <= MAX_HASH_DISTANCE
+    ? threshold
+    : azureConfig.duplicates.threshold;
+}
+
+/**
+ * Whether a request takes part in duplicate detection
+ * @param {string} type - Analysis type
+ * @param {Object} options - Analysis options (`dedupe: false` opts out)
+ * @returns {boolean}
+ */
+function isDedupeEnabled(type, options = {}) {
+  return azureConfig.duplicates.enabled &&
+    DEDUPE_TYPES.includes(type) &&
+    options.dedupe !== false &&
+    options.dedupe !== 'false';
+}
+
+/**
+ * Find a previously analyzed near-duplicate of an image
+ * @param {Object} image - Image with `perceptualHash`
+ * @param {Object} [options]
+ * @param {number|string} [options.duplicateThreshold] - Overrides the configured threshold
+ * @returns {Promise<{entry: Object, pHashDistance: number, dHashDistance: number}|null>}
+ */
+async function findDuplicate(image, options = {}) {
+  if (!image.perceptualHash) {
+    return null;
+  }
+  const threshold = resolveThreshold(options.duplicateThreshold);
+  const match = await getDuplicateIndex().findNearest(image.perceptualHash, threshold);
+  if (match) {
+    logger.info('Near-duplicate image detected', {
+      duplicateOf: match.entry.id,
+      pHashDistance: match.pHashDistance,
+      dHashDistance: match.dHashDistance,
+      threshold
+    });
+  }
+  return match;
+}
+
+/**
+ * Record an analyzed image, or another upload of a known one
+ * @param {Object} image - Image with `perceptualHash`
+ * @param {Object} details
+ * @param {Object|null} details.duplicate - Match from findDuplicate
+ * @param {string|null} details.blobUrl - Blob the image was stored as
+ * @param {string} details.redaction - Redaction mode of the stored blob
+ * @returns {Promise<Object|null>} - Index entry
+ */
+async function registerImage(image, { duplicate, blobUrl, redaction }) {
+  if (!image.perceptualHash) {
+    return null;
+  }
+  const index = getDuplicateIndex();
+  const now = new Date().toISOString();
+  const existing = duplicate?.entry || null;
+
+  const entry = existing
+    ? {
+      ...existing,
+      // Keep the first stored blob so every duplicate points at the same one
+      blobUrl: existing.blobUrl || blobUrl || null,
+      redaction: existing.blobUrl ? existing.redaction : redaction,
+      lastSeenAt: now,
+      uploads: (existing.uploads || 1) + 1
+    }
+    : {
+      id: crypto.createHash('sha256').update(image.buffer).digest('hex'),
+      ...image.perceptualHash,
+      blobUrl: blobUrl || null,
+      redaction,
+      firstSeenAt: now,
+      lastSeenAt: now,
+      uploads: 1
+    };
+
+  await index.upsert(entry);
+  return entry;
+}
+
+/**
+ * Describe a match for the response body
+ * @param {{entry: Object, pHashDistance: number, dHashDistance: number}} match
+ * @returns {Object}
+ */
+function describeDuplicate({ entry, pHashDistance, dHashDistance }) {
+  return {
+    id: entry.id,
+    blobUrl: entry.blobUrl,
+    pHashDistance,
+    dHashDistance,
+    firstSeenAt: entry.firstSeenAt
+  };
+}
+
+module.exports = {
+  DEDUPE_TYPES,
+  DuplicateIndex,
+  getDuplicateIndex,
+  withPerceptualHash,
+  getHashMetadata,
+  isDedupeEnabled,
+  findDuplicate,
+  registerImage,
+  describeDuplicate
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'duplicate-index-'));
+process.env.DUPLICATE_INDEX_FILE = path.join(directory, 'shared.json');
+
+const { azureConfig } = require('../config/azure');
+const { DuplicateIndex, isDedupeEnabled, findDuplicate, registerImage, getDuplicateIndex } = require('./duplicateService');
+
+jest.mock('../utils/logger');
+
+/**
+ * Image with known hashes; the buffer only feeds the entry ID
+ */
+const hashedImage = (id, pHash, dHash = pHash) => ({ buffer: Buffer.from(id), perceptualHash: { pHash, dHash } });
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('isDedupeEnabled', () => {
+  it('applies to stored analysis types unless the request opts out', () => {
+    expect(isDedupeEnabled('analyze')).toBe(true);
+    expect(isDedupeEnabled('analyze-enhanced', { dedupe: true })).toBe(true);
+    expect(isDedupeEnabled('ocr')).toBe(false);
+    expect(isDedupeEnabled('analyze', { dedupe: 'false' })).toBe(false);
+  });
+});
+
+describe('findDuplicate and registerImage', () => {
+  const original = hashedImage('original', '0000000000000000');
+
+  beforeAll(async () => {
+    await registerImage(original, { duplicate: null, blobUrl: 'https://blob/original.jpg', redaction: 'none' });
+  });
+
+  it('matches within the configured threshold', async () => {
+    const match = await findDuplicate(hashedImage('copy', '000000000000000f', '0000000000000001'));
+
+    expect(azureConfig.duplicates.threshold).toBe(6);
+    expect(match).toMatchObject({ pHashDistance: 4, dHashDistance: 1, entry: { blobUrl: 'https://blob/original.jpg' } });
+  });
+
+  it('requires both hashes within the threshold', async () => {
+    expect(await findDuplicate(hashedImage('other', '00000000000000ff', '0000000000000000'))).toBeNull();
+    expect(await findDuplicate(hashedImage('other', '0000000000000000', '00000000000000ff'))).toBeNull();
+  });
+
+  it('honours a per-request threshold and ignores invalid ones', async () => {
+    const near = hashedImage('near', '00000000000000ff');
+
+    expect(await findDuplicate(near, { duplicateThreshold: '8' })).toMatchObject({ pHashDistance: 8 });
+    expect(await findDuplicate(near, { duplicateThreshold: 2 })).toBeNull();
+    expect(await findDuplicate(near, { duplicateThreshold: 65 })).toBeNull();
+    expect(await findDuplicate(near, { duplicateThreshold: 'all' })).toBeNull();
+  });
+
+  it('skips images without hashes', async () => {
+    expect(await findDuplicate({ buffer: Buffer.from('x'), perceptualHash: null })).toBeNull();
+    expect(await registerImage({ buffer: Buffer.from('x'), perceptualHash: null }, {})).toBeNull();
+  });
+
+  it('counts repeat uploads against the first stored blob', async () => {
+    const duplicate = await findDuplicate(hashedImage('copy', '0000000000000001'));
+    const entry = await registerImage(hashedImage('copy', '0000000000000001'), { duplicate, blobUrl: 'https://blob/copy.jpg', redaction: 'blur' });
+
+    expect(entry).toMatchObject({ id: duplicate.entry.id, blobUrl: 'https://blob/original.jpg', redaction: 'none', uploads: 2 });
+    expect((await getDuplicateIndex().getStats()).entries).toBe(1);
+  });
+});
+
+describe('DuplicateIndex persistence', () => {
+  const filePath = path.join(directory, 'index.json');
+  const entry = id => ({ id, pHash: '0000000000000000', dHash: '0000000000000000' });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(filePath, { force: true });
+  });
+
+  it('batches changes into one write after the delay', async () => {
+    const writeFile = jest.spyOn(fs.promises, 'writeFile');
+    const index = new DuplicateIndex({ filePath, saveDelayMs: 60000 });
+
+    await index.upsert(entry('a'));
+    await index.upsert(entry('b'));
+    await index.delete('a');
+    expect(writeFile).not.toHaveBeenCalled();
+
+    await index.flush();
+    expect(writeFile).toHaveBeenCalledTimes(1);
+
+    const reloaded = new DuplicateIndex({ filePath });
+    expect(await reloaded.get('b')).toEqual(entry('b'));
+    expect(await reloaded.get('a')).toBeNull();
+  });
+
+  it('writes after saveDelayMs without a flush', async () => {
+    const index = new DuplicateIndex({ filePath, saveDelayMs: 10 });
+    await index.upsert(entry('a'));
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await index.writing;
+
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).entries).toEqual([entry('a')]);
+  });
+
+  it('drops the least recently seen entries beyond maxEntries', async () => {
+    const index = new DuplicateIndex({ filePath: null, maxEntries: 2 });
+    await index.upsert(entry('a'));
+    await index.upsert(entry('b'));
+    await index.upsert(entry('a'));
+    await index.upsert(entry('c'));
+
+    expect([...index.entries.keys()]).toEqual(['a', 'c']);
+  });
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { azureConfig } = require('../config/azure');
+const VisionService = require('./visionService');
+const { ImagePreprocessingError, preprocessImage } = require('./imagePreprocessor');
+
+// Local stand-in vector layout
+const THUMBNAIL_SIZE = 16;
+const HISTOGRAM_BINS = 4;
+const TEXT_DIMENSIONS = 256;
+
+/**
+ * Error raised when embeddings are unavailable or a query cannot be embedded
+ */
+class EmbeddingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EmbeddingError';
+    this.status = status;
+  }
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {number[]} vector
+ * @returns {number[]}
+ */
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  // Near-zero vectors (a flat thumbnail) stay zero instead of amplifying rounding noise
+  return length > 1e-9 ? vector.map(value => value / length) : vector.map(() => 0);
+}
+
+/**
+ * Azure AI Vision multimodal embeddings. Images and text share one vector
+ * space, so text queries are compared with image vectors directly.
+ */
+class VisionEmbeddingProvider {
+  /**
+   * @param {Object} [options]
+   * @param {VisionService} [options.visionService]
+   * @param {string} [options.modelVersion] - Defaults to EMBEDDING_MODEL_VERSION
+   */
+  constructor(options = {}) {
+    this.name = 'vision';
+    this.visionService = options.visionService || new VisionService();
+    this.modelVersion = options.modelVersion || azureConfig.embeddings.modelVersion;
+    this.model = `vision-${this.modelVersion}`;
+    this.crossModal = true;
+  }
+
+  async embedImage(image) {
+    const { image: prepared } = await preprocessImage(image, { provider: 'vision' });
+    const { vector } = await this.visionService.vectorizeImage(prepared.buffer, { modelVersion: this.modelVersion });
+    return vector;
+  }
+
+  async embedText(text) {
+    const { vector } = await this.visionService.vectorizeText(text, { modelVersion: this.modelVersion });
+    return vector;
+  }
+}
+
+/**
+ * Offline stand-in for tests and development. Image vectors combine a
+ * colour histogram with a tiny grayscale thumbnail, which finds near
+ * duplicates and similar compositions. Text vectors are hashed bags of
+ * words, so text queries match the captions, tags and objects recorded
+ * when an image was indexed rather than the pixels.
+ */
+class LocalEmbeddingProvider {
+  constructor() {
+    this.name = 'local';
+    this.model = 'local-v1';
+    this.crossModal = false;
+  }
+
+  async embedImage(image) {
+    let data;
+    try {
+      ({ data } = await sharp(image.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'fill' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true }));
+    } catch (error) {
+      // Uploads in formats this libvips build cannot read (BMP, ICO) are client errors
+      const format = image.format ? `${image.format.toUpperCase()} image` : 'image';
+      throw new ImagePreprocessingError(`Unable to decode ${format}: ${error.message}`, 415);
+    }
+
+    const pixels = THUMBNAIL_SIZE * THUMBNAIL_SIZE;
+    const histogram = new Array(HISTOGRAM_BINS ** 3).fill(0);
+    const gray = [];
+    const bin = value => Math.min(HISTOGRAM_BINS - 1, Math.floor(value * HISTOGRAM_BINS / 256));
+    for (let i = 0; i < pixels; i++) {
+      const [r, g, b] = [data[i * 3], data[i * 3 + 1], data[i * 3 + 2]];
+      histogram[bin(r) * HISTOGRAM_BINS ** 2 + bin(g) * HISTOGRAM_BINS + bin(b)] += 1 / pixels;
+      gray.push((0.299 * r + 0.587 * g + 0.114 * b) / 255);
+    }
+
+    // Centre the thumbnail so uniform brightness changes matter less
+    const mean = gray.reduce((sum, value) => sum + value, 0) / pixels;
+    const structure = normalizeVector(gray.map(value => value - mean));
+    return normalizeVector([...normalizeVector(histogram), ...structure]);
+  }
+
+  async embedText(text) {
+    const vector = new Array(TEXT_DIMENSIONS).fill(0);
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    words.forEach(word => {
+      const digest = crypto.createHash('sha1').update(word).digest();
+      vector[digest.readUInt16BE(0) % TEXT_DIMENSIONS] += digest[2] & 1 ? 1 : -1;
+    });
+    return normalizeVector(vector);
+  }
+}
+
+let defaultProvider;
+
+/**
+ * Get the provider selected by EMBEDDING_PROVIDER (null when disabled)
+ * @returns {VisionEmbeddingProvider|LocalEmbeddingProvider|null}
+ */
+function getEmbeddingProvider() {
+  if (defaultProvider === undefined) {
+    const { provider } = azureConfig.embeddings;
+    if (provider === 'vision') {
+      defaultProvider = new VisionEmbeddingProvider();
+    } else if (provider === 'local') {
+      defaultProvider = new LocalEmbeddingProvider();
+    } else {
+      defaultProvider = null;
+    }
+  }
+  return defaultProvider;
+}
+
+/**
+ * Replace the provider (tests use a LocalEmbeddingProvider)
+ * @param {Object|null} provider
+ */
+function setEmbeddingProvider(provider) {
+  defaultProvider = provider;
+}
+
+module.exports = {
+  EmbeddingError,
+  VisionEmbeddingProvider,
+  LocalEmbeddingProvider,
+  normalizeVector,
+  getEmbeddingProvider,
+  setEmbeddingProvider
+};
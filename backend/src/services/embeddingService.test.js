@@ -0,0 +1,60 @@
+const sharp = require('sharp');
+const { LocalEmbeddingProvider, normalizeVector } = require('./embeddingService');
+const { ImagePreprocessingError } = require('./imagePreprocessor');
+const { describeAnalysisError } = require('./analysisService');
+
+jest.mock('../utils/logger');
+
+const cosine = (a, b) => a.reduce((sum, value, index) => sum + value * b[index], 0);
+const length = vector => Math.sqrt(cosine(vector, vector));
+
+/**
+ * PNG with a coloured square on a plain background
+ */
+async function drawImage({ background, square, width = 64 }) {
+  const tile = await sharp({ create: { width: 24, height: 24, channels: 3, background: square } }).png().toBuffer();
+  const buffer = await sharp({ create: { width, height: 64, channels: 3, background } })
+    .composite([{ input: tile, left: 8, top: 8 }])
+    .png()
+    .toBuffer();
+  return { buffer };
+}
+
+describe('normalizeVector', () => {
+  it('scales to unit length and leaves zero vectors alone', () => {
+    expect(normalizeVector([3, 4])).toEqual([0.6, 0.8]);
+    expect(normalizeVector([0, 0])).toEqual([0, 0]);
+  });
+});
+
+describe('LocalEmbeddingProvider', () => {
+  const provider = new LocalEmbeddingProvider();
+
+  it('embeds near duplicates closer than different images', async () => {
+    const original = await provider.embedImage(await drawImage({ background: '#ffffff', square: '#ff0000' }));
+    const resized = await provider.embedImage(await drawImage({ background: '#ffffff', square: '#ff0000', width: 80 }));
+    const different = await provider.embedImage(await drawImage({ background: '#0000ff', square: '#00ff00' }));
+
+    expect(length(original)).toBeCloseTo(1);
+    expect(cosine(original, resized)).toBeGreaterThan(0.9);
+    expect(cosine(original, resized)).toBeGreaterThan(cosine(original, different));
+  });
+
+  it('rejects images it cannot decode as unsupported', async () => {
+    const error = await provider.embedImage({ buffer: Buffer.concat([Buffer.from('BM'), Buffer.alloc(64)]), format: 'bmp' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ImagePreprocessingError);
+    expect(error.message).toMatch(/^Unable to decode BMP image/);
+    expect(describeAnalysisError(error, 'search')).toMatchObject({ status: 415, body: { error: 'Image preprocessing failed' } });
+  });
+
+  it('matches text sharing words regardless of case and order', async () => {
+    const caption = await provider.embedText('A red car parked on the street');
+    const query = await provider.embedText('street CAR red');
+    const unrelated = await provider.embedText('snowy mountain landscape');
+
+    expect(length(caption)).toBeCloseTo(1);
+    expect(cosine(caption, query)).toBeGreaterThan(cosine(caption, unrelated));
+    expect((await provider.embedText('')).every(value => value === 0)).toBe(true);
+  });
+});
@@ -1,33 +1,58 @@
 const { getAzureClients, azureConfig } = require('../config/azure');
 const logger = require('../utils/logger');
+const VisionService = require('./visionService');
+const { normalizeReadResult } = require('./visionService');
+const { describeBoxPosition } = require('../utils/geometry');
+const { extractDominantColors } = require('../utils/colors');
+const { translateTexts } = require('./translationService');
+const { JsonObjectStreamScanner } = require('../utils/jsonStream');
 
-/**
- * Enhanced Vision Analysis Service using GPT-4o
- * Provides more detailed and contextual image analysis
- */
-class EnhancedVisionService {
-  constructor() {
-    this.clients = getAzureClients();
-    this.config = azureConfig;
-  }
+// Vision features providing geometry for hybrid analysis
+const HYBRID_VISION_FEATURES = ['Objects', 'People', 'Read', 'DenseCaptions'];
 
-  /**
-   * Analyze image with GPT-4o for enhanced, conversational results
-   */
-  async analyzeImageWithGPT4o(imageBuffer, mimeType = 'image/jpeg') {
-    try {
-      if (!this.clients.openai) {
-        throw new Error('OpenAI client not initialized');
-      }
+const ANALYSIS_MODES = ['hybrid', 'gpt4o'];
+
+// Output languages for enhanced analysis, with Translator codes where they differ
+const OUTPUT_LANGUAGES = {
+  en: { name: 'English' },
+  es: { name: 'Spanish' },
+  fr: { name: 'French' },
+  de: { name: 'German' },
+  it: { name: 'Italian' },
+  pt: { name: 'Portuguese' },
+  ru: { name: 'Russian' },
+  ja: { name: 'Japanese' },
+  ko: { name: 'Korean' },
+  zh: { name: 'Simplified Chinese', translatorCode: 'zh-Hans' }
+};
 
-      // Convert image to base64
-      const base64Image = imageBuffer.toString('base64');
-      const imageUrl = `data:${mimeType};base64,${base64Image}`;
+// Sections of the GPT-4o answer emitted while streaming, in prompt order
+const STREAM_SECTIONS = [
+  { name: 'description', fields: ['mainDescription'] },
+  { name: 'objects', fields: ['objects', 'objectDetails'] },
+  { name: 'scene', fields: ['sceneContext', 'activities'] },
+  { name: 'mood', fields: ['moodAtmosphere'] },
+  { name: 'details', fields: ['textContent', 'colorsComposition', 'interestingDetails'] }
+];
 
-      logger.info('Starting enhanced image analysis with GPT-4o');
+// Words treated as the same object when matching Vision and GPT-4o labels
+const SYNONYM_GROUPS = [
+  ['person', 'people', 'man', 'woman', 'men', 'women', 'boy', 'girl', 'child', 'children', 'kid', 'adult', 'human'],
+  ['car', 'vehicle', 'automobile', 'suv', 'sedan', 'taxi'],
+  ['dog', 'puppy'],
+  ['cat', 'kitten'],
+  ['bicycle', 'bike'],
+  ['motorcycle', 'motorbike'],
+  ['cellphone', 'phone', 'smartphone', 'mobile'],
+  ['laptop', 'computer', 'notebook'],
+  ['television', 'tv', 'monitor', 'screen'],
+  ['cup', 'mug'],
+  ['sofa', 'couch'],
+  ['plant', 'houseplant'],
+  ['bird', 'pigeon', 'seagull']
+];
 
-      // Create a comprehensive prompt for better analysis
-      const analysisPrompt = `
+const ANALYSIS_PROMPT = `
 You are an expert image analyst. Please analyze this image in detail and provide:
 
 1. **Main Description**: A rich, engaging description of what you see (2-3 sentences)
@@ -44,6 +69,10 @@ Please make your analysis engaging and conversational, as if you're describing t
 Format your response as a JSON object with these fields:
 - mainDescription: string
 - objects: array of strings
+- objectDetails: array of objects, one per visible object instance, with:
+  - name: short common noun for the object (e.g. "dog", "car", "person")
+  - description: one sentence about this specific instance
+  - position: where it is in the image (e.g. "left foreground", "top right")
 - sceneContext: string
 - activities: array of strings
 - moodAtmosphere: string
@@ -53,79 +82,554 @@ Format your response as a JSON object with these fields:
 - confidence: number (0-1)
 `;
 
-      const response = await this.clients.openai.chat.completions.create({
-        model: this.config.openai.deploymentName,
-        messages: [
-          {
-            role: "user",
-            content: [
-              { 
-                type: "text", 
-                text: analysisPrompt 
-              },
-              {
-                type: "image_url",
-                image_url: {
-                  url: imageUrl,
-                  detail: "high" // High detail for better analysis
-                }
+/**
+ * Analysis prompt asking for narrative fields in the output language.
+ * Object names stay in English so they can be matched to Vision labels.
+ */
+function buildAnalysisPrompt(language) {
+  if (!language || language === 'en') {
+    return ANALYSIS_PROMPT;
+  }
+
+  const { name } = OUTPUT_LANGUAGES[language];
+  return `${ANALYSIS_PROMPT}
+Write every descriptive value in ${name}: mainDescription, objects, the description and position of each objectDetails entry, sceneContext, activities, moodAtmosphere, colorsComposition and interestingDetails.
+Keep each objectDetails name as a short common English noun and add a "label" field with that object's name in ${name}.
+Transcribe textContent exactly as written in the image, without translating it.
+`;
+}
+
+/**
+ * Reduce a label to comparable lowercase tokens
+ */
+function tokenize(label) {
+  return String(label || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+function synonymGroup(token) {
+  return SYNONYM_GROUPS.findIndex(group => group.includes(token));
+}
+
+/**
+ * Score how well a Vision object label matches a GPT-4o object name
+ * @returns {number} - 0 (no match) to 1 (same word)
+ */
+function scoreLabelMatch(visionLabel, gptLabel) {
+  const visionTokens = tokenize(visionLabel);
+  const gptTokens = tokenize(gptLabel);
+  let best = 0;
+
+  visionTokens.forEach(visionToken => {
+    gptTokens.forEach(gptToken => {
+      if (visionToken === gptToken) {
+        best = Math.max(best, 1);
+      } else if (synonymGroup(visionToken) !== -1 && synonymGroup(visionToken) === synonymGroup(gptToken)) {
+        best = Math.max(best, 0.8);
+      } else if (visionToken.length > 3 && gptToken.length > 3 &&
+                 (visionToken.includes(gptToken) || gptToken.includes(visionToken))) {
+        best = Math.max(best, 0.6);
+      }
+    });
+  });
+
+  return best;
+}
+
+/**
+ * Pair Vision detections with GPT-4o object descriptions.
+ * Every candidate pair is scored on label similarity, with a bonus when
+ * the described position agrees with the box location, and pairs are
+ * assigned greedily from the best score down so each side is used once.
+ * @param {Array} detections - Vision objects with name, confidence, boundingBox
+ * @param {Array} details - GPT-4o objectDetails with name, description, position
+ * @param {{width: number, height: number}|null} dimensions - Image size
+ * @returns {Array<{detection: Object, detail: Object|null}|{detection: null, detail: Object}>}
+ */
+function matchObjects(detections, details, dimensions) {
+  const pairs = [];
+
+  detections.forEach((detection, detectionIndex) => {
+    const position = describeBoxPosition(detection.boundingBox, dimensions?.width, dimensions?.height);
+    details.forEach((detail, detailIndex) => {
+      const labelScore = scoreLabelMatch(detection.name, detail.name);
+      if (labelScore === 0) {
+        return;
+      }
+      const described = String(detail.position || '').toLowerCase();
+      const positionBonus = position
+        ? (described.includes(position.horizontal) ? 0.1 : 0) + (described.includes(position.vertical) ? 0.05 : 0)
+        : 0;
+      pairs.push({ detectionIndex, detailIndex, score: labelScore + positionBonus });
+    });
+  });
+
+  pairs.sort((a, b) => b.score - a.score);
+
+  const detailFor = new Map();
+  const usedDetails = new Set();
+  pairs.forEach(({ detectionIndex, detailIndex }) => {
+    if (!detailFor.has(detectionIndex) && !usedDetails.has(detailIndex)) {
+      detailFor.set(detectionIndex, detailIndex);
+      usedDetails.add(detailIndex);
+    }
+  });
+
+  return [
+    ...detections.map((detection, index) => ({
+      detection,
+      detail: detailFor.has(index) ? details[detailFor.get(index)] : null
+    })),
+    ...details
+      .filter((detail, index) => !usedDetails.has(index))
+      .map(detail => ({ detection: null, detail }))
+  ];
+}
+
+/**
+ * GPT-4o object descriptions, falling back to the plain object list
+ */
+function getObjectDetails(analysisResult) {
+  if (Array.isArray(analysisResult.objectDetails) && analysisResult.objectDetails.length > 0) {
+    return analysisResult.objectDetails.filter(detail => detail && detail.name);
+  }
+  return (analysisResult.objects || []).map(name => ({ name, description: null, position: null }));
+}
+
+/**
+ * Fields of a stream section present in a GPT-4o answer
+ * @param {{name: string, fields: string[]}} section - One of STREAM_SECTIONS
+ * @param {Object} answer - Complete or partial answer
+ * @returns {Object}
+ */
+function pickSectionFields(section, answer) {
+  const fields = {};
+  section.fields.forEach(field => {
+    if (answer[field] !== undefined) {
+      fields[field] = answer[field];
+    }
+  });
+  return fields;
+}
+
+/**
+ * Track streamed answer fields and report each section once all of its
+ * fields have arrived. Sections the model left incomplete are reported
+ * from the full answer at the end.
+ * @param {Function} onSection - Called with (name, fields)
+ */
+function createSectionEmitter(onSection) {
+  const received = {};
+  const emitted = new Set();
+
+  const emit = (section, source) => {
+    emitted.add(section.name);
+    onSection(section.name, pickSectionFields(section, source));
+  };
+
+  return {
+    add(key, value) {
+      received[key] = value;
+      STREAM_SECTIONS
+        .filter(section => !emitted.has(section.name) && section.fields.every(field => field in received))
+        .forEach(section => emit(section, received));
+    },
+    finish(answer) {
+      STREAM_SECTIONS
+        .filter(section => !emitted.has(section.name))
+        .forEach(section => emit(section, answer));
+    }
+  };
+}
+
+/**
+ * Error for an analysis stopped by the Azure OpenAI content filter
+ */
+function createFilteredCompletionError() {
+  return Object.assign(new Error('Completion was filtered by the content filter'), { code: 'content_filter' });
+}
+
+/**
+ * Enhanced Vision Analysis Service using GPT-4o
+ * Provides more detailed and contextual image analysis. In hybrid mode
+ * Azure AI Vision supplies bounding boxes and scores while GPT-4o
+ * supplies the narrative.
+ */
+class EnhancedVisionService {
+  /**
+   * @param {Object} [options]
+   * @param {VisionService} [options.visionService] - Vision client used in hybrid mode
+   */
+  constructor(options = {}) {
+    this.clients = getAzureClients();
+    this.config = azureConfig;
+    this.visionService = options.visionService || new VisionService();
+  }
+
+  /**
+   * Ask GPT-4o for a structured description of the image.
+   * With onSection the answer is streamed and each section is reported
+   * as soon as it is complete.
+   * @param {Buffer} imageBuffer - Image data
+   * @param {string} mimeType - Image MIME type
+   * @param {string} language - Output language
+   * @param {Object} [options]
+   * @param {Function} [options.onSection] - Called with (name, fields) while streaming
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<{analysisResult: Object, usage: Object}>}
+   */
+  async requestGPT4oAnalysis(imageBuffer, mimeType, language, options = {}) {
+    if (!this.clients.openai) {
+      throw new Error('OpenAI client not initialized');
+    }
+
+    // Convert image to base64
+    const base64Image = imageBuffer.toString('base64');
+    const imageUrl = `data:${mimeType};base64,${base64Image}`;
+
+    const request = {
+      model: this.config.openai.deploymentName,
+      messages: [
+        {
+          role: "user",
+          content: [
+            { 
+              type: "text", 
+              text: buildAnalysisPrompt(language)
+            },
+            {
+              type: "image_url",
+              image_url: {
+                url: imageUrl,
+                detail: "high" // High detail for better analysis
               }
-            ]
-          }
-        ],
-        max_tokens: this.config.openai.maxTokens,
-        temperature: this.config.openai.temperature,
-        response_format: { type: "json_object" }
+            }
+          ]
+        }
+      ],
+      max_tokens: this.config.openai.maxTokens,
+      temperature: this.config.openai.temperature,
+      response_format: { type: "json_object" }
+    };
+
+    if (!options.onSection) {
+      const response = await this.clients.openai.chat.completions.create(request, { signal: options.signal });
+      if (response.choices[0]?.finish_reason === 'content_filter') {
+        throw createFilteredCompletionError();
+      }
+      return {
+        analysisResult: JSON.parse(response.choices[0].message.content),
+        usage: response.usage
+      };
+    }
+
+    const stream = await this.clients.openai.chat.completions.create({
+      ...request,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal: options.signal });
+
+    const scanner = new JsonObjectStreamScanner();
+    const sections = createSectionEmitter(options.onSection);
+    let content = '';
+    let usage;
+    let finishReason = null;
+
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+      if (chunk.choices?.[0]?.finish_reason) {
+        finishReason = chunk.choices[0].finish_reason;
+      }
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        scanner.push(delta).forEach(([key, value]) => sections.add(key, value));
+      }
+    }
+
+    // A filtered completion stops mid-object, so there is no JSON to parse
+    if (finishReason === 'content_filter') {
+      throw createFilteredCompletionError();
+    }
+
+    const analysisResult = JSON.parse(content);
+    sections.finish(analysisResult);
+    return { analysisResult, usage };
+  }
+
+  /**
+   * Run the Vision features used for hybrid geometry.
+   * Failures are reported rather than thrown so GPT-4o results still return.
+   * @returns {Promise<{status: string, analysis?: Object, lines?: Array, dimensions?: Object, error?: string}>}
+   */
+  async requestVisionGeometry(imageBuffer, language) {
+    if (!this.visionService.isConfigured()) {
+      return { status: 'not-configured' };
+    }
+
+    try {
+      const { raw, analysis } = await this.visionService.analyzeImage(imageBuffer, {
+        features: HYBRID_VISION_FEATURES,
+        language
       });
+      return {
+        status: 'ok',
+        analysis,
+        lines: normalizeReadResult(raw.readResult).lines,
+        dimensions: raw.metadata || null
+      };
+    } catch (error) {
+      logger.warn('Vision analysis for hybrid mode failed, using GPT-4o only', { message: error.message });
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Compute dominant colours, tolerating formats sharp cannot decode
+   */
+  async getDominantColors(imageBuffer) {
+    try {
+      return await extractDominantColors(imageBuffer);
+    } catch (error) {
+      logger.warn('Dominant colour extraction failed', { message: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Analyze image with GPT-4o for enhanced, conversational results
+   * @param {Buffer} imageBuffer - Image data
+   * @param {string} [mimeType] - Image MIME type
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'hybrid' (Vision geometry + GPT-4o) or 'gpt4o'
+   * @param {string} [options.language] - Output language (one of OUTPUT_LANGUAGES)
+   * @param {Function} [options.onSection] - Stream the GPT-4o answer, reporting sections as they complete
+   * @param {AbortSignal} [options.signal] - Cancels the GPT-4o request
+   */
+  async analyzeImageWithGPT4o(imageBuffer, mimeType = 'image/jpeg', options = {}) {
+    const mode = ANALYSIS_MODES.includes(options.mode) ? options.mode : this.config.openai.enhancedMode;
+    const language = OUTPUT_LANGUAGES[options.language] ? options.language : 'en';
+
+    try {
+      logger.info('Starting enhanced image analysis with GPT-4o', { mode, language });
+
+      // Captions, dense captions and object names are English-only in Vision v4.0,
+      // so Vision always answers in English and its labels are translated afterwards
+      const [gpt, vision, palette] = await Promise.all([
+        this.requestGPT4oAnalysis(imageBuffer, mimeType, language, {
+          onSection: options.onSection,
+          signal: options.signal
+        }),
+        mode === 'hybrid' ? this.requestVisionGeometry(imageBuffer, 'en') : { status: 'disabled' },
+        this.getDominantColors(imageBuffer)
+      ]);
+
+      const { analysisResult, usage } = gpt;
 
-      const analysisResult = JSON.parse(response.choices[0].message.content);
-      
       logger.info('Enhanced image analysis completed', {
-        tokensUsed: response.usage?.total_tokens,
-        confidence: analysisResult.confidence
+        tokensUsed: usage?.total_tokens,
+        confidence: analysisResult.confidence,
+        vision: vision.status
       });
 
-      // Transform to our expected format while preserving rich data
-      return {
-        enhanced: true,
-        model: 'gpt-4o',
-        analysis: analysisResult,
-        // Legacy format for compatibility
-        caption: {
-          text: analysisResult.mainDescription,
-          confidence: analysisResult.confidence || 0.9
-        },
-        description: {
-          captions: [{
+      const result = this.buildResult(analysisResult, usage, vision, palette, mode);
+      return await this.localizeResult(result, language);
+
+    } catch (error) {
+      logger.error('Enhanced vision analysis failed:', error);
+      // Keep code and status so content filter refusals and quota errors stay recognizable
+      throw Object.assign(new Error(`Enhanced vision analysis failed: ${error.message}`), {
+        code: error.code,
+        status: error.status,
+        cause: error
+      });
+    }
+  }
+
+  /**
+   * Merge GPT-4o output, Vision geometry and pixel colours into the response
+   */
+  buildResult(analysisResult, usage, vision, palette, mode) {
+    const hasVision = vision.status === 'ok';
+    // People boxes can anchor GPT-4o descriptions of people ("woman", "child")
+    const detections = hasVision
+      ? [
+        ...vision.analysis.objects,
+        ...vision.analysis.people.map(person => ({ ...person, name: 'person', isPerson: true }))
+      ]
+      : [];
+    const matches = matchObjects(detections, getObjectDetails(analysisResult), vision.dimensions)
+      // Unmatched people stay in the people list only
+      .filter(({ detection, detail }) => !(detection?.isPerson && !detail));
+
+    const objects = matches.map(({ detection, detail }) => ({
+      object: detection ? detection.name : detail.name,
+      label: detail?.label || detail?.name || null,
+      description: detail?.description || null,
+      confidence: detection ? detection.confidence : null,
+      rectangle: detection ? detection.boundingBox : null,
+      source: detection && detail ? 'hybrid' : detection ? 'vision' : 'gpt-4o'
+    }));
+
+    // Tags carry a score only when Vision measured one
+    const tagsByName = new Map();
+    objects.forEach(obj => {
+      const name = obj.object;
+      const existing = tagsByName.get(name);
+      if (!existing || (obj.confidence || 0) > (existing.confidence || 0)) {
+        tagsByName.set(name, { name, confidence: obj.confidence });
+      }
+    });
+    (analysisResult.activities || []).forEach(activity => {
+      if (!tagsByName.has(activity)) {
+        tagsByName.set(activity, { name: activity, confidence: null });
+      }
+    });
+
+    const denseCaptions = hasVision
+      ? vision.analysis.denseCaptions.map(cap => ({
+        text: cap.text,
+        confidence: cap.confidence,
+        rectangle: cap.boundingBox
+      }))
+      : [];
+
+    const visionText = hasVision ? vision.lines.map(line => line.text) : [];
+
+    return {
+      enhanced: true,
+      model: 'gpt-4o',
+      mode,
+      analysis: analysisResult,
+      // Legacy format for compatibility
+      caption: {
+        text: analysisResult.mainDescription,
+        confidence: analysisResult.confidence || 0.9
+      },
+      description: {
+        captions: [
+          {
             text: analysisResult.mainDescription,
             confidence: analysisResult.confidence || 0.9
-          }]
-        },
-        objects: analysisResult.objects?.map((obj, index) => ({
-          object: obj,
-          confidence: 0.85,
-          rectangle: { x: 0, y: 0, w: 100, h: 100 } // Placeholder
-        })) || [],
-        tags: [
-          ...analysisResult.objects?.map(obj => ({ name: obj, confidence: 0.85 })) || [],
-          ...analysisResult.activities?.map(activity => ({ name: activity, confidence: 0.8 })) || []
-        ],
-        text: analysisResult.textContent ? [analysisResult.textContent] : [],
-        color: {
-          dominantColors: analysisResult.colorsComposition?.split(',').map(c => c.trim()).slice(0, 3) || []
-        },
-        // Enhanced fields
-        sceneContext: analysisResult.sceneContext,
-        activities: analysisResult.activities || [],
-        moodAtmosphere: analysisResult.moodAtmosphere,
-        colorsComposition: analysisResult.colorsComposition,
-        interestingDetails: analysisResult.interestingDetails || [],
-        usage: response.usage
-      };
+          },
+          ...denseCaptions.map(({ text, confidence }) => ({ text, confidence }))
+        ]
+      },
+      objects,
+      people: hasVision
+        ? vision.analysis.people.map(person => ({
+          confidence: person.confidence,
+          rectangle: person.boundingBox
+        }))
+        : [],
+      denseCaptions,
+      tags: [...tagsByName.values()],
+      text: visionText.length > 0 ? visionText : (analysisResult.textContent ? [analysisResult.textContent] : []),
+      textLines: hasVision
+        ? vision.lines.map(line => ({ text: line.text, rectangle: line.boundingBox }))
+        : [],
+      color: {
+        dominantColors: palette.map(color => color.name),
+        palette
+      },
+      // Enhanced fields
+      sceneContext: analysisResult.sceneContext,
+      activities: analysisResult.activities || [],
+      moodAtmosphere: analysisResult.moodAtmosphere,
+      colorsComposition: analysisResult.colorsComposition,
+      interestingDetails: analysisResult.interestingDetails || [],
+      hybrid: {
+        vision: vision.status,
+        visionError: vision.error,
+        matchedObjects: objects.filter(obj => obj.source === 'hybrid').length
+      },
+      // A hybrid request that lost its Vision half is incomplete
+      partial: mode === 'hybrid' && vision.status === 'failed',
+      usage
+    };
+  }
 
+  /**
+   * Translate the English labels from Vision (object names, tags derived
+   * from them and dense captions) into the output language. GPT-4o already
+   * answers in that language, so objects with a GPT-4o label use it as their
+   * name instead of a translation. Paths of translated values are listed in
+   * localization.machineTranslated; when the Translator is unavailable the
+   * English labels are kept and the reason is reported.
+   * @param {Object} result - Result from buildResult
+   * @param {string} language - Output language
+   * @returns {Promise<Object>}
+   */
+  async localizeResult(result, language) {
+    const localization = { language, machineTranslated: [] };
+    if (language === 'en') {
+      return { ...result, localization };
+    }
+
+    // Labels GPT-4o wrote in the output language; object labels otherwise fall back to English names
+    const gptLabels = new Set((result.analysis?.objectDetails || []).map(detail => detail?.label).filter(Boolean));
+    const objectNames = new Set(result.objects.map(obj => obj.object));
+    const labelsByName = new Map();
+
+    // [path, current value, setter] for every English-only value
+    const targets = [];
+    result.objects.forEach((obj, index) => {
+      if (gptLabels.has(obj.label)) {
+        if (!labelsByName.has(obj.object)) {
+          labelsByName.set(obj.object, obj.label);
+        }
+        obj.object = obj.label;
+      } else {
+        targets.push([`objects[${index}].object`, obj.object, text => { obj.object = text; }]);
+      }
+    });
+    result.tags.forEach((tag, index) => {
+      if (labelsByName.has(tag.name)) {
+        tag.name = labelsByName.get(tag.name);
+      } else if (objectNames.has(tag.name)) {
+        targets.push([`tags[${index}].name`, tag.name, text => { tag.name = text; }]);
+      }
+    });
+    result.denseCaptions.forEach((caption, index) => {
+      targets.push([`denseCaptions[${index}].text`, caption.text, text => { caption.text = text; }]);
+    });
+    // The first caption is GPT-4o's description; the rest repeat the dense captions
+    result.description.captions.slice(1).forEach((caption, index) => {
+      targets.push([`description.captions[${index + 1}].text`, caption.text, text => { caption.text = text; }]);
+    });
+
+    const texts = [...new Set(targets.map(([, text]) => text).filter(Boolean))];
+    if (texts.length === 0) {
+      return { ...result, localization };
+    }
+
+    try {
+      const translations = await translateTexts(texts, {
+        to: OUTPUT_LANGUAGES[language].translatorCode || language,
+        from: 'en'
+      });
+      const translated = new Map(texts.map((text, index) => [text, translations[index].translation]));
+
+      targets.forEach(([path, text, set]) => {
+        if (translated.has(text)) {
+          set(translated.get(text));
+          localization.machineTranslated.push(path);
+        }
+      });
+      return { ...result, localization };
     } catch (error) {
-      logger.error('Enhanced vision analysis failed:', error);
-      throw new Error(`Enhanced vision analysis failed: ${error.message}`);
+      logger.warn('Translating Vision labels failed, keeping English', { language, message: error.message });
+      return {
+        ...result,
+        localization: { ...localization, translationError: error.message },
+        // A missing Translator is a deployment choice; a failed call is worth retrying
+        partial: result.partial || error.code !== 'NotConfigured'
+      };
     }
   }
 
@@ -201,3 +705,8 @@ Return as a JSON object with a "suggestions" array of strings.
 }
 
 module.exports = EnhancedVisionService;
+module.exports.ANALYSIS_MODES = ANALYSIS_MODES;
+module.exports.OUTPUT_LANGUAGES = OUTPUT_LANGUAGES;
+module.exports.STREAM_SECTIONS = STREAM_SECTIONS;
+module.exports.pickSectionFields = pickSectionFields;
+module.exports.matchObjects = matchObjects;
@@ -0,0 +1,209 @@
+const { getAzureClients } = require('../config/azure');
+const EnhancedVisionService = require('./enhancedVisionService');
+const { matchObjects } = require('./enhancedVisionService');
+const { translateTexts } = require('./translationService');
+
+jest.mock('../utils/logger');
+jest.mock('./translationService');
+
+const box = (x, y) => ({ x, y, w: 20, h: 20 });
+
+/**
+ * Streamed chat completion delivering the text in small deltas
+ */
+async function* streamChunks(text, finishReason = 'stop') {
+  for (let index = 0; index < text.length; index += 16) {
+    yield { choices: [{ delta: { content: text.slice(index, index + 16) } }] };
+  }
+  yield { choices: [{ delta: {}, finish_reason: finishReason }] };
+  yield { choices: [], usage: { total_tokens: 300 } };
+}
+
+const vision = {
+  status: 'ok',
+  dimensions: { width: 100, height: 100 },
+  analysis: {
+    objects: [
+      { name: 'dog', confidence: 0.9, boundingBox: box(5, 60) },
+      { name: 'bicycle', confidence: 0.8, boundingBox: box(70, 60) }
+    ],
+    people: [],
+    denseCaptions: [{ text: 'a dog on grass', confidence: 0.7, boundingBox: box(0, 50) }]
+  },
+  lines: []
+};
+
+const analysisResult = {
+  mainDescription: 'Un chien dans un parc',
+  objects: ['chien', 'banc'],
+  objectDetails: [
+    { name: 'dog', label: 'chien', description: 'Un chien brun', position: 'en bas à gauche' },
+    { name: 'bench', label: 'banc', description: 'Un banc en bois', position: 'au fond' }
+  ],
+  activities: ['promenade'],
+  confidence: 0.9
+};
+
+describe('matchObjects', () => {
+  it('pairs detections with GPT-4o details by label and keeps the rest', () => {
+    const pairs = matchObjects(vision.analysis.objects, analysisResult.objectDetails, vision.dimensions);
+
+    expect(pairs.map(({ detection, detail }) => [detection?.name, detail?.name])).toEqual([
+      ['dog', 'dog'],
+      ['bicycle', undefined],
+      [undefined, 'bench']
+    ]);
+  });
+
+  it('matches synonyms and uses the described position to tell instances apart', () => {
+    const detections = [
+      { name: 'car', boundingBox: box(5, 40) },
+      { name: 'car', boundingBox: box(75, 40) },
+      { name: 'person', boundingBox: box(40, 40) }
+    ];
+    const details = [
+      { name: 'taxi', position: 'right side' },
+      { name: 'sedan', position: 'left side' },
+      { name: 'tree', position: 'background' }
+    ];
+
+    const pairs = matchObjects(detections, details, vision.dimensions);
+
+    expect(pairs.map(({ detection, detail }) => [detection?.boundingBox.x, detail?.name])).toEqual([
+      [5, 'sedan'],
+      [75, 'taxi'],
+      [40, undefined],
+      [undefined, 'tree']
+    ]);
+  });
+});
+
+describe('analyzeImageWithGPT4o', () => {
+  const create = jest.fn();
+  const visionService = { isConfigured: () => true, analyzeImage: jest.fn() };
+  const service = new EnhancedVisionService({ visionService });
+
+  beforeEach(() => {
+    getAzureClients().openai = { chat: { completions: { create } } };
+    create.mockReset().mockResolvedValue({
+      choices: [{ message: { content: JSON.stringify(analysisResult) }, finish_reason: 'stop' }],
+      usage: { total_tokens: 300 }
+    });
+    visionService.analyzeImage.mockReset().mockResolvedValue({
+      raw: { metadata: vision.dimensions, readResult: { blocks: [] } },
+      analysis: { ...vision.analysis, people: [{ confidence: 0.6, boundingBox: box(40, 10) }] }
+    });
+  });
+
+  it('fuses Vision boxes with GPT-4o descriptions in hybrid mode', async () => {
+    const result = await service.analyzeImageWithGPT4o(Buffer.from('image'), 'image/png', { mode: 'hybrid' });
+
+    expect(visionService.analyzeImage).toHaveBeenCalledWith(expect.any(Buffer), expect.objectContaining({ language: 'en' }));
+    expect(result.objects).toEqual([
+      { object: 'dog', label: 'chien', description: 'Un chien brun', confidence: 0.9, rectangle: box(5, 60), source: 'hybrid' },
+      { object: 'bicycle', label: null, description: null, confidence: 0.8, rectangle: box(70, 60), source: 'vision' },
+      { object: 'bench', label: 'banc', description: 'Un banc en bois', confidence: null, rectangle: null, source: 'gpt-4o' }
+    ]);
+    // The unmatched person stays in the people list only
+    expect(result.people).toEqual([{ confidence: 0.6, rectangle: box(40, 10) }]);
+    expect(result.hybrid).toEqual({ vision: 'ok', visionError: undefined, matchedObjects: 1 });
+    expect(result.partial).toBe(false);
+  });
+
+  it('returns GPT-4o results marked partial when Vision fails', async () => {
+    visionService.analyzeImage.mockRejectedValue(new Error('Vision unavailable'));
+
+    const result = await service.analyzeImageWithGPT4o(Buffer.from('image'), 'image/png', { mode: 'hybrid' });
+
+    expect(result.hybrid).toMatchObject({ vision: 'failed', visionError: 'Vision unavailable', matchedObjects: 0 });
+    expect(result.partial).toBe(true);
+    expect(result.objects.every(obj => obj.source === 'gpt-4o' && obj.rectangle === null)).toBe(true);
+  });
+
+  it('streams each section once all of its fields have arrived', async () => {
+    const streamed = { ...analysisResult, sceneContext: 'Un parc', moodAtmosphere: 'Calme', textContent: '', interestingDetails: [] };
+    create.mockImplementation(async () => streamChunks(JSON.stringify(streamed)));
+    const onSection = jest.fn();
+
+    const result = await service.analyzeImageWithGPT4o(Buffer.from('image'), 'image/png', { mode: 'gpt4o', onSection });
+
+    expect(create.mock.calls[0][0]).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(onSection.mock.calls).toEqual([
+      ['description', { mainDescription: 'Un chien dans un parc' }],
+      ['objects', { objects: ['chien', 'banc'], objectDetails: analysisResult.objectDetails }],
+      ['scene', { sceneContext: 'Un parc', activities: ['promenade'] }],
+      ['mood', { moodAtmosphere: 'Calme' }],
+      // colorsComposition never arrived, so the section is completed from the final answer
+      ['details', { textContent: '', interestingDetails: [] }]
+    ]);
+    expect(result.usage).toEqual({ total_tokens: 300 });
+  });
+
+  it('reports a streamed answer stopped by the content filter', async () => {
+    create.mockImplementation(async () => streamChunks('{"mainDescription": "A', 'content_filter'));
+
+    const error = await service.analyzeImageWithGPT4o(Buffer.from('image'), 'image/png', { mode: 'gpt4o', onSection: jest.fn() }).catch(e => e);
+
+    expect(error.code).toBe('content_filter');
+  });
+
+  it('skips Vision in gpt4o mode', async () => {
+    const result = await service.analyzeImageWithGPT4o(Buffer.from('image'), 'image/png', { mode: 'gpt4o' });
+
+    expect(visionService.analyzeImage).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ mode: 'gpt4o', hybrid: { vision: 'disabled' }, partial: false });
+  });
+});
+
+describe('localizeResult', () => {
+  const service = new EnhancedVisionService({ visionService: {} });
+  const buildResult = () => service.buildResult(analysisResult, {}, vision, [], 'hybrid');
+
+  beforeEach(() => {
+    translateTexts.mockReset();
+    translateTexts.mockImplementation(async texts => texts.map(text => ({ translation: `fr:${text}` })));
+  });
+
+  it('reuses GPT-4o labels and only translates Vision names', async () => {
+    const result = await service.localizeResult(buildResult(), 'fr');
+
+    expect(translateTexts).toHaveBeenCalledWith(['bicycle', 'a dog on grass'], { to: 'fr', from: 'en' });
+    expect(result.objects.map(obj => [obj.object, obj.source])).toEqual([
+      ['chien', 'hybrid'],
+      ['fr:bicycle', 'vision'],
+      ['banc', 'gpt-4o']
+    ]);
+    expect(result.tags.map(tag => tag.name)).toEqual(['chien', 'fr:bicycle', 'banc', 'promenade']);
+    expect(result.localization.machineTranslated).toEqual([
+      'objects[1].object',
+      'tags[1].name',
+      'denseCaptions[0].text',
+      'description.captions[1].text'
+    ]);
+  });
+
+  it('translates names when GPT-4o gave no label', async () => {
+    const unlabelled = { ...analysisResult, objectDetails: [{ name: 'dog', description: null, position: null }] };
+
+    const result = await service.localizeResult(service.buildResult(unlabelled, {}, vision, [], 'hybrid'), 'fr');
+
+    expect(result.objects.map(obj => obj.object)).toEqual(['fr:dog', 'fr:bicycle']);
+  });
+
+  it('keeps the English names when the Translator is not configured', async () => {
+    translateTexts.mockRejectedValue(Object.assign(new Error('Azure Translator service is not configured'), { code: 'NotConfigured' }));
+
+    const result = await service.localizeResult(buildResult(), 'fr');
+
+    expect(result.objects.map(obj => obj.object)).toEqual(['chien', 'bicycle', 'banc']);
+    expect(result.localization.translationError).toBe('Azure Translator service is not configured');
+    expect(result.partial).toBe(false);
+  });
+
+  it('leaves English results alone', async () => {
+    const result = await service.localizeResult(buildResult(), 'en');
+
+    expect(translateTexts).not.toHaveBeenCalled();
+    expect(result.objects[0].object).toBe('dog');
+  });
+});
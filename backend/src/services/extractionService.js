@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const Joi = require('joi');
+const { getAzureClients, azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const builtInTypes = require('../config/extractionTypes');
+const { validateFieldSpec, toJsonSchema, extractFields, averageConfidence } = require('../utils/fieldSchema');
+
+/**
+ * Error raised for invalid extraction requests
+ */
+class ExtractionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.status = status;
+  }
+}
+
+const typeDefinitionSchema = Joi.object({
+  description: Joi.string().required(),
+  instructions: Joi.string().allow(''),
+  temperature: Joi.number().min(0).max(2),
+  fields: Joi.object().required()
+});
+
+let extractionTypes = null;
+
+/**
+ * Validate a document type definition
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateTypeDefinition(definition) {
+  const { error } = typeDefinitionSchema.validate(definition);
+  return error ? error.message : validateFieldSpec(definition.fields);
+}
+
+/**
+ * Load document types: built-ins plus those from EXTRACTION_TYPES_FILE.
+ * Invalid definitions from the file are skipped with a warning.
+ * @returns {Object} - Type name to definition
+ */
+function getExtractionTypes() {
+  if (extractionTypes) {
+    return extractionTypes;
+  }
+
+  extractionTypes = { ...builtInTypes };
+  const { typesFile } = azureConfig.extraction;
+
+  if (typesFile) {
+    try {
+      const custom = JSON.parse(fs.readFileSync(typesFile, 'utf8'));
+      Object.entries(custom).forEach(([name, definition]) => {
+        const problem = validateTypeDefinition(definition);
+        if (problem) {
+          logger.warn('Skipping invalid extraction type', { name, problem });
+          return;
+        }
+        extractionTypes[name] = definition;
+      });
+    } catch (error) {
+      logger.error('Failed to load extraction types file:', { typesFile, message: error.message });
+    }
+  }
+
+  logger.info('Extraction types loaded', { types: Object.keys(extractionTypes) });
+  return extractionTypes;
+}
+
+/**
+ * Get a document type definition by name
+ * @param {string} name - Document type
+ * @returns {Object} - Definition
+ */
+function getExtractionType(name) {
+  const definition = getExtractionTypes()[name];
+  if (!definition) {
+    throw new ExtractionError(`Unknown document type: ${name || '(none)'}. Supported types: ${Object.keys(getExtractionTypes()).join(', ')}`);
+  }
+  return definition;
+}
+
+/**
+ * Short hash identifying a definition, so cached results follow spec changes
+ */
+function getTypeVersion(definition) {
+  return crypto.createHash('sha256').update(JSON.stringify(definition)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Describe the available document types with their answer schemas
+ * @returns {Array<{name: string, description: string, version: string, schema: Object}>}
+ */
+function listExtractionTypes() {
+  return Object.entries(getExtractionTypes()).map(([name, definition]) => ({
+    name,
+    description: definition.description,
+    version: getTypeVersion(definition),
+    schema: toJsonSchema(definition.fields)
+  }));
+}
+
+function buildPrompt(name, definition) {
+  return [
+    `Extract structured data from this image of a ${definition.description.toLowerCase()} (document type "${name}").`,
+    definition.instructions || '',
+    'Respond with a JSON object of the form {"documentMatches": boolean, "fields": {...}}.',
+    'Set documentMatches to false if the image does not show this kind of document.',
+    '"fields" must follow this JSON schema. For every value also give your confidence from 0 to 1 that it was read correctly.',
+    'Use null for values that are not present or not legible; never guess.',
+    JSON.stringify(toJsonSchema(definition.fields))
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Extract typed fields from a document image with GPT-4o.
+ * The model answer is normalized (ISO dates, numeric amounts) and
+ * validated against the type's field spec.
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @param {Object} options
+ * @param {string} options.documentType - Document type name
+ * @returns {Promise<Object>} - Extraction response body
+ */
+async function extractDocument(image, options = {}) {
+  const startTime = Date.now();
+  const documentType = options.documentType;
+  const definition = getExtractionType(documentType);
+
+  const { openai } = getAzureClients();
+  if (!openai) {
+    throw new Error('OpenAI client not initialized');
+  }
+
+  logger.info('Starting document extraction', { documentType, fileSize: image.size });
+
+  const response = await openai.chat.completions.create({
+    model: azureConfig.openai.deploymentName,
+    messages: [
+      {
+        role: 'system',
+        content: 'You are a precise document data extraction engine. You only report what is printed on the document.'
+      },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: buildPrompt(documentType, definition) },
+          {
+            type: 'image_url',
+            image_url: {
+              url: `data:${image.mimeType};base64,${image.buffer.toString('base64')}`,
+              detail: 'high'
+            }
+          }
+        ]
+      }
+    ],
+    max_tokens: azureConfig.openai.maxTokens,
+    temperature: definition.temperature ?? azureConfig.extraction.temperature,
+    response_format: { type: 'json_object' }
+  });
+
+  let answer;
+  try {
+    answer = JSON.parse(response.choices[0].message.content);
+  } catch (error) {
+    throw new Error(`Extraction response was not valid JSON: ${error.message}`);
+  }
+
+  const { values, confidence, issues } = extractFields(definition.fields, answer.fields || {});
+
+  // Values are not logged: documents such as IDs carry personal data
+  logger.info('Document extraction completed', {
+    documentType,
+    issues: issues.length,
+    tokensUsed: response.usage?.total_tokens
+  });
+
+  return {
+    success: true,
+    timestamp: new Date().toISOString(),
+    documentType,
+    typeVersion: getTypeVersion(definition),
+    documentMatches: answer.documentMatches !== false,
+    fields: values,
+    confidence,
+    overallConfidence: averageConfidence(confidence),
+    validation: {
+      valid: issues.length === 0,
+      issues
+    },
+    usage: response.usage,
+    processing: {
+      model: azureConfig.openai.deploymentName,
+      processingTimeMs: Date.now() - startTime
+    }
+  };
+}
+
+module.exports = {
+  ExtractionError,
+  extractDocument,
+  getExtractionType,
+  getExtractionTypes,
+  getTypeVersion,
+  listExtractionTypes
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'extraction-types-'));
+process.env.EXTRACTION_TYPES_FILE = path.join(directory, 'types.json');
+fs.writeFileSync(process.env.EXTRACTION_TYPES_FILE, JSON.stringify({
+  'parking-ticket': {
+    description: 'Parking ticket',
+    fields: { plate: { type: 'string', required: true }, fine: { type: 'amount' } }
+  },
+  broken: {
+    description: 'Spec with an unknown field type',
+    fields: { plate: { type: 'licence-plate' } }
+  }
+}));
+
+const { getAzureClients } = require('../config/azure');
+const { ExtractionError, extractDocument, getExtractionType, listExtractionTypes } = require('./extractionService');
+
+jest.mock('../utils/logger');
+
+const image = { buffer: Buffer.from('image'), size: 5, mimeType: 'image/png' };
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('extraction types', () => {
+  it('adds valid types from the types file and skips invalid ones', () => {
+    const names = listExtractionTypes().map(type => type.name);
+
+    expect(names).toEqual(expect.arrayContaining(['receipt', 'invoice', 'parking-ticket']));
+    expect(names).not.toContain('broken');
+  });
+
+  it('rejects unknown document types with a 400', () => {
+    expect(() => getExtractionType('broken')).toThrow(ExtractionError);
+    expect(() => getExtractionType(undefined)).toThrow(/Unknown document type: \(none\)\. Supported types: .*parking-ticket/);
+
+    const error = (() => {
+      try {
+        return getExtractionType('passport');
+      } catch (thrown) {
+        return thrown;
+      }
+    })();
+    expect(error).toMatchObject({ name: 'ExtractionError', status: 400 });
+  });
+});
+
+describe('extractDocument', () => {
+  const create = jest.fn();
+
+  beforeEach(() => {
+    create.mockReset();
+    getAzureClients().openai = { chat: { completions: { create } } };
+  });
+
+  it('normalizes and validates the model answer', async () => {
+    create.mockResolvedValue({
+      choices: [{ message: { content: JSON.stringify({ documentMatches: true, fields: { plate: { value: 'AB12 CDE', confidence: 0.8 }, fine: { value: '£60.00', confidence: 0.6 } } }) } }],
+      usage: { total_tokens: 120 }
+    });
+
+    const result = await extractDocument(image, { documentType: 'parking-ticket' });
+
+    expect(result).toMatchObject({
+      documentType: 'parking-ticket',
+      documentMatches: true,
+      fields: { plate: 'AB12 CDE', fine: 60 },
+      overallConfidence: 0.7,
+      validation: { valid: true, issues: [] }
+    });
+    expect(create.mock.calls[0][0].messages[1].content[0].text).toContain('"plate"');
+  });
+
+  it('reports missing required fields', async () => {
+    create.mockResolvedValue({ choices: [{ message: { content: '{"documentMatches": false, "fields": {}}' } }] });
+
+    const result = await extractDocument(image, { documentType: 'parking-ticket' });
+
+    expect(result.documentMatches).toBe(false);
+    expect(result.validation).toEqual({ valid: false, issues: [{ field: 'plate', message: '"plate" is required' }] });
+  });
+
+  it('fails on answers that are not JSON', async () => {
+    create.mockResolvedValue({ choices: [{ message: { content: 'Sorry, I cannot help.' } }] });
+
+    await expect(extractDocument(image, { documentType: 'parking-ticket' })).rejects.toThrow(/not valid JSON/);
+  });
+});
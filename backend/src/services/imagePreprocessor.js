@@ -0,0 +1,237 @@
+const sharp = require('sharp');
+const path = require('path');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { IMAGE_FORMATS } = require('../utils/imageFormat');
+
+// Formats sharp can write
+const ENCODABLE_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'tiff'];
+const TRANSFORM_KEYS = ['autoOrient', 'resize', 'reencode'];
+const MAX_SHRINK_ATTEMPTS = 5;
+
+/**
+ * Error raised when an image cannot be decoded or transformed
+ */
+class ImagePreprocessingError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'ImagePreprocessingError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse per-request transform overrides.
+ * Accepts 'none'/'false' to disable optional transforms, or an object
+ * (or JSON string) with boolean autoOrient, resize and reencode flags.
+ * Metadata stripping is deployment policy and cannot be turned off here.
+ * @param {string|Object|undefined} value
+ * @returns {Object}
+ */
+function parseTransformOverrides(value) {
+  if (value === undefined || value === null || value === '') {
+    return {};
+  }
+
+  if (value === false || value === 'false' || value === 'none') {
+    return { autoOrient: false, resize: false, reencode: false };
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  const overrides = {};
+  TRANSFORM_KEYS.forEach(key => {
+    if (typeof parsed?.[key] === 'boolean') {
+      overrides[key] = parsed[key];
+    }
+  });
+  return overrides;
+}
+
+/**
+ * Resolve the transforms to apply from config and request overrides
+ * @param {string|Object} [overrides] - Per-request overrides
+ * @returns {{autoOrient: boolean, resize: boolean, reencode: boolean, stripMetadata: boolean}}
+ */
+function resolveTransforms(overrides) {
+  const config = azureConfig.preprocessing;
+  return {
+    autoOrient: config.autoOrient,
+    resize: config.resize,
+    reencode: config.reencode,
+    ...parseTransformOverrides(overrides),
+    stripMetadata: config.stripMetadata
+  };
+}
+
+/**
+ * Apply encoder settings for an output format
+ */
+function encode(pipeline, format, quality) {
+  switch (format) {
+    case 'jpeg':
+      return pipeline.jpeg({ quality });
+    case 'webp':
+      return pipeline.webp({ quality });
+    default:
+      return pipeline.toFormat(format);
+  }
+}
+
+/**
+ * Prepare an image for an Azure provider: auto-orient, downscale to the
+ * provider limits, re-encode unsupported formats and strip EXIF/XMP/IPTC
+ * metadata (GPS, camera serials). Images needing no change are returned
+ * untouched.
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @param {Object} options
+ * @param {string} [options.provider] - 'vision' or 'openai'
+ * @param {string|Object} [options.overrides] - Per-request transform overrides
+ * @returns {Promise<{image: Object, report: Object}>}
+ */
+async function preprocessImage(image, { provider = 'vision', overrides } = {}) {
+  const config = azureConfig.preprocessing;
+  const limits = config.providers[provider] || config.providers.vision;
+  const transforms = resolveTransforms(overrides);
+
+  if (!config.enabled) {
+    return { image, report: { provider, applied: [], enabled: false } };
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(image.buffer).metadata();
+  } catch (error) {
+    // Formats this libvips build cannot read are passed through when the provider accepts them
+    if (limits.supportedFormats.includes(image.format)) {
+      logger.warn('Image format not decodable, skipping preprocessing', { format: image.format });
+      return { image, report: { provider, applied: [], skipped: `${image.format} cannot be decoded on this server` } };
+    }
+    throw new ImagePreprocessingError(`Unable to decode ${image.format.toUpperCase()} image: ${error.message}`, 415);
+  }
+
+  const orientation = metadata.orientation || 1;
+  const rotated = transforms.autoOrient && orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const applied = [];
+
+  const original = {
+    format: image.format,
+    width,
+    height,
+    size: image.size,
+    orientation
+  };
+
+  const needsOrient = transforms.autoOrient && orientation > 1;
+  const needsResize = transforms.resize && Math.max(width, height) > limits.maxDimension;
+  const needsReencode = (transforms.reencode && config.reencodeFormats.includes(image.format)) ||
+    !limits.supportedFormats.includes(image.format);
+  const needsStrip = transforms.stripMetadata && Boolean(metadata.exif || metadata.xmp || metadata.iptc);
+
+  if (needsOrient) applied.push('auto-orient');
+  if (needsResize) applied.push('resize');
+  if (needsReencode) applied.push('reencode');
+  if (needsStrip) applied.push('strip-metadata');
+
+  if (applied.length === 0 && image.size <= limits.maxBytes) {
+    return { image, report: { provider, applied, original, output: original } };
+  }
+
+  let outputFormat = image.format;
+  if (needsReencode || !ENCODABLE_FORMATS.includes(outputFormat)) {
+    outputFormat = metadata.hasAlpha ? 'png' : 'jpeg';
+  }
+
+  let maxDimension = needsResize ? limits.maxDimension : Math.max(width, height);
+  let quality = config.jpegQuality;
+  let output;
+
+  try {
+    for (let attempt = 0; attempt <= MAX_SHRINK_ATTEMPTS; attempt++) {
+      let pipeline = sharp(image.buffer);
+
+      if (needsOrient) {
+        pipeline = pipeline.rotate();
+      }
+      if (maxDimension < Math.max(width, height)) {
+        pipeline = pipeline.resize({
+          width: maxDimension,
+          height: maxDimension,
+          fit: 'inside',
+          withoutEnlargement: true
+        });
+      }
+      // sharp drops EXIF/XMP/IPTC unless asked to keep it; keep the colour profile
+      pipeline = transforms.stripMetadata ? pipeline.keepIccProfile() : pipeline.withMetadata();
+
+      output = await encode(pipeline, outputFormat, quality).toBuffer({ resolveWithObject: true });
+
+      if (output.data.length <= limits.maxBytes) {
+        break;
+      }
+
+      // Still too large: lower quality first, then dimensions
+      if ((outputFormat === 'jpeg' || outputFormat === 'webp') && quality > 60) {
+        quality -= 15;
+      } else {
+        maxDimension = Math.floor(Math.max(output.info.width, output.info.height) * 0.75);
+        if (!applied.includes('resize')) applied.push('resize');
+      }
+    }
+  } catch (error) {
+    throw new ImagePreprocessingError(`Image preprocessing failed: ${error.message}`);
+  }
+
+  if (output.data.length > limits.maxBytes) {
+    throw new ImagePreprocessingError('Image could not be reduced below the provider size limit', 413);
+  }
+
+  if (quality !== config.jpegQuality && !applied.includes('compress')) {
+    applied.push('compress');
+  }
+
+  const formatInfo = IMAGE_FORMATS[outputFormat];
+  const baseName = path.basename(image.originalName, path.extname(image.originalName));
+
+  const processed = {
+    ...image,
+    buffer: output.data,
+    size: output.data.length,
+    format: outputFormat,
+    mimeType: formatInfo.mimeType,
+    extension: formatInfo.extension,
+    originalName: `${baseName}${formatInfo.extension}`
+  };
+
+  const report = {
+    provider,
+    applied,
+    original,
+    output: {
+      format: outputFormat,
+      width: output.info.width,
+      height: output.info.height,
+      size: processed.size
+    }
+  };
+
+  logger.info('Image preprocessed', { provider, applied, originalSize: image.size, outputSize: processed.size });
+
+  return { image: processed, report };
+}
+
+module.exports = {
+  ImagePreprocessingError,
+  preprocessImage,
+  resolveTransforms,
+  parseTransformOverrides
+};
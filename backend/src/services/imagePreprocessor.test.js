@@ -0,0 +1,103 @@
+const sharp = require('sharp');
+const { azureConfig } = require('../config/azure');
+const { IMAGE_FORMATS } = require('../utils/imageFormat');
+const { ImagePreprocessingError, preprocessImage, resolveTransforms } = require('./imagePreprocessor');
+
+jest.mock('../utils/logger');
+
+/**
+ * Normalized image, as built by the ingestion middleware
+ */
+function toImage(buffer, format) {
+  return { buffer, size: buffer.length, format, ...IMAGE_FORMATS[format], originalName: `photo${IMAGE_FORMATS[format].extension}` };
+}
+
+function createImage({ width = 40, height = 20, channels = 3 } = {}) {
+  return sharp({ create: { width, height, channels, background: { r: 200, g: 50, b: 50, alpha: 0.5 } } });
+}
+
+describe('preprocessImage', () => {
+  it('returns images needing no change untouched', async () => {
+    const image = toImage(await createImage().png().toBuffer(), 'png');
+
+    const { image: output, report } = await preprocessImage(image);
+
+    expect(output).toBe(image);
+    expect(report.applied).toEqual([]);
+  });
+
+  it('rotates by the EXIF orientation and strips the metadata', async () => {
+    const buffer = await createImage().jpeg().withMetadata({ orientation: 6 }).toBuffer();
+
+    const { image, report } = await preprocessImage(toImage(buffer, 'jpeg'));
+    const metadata = await sharp(image.buffer).metadata();
+
+    expect(report.applied).toEqual(['auto-orient', 'strip-metadata']);
+    expect(report.original).toMatchObject({ width: 20, height: 40, orientation: 6 });
+    expect(metadata).toMatchObject({ width: 20, height: 40 });
+    expect(metadata.orientation).toBeUndefined();
+    expect(metadata.exif).toBeUndefined();
+  });
+
+  it('downscales to the provider maximum dimension', async () => {
+    const buffer = await createImage({ width: 3000, height: 1000 }).png().toBuffer();
+
+    const { image, report } = await preprocessImage(toImage(buffer, 'png'), { provider: 'openai' });
+
+    expect(report.applied).toEqual(['resize']);
+    expect(report.output).toMatchObject({ format: 'png', width: 2048, height: 683 });
+    expect(await sharp(image.buffer).metadata()).toMatchObject({ width: 2048, height: 683 });
+  });
+
+  it('re-encodes TIFF as JPEG, or PNG when it has transparency', async () => {
+    const opaque = await preprocessImage(toImage(await createImage().tiff().toBuffer(), 'tiff'));
+    const transparent = await preprocessImage(toImage(await createImage({ channels: 4 }).tiff({ compression: 'lzw' }).toBuffer(), 'tiff'));
+
+    expect(opaque.report.applied).toEqual(['reencode']);
+    expect(opaque.image).toMatchObject({ format: 'jpeg', mimeType: 'image/jpeg', originalName: 'photo.jpg' });
+    expect((await sharp(opaque.image.buffer).metadata()).format).toBe('jpeg');
+    expect(transparent.image.format).toBe('png');
+  });
+
+  it('still re-encodes formats the provider rejects when re-encoding is turned off', async () => {
+    const image = toImage(await createImage().tiff().toBuffer(), 'tiff');
+
+    const vision = await preprocessImage(image, { overrides: 'none' });
+    const openai = await preprocessImage(image, { provider: 'openai', overrides: { reencode: false } });
+
+    expect(vision.image).toBe(image);
+    expect(openai.image.format).toBe('jpeg');
+  });
+
+  it('passes undecodable formats through to providers that accept them and rejects them otherwise', async () => {
+    const bmp = toImage(Buffer.concat([Buffer.from('BM'), Buffer.alloc(64)]), 'bmp');
+
+    await expect(preprocessImage(bmp)).resolves.toMatchObject({ image: bmp, report: { skipped: 'bmp cannot be decoded on this server' } });
+
+    const error = await preprocessImage(bmp, { provider: 'openai' }).catch(e => e);
+    expect(error).toBeInstanceOf(ImagePreprocessingError);
+    expect(error.status).toBe(415);
+  });
+
+  it('does nothing when preprocessing is disabled', async () => {
+    const image = toImage(await createImage().tiff().toBuffer(), 'tiff');
+    azureConfig.preprocessing.enabled = false;
+
+    try {
+      await expect(preprocessImage(image)).resolves.toEqual({ image, report: { provider: 'vision', applied: [], enabled: false } });
+    } finally {
+      azureConfig.preprocessing.enabled = true;
+    }
+  });
+});
+
+describe('resolveTransforms', () => {
+  it('applies request overrides but always strips metadata', () => {
+    expect(resolveTransforms('{"resize": false, "stripMetadata": false}')).toEqual({
+      autoOrient: true,
+      resize: false,
+      reencode: true,
+      stripMetadata: true
+    });
+  });
+});
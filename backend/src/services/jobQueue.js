@@ -0,0 +1,325 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { ANALYSIS_TYPES, runAnalysis, describeAnalysisError } = require('./analysisService');
+const { isPublicAddress, createGuardedLookup } = require('./remoteImageFetcher');
+
+/**
+ * Error raised when the pending queue is at its maximum depth
+ */
+class JobQueueFullError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JobQueueFullError';
+    this.status = 503;
+  }
+}
+
+/**
+ * In-memory job store.
+ * Any object implementing save/get/update/deleteExpired can replace it,
+ * e.g. a Cosmos DB or Redis backed store. Only serializable job records
+ * are stored; image payloads stay with the in-process queue.
+ */
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async save(job) {
+    this.jobs.set(job.id, { ...job });
+    return job;
+  }
+
+  async get(id) {
+    const job = this.jobs.get(id);
+    return job ? { ...job } : null;
+  }
+
+  async update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return null;
+    }
+    const updated = { ...job, ...changes };
+    this.jobs.set(id, updated);
+    return { ...updated };
+  }
+
+  async deleteExpired(cutoffIso) {
+    let removed = 0;
+    for (const [id, job] of this.jobs) {
+      if (job.completedAt && job.completedAt < cutoffIso) {
+        this.jobs.delete(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Check that a webhook URL is an absolute http(s) URL whose host resolves
+ * only to public addresses, so jobs cannot make the server call internal
+ * services. Delivery checks the connected address again.
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {Function} [options.isAddressAllowed] - Address policy (defaults to public addresses only)
+ * @returns {Promise<boolean>}
+ */
+async function isValidWebhookUrl(value, { isAddressAllowed = isPublicAddress } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return false;
+  }
+  if ((url.protocol !== 'https:' && url.protocol !== 'http:') || url.username || url.password) {
+    return false;
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return isAddressAllowed(hostname);
+  }
+  try {
+    const addresses = await dns.lookup(hostname, { all: true });
+    return addresses.length > 0 && addresses.every(entry => isAddressAllowed(entry.address));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * POST a job notification to a webhook URL with retries.
+ * When a secret is configured the body is signed with HMAC-SHA256.
+ * The URL is validated again and connections use a guarded DNS lookup,
+ * so a host that has since moved to a private address is not called;
+ * redirects are not followed.
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - Notification body
+ * @param {Object} [options]
+ * @param {Function} [options.isAddressAllowed] - Address policy (defaults to public addresses only)
+ * @returns {Promise<{delivered: boolean, attempts: number, lastError: string|null}>}
+ */
+async function deliverWebhook(url, payload, { isAddressAllowed = isPublicAddress } = {}) {
+  const { webhookTimeoutMs, webhookMaxAttempts, webhookSecret } = azureConfig.jobs;
+  if (!await isValidWebhookUrl(url, { isAddressAllowed })) {
+    logger.warn('Webhook URL rejected at delivery', { url });
+    return { delivered: false, attempts: 0, lastError: 'Webhook URL does not resolve to a public address' };
+  }
+
+  const lookup = createGuardedLookup(isAddressAllowed);
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-AzureLens-Event': 'job.completed'
+  };
+
+  if (webhookSecret) {
+    const signature = crypto.createHmac('sha256', webhookSecret).update(body).digest('hex');
+    headers['X-AzureLens-Signature'] = `sha256=${signature}`;
+  }
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= webhookMaxAttempts; attempt++) {
+    try {
+      await axios.post(url, body, {
+        headers,
+        timeout: webhookTimeoutMs,
+        maxRedirects: 0,
+        httpAgent: new http.Agent({ lookup }),
+        httpsAgent: new https.Agent({ lookup }),
+        proxy: false
+      });
+      return { delivered: true, attempts: attempt, lastError: null };
+    } catch (error) {
+      lastError = error.response ? `HTTP ${error.response.status}` : error.message;
+      logger.warn('Webhook delivery failed', { url, attempt, error: lastError });
+      if (attempt < webhookMaxAttempts) {
+        await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  return { delivered: false, attempts: webhookMaxAttempts, lastError };
+}
+
+/**
+ * In-process job queue with a bounded worker pool.
+ * Handlers are registered per job type and receive the job payload.
+ */
+class JobQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.store] - Job store, defaults to MemoryJobStore
+   * @param {number} [options.concurrency] - Maximum jobs running at once
+   * @param {number} [options.ttlMs] - How long finished jobs are kept
+   * @param {number} [options.maxPending] - Most jobs waiting for a worker
+   * @param {Function} [options.notify] - Webhook delivery function
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryJobStore();
+    this.concurrency = options.concurrency || azureConfig.jobs.concurrency;
+    this.ttlMs = options.ttlMs || azureConfig.jobs.ttlMs;
+    this.maxPending = options.maxPending || azureConfig.jobs.maxPending;
+    this.notify = options.notify || deliverWebhook;
+    this.handlers = {};
+    this.pending = [];
+    this.running = 0;
+
+    this.pruneTimer = setInterval(() => this.pruneExpired(), Math.min(this.ttlMs, 5 * 60 * 1000));
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (payload) => result
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Job type
+   * @param {Object} payload - Handler input
+   * @param {Object} [options]
+   * @param {string} [options.webhookUrl] - URL notified when the job finishes
+   * @returns {Promise<Object>} - Job record
+   * @throws {JobQueueFullError} - When maxPending jobs are already waiting
+   */
+  async enqueue(type, payload, { webhookUrl } = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`No handler registered for job type: ${type}`);
+    }
+    // Pending payloads hold whole images in memory
+    if (this.pending.length >= this.maxPending) {
+      throw new JobQueueFullError(`The job queue is full (${this.maxPending} jobs waiting)`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null,
+      webhook: webhookUrl ? { url: webhookUrl, delivered: false, attempts: 0, lastError: null } : null
+    };
+
+    await this.store.save(job);
+    this.pending.push({ id: job.id, type, payload });
+
+    logger.info('Analysis job queued', { jobId: job.id, type, queueLength: this.pending.length });
+
+    this.drain();
+    return job;
+  }
+
+  /**
+   * Get a job record by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>}
+   */
+  async getJob(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Start queued jobs while workers are available
+   */
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const item = this.pending.shift();
+      this.running++;
+      this.run(item)
+        .catch(error => logger.error('Job runner failed:', error))
+        .finally(() => {
+          this.running--;
+          this.drain();
+        });
+    }
+  }
+
+  /**
+   * Run a single job and record its outcome
+   * @param {{id: string, type: string, payload: Object}} item
+   */
+  async run({ id, type, payload }) {
+    await this.store.update(id, { status: 'running', startedAt: new Date().toISOString() });
+
+    let changes;
+    try {
+      const result = await this.handlers[type](payload);
+      changes = { status: 'succeeded', result };
+      logger.info('Analysis job succeeded', { jobId: id, type });
+    } catch (error) {
+      logger.error('Analysis job failed:', { jobId: id, type, message: error.message });
+      const { status, body } = describeAnalysisError(error, type);
+      changes = { status: 'failed', error: { status, ...body } };
+    }
+
+    const job = await this.store.update(id, { ...changes, completedAt: new Date().toISOString() });
+
+    if (job?.webhook) {
+      const delivery = await this.notify(job.webhook.url, {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        result: job.result,
+        error: job.error,
+        completedAt: job.completedAt
+      });
+      await this.store.update(id, { webhook: { ...job.webhook, ...delivery } });
+    }
+  }
+
+  /**
+   * Remove finished jobs older than the TTL
+   */
+  async pruneExpired() {
+    try {
+      const cutoff = new Date(Date.now() - this.ttlMs).toISOString();
+      const removed = await this.store.deleteExpired(cutoff);
+      if (removed > 0) {
+        logger.info('Pruned expired analysis jobs', { removed });
+      }
+    } catch (error) {
+      logger.warn('Failed to prune analysis jobs', { message: error.message });
+    }
+  }
+}
+
+let defaultQueue = null;
+
+/**
+ * Get the shared analysis job queue
+ * @returns {JobQueue}
+ */
+function getJobQueue() {
+  if (!defaultQueue) {
+    defaultQueue = new JobQueue();
+    Object.keys(ANALYSIS_TYPES).forEach(type => {
+      defaultQueue.registerHandler(type, ({ image, options }) => runAnalysis(type, image, options));
+    });
+  }
+  return defaultQueue;
+}
+
+module.exports = {
+  JobQueue,
+  JobQueueFullError,
+  MemoryJobStore,
+  getJobQueue,
+  deliverWebhook,
+  isValidWebhookUrl
+};
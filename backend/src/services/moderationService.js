@@ -0,0 +1,371 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { createAxiosTransport } = require('./visionService');
+const { preprocessImage } = require('./imagePreprocessor');
+
+// Azure AI Content Safety harm categories; severities run from 0 (safe) to 7
+const HARM_CATEGORIES = ['Hate', 'SelfHarm', 'Sexual', 'Violence'];
+const DECISIONS = ['allow', 'warn', 'block'];
+
+const DEFAULT_POLICY = {
+  Hate: { warn: 2, block: 4 },
+  SelfHarm: { warn: 2, block: 4 },
+  Sexual: { warn: 2, block: 4 },
+  Violence: { warn: 2, block: 4 }
+};
+
+// Shorthand category actions apply from the lowest non-safe severity
+const SHORTHAND_ACTIONS = {
+  allow: {},
+  warn: { warn: 2 },
+  block: { block: 2 }
+};
+
+const REFUSAL_MESSAGES = {
+  image: 'The image was blocked by the content policy. Please try a different image.',
+  question: 'Your question was blocked by the content policy. Please rephrase.',
+  answer: 'The answer was blocked by the content policy. Please ask a different question.'
+};
+
+/**
+ * Error raised when content is refused by the moderation stage or by a
+ * provider's own content filter
+ */
+class ModerationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.source] - 'image', 'question' or 'answer'
+   * @param {string} [options.stage] - 'moderation' or 'provider'
+   * @param {Array} [options.categories] - Categories that caused the refusal
+   * @param {number} [options.status]
+   */
+  constructor(message, { source = 'image', stage = 'moderation', categories = [], status = 400 } = {}) {
+    super(message);
+    this.name = 'ModerationError';
+    this.source = source;
+    this.stage = stage;
+    this.categories = categories;
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve the deployment policy: defaults overridden per category by
+ * MODERATION_POLICY. Thresholds left out never trigger.
+ * @param {string|Object|null} value - Policy JSON or object
+ * @returns {Object} - Category to {warn, block}
+ */
+function parsePolicy(value) {
+  const policy = { ...DEFAULT_POLICY };
+  if (!value) {
+    return policy;
+  }
+
+  let overrides = value;
+  if (typeof value === 'string') {
+    try {
+      overrides = JSON.parse(value);
+    } catch (error) {
+      logger.error('Invalid MODERATION_POLICY, using the default policy', { message: error.message });
+      return policy;
+    }
+  }
+
+  Object.entries(overrides).forEach(([category, action]) => {
+    if (!HARM_CATEGORIES.includes(category)) {
+      logger.warn('Ignoring unknown moderation category', { category });
+      return;
+    }
+    if (typeof action === 'string' && SHORTHAND_ACTIONS[action]) {
+      policy[category] = SHORTHAND_ACTIONS[action];
+    } else if (action && typeof action === 'object') {
+      policy[category] = {
+        warn: Number.isFinite(action.warn) ? action.warn : undefined,
+        block: Number.isFinite(action.block) ? action.block : undefined
+      };
+    } else {
+      logger.warn('Ignoring invalid moderation policy entry', { category });
+    }
+  });
+  return policy;
+}
+
+/**
+ * Apply a policy to classifier output
+ * @param {Array<{category: string, severity: number}>} categories
+ * @param {Object} policy - From parsePolicy
+ * @returns {{decision: string, categories: Array<{category: string, severity: number, action: string}>}}
+ */
+function applyPolicy(categories, policy) {
+  const judged = categories.map(({ category, severity }) => {
+    const thresholds = policy[category] || {};
+    let action = 'allow';
+    if (thresholds.block !== undefined && severity >= thresholds.block) {
+      action = 'block';
+    } else if (thresholds.warn !== undefined && severity >= thresholds.warn) {
+      action = 'warn';
+    }
+    return { category, severity, action };
+  });
+
+  const decision = judged.reduce(
+    (worst, { action }) => (DECISIONS.indexOf(action) > DECISIONS.indexOf(worst) ? action : worst),
+    'allow'
+  );
+  return { decision, categories: judged };
+}
+
+/**
+ * Azure AI Content Safety classifier (image:analyze and text:analyze)
+ */
+class ContentSafetyClassifier {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.endpoint] - Defaults to CONTENT_SAFETY_ENDPOINT
+   * @param {string} [options.apiKey] - Defaults to CONTENT_SAFETY_API_KEY
+   * @param {Function} [options.transport] - HTTP transport, see createAxiosTransport
+   */
+  constructor(options = {}) {
+    const config = azureConfig.moderation;
+    this.name = 'azure';
+    this.endpoint = (options.endpoint || process.env.CONTENT_SAFETY_ENDPOINT || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.CONTENT_SAFETY_API_KEY;
+    this.apiVersion = options.apiVersion || config.apiVersion;
+    this.timeoutMs = options.timeoutMs ?? config.timeoutMs;
+    this.transport = options.transport || createAxiosTransport();
+  }
+
+  async request(operation, body) {
+    if (!this.endpoint || !this.apiKey) {
+      throw new Error('Azure Content Safety is not configured');
+    }
+
+    const response = await this.transport({
+      method: 'POST',
+      url: `${this.endpoint}/contentsafety/${operation}?api-version=${encodeURIComponent(this.apiVersion)}`,
+      headers: {
+        'Ocp-Apim-Subscription-Key': this.apiKey,
+        'Content-Type': 'application/json'
+      },
+      data: body,
+      timeoutMs: this.timeoutMs
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+      const message = response.data?.error?.message || `HTTP ${response.status}`;
+      throw new Error(`Content Safety request failed: ${message}`);
+    }
+
+    return (response.data.categoriesAnalysis || []).map(({ category, severity }) => ({
+      category,
+      severity: severity || 0
+    }));
+  }
+
+  async classifyImage(image) {
+    // Content Safety accepts images up to 4 MB
+    const { image: prepared } = await preprocessImage(image, { provider: 'contentSafety' });
+    return this.request('image:analyze', {
+      image: { content: prepared.buffer.toString('base64') },
+      categories: HARM_CATEGORIES,
+      outputType: 'FourSeverityLevels'
+    });
+  }
+
+  async classifyText(text) {
+    return this.request('text:analyze', {
+      text,
+      categories: HARM_CATEGORIES,
+      outputType: 'FourSeverityLevels'
+    });
+  }
+}
+
+/**
+ * Rule-based stand-in classifier for tests and offline development.
+ * Rules come from MODERATION_LOCAL_RULES_FILE:
+ *   { "text": [{ "pattern", "category", "severity" }], "images": [{ "sha256", "category", "severity" }] }
+ * Text patterns are case-insensitive regular expressions; images match by
+ * SHA-256 of the ingested bytes.
+ */
+class LocalSafetyClassifier {
+  /**
+   * @param {Object} [rules] - Rules object; read from the rules file when omitted
+   */
+  constructor(rules) {
+    this.name = 'local';
+    const source = rules || LocalSafetyClassifier.loadRules(azureConfig.moderation.localRulesFile);
+    this.textRules = (source.text || []).map(rule => ({ ...rule, regex: new RegExp(rule.pattern, 'i') }));
+    this.imageRules = source.images || [];
+  }
+
+  static loadRules(rulesFile) {
+    if (!rulesFile) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+      logger.error('Failed to load local moderation rules:', { rulesFile, message: error.message });
+      return {};
+    }
+  }
+
+  static score(matches) {
+    return HARM_CATEGORIES.map(category => ({
+      category,
+      severity: Math.max(0, ...matches.filter(rule => rule.category === category).map(rule => rule.severity))
+    }));
+  }
+
+  async classifyImage(image) {
+    const hash = crypto.createHash('sha256').update(image.buffer).digest('hex');
+    return LocalSafetyClassifier.score(this.imageRules.filter(rule => rule.sha256 === hash));
+  }
+
+  async classifyText(text) {
+    return LocalSafetyClassifier.score(this.textRules.filter(rule => rule.regex.test(text)));
+  }
+}
+
+let defaultClassifier;
+
+/**
+ * Get the classifier selected by MODERATION_PROVIDER (null when screening is off)
+ * @returns {ContentSafetyClassifier|LocalSafetyClassifier|null}
+ */
+function getClassifier() {
+  if (defaultClassifier === undefined) {
+    const { provider } = azureConfig.moderation;
+    if (provider === 'azure') {
+      defaultClassifier = new ContentSafetyClassifier();
+    } else if (provider === 'local') {
+      defaultClassifier = new LocalSafetyClassifier();
+    } else {
+      defaultClassifier = null;
+    }
+  }
+  return defaultClassifier;
+}
+
+/**
+ * Replace the classifier (tests use a LocalSafetyClassifier with inline rules)
+ * @param {Object|null} classifier
+ */
+function setClassifier(classifier) {
+  defaultClassifier = classifier;
+}
+
+/**
+ * Classify content and apply the deployment policy.
+ * Blocked content raises ModerationError; warnings are returned for the
+ * caller to attach to its response.
+ */
+async function screen(source, classify) {
+  const classifier = getClassifier();
+  if (!classifier) {
+    return { decision: 'allow', provider: 'none', categories: [] };
+  }
+
+  let categories;
+  try {
+    categories = await classify(classifier);
+  } catch (error) {
+    logger.error('Content screening failed:', { source, message: error.message });
+    if (azureConfig.moderation.onError === 'block') {
+      throw new ModerationError('Content screening is unavailable', { source, status: 503 });
+    }
+    return { decision: 'allow', provider: classifier.name, categories: [], error: 'Content screening was unavailable' };
+  }
+
+  const verdict = { ...applyPolicy(categories, parsePolicy(azureConfig.moderation.policy)), provider: classifier.name };
+
+  if (verdict.decision !== 'allow') {
+    logger.warn('Content flagged by moderation', {
+      source,
+      decision: verdict.decision,
+      categories: verdict.categories.filter(category => category.action !== 'allow')
+    });
+  }
+
+  if (verdict.decision === 'block') {
+    throw new ModerationError(REFUSAL_MESSAGES[source], {
+      source,
+      categories: verdict.categories.filter(category => category.action === 'block')
+    });
+  }
+
+  return verdict;
+}
+
+/**
+ * Screen an image before analysis
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @returns {Promise<{decision: string, provider: string, categories: Array}>}
+ */
+async function screenImage(image) {
+  return screen('image', classifier => classifier.classifyImage(image));
+}
+
+/**
+ * Screen a user question before it reaches the model
+ * @param {string} text
+ * @returns {Promise<{decision: string, provider: string, categories: Array}>}
+ */
+async function screenText(text) {
+  return screen('question', classifier => classifier.classifyText(text));
+}
+
+/**
+ * Whether a provider error comes from its own content filter
+ * (Azure OpenAI content_filter errors and "content management policy"
+ * messages, Vision "content filtered" failures)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isContentFilterError(error) {
+  return error?.code === 'content_filter' || /content filter|content management policy/i.test(error?.message || '');
+}
+
+/**
+ * Response for refused content, shared by every route
+ * @param {ModerationError|Error} error - A ModerationError or a provider content filter error
+ * @param {string} [source] - 'image', 'question' or 'answer' for provider errors
+ * @returns {{status: number, body: Object}}
+ */
+function describeRefusal(error, source = 'image') {
+  if (!(error instanceof ModerationError)) {
+    error = new ModerationError(REFUSAL_MESSAGES[source], { source, stage: 'provider' });
+  }
+
+  return {
+    status: error.status,
+    body: {
+      error: error.status === 503 ? 'Content screening unavailable' : 'Content blocked',
+      message: error.message,
+      refusal: {
+        source: error.source,
+        stage: error.stage,
+        categories: error.categories.map(({ category, severity }) => ({ category, severity }))
+      }
+    }
+  };
+}
+
+module.exports = {
+  HARM_CATEGORIES,
+  ModerationError,
+  ContentSafetyClassifier,
+  LocalSafetyClassifier,
+  parsePolicy,
+  applyPolicy,
+  getClassifier,
+  setClassifier,
+  screenImage,
+  screenText,
+  isContentFilterError,
+  describeRefusal
+};
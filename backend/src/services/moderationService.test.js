@@ -0,0 +1,167 @@
+const { azureConfig } = require('../config/azure');
+const {
+  ModerationError,
+  ContentSafetyClassifier,
+  LocalSafetyClassifier,
+  parsePolicy,
+  applyPolicy,
+  setClassifier,
+  screenImage,
+  screenText,
+  isContentFilterError,
+  describeRefusal
+} = require('./moderationService');
+
+jest.mock('../utils/logger');
+
+const image = { buffer: Buffer.from('blocked image bytes'), format: 'png', mimeType: 'image/png', size: 19 };
+const imageSha256 = require('crypto').createHash('sha256').update(image.buffer).digest('hex');
+
+describe('parsePolicy', () => {
+  it('uses the defaults without overrides', () => {
+    expect(parsePolicy(null).Violence).toEqual({ warn: 2, block: 4 });
+  });
+
+  it('applies shorthand and threshold overrides per category', () => {
+    const policy = parsePolicy('{"Sexual": "block", "Hate": "allow", "Violence": {"warn": 4, "block": 6}}');
+
+    expect(policy.Sexual).toEqual({ block: 2 });
+    expect(policy.Hate).toEqual({});
+    expect(policy.Violence).toEqual({ warn: 4, block: 6 });
+    expect(policy.SelfHarm).toEqual({ warn: 2, block: 4 });
+  });
+
+  it('ignores unknown categories and falls back on invalid JSON', () => {
+    expect(parsePolicy({ Spam: 'block' })).toEqual(parsePolicy(null));
+    expect(parsePolicy('{not json')).toEqual(parsePolicy(null));
+  });
+});
+
+describe('applyPolicy', () => {
+  const policy = parsePolicy({ Violence: { warn: 2, block: 6 } });
+
+  it.each([
+    [0, 'allow'],
+    [2, 'warn'],
+    [4, 'warn'],
+    [6, 'block']
+  ])('severity %i of Violence is %s', (severity, decision) => {
+    expect(applyPolicy([{ category: 'Violence', severity }], policy).decision).toBe(decision);
+  });
+
+  it('takes the strictest action across categories', () => {
+    const verdict = applyPolicy([
+      { category: 'Hate', severity: 2 },
+      { category: 'Sexual', severity: 4 },
+      { category: 'Violence', severity: 0 }
+    ], policy);
+
+    expect(verdict.decision).toBe('block');
+    expect(verdict.categories.map(category => category.action)).toEqual(['warn', 'block', 'allow']);
+  });
+
+  it('never triggers thresholds the policy leaves out', () => {
+    expect(applyPolicy([{ category: 'Hate', severity: 6 }], parsePolicy({ Hate: 'allow' })).decision).toBe('allow');
+  });
+});
+
+describe('screening with the local classifier', () => {
+  const { policy, onError } = azureConfig.moderation;
+
+  beforeEach(() => {
+    azureConfig.moderation.policy = null;
+    setClassifier(new LocalSafetyClassifier({
+      text: [{ pattern: 'fight', category: 'Violence', severity: 2 }, { pattern: 'kill', category: 'Violence', severity: 6 }],
+      images: [{ sha256: imageSha256, category: 'Sexual', severity: 4 }]
+    }));
+  });
+
+  afterAll(() => {
+    Object.assign(azureConfig.moderation, { policy, onError });
+    setClassifier(undefined);
+  });
+
+  it('allows content no rule matches', async () => {
+    await expect(screenText('What colour is the car?')).resolves.toMatchObject({ decision: 'allow', provider: 'local' });
+  });
+
+  it('returns warnings for the caller to attach', async () => {
+    const verdict = await screenText('Who won the fight?');
+
+    expect(verdict.decision).toBe('warn');
+    expect(verdict.categories.find(category => category.category === 'Violence')).toEqual({ category: 'Violence', severity: 2, action: 'warn' });
+  });
+
+  it('refuses blocked questions and images with the offending categories', async () => {
+    const question = await screenText('how to kill').catch(error => error);
+    const blockedImage = await screenImage(image).catch(error => error);
+
+    expect(question).toBeInstanceOf(ModerationError);
+    expect(question).toMatchObject({ source: 'question', stage: 'moderation', status: 400 });
+    expect(blockedImage.categories).toEqual([{ category: 'Sexual', severity: 4, action: 'block' }]);
+  });
+
+  it('follows MODERATION_POLICY', async () => {
+    azureConfig.moderation.policy = '{"Sexual": "allow"}';
+
+    await expect(screenImage(image)).resolves.toMatchObject({ decision: 'allow' });
+  });
+
+  it('allows or refuses content when the classifier fails, per MODERATION_ON_ERROR', async () => {
+    setClassifier({ name: 'broken', classifyText: async () => { throw new Error('down'); } });
+
+    azureConfig.moderation.onError = 'allow';
+    await expect(screenText('hello')).resolves.toMatchObject({ decision: 'allow', error: 'Content screening was unavailable' });
+
+    azureConfig.moderation.onError = 'block';
+    await expect(screenText('hello')).rejects.toMatchObject({ status: 503 });
+  });
+
+  it('allows everything when screening is off', async () => {
+    setClassifier(null);
+
+    await expect(screenText('how to kill')).resolves.toEqual({ decision: 'allow', provider: 'none', categories: [] });
+  });
+});
+
+describe('ContentSafetyClassifier', () => {
+  it('sends text to text:analyze and reads the category severities', async () => {
+    const transport = jest.fn().mockResolvedValue({
+      status: 200,
+      data: { categoriesAnalysis: [{ category: 'Hate', severity: 2 }, { category: 'Violence' }] }
+    });
+    const classifier = new ContentSafetyClassifier({ endpoint: 'https://safety.example.com/', apiKey: 'key', transport });
+
+    await expect(classifier.classifyText('hello')).resolves.toEqual([
+      { category: 'Hate', severity: 2 },
+      { category: 'Violence', severity: 0 }
+    ]);
+    expect(transport.mock.calls[0][0].url).toMatch(/^https:\/\/safety\.example\.com\/contentsafety\/text:analyze\?api-version=/);
+  });
+
+  it('raises on error responses so the onError policy applies', async () => {
+    const transport = jest.fn().mockResolvedValue({ status: 401, data: { error: { message: 'Access denied' } } });
+    const classifier = new ContentSafetyClassifier({ endpoint: 'https://safety.example.com', apiKey: 'key', transport });
+
+    await expect(classifier.classifyText('hello')).rejects.toThrow('Content Safety request failed: Access denied');
+  });
+});
+
+describe('provider refusals', () => {
+  it('recognizes Azure OpenAI content filter errors', () => {
+    expect(isContentFilterError({ code: 'content_filter' })).toBe(true);
+    expect(isContentFilterError(new Error("The response was filtered due to the prompt triggering Azure OpenAI's content management policy."))).toBe(true);
+    expect(isContentFilterError(new Error('Rate limit exceeded'))).toBe(false);
+  });
+
+  it('describes provider refusals like moderation refusals', () => {
+    const { status, body } = describeRefusal({ code: 'content_filter' }, 'answer');
+
+    expect(status).toBe(400);
+    expect(body).toEqual({
+      error: 'Content blocked',
+      message: 'The answer was blocked by the content policy. Please ask a different question.',
+      refusal: { source: 'answer', stage: 'provider', categories: [] }
+    });
+  });
+});
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const { getAzureClients, azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { validateFieldSpec, toJsonSchema, extractFields, averageConfidence } = require('../utils/fieldSchema');
+
+/**
+ * Error raised for unknown profiles or invalid profile references
+ */
+class ProfileError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProfileError';
+    this.status = status;
+  }
+}
+
+// Profile files are named <name>.v<version>.json
+const PROFILE_FILE_PATTERN = /^([a-z0-9][a-z0-9-]*)\.v(\d+)\.json$/;
+const PROFILE_REFERENCE_PATTERN = /^([a-z0-9][a-z0-9-]*)(?:@v?(\d+))?$/;
+
+const profileSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z0-9][a-z0-9-]*$/).required(),
+  version: Joi.number().integer().min(1).required(),
+  title: Joi.string().required(),
+  description: Joi.string().allow(''),
+  temperature: Joi.number().min(0).max(2),
+  maxTokens: Joi.number().integer().min(1).max(16000),
+  detail: Joi.valid('low', 'high', 'auto'),
+  systemPrompt: Joi.string(),
+  prompt: Joi.string().required(),
+  output: Joi.object().required()
+});
+
+/**
+ * Validate a profile definition against its file name
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateProfile(profile, name, version) {
+  const { error } = profileSchema.validate(profile);
+  if (error) {
+    return error.message;
+  }
+  if (profile.name !== name || profile.version !== version) {
+    return `name and version must match the file name (${name} v${version})`;
+  }
+  return validateFieldSpec(profile.output);
+}
+
+/**
+ * Versioned prompt profiles loaded from JSON files in a directory.
+ * The directory is re-read when a file is added, removed or changed, so
+ * new profiles and versions are picked up without a restart.
+ */
+class ProfileRegistry {
+  /**
+   * @param {string} directory - Directory holding <name>.v<version>.json files
+   */
+  constructor(directory) {
+    this.directory = directory;
+    this.signature = null;
+    this.profiles = new Map();
+  }
+
+  /**
+   * Fingerprint of the profile files, used to detect changes
+   */
+  readSignature() {
+    let files;
+    try {
+      files = fs.readdirSync(this.directory).filter(file => PROFILE_FILE_PATTERN.test(file)).sort();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Failed to read profiles directory', { directory: this.directory, message: error.message });
+      }
+      return { files: [], signature: '' };
+    }
+
+    const signature = files.map(file => {
+      const stats = fs.statSync(path.join(this.directory, file));
+      return `${file}:${stats.mtimeMs}:${stats.size}`;
+    }).join('|');
+    return { files, signature };
+  }
+
+  /**
+   * Reload the profiles when the files changed since the last load.
+   * Invalid files are skipped with a warning.
+   * @returns {Map<string, Map<number, Object>>} - Name to version to profile
+   */
+  load() {
+    const { files, signature } = this.readSignature();
+    if (signature === this.signature) {
+      return this.profiles;
+    }
+
+    const profiles = new Map();
+    files.forEach(file => {
+      const [, name, versionText] = file.match(PROFILE_FILE_PATTERN);
+      const version = Number(versionText);
+
+      let profile;
+      try {
+        profile = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+      } catch (error) {
+        logger.warn('Skipping unreadable profile', { file, message: error.message });
+        return;
+      }
+
+      const problem = validateProfile(profile, name, version);
+      if (problem) {
+        logger.warn('Skipping invalid profile', { file, problem });
+        return;
+      }
+
+      if (!profiles.has(name)) {
+        profiles.set(name, new Map());
+      }
+      profiles.get(name).set(version, profile);
+    });
+
+    this.profiles = profiles;
+    this.signature = signature;
+    logger.info('Prompt profiles loaded', { directory: this.directory, profiles: [...profiles.keys()] });
+    return profiles;
+  }
+
+  /**
+   * Resolve a profile reference: "name" for the latest version or "name@version"
+   * @param {string} reference - Profile reference
+   * @returns {Object} - Profile definition
+   */
+  get(reference) {
+    const match = typeof reference === 'string' && reference.trim().toLowerCase().match(PROFILE_REFERENCE_PATTERN);
+    if (!match) {
+      throw new ProfileError('profile must be a profile name, optionally followed by @version');
+    }
+
+    const [, name, versionText] = match;
+    const versions = this.load().get(name);
+    if (!versions) {
+      throw new ProfileError(`Unknown profile: ${name}. Available profiles: ${[...this.profiles.keys()].join(', ') || 'none'}`, 404);
+    }
+
+    const version = versionText ? Number(versionText) : Math.max(...versions.keys());
+    const profile = versions.get(version);
+    if (!profile) {
+      throw new ProfileError(`Profile ${name} has no version ${version}. Available versions: ${[...versions.keys()].join(', ')}`, 404);
+    }
+    return profile;
+  }
+
+  /**
+   * Describe the available profiles with their versions and output schemas
+   * @returns {Array<Object>}
+   */
+  list() {
+    return [...this.load().entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, versions]) => {
+        const latest = versions.get(Math.max(...versions.keys()));
+        return {
+          name,
+          version: latest.version,
+          versions: [...versions.keys()].sort((a, b) => a - b),
+          title: latest.title,
+          description: latest.description || '',
+          temperature: latest.temperature ?? azureConfig.openai.temperature,
+          schema: toJsonSchema(latest.output)
+        };
+      });
+  }
+}
+
+/**
+ * Short hash of a profile definition, so cached results follow edits
+ */
+function getProfileHash(profile) {
+  return crypto.createHash('sha256').update(JSON.stringify(profile)).digest('hex').slice(0, 12);
+}
+
+let defaultRegistry = null;
+
+/**
+ * Get the shared profile registry
+ * @returns {ProfileRegistry}
+ */
+function getProfileRegistry() {
+  if (!defaultRegistry) {
+    defaultRegistry = new ProfileRegistry(azureConfig.profiles.directory);
+  }
+  return defaultRegistry;
+}
+
+/**
+ * Fill the {{language}} and {{schema}} placeholders of a profile prompt
+ */
+function renderPrompt(profile, language) {
+  const schema = JSON.stringify(toJsonSchema(profile.output));
+  return profile.prompt
+    .replace(/\{\{\s*language\s*\}\}/g, language)
+    .replace(/\{\{\s*schema\s*\}\}/g, schema);
+}
+
+/**
+ * Analyze an image with GPT-4o using a prompt profile.
+ * The model answer is normalized and validated against the profile's output spec.
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @param {Object} options
+ * @param {string} options.profile - Profile reference ("name" or "name@version")
+ * @param {string} [options.language] - Output language
+ * @returns {Promise<Object>}
+ */
+async function analyzeWithProfile(image, options = {}) {
+  const profile = getProfileRegistry().get(options.profile);
+  const language = options.language || 'en';
+
+  const { openai } = getAzureClients();
+  if (!openai) {
+    throw new Error('OpenAI client not initialized');
+  }
+
+  logger.info('Starting profile analysis', { profile: profile.name, version: profile.version, fileSize: image.size });
+
+  const messages = [];
+  if (profile.systemPrompt) {
+    messages.push({ role: 'system', content: profile.systemPrompt });
+  }
+  messages.push({
+    role: 'user',
+    content: [
+      { type: 'text', text: renderPrompt(profile, language) },
+      {
+        type: 'image_url',
+        image_url: {
+          url: `data:${image.mimeType};base64,${image.buffer.toString('base64')}`,
+          detail: profile.detail || 'high'
+        }
+      }
+    ]
+  });
+
+  const response = await openai.chat.completions.create({
+    model: azureConfig.openai.deploymentName,
+    messages,
+    max_tokens: profile.maxTokens || azureConfig.openai.maxTokens,
+    temperature: profile.temperature ?? azureConfig.openai.temperature,
+    response_format: { type: 'json_object' }
+  });
+
+  let answer;
+  try {
+    answer = JSON.parse(response.choices[0].message.content);
+  } catch (error) {
+    throw new Error(`Profile response was not valid JSON: ${error.message}`);
+  }
+
+  const { values, confidence, issues } = extractFields(profile.output, answer);
+
+  logger.info('Profile analysis completed', {
+    profile: profile.name,
+    version: profile.version,
+    issues: issues.length,
+    tokensUsed: response.usage?.total_tokens
+  });
+
+  return {
+    success: true,
+    enhanced: true,
+    mode: 'profile',
+    profile: {
+      name: profile.name,
+      version: profile.version,
+      title: profile.title
+    },
+    output: values,
+    confidence,
+    overallConfidence: averageConfidence(confidence),
+    validation: {
+      valid: issues.length === 0,
+      issues
+    },
+    usage: response.usage
+  };
+}
+
+module.exports = {
+  ProfileError,
+  ProfileRegistry,
+  getProfileRegistry,
+  getProfileHash,
+  analyzeWithProfile
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+process.env.PROFILES_DIR = directory;
+
+const { getAzureClients } = require('../config/azure');
+const { ProfileError, ProfileRegistry, getProfileHash, analyzeWithProfile } = require('./profileService');
+
+jest.mock('../utils/logger');
+
+const profile = (name, version, changes = {}) => ({
+  name,
+  version,
+  title: `${name} v${version}`,
+  prompt: 'Describe the plant in {{language}}. Answer with {{ schema }}',
+  output: { species: { type: 'string', required: true }, height: { type: 'number' } },
+  ...changes
+});
+
+function writeProfile(file, content) {
+  fs.writeFileSync(path.join(directory, file), typeof content === 'string' ? content : JSON.stringify(content));
+}
+
+/**
+ * Error thrown by a registry lookup
+ */
+function lookupError(registry, reference) {
+  try {
+    registry.get(reference);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+beforeAll(() => {
+  writeProfile('plants.v1.json', profile('plants', 1));
+  writeProfile('plants.v2.json', profile('plants', 2, { temperature: 0.2 }));
+  writeProfile('mismatch.v1.json', profile('other', 1));
+  writeProfile('bad-output.v1.json', profile('bad-output', 1, { output: { species: { type: 'latin' } } }));
+  writeProfile('broken.v1.json', '{ not json');
+  writeProfile('README.md', '# not a profile');
+});
+
+afterAll(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('ProfileRegistry', () => {
+  const registry = new ProfileRegistry(directory);
+
+  it('loads valid profiles and skips invalid files', () => {
+    expect([...registry.load().keys()]).toEqual(['plants']);
+  });
+
+  it('resolves the latest version or a pinned one', () => {
+    expect(registry.get('plants').version).toBe(2);
+    expect(registry.get(' Plants@v1 ').version).toBe(1);
+    expect(registry.get('plants@2').temperature).toBe(0.2);
+  });
+
+  it('reports unknown profiles and versions as 404', () => {
+    const unknown = lookupError(registry, 'fungi');
+    const missingVersion = lookupError(registry, 'plants@7');
+
+    expect(unknown).toBeInstanceOf(ProfileError);
+    expect(unknown).toMatchObject({ status: 404, message: 'Unknown profile: fungi. Available profiles: plants' });
+    expect(missingVersion).toMatchObject({ status: 404, message: 'Profile plants has no version 7. Available versions: 1, 2' });
+  });
+
+  it('rejects malformed references as 400', () => {
+    expect(lookupError(registry, 'plants@latest')).toMatchObject({ status: 400 });
+    expect(lookupError(registry, undefined)).toMatchObject({ status: 400 });
+  });
+
+  it('lists the latest version of each profile with its schema', () => {
+    expect(registry.list()).toEqual([expect.objectContaining({
+      name: 'plants',
+      version: 2,
+      versions: [1, 2],
+      title: 'plants v2',
+      temperature: 0.2,
+      schema: expect.objectContaining({ required: ['species', 'height'] })
+    })]);
+  });
+
+  it('picks up new versions without a restart', () => {
+    writeProfile('plants.v3.json', profile('plants', 3));
+
+    try {
+      expect(registry.get('plants').version).toBe(3);
+    } finally {
+      fs.rmSync(path.join(directory, 'plants.v3.json'));
+    }
+    expect(registry.get('plants').version).toBe(2);
+  });
+
+  it('treats a missing directory as empty', () => {
+    expect(lookupError(new ProfileRegistry(path.join(directory, 'missing')), 'plants').message).toBe('Unknown profile: plants. Available profiles: none');
+  });
+
+  it('loads the bundled profiles', () => {
+    const bundled = path.resolve(__dirname, '../../profiles');
+    const files = fs.readdirSync(bundled).filter(file => file.endsWith('.json'));
+
+    expect(new ProfileRegistry(bundled).list()).toHaveLength(files.length);
+  });
+});
+
+describe('getProfileHash', () => {
+  it('changes when the profile changes', () => {
+    expect(getProfileHash(profile('plants', 1))).toBe(getProfileHash(profile('plants', 1)));
+    expect(getProfileHash(profile('plants', 1))).not.toBe(getProfileHash(profile('plants', 1, { prompt: 'Other' })));
+  });
+});
+
+describe('analyzeWithProfile', () => {
+  const create = jest.fn();
+  const image = { buffer: Buffer.from('image'), size: 5, mimeType: 'image/jpeg' };
+
+  beforeEach(() => {
+    getAzureClients().openai = { chat: { completions: { create } } };
+    create.mockReset().mockResolvedValue({
+      choices: [{ message: { content: '{"species": {"value": "Monstera deliciosa", "confidence": 0.9}, "height": {"value": "1,5", "confidence": 0.5}}' } }],
+      usage: { total_tokens: 80 }
+    });
+  });
+
+  it('fills the prompt placeholders and validates the answer', async () => {
+    const result = await analyzeWithProfile(image, { profile: 'plants@1', language: 'Dutch' });
+
+    const request = create.mock.calls[0][0];
+    expect(request.messages[0].content[0].text).toMatch(/^Describe the plant in Dutch\. Answer with \{"type":"object"/);
+    expect(request.messages[0].content[1].image_url.detail).toBe('high');
+    expect(result).toMatchObject({
+      mode: 'profile',
+      profile: { name: 'plants', version: 1, title: 'plants v1' },
+      output: { species: 'Monstera deliciosa', height: 1.5 },
+      overallConfidence: 0.7,
+      validation: { valid: true, issues: [] }
+    });
+  });
+
+  it('fails before calling the model for unknown profiles', async () => {
+    await expect(analyzeWithProfile(image, { profile: 'fungi' })).rejects.toMatchObject({ name: 'ProfileError', status: 404 });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,151 @@
+const path = require('path');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const VisionService = require('./visionService');
+const { IMAGE_FORMATS } = require('../utils/imageFormat');
+const { REDACTION_METHODS, redactRegions, detectSkinRegions } = require('../utils/redaction');
+
+const REDACTION_MODES = ['none', ...REDACTION_METHODS];
+const DISABLE_VALUES = [false, 'false', 'none', 'off'];
+
+/**
+ * Error raised for invalid or unauthorized redaction overrides
+ */
+class RedactionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RedactionError';
+    this.status = status;
+  }
+}
+
+/**
+ * Resolve the redaction mode for a request. Anyone may ask for redaction;
+ * turning privacy mode off needs an authorized caller.
+ * @param {string|boolean|undefined} requested - Per-request override
+ * @param {boolean} authorized - Whether the caller may disable redaction
+ * @returns {string} - One of REDACTION_MODES
+ */
+function resolveRedactionMode(requested, authorized) {
+  const defaultMode = azureConfig.redaction.mode;
+
+  if (requested === undefined || requested === null || requested === '') {
+    return defaultMode;
+  }
+
+  if (DISABLE_VALUES.includes(requested)) {
+    if (defaultMode !== 'none' && !authorized) {
+      throw new RedactionError('Disabling redaction requires a valid X-Admin-Key header', 403);
+    }
+    return 'none';
+  }
+
+  if (requested === true || requested === 'true') {
+    return defaultMode === 'none' ? 'blur' : defaultMode;
+  }
+
+  if (REDACTION_METHODS.includes(requested)) {
+    return requested;
+  }
+
+  throw new RedactionError(`redact must be one of: ${REDACTION_MODES.join(', ')}`);
+}
+
+/**
+ * Boxes to redact: People boxes from the analysis when it produced them,
+ * otherwise the configured detector
+ * @param {Object} image - Normalized image
+ * @param {Array|null} people - People with boundingBox or rectangle, null when not detected
+ * @returns {Promise<{detector: string, boxes: Array}>}
+ */
+async function findRedactionBoxes(image, people) {
+  const { detector, minConfidence } = azureConfig.redaction;
+  const toBoxes = list => list
+    .filter(person => (person.confidence ?? 1) >= minConfidence)
+    .map(person => person.boundingBox || person.rectangle)
+    .filter(Boolean);
+
+  if (Array.isArray(people)) {
+    return { detector: 'analysis', boxes: toBoxes(people) };
+  }
+
+  const visionService = new VisionService();
+  if (detector === 'vision' && visionService.isConfigured()) {
+    try {
+      const { analysis } = await visionService.analyzeImage(image.buffer, { features: ['People'] });
+      return { detector: 'vision', boxes: toBoxes(analysis.people) };
+    } catch (error) {
+      logger.warn('Vision people detection for redaction failed, using the local detector', { message: error.message });
+    }
+  }
+
+  return { detector: 'local', boxes: await detectSkinRegions(image.buffer) };
+}
+
+/**
+ * Blur or pixelate people in an image before it is stored
+ * @param {Object} image - Normalized image
+ * @param {Object} options
+ * @param {string} options.method - 'blur' or 'pixelate'
+ * @param {Array|null} [options.people] - People boxes from the analysis, if any
+ * @returns {Promise<{image: Object, report: {applied: boolean, method: string, detector: string, regions: number}}>}
+ */
+async function redactImage(image, { method, people = null }) {
+  const { detector, boxes } = await findRedactionBoxes(image, people);
+  const output = await redactRegions(image.buffer, boxes, { method, padding: azureConfig.redaction.padding });
+
+  const formatInfo = IMAGE_FORMATS[output.format] || IMAGE_FORMATS.jpeg;
+  const baseName = path.basename(image.originalName, path.extname(image.originalName));
+
+  logger.info('Image redacted before storage', { method, detector, regions: output.regions });
+
+  return {
+    image: {
+      ...image,
+      buffer: output.buffer,
+      size: output.buffer.length,
+      format: output.format,
+      mimeType: formatInfo.mimeType,
+      extension: formatInfo.extension,
+      originalName: `${baseName}${formatInfo.extension}`
+    },
+    report: {
+      applied: true,
+      method,
+      detector,
+      regions: output.regions
+    }
+  };
+}
+
+/**
+ * Blob metadata recording how a stored image was redacted
+ * @param {Object|null} report - From redactImage, null when not redacted
+ * @param {string} mode - Resolved redaction mode
+ * @returns {Object<string, string>}
+ */
+function getRedactionMetadata(report, mode) {
+  if (!report) {
+    return {
+      redacted: 'false',
+      // Privacy mode was on and an authorized caller turned it off
+      ...(mode === 'none' && azureConfig.redaction.mode !== 'none' && { redactionOverride: 'disabled' })
+    };
+  }
+
+  return {
+    redacted: 'true',
+    redactionMethod: report.method,
+    redactionDetector: report.detector,
+    redactedRegions: String(report.regions)
+  };
+}
+
+module.exports = {
+  REDACTION_MODES,
+  RedactionError,
+  resolveRedactionMode,
+  findRedactionBoxes,
+  redactImage,
+  getRedactionMetadata
+};
@@ -0,0 +1,85 @@
+const sharp = require('sharp');
+const { azureConfig } = require('../config/azure');
+const { RedactionError, resolveRedactionMode, findRedactionBoxes, redactImage, getRedactionMetadata } = require('./redactionService');
+
+jest.mock('../utils/logger');
+
+/**
+ * Run a test body with a different configured redaction mode
+ */
+async function withDefaultMode(mode, test) {
+  const previous = azureConfig.redaction.mode;
+  azureConfig.redaction.mode = mode;
+  try {
+    await test();
+  } finally {
+    azureConfig.redaction.mode = previous;
+  }
+}
+
+describe('resolveRedactionMode', () => {
+  it('uses the configured mode unless the request asks for another', () => withDefaultMode('pixelate', () => {
+    expect(resolveRedactionMode(undefined, false)).toBe('pixelate');
+    expect(resolveRedactionMode('blur', false)).toBe('blur');
+    expect(resolveRedactionMode('true', false)).toBe('pixelate');
+  }));
+
+  it('turns redaction on with blur when it is off by default', () => withDefaultMode('none', () => {
+    expect(resolveRedactionMode(true, false)).toBe('blur');
+    expect(resolveRedactionMode('off', false)).toBe('none');
+  }));
+
+  it('only lets authorized callers turn privacy mode off', () => withDefaultMode('blur', () => {
+    expect(resolveRedactionMode('none', true)).toBe('none');
+    expect(() => resolveRedactionMode(false, false)).toThrow(expect.objectContaining({ status: 403 }));
+  }));
+
+  it('rejects unknown modes', () => {
+    expect(() => resolveRedactionMode('smudge', true)).toThrow(RedactionError);
+    expect(() => resolveRedactionMode('smudge', true)).toThrow('redact must be one of: none, blur, pixelate');
+  });
+});
+
+describe('findRedactionBoxes', () => {
+  it('uses People boxes from the analysis above the minimum confidence', async () => {
+    const people = [
+      { confidence: 0.9, boundingBox: { x: 1, y: 2, w: 3, h: 4 } },
+      { confidence: 0.1, boundingBox: { x: 5, y: 6, w: 7, h: 8 } },
+      { confidence: 0.8, rectangle: { x: 9, y: 9, w: 9, h: 9 } },
+      { confidence: 0.8 }
+    ];
+
+    expect(await findRedactionBoxes({ buffer: Buffer.alloc(0) }, people)).toEqual({
+      detector: 'analysis',
+      boxes: [{ x: 1, y: 2, w: 3, h: 4 }, { x: 9, y: 9, w: 9, h: 9 }]
+    });
+  });
+});
+
+describe('redactImage', () => {
+  it('redacts the analysis boxes and renames converted images', async () => {
+    const buffer = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#808080' } }).tiff().toBuffer();
+    const image = { buffer, size: buffer.length, format: 'bmp', mimeType: 'image/bmp', extension: '.bmp', originalName: 'team.photo.bmp' };
+
+    const { image: output, report } = await redactImage(image, { method: 'pixelate', people: [{ confidence: 1, boundingBox: { x: 8, y: 8, w: 16, h: 16 } }] });
+
+    expect(report).toEqual({ applied: true, method: 'pixelate', detector: 'analysis', regions: 1 });
+    expect(output).toMatchObject({ format: 'tiff', mimeType: 'image/tiff', originalName: 'team.photo.tiff', size: output.buffer.length });
+  });
+});
+
+describe('getRedactionMetadata', () => {
+  it('records how the stored image was redacted', () => {
+    expect(getRedactionMetadata({ method: 'blur', detector: 'local', regions: 2 }, 'blur')).toEqual({
+      redacted: 'true',
+      redactionMethod: 'blur',
+      redactionDetector: 'local',
+      redactedRegions: '2'
+    });
+  });
+
+  it('records an authorized override of privacy mode', () => withDefaultMode('blur', () => {
+    expect(getRedactionMetadata(null, 'none')).toEqual({ redacted: 'false', redactionOverride: 'disabled' });
+    expect(getRedactionMetadata(null, 'blur')).toEqual({ redacted: 'false' });
+  }));
+});
@@ -0,0 +1,229 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+
+/**
+ * Error raised when a remote image cannot be fetched safely
+ */
+class RemoteImageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RemoteImageError';
+    this.status = status;
+  }
+}
+
+// Private, loopback, link-local, multicast and documentation ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+// ::/96 covers the unspecified and loopback addresses and the deprecated
+// IPv4-compatible form (::127.0.0.1 is ::7f00:1)
+[
+  ['::', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+
+  if (family === 6) {
+    // IPv4-mapped IPv6 addresses are checked as IPv4
+    const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+      return !blockedAddresses.check(mapped[1], 'ipv4');
+    }
+    return !blockedAddresses.check(address, 'ipv6');
+  }
+
+  return !blockedAddresses.check(address, 'ipv4');
+}
+
+/**
+ * DNS lookup that refuses to resolve to non-public addresses.
+ * Used as the socket lookup so the checked address is the one connected to,
+ * which defeats DNS rebinding between validation and connection.
+ */
+function createGuardedLookup(isAddressAllowed) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        return callback(error);
+      }
+
+      const blocked = addresses.find(entry => !isAddressAllowed(entry.address));
+      if (blocked) {
+        return callback(new RemoteImageError(`Host ${hostname} resolves to a non-public address`, 400));
+      }
+
+      if (options.all) {
+        return callback(null, addresses);
+      }
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+/**
+ * Validate a URL before connecting to it
+ * @param {string} value - URL to fetch
+ * @param {Function} isAddressAllowed - Address policy
+ * @returns {URL}
+ */
+function validateRemoteUrl(value, isAddressAllowed) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new RemoteImageError('imageUrl must be an absolute URL');
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new RemoteImageError('Only http and https image URLs are supported');
+  }
+
+  if (url.username || url.password) {
+    throw new RemoteImageError('Image URLs must not contain credentials');
+  }
+
+  const port = Number(url.port) || (url.protocol === 'https:' ? 443 : 80);
+  if (!azureConfig.remoteImages.allowedPorts.includes(port)) {
+    throw new RemoteImageError(`Port ${port} is not allowed for image URLs`);
+  }
+
+  // IP literals skip DNS lookup, so check them here
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !isAddressAllowed(hostname)) {
+    throw new RemoteImageError('Image URL points to a non-public address');
+  }
+
+  return url;
+}
+
+/**
+ * Perform a single GET request without following redirects
+ */
+function requestOnce(url, { lookup, maxBytes, signal }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.get(url, {
+      lookup,
+      signal,
+      headers: {
+        Accept: 'image/*',
+        'User-Agent': 'AzureLens-ImageFetcher/1.0'
+      }
+    }, (response) => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400) {
+        response.resume();
+        return resolve({ statusCode, headers, buffer: null });
+      }
+
+      if (statusCode !== 200) {
+        response.resume();
+        return reject(new RemoteImageError(`Image URL returned HTTP ${statusCode}`, 502));
+      }
+
+      const declaredLength = Number(headers['content-length']);
+      if (declaredLength > maxBytes) {
+        response.destroy();
+        return reject(new RemoteImageError('Remote image exceeds the size limit', 413));
+      }
+
+      const chunks = [];
+      let received = 0;
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        if (received > maxBytes) {
+          response.destroy();
+          reject(new RemoteImageError('Remote image exceeds the size limit', 413));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ statusCode, headers, buffer: Buffer.concat(chunks) }));
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Fetch an image from a public URL with SSRF protections: only public
+ * addresses, a limited number of re-validated redirects, size and time
+ * limits, and an image content type.
+ * @param {string} imageUrl - URL to fetch
+ * @param {Object} [options]
+ * @param {Function} [options.isAddressAllowed] - Address policy (defaults to public addresses only)
+ * @returns {Promise<{buffer: Buffer, contentType: string, finalUrl: string}>}
+ */
+async function fetchRemoteImage(imageUrl, options = {}) {
+  const config = azureConfig.remoteImages;
+  const isAddressAllowed = options.isAddressAllowed || isPublicAddress;
+  const maxBytes = options.maxBytes || azureConfig.images.maxSizeBytes;
+  const lookup = createGuardedLookup(isAddressAllowed);
+  let url = validateRemoteUrl(imageUrl, isAddressAllowed);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      const response = await requestOnce(url, { lookup, maxBytes, signal: controller.signal });
+
+      if (response.buffer) {
+        const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (!contentType.startsWith('image/') && contentType !== 'application/octet-stream') {
+          throw new RemoteImageError(`Image URL returned unsupported content type: ${contentType || 'unknown'}`, 415);
+        }
+
+        logger.info('Remote image fetched', { host: url.hostname, size: response.buffer.length, redirects });
+        return { buffer: response.buffer, contentType, finalUrl: url.toString() };
+      }
+
+      if (redirects >= config.maxRedirects) {
+        throw new RemoteImageError('Image URL redirected too many times', 400);
+      }
+      if (!response.headers.location) {
+        throw new RemoteImageError('Image URL returned a redirect without a location', 502);
+      }
+
+      url = validateRemoteUrl(new URL(response.headers.location, url).toString(), isAddressAllowed);
+    }
+  } catch (error) {
+    if (error instanceof RemoteImageError) {
+      throw error;
+    }
+    if (error.name === 'AbortError' || controller.signal.aborted) {
+      throw new RemoteImageError('Timed out fetching the image URL', 504);
+    }
+    throw new RemoteImageError(`Failed to fetch the image URL: ${error.message}`, 502);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  RemoteImageError,
+  fetchRemoteImage,
+  isPublicAddress,
+  createGuardedLookup
+};
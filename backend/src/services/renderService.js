@@ -0,0 +1,150 @@
+const sharp = require('sharp');
+const logger = require('../utils/logger');
+const { RENDER_LAYERS, collectShapes, getAnalysisDimensions, buildOverlaySvg } = require('../utils/annotate');
+
+const RENDER_FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg'
+};
+
+const DEFAULT_LAYERS = ['objects', 'people'];
+
+/**
+ * Error raised for invalid render requests or images that cannot be drawn on
+ */
+class RenderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RenderError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse the requested layers: an array, a comma-separated list or 'all'
+ * @param {string|string[]|undefined} value
+ * @returns {string[]} - Keys of RENDER_LAYERS
+ */
+function parseLayers(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_LAYERS;
+  }
+
+  const layers = (Array.isArray(value) ? value : String(value).split(','))
+    .map(layer => String(layer).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (layers.includes('all')) {
+    return Object.keys(RENDER_LAYERS);
+  }
+
+  const unknown = layers.filter(layer => !RENDER_LAYERS[layer]);
+  if (unknown.length > 0 || layers.length === 0) {
+    throw new RenderError(`layers must be 'all' or any of: ${Object.keys(RENDER_LAYERS).join(', ')}`);
+  }
+  return [...new Set(layers)];
+}
+
+/**
+ * Parse the output format ('jpg' is accepted for jpeg)
+ * @param {string|undefined} value
+ * @returns {string} - Key of RENDER_FORMATS
+ */
+function parseRenderFormat(value) {
+  const format = String(value || 'png').toLowerCase().replace(/^jpg$/, 'jpeg');
+  if (!RENDER_FORMATS[format]) {
+    throw new RenderError(`format must be one of: ${Object.keys(RENDER_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Parse a client-supplied analysis result (JSON bodies send an object,
+ * multipart forms a JSON string)
+ * @param {Object|string|undefined} value
+ * @returns {Object|null} - null when the analysis should be run
+ */
+function parseAnalysisInput(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new RenderError('analysis must be a JSON analysis result');
+    }
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new RenderError('analysis must be a JSON analysis result');
+  }
+  return parsed;
+}
+
+/**
+ * Vision features needed to draw the given layers
+ * @param {string[]} layers
+ * @returns {string[]}
+ */
+function getLayerFeatures(layers) {
+  return layers.map(layer => RENDER_LAYERS[layer].feature);
+}
+
+/**
+ * Draw analysis geometry on an image. The image is auto-oriented, and
+ * coordinates are scaled from the dimensions the analysis recorded (Vision
+ * may have seen a downscaled copy) to the rendered image.
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @param {Object} analysis - Analysis response body (analyze, ocr or analyze-enhanced)
+ * @param {Object} [options]
+ * @param {string[]} [options.layers] - Layers to draw
+ * @param {string} [options.format] - 'png' or 'jpeg'
+ * @returns {Promise<{buffer: Buffer, mimeType: string, width: number, height: number, shapes: number}>}
+ */
+async function renderAnnotatedImage(image, analysis, { layers = DEFAULT_LAYERS, format = 'png' } = {}) {
+  let oriented;
+  try {
+    oriented = await sharp(image.buffer).rotate().png().toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw new RenderError(`Image could not be decoded for rendering: ${error.message}`, 415);
+  }
+
+  const { width, height } = oriented.info;
+  const dimensions = getAnalysisDimensions(analysis) || { width, height };
+  const shapes = collectShapes(analysis, layers);
+
+  const svg = buildOverlaySvg(shapes, {
+    width,
+    height,
+    scaleX: width / dimensions.width,
+    scaleY: height / dimensions.height
+  });
+
+  const pipeline = sharp(oriented.data).composite([{ input: Buffer.from(svg), left: 0, top: 0 }]);
+  const buffer = format === 'jpeg'
+    ? await pipeline.flatten({ background: '#ffffff' }).jpeg({ quality: 90 }).toBuffer()
+    : await pipeline.png().toBuffer();
+
+  logger.info('Annotated image rendered', { layers, shapes: shapes.length, width, height, format });
+
+  return {
+    buffer,
+    mimeType: RENDER_FORMATS[format],
+    width,
+    height,
+    shapes: shapes.length
+  };
+}
+
+module.exports = {
+  RENDER_FORMATS,
+  RenderError,
+  parseLayers,
+  parseRenderFormat,
+  parseAnalysisInput,
+  getLayerFeatures,
+  renderAnnotatedImage
+};
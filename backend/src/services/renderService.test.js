@@ -0,0 +1,78 @@
+const sharp = require('sharp');
+const { RenderError, parseLayers, parseRenderFormat, parseAnalysisInput, getLayerFeatures, renderAnnotatedImage } = require('./renderService');
+
+jest.mock('../utils/logger');
+
+/**
+ * Error thrown by a parser
+ */
+function parseError(parse, value) {
+  try {
+    parse(value);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('request parsing', () => {
+  it('parses layers from lists, strings and all', () => {
+    expect(parseLayers(undefined)).toEqual(['objects', 'people']);
+    expect(parseLayers(' Text,people,text ')).toEqual(['text', 'people']);
+    expect(parseLayers(['all'])).toEqual(['objects', 'people', 'text', 'crops']);
+    expect(getLayerFeatures(['text', 'crops'])).toEqual(['Read', 'SmartCrops']);
+  });
+
+  it('rejects unknown layers, formats and analysis bodies with a 400', () => {
+    expect(parseError(parseLayers, 'objects,faces')).toMatchObject({ name: 'RenderError', status: 400 });
+    expect(parseError(parseLayers, ',')).toBeInstanceOf(RenderError);
+    expect(parseError(parseRenderFormat, 'gif').message).toBe('format must be one of: png, jpeg');
+    expect(parseError(parseAnalysisInput, '{"objects": [')).toBeInstanceOf(RenderError);
+    expect(parseError(parseAnalysisInput, [])).toBeInstanceOf(RenderError);
+  });
+
+  it('accepts jpg and analysis given as a JSON string', () => {
+    expect(parseRenderFormat('JPG')).toBe('jpeg');
+    expect(parseAnalysisInput('{"objects": []}')).toEqual({ objects: [] });
+    expect(parseAnalysisInput('')).toBeNull();
+  });
+});
+
+describe('renderAnnotatedImage', () => {
+  const image = async (width, height) => ({
+    buffer: await sharp({ create: { width, height, channels: 3, background: '#ffffff' } }).png().toBuffer()
+  });
+
+  /**
+   * RGB of one rendered pixel
+   */
+  async function pixel(buffer, left, top) {
+    const data = await sharp(buffer).extract({ left, top, width: 1, height: 1 }).removeAlpha().raw().toBuffer();
+    return [...data];
+  }
+
+  it('scales boxes from the analysed size to the image', async () => {
+    // Vision saw a 100x50 copy of this 400x200 image
+    const analysis = { analysis: { objects: [{ name: 'cat', boundingBox: { x: 25, y: 20, w: 50, h: 25 } }], metadata: { width: 100, height: 50 } } };
+
+    const rendered = await renderAnnotatedImage(await image(400, 200), analysis, { layers: ['objects'] });
+
+    expect(rendered).toMatchObject({ mimeType: 'image/png', width: 400, height: 200, shapes: 1 });
+    expect(await pixel(rendered.buffer, 200, 80)).toEqual([0, 180, 255]);
+    expect(await pixel(rendered.buffer, 200, 120)).toEqual([255, 255, 255]);
+  });
+
+  it('renders JPEG', async () => {
+    const rendered = await renderAnnotatedImage(await image(64, 64), { objects: [] }, { format: 'jpeg' });
+
+    expect(rendered).toMatchObject({ mimeType: 'image/jpeg', shapes: 0 });
+    expect((await sharp(rendered.buffer).metadata()).format).toBe('jpeg');
+  });
+
+  it('reports images it cannot decode as 415', async () => {
+    const error = await renderAnnotatedImage({ buffer: Buffer.from('BM not a bitmap') }, {}).catch(e => e);
+
+    expect(error).toBeInstanceOf(RenderError);
+    expect(error.status).toBe(415);
+  });
+});
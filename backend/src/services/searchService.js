@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { EmbeddingError, getEmbeddingProvider } = require('./embeddingService');
+const { getVectorIndex } = require('./vectorIndex');
+
+// Analysis types whose images are added to the index
+const INDEXED_TYPES = ['analyze', 'analyze-enhanced'];
+
+const MAX_QUERY_LENGTH = 1000;
+
+/**
+ * Caption, tags and object names from an analyze or analyze-enhanced result
+ * @param {Object} result - Analysis response body
+ * @returns {{caption: string|null, tags: string[], objects: string[]}}
+ */
+function describeAnalysis(result) {
+  // analyze nests Vision output under `analysis`; enhanced keeps it at the top level
+  const analysis = result.analysis || {};
+  const caption = typeof analysis.caption === 'string' ? analysis.caption : result.caption?.text || null;
+  const tags = (result.tags || analysis.tags || []).map(tag => tag.name).filter(Boolean);
+  const objects = (result.objects || analysis.objects || [])
+    .map(object => (typeof object === 'string' ? object : object.name || object.object))
+    .filter(Boolean);
+
+  return {
+    caption,
+    tags: [...new Set(tags.map(tag => tag.toLowerCase()))],
+    objects: [...new Set(objects.map(object => object.toLowerCase()))]
+  };
+}
+
+/**
+ * Add an analyzed image to the vector index. The entry id is the SHA-256
+ * of the ingested image, so analyzing the same image again only merges
+ * metadata; the image is embedded once per model and re-indexing an
+ * already indexed analysis type is a no-op.
+ * @param {Object} image - Normalized image as ingested
+ * @param {string} type - Analysis type
+ * @param {Object} result - Analysis response body
+ * @returns {Promise<Object|null>} - Index entry, or null when not indexed
+ */
+async function indexAnalyzedImage(image, type, result) {
+  const provider = getEmbeddingProvider();
+  if (!provider || !azureConfig.embeddings.autoIndex || !INDEXED_TYPES.includes(type)) {
+    return null;
+  }
+
+  const index = getVectorIndex();
+  const id = crypto.createHash('sha256').update(image.buffer).digest('hex');
+  const existing = await index.get(id);
+  const sameModel = existing?.model === provider.model;
+  if (sameModel && existing.metadata.analysisTypes.includes(type)) {
+    return existing;
+  }
+
+  const description = describeAnalysis(result);
+  const previous = sameModel ? existing.metadata : {};
+  const metadata = {
+    imageUrl: result.imageUrl || result.blobUrl || image.reference?.blobUrl || image.reference?.imageUrl || previous.imageUrl || null,
+    originalName: image.originalName,
+    mimeType: image.mimeType,
+    size: image.size,
+    source: image.source,
+    caption: description.caption || previous.caption || null,
+    tags: [...new Set([...(previous.tags || []), ...description.tags])],
+    objects: [...new Set([...(previous.objects || []), ...description.objects])],
+    analysisTypes: [...new Set([...(previous.analysisTypes || []), type])]
+  };
+
+  const entry = {
+    id,
+    model: provider.model,
+    vector: sameModel ? existing.vector : await provider.embedImage(image),
+    indexedAt: sameModel ? existing.indexedAt : new Date().toISOString(),
+    metadata
+  };
+
+  // Without a shared image/text space, text queries match what the analysis said
+  if (!provider.crossModal) {
+    entry.textVector = await provider.embedText([metadata.caption, ...metadata.tags, ...metadata.objects].filter(Boolean).join(' '));
+  }
+
+  await index.upsert(entry);
+  logger.info('Image added to vector index', { id, model: provider.model, type });
+  return entry;
+}
+
+/**
+ * Validate topK, minScore and the metadata filter of a search request
+ * @param {Object} options
+ * @returns {{topK: number, minScore: number, filter: Object}}
+ */
+function parseSearchOptions({ topK, minScore, filter } = {}) {
+  const { defaultTopK, maxTopK } = azureConfig.embeddings;
+
+  const k = topK === undefined || topK === '' ? defaultTopK : Number(topK);
+  if (!Number.isInteger(k) || k < 1 || k > maxTopK) {
+    throw new EmbeddingError(`topK must be an integer between 1 and ${maxTopK}`);
+  }
+
+  const score = minScore === undefined || minScore === '' ? -1 : Number(minScore);
+  if (!Number.isFinite(score) || score < -1 || score > 1) {
+    throw new EmbeddingError('minScore must be a number between -1 and 1');
+  }
+
+  let parsed = filter || {};
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch (error) {
+      throw new EmbeddingError('filter must be a JSON object');
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new EmbeddingError('filter must be an object of metadata fields');
+  }
+  ['indexedAfter', 'indexedBefore'].forEach(key => {
+    if (parsed[key] !== undefined && Number.isNaN(new Date(parsed[key]).getTime())) {
+      throw new EmbeddingError(`${key} must be a date`);
+    }
+  });
+
+  return { topK: k, minScore: score, filter: parsed };
+}
+
+/**
+ * Get the configured provider or fail with 503
+ */
+function requireProvider() {
+  const provider = getEmbeddingProvider();
+  if (!provider) {
+    throw new EmbeddingError('Image search is disabled (EMBEDDING_PROVIDER=none)', 503);
+  }
+  return provider;
+}
+
+/**
+ * Shape search hits for the response
+ */
+function formatResults(matches, query, provider) {
+  return {
+    success: true,
+    timestamp: new Date().toISOString(),
+    model: provider.model,
+    query,
+    total: matches.length,
+    results: matches.map(({ entry, score }) => ({
+      id: entry.id,
+      score: Math.round(score * 10000) / 10000,
+      imageUrl: entry.metadata.imageUrl,
+      indexedAt: entry.indexedAt,
+      metadata: entry.metadata
+    }))
+  };
+}
+
+/**
+ * Find stored images similar to an image
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @param {Object} options - See parseSearchOptions
+ * @returns {Promise<Object>} - Search response body
+ */
+async function searchSimilar(image, options = {}) {
+  const { topK, minScore, filter } = parseSearchOptions(options);
+  const provider = requireProvider();
+
+  const vector = await provider.embedImage(image);
+  const matches = await getVectorIndex().search(vector, { model: provider.model, topK, minScore, filter });
+
+  logger.info('Similar image search completed', { topK, results: matches.length });
+  return formatResults(matches, { type: 'image', topK, minScore, filter }, provider);
+}
+
+/**
+ * Find stored images matching a natural-language query
+ * @param {string} text - Query text
+ * @param {Object} options - See parseSearchOptions
+ * @returns {Promise<Object>} - Search response body
+ */
+async function searchText(text, options = {}) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new EmbeddingError('query is required');
+  }
+  if (text.length > MAX_QUERY_LENGTH) {
+    throw new EmbeddingError(`query must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+  const { topK, minScore, filter } = parseSearchOptions(options);
+  const provider = requireProvider();
+
+  const vector = await provider.embedText(text.trim());
+  const matches = await getVectorIndex().search(vector, {
+    model: provider.model,
+    field: provider.crossModal ? 'vector' : 'textVector',
+    topK,
+    minScore,
+    filter
+  });
+
+  logger.info('Text image search completed', { topK, results: matches.length });
+  return formatResults(matches, { type: 'text', text: text.trim(), topK, minScore, filter }, provider);
+}
+
+module.exports = {
+  INDEXED_TYPES,
+  describeAnalysis,
+  indexAnalyzedImage,
+  parseSearchOptions,
+  searchSimilar,
+  searchText
+};
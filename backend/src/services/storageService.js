@@ -3,13 +3,17 @@ const logger = require('../utils/logger');
 const crypto = require('crypto');
 const path = require('path');
 
+const BLOB_ID_PATTERN = /^[A-Za-z0-9][\w.-]{0,254}$/;
+
 /**
  * Upload image to Azure Blob Storage
  * @param {Buffer} imageBuffer - Image buffer
  * @param {string} originalName - Original filename
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.metadata] - Extra blob metadata (e.g. redaction details)
  * @returns {Promise<string>} - Blob URL
  */
-async function uploadImageToBlob(imageBuffer, originalName) {
+async function uploadImageToBlob(imageBuffer, originalName, options = {}) {
   try {
     const { blobService } = getAzureClients();
     
@@ -44,7 +48,8 @@ async function uploadImageToBlob(imageBuffer, originalName) {
       metadata: {
         originalName: originalName,
         uploadedAt: new Date().toISOString(),
-        source: 'azure-lens-api'
+        source: 'azure-lens-api',
+        ...options.metadata
       }
     });
 
@@ -100,6 +105,52 @@ async function downloadImageFromBlob(blobUrl) {
   }
 }
 
+/**
+ * Download an uploaded image by its blob name in the images container
+ * @param {string} blobId - Blob name as returned in upload URLs
+ * @returns {Promise<{buffer: Buffer, contentType: string, url: string, metadata: Object}>}
+ */
+async function downloadImageByBlobId(blobId) {
+  // Only plain blob names; no paths or other containers
+  if (typeof blobId !== 'string' || !BLOB_ID_PATTERN.test(blobId) || blobId.includes('..')) {
+    const error = new Error('Invalid blob ID');
+    error.status = 400;
+    throw error;
+  }
+
+  const { blobService } = getAzureClients();
+
+  if (!blobService) {
+    const error = new Error('Blob storage service not available');
+    error.status = 503;
+    throw error;
+  }
+
+  const containerName = azureConfig.storage.containerName || 'images';
+  const blockBlobClient = blobService.getContainerClient(containerName).getBlockBlobClient(blobId);
+
+  let downloadResponse;
+  try {
+    downloadResponse = await blockBlobClient.download();
+  } catch (error) {
+    logger.error('Failed to download image from blob storage:', error);
+    const downloadError = new Error(error.statusCode === 404 ? `Blob not found: ${blobId}` : `Failed to download image: ${error.message}`);
+    downloadError.status = error.statusCode === 404 ? 404 : 502;
+    throw downloadError;
+  }
+
+  const buffer = await streamToBuffer(downloadResponse.readableStreamBody);
+
+  logger.info('Image downloaded from blob storage', { blobName: blobId, size: buffer.length });
+
+  return {
+    buffer,
+    contentType: downloadResponse.contentType || null,
+    url: blockBlobClient.url,
+    metadata: downloadResponse.metadata || {}
+  };
+}
+
 /**
  * Delete image from Azure Blob Storage
  * @param {string} blobUrl - Blob URL
@@ -262,6 +313,7 @@ function getContentType(extension) {
 module.exports = {
   uploadImageToBlob,
   downloadImageFromBlob,
+  downloadImageByBlobId,
   deleteImageFromBlob,
   listImagesInBlob,
   getStorageStats
@@ -0,0 +1,331 @@
+const path = require('path');
+const sharp = require('sharp');
+const { getAzureClients, azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const VisionService = require('./visionService');
+const { preprocessImage } = require('./imagePreprocessor');
+const { screenImage } = require('./moderationService');
+const { uploadImageToBlob } = require('./storageService');
+const { redactImage, getRedactionMetadata } = require('./redactionService');
+const { IMAGE_FORMATS } = require('../utils/imageFormat');
+
+// Named renditions for common CMS slots
+const THUMBNAIL_PRESETS = {
+  avatar: { aspectRatio: '1:1', width: 256 },
+  hero: { aspectRatio: '16:9', width: 1920 },
+  social: { aspectRatio: '4:5', width: 1080 }
+};
+
+const THUMBNAIL_FORMATS = ['jpeg', 'webp', 'png'];
+
+// Aspect ratios (width / height) Vision SmartCrops accepts
+const SMART_CROP_RANGE = { min: 0.75, max: 1.8 };
+
+/**
+ * Error raised for invalid thumbnail requests
+ */
+class ThumbnailError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ThumbnailError';
+    this.status = status;
+  }
+}
+
+/**
+ * Parse an aspect ratio: "16:9", "16/9" or a number
+ * @returns {{label: string, ratio: number}}
+ */
+function parseAspectRatio(value) {
+  if (typeof value === 'number' && value > 0) {
+    return { label: String(value), ratio: value };
+  }
+
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(?:[:/x]\s*(\d+(?:\.\d+)?))?$/);
+  const ratio = match && (match[2] ? Number(match[1]) / Number(match[2]) : Number(match[1]));
+  if (!ratio || !Number.isFinite(ratio)) {
+    throw new ThumbnailError(`Invalid aspect ratio: ${value}. Use a ratio such as "16:9" or a number`);
+  }
+  return { label: match[2] ? `${match[1]}:${match[2]}` : match[1], ratio };
+}
+
+/**
+ * Validate an optional output dimension
+ */
+function parseDimension(value, field) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > azureConfig.thumbnails.maxDimension) {
+    throw new ThumbnailError(`${field} must be an integer between 1 and ${azureConfig.thumbnails.maxDimension}`);
+  }
+  return number;
+}
+
+/**
+ * Normalize the requested renditions. Each entry is a preset name, an
+ * aspect ratio or { name, aspectRatio, width, height }; multipart forms
+ * send a JSON string or a comma-separated list. Defaults to every preset.
+ * @param {Array|string|undefined} value
+ * @returns {Array<{name: string, aspectRatio: string, ratio: number, width: number|null, height: number|null}>}
+ */
+function parseRenditions(value) {
+  let entries = value;
+  if (entries === undefined || entries === null || entries === '') {
+    entries = Object.keys(THUMBNAIL_PRESETS);
+  } else if (typeof entries === 'string') {
+    try {
+      entries = JSON.parse(entries);
+    } catch (error) {
+      entries = entries.split(',').map(entry => entry.trim()).filter(Boolean);
+    }
+  }
+  if (!Array.isArray(entries)) {
+    entries = [entries];
+  }
+
+  if (entries.length === 0 || entries.length > azureConfig.thumbnails.maxRenditions) {
+    throw new ThumbnailError(`Request between 1 and ${azureConfig.thumbnails.maxRenditions} renditions`);
+  }
+
+  return entries.map(entry => {
+    const spec = typeof entry === 'string' || typeof entry === 'number'
+      ? THUMBNAIL_PRESETS[entry] ? { name: entry, ...THUMBNAIL_PRESETS[entry] } : { aspectRatio: entry }
+      : { ...THUMBNAIL_PRESETS[entry?.preset], ...entry };
+
+    const width = parseDimension(spec.width, 'width');
+    const height = parseDimension(spec.height, 'height');
+
+    let aspect;
+    if (spec.aspectRatio !== undefined) {
+      aspect = parseAspectRatio(spec.aspectRatio);
+    } else if (width && height) {
+      aspect = { label: `${width}:${height}`, ratio: width / height };
+    } else {
+      throw new ThumbnailError('Each rendition needs a preset, an aspectRatio, or both width and height');
+    }
+
+    return {
+      name: String(spec.name || spec.preset || aspect.label),
+      aspectRatio: aspect.label,
+      ratio: aspect.ratio,
+      width,
+      height
+    };
+  });
+}
+
+/**
+ * Largest box of the given ratio centred in the image
+ */
+function centeredBox(ratio, width, height) {
+  const w = Math.min(width, Math.round(height * ratio));
+  const h = Math.min(height, Math.round(w / ratio));
+  return { x: Math.round((width - w) / 2), y: Math.round((height - h) / 2), w, h };
+}
+
+/**
+ * Output size for a rendition: requested dimensions, or the crop's own size
+ */
+function getOutputSize(rendition, crop) {
+  const { ratio, width, height } = rendition;
+  if (width && height) {
+    return { width, height };
+  }
+  if (width) {
+    return { width, height: Math.max(1, Math.round(width / ratio)) };
+  }
+  if (height) {
+    return { width: Math.max(1, Math.round(height * ratio)), height };
+  }
+
+  const scale = Math.min(1, azureConfig.thumbnails.maxDimension / Math.max(crop.w, crop.h));
+  return { width: Math.max(1, Math.round(crop.w * scale)), height: Math.max(1, Math.round(crop.h * scale)) };
+}
+
+/**
+ * Ask Vision for smart crops (and People boxes when they are needed for
+ * redaction). Boxes are scaled to the upright full-size image.
+ * @returns {Promise<{status: string, crops: Array, people: Array|null, error?: string}>}
+ */
+async function requestSmartCrops(image, ratios, { withPeople, width, height }) {
+  const visionService = new VisionService();
+  if (!visionService.isConfigured() || ratios.length === 0) {
+    return { status: 'disabled', crops: [], people: null };
+  }
+
+  try {
+    const { image: prepared } = await preprocessImage(image, { provider: 'vision' });
+    const { analysis } = await visionService.analyzeImage(prepared.buffer, {
+      features: withPeople ? ['SmartCrops', 'People'] : ['SmartCrops'],
+      smartCropsAspectRatios: ratios.map(ratio => Number(ratio.toFixed(2)))
+    });
+
+    const scaleX = analysis.metadata?.width ? width / analysis.metadata.width : 1;
+    const scaleY = analysis.metadata?.height ? height / analysis.metadata.height : 1;
+    const scale = box => ({
+      x: Math.round(box.x * scaleX),
+      y: Math.round(box.y * scaleY),
+      w: Math.round(box.w * scaleX),
+      h: Math.round(box.h * scaleY)
+    });
+
+    return {
+      status: 'ok',
+      crops: analysis.smartCrops.map(crop => ({ aspectRatio: crop.aspectRatio, box: scale(crop.boundingBox) })),
+      people: withPeople ? analysis.people.map(person => ({ ...person, boundingBox: scale(person.boundingBox) })) : null
+    };
+  } catch (error) {
+    logger.warn('Vision smart crops failed, using attention cropping', { message: error.message });
+    return { status: 'failed', crops: [], people: null, error: error.message };
+  }
+}
+
+/**
+ * Clamp a box to the image
+ */
+function clampBox(box, width, height) {
+  const x = Math.max(0, Math.min(box.x, width - 1));
+  const y = Math.max(0, Math.min(box.y, height - 1));
+  return {
+    x,
+    y,
+    w: Math.max(1, Math.min(box.w, width - x)),
+    h: Math.max(1, Math.min(box.h, height - y))
+  };
+}
+
+/**
+ * Crop and resize renditions of an image. Vision SmartCrops picks the
+ * region for aspect ratios it supports; other ratios, or images Vision
+ * could not analyze, use sharp's attention cropping. Stored renditions go
+ * through storageService, redacted first when privacy mode is on.
+ * @param {Object} image - Normalized image from the ingestion middleware
+ * @param {Object} options
+ * @param {Array|string} [options.renditions] - See parseRenditions
+ * @param {boolean} [options.store] - Upload renditions and return their URLs
+ * @param {string} [options.format] - 'jpeg', 'webp' or 'png'
+ * @param {string} [options.redaction] - Resolved redaction mode for stored renditions
+ * @returns {Promise<Object>} - Thumbnail response body
+ */
+async function generateThumbnails(image, options = {}) {
+  const renditions = parseRenditions(options.renditions);
+  const format = (options.format || azureConfig.thumbnails.format).toLowerCase().replace(/^jpg$/, 'jpeg');
+  if (!THUMBNAIL_FORMATS.includes(format)) {
+    throw new ThumbnailError(`format must be one of: ${THUMBNAIL_FORMATS.join(', ')}`);
+  }
+  const store = options.store === true || options.store === 'true';
+  const redaction = store ? options.redaction || azureConfig.redaction.mode : 'none';
+  if (store && !getAzureClients().blobService) {
+    throw new ThumbnailError('Blob storage is not configured; request renditions without store', 503);
+  }
+
+  await screenImage(image);
+
+  let source;
+  try {
+    source = await sharp(image.buffer).rotate().toBuffer({ resolveWithObject: true });
+  } catch (error) {
+    throw new ThumbnailError(`Image could not be decoded: ${error.message}`, 415);
+  }
+  const { width, height } = source.info;
+
+  logger.info('Generating thumbnails', { renditions: renditions.length, width, height, store });
+
+  const smartCropRatios = [...new Set(renditions
+    .map(rendition => rendition.ratio)
+    .filter(ratio => ratio >= SMART_CROP_RANGE.min && ratio <= SMART_CROP_RANGE.max))];
+  const vision = await requestSmartCrops(image, smartCropRatios, {
+    withPeople: redaction !== 'none',
+    width,
+    height
+  });
+
+  // Redact the source once so every stored rendition is covered
+  let sourceBuffer = source.data;
+  let redactionReport = null;
+  if (redaction !== 'none') {
+    try {
+      const redacted = await redactImage({ ...image, buffer: source.data }, { method: redaction, people: vision.people });
+      sourceBuffer = redacted.image.buffer;
+      redactionReport = redacted.report;
+    } catch (error) {
+      logger.error('Redaction failed, renditions not stored', { message: error.message });
+      throw new ThumbnailError('Redaction failed; renditions were not stored', 500);
+    }
+  }
+
+  const baseName = path.basename(image.originalName, path.extname(image.originalName));
+  const formatInfo = IMAGE_FORMATS[format];
+  const quality = azureConfig.thumbnails.quality;
+
+  const results = await Promise.all(renditions.map(async rendition => {
+    // Vision reports ratios to two decimals
+    const smartCrop = vision.crops.find(crop => Math.abs(crop.aspectRatio - rendition.ratio) < 0.01);
+    const crop = smartCrop ? clampBox(smartCrop.box, width, height) : null;
+    const size = getOutputSize(rendition, crop || centeredBox(rendition.ratio, width, height));
+
+    let pipeline = sharp(sourceBuffer);
+    pipeline = crop
+      ? pipeline.extract({ left: crop.x, top: crop.y, width: crop.w, height: crop.h }).resize(size.width, size.height, { fit: 'cover' })
+      : pipeline.resize(size.width, size.height, { fit: 'cover', position: sharp.strategy.attention });
+    if (format === 'jpeg') {
+      pipeline = pipeline.flatten({ background: '#ffffff' }).jpeg({ quality });
+    } else if (format === 'webp') {
+      pipeline = pipeline.webp({ quality });
+    } else {
+      pipeline = pipeline.png();
+    }
+    const buffer = await pipeline.toBuffer();
+
+    const output = {
+      name: rendition.name,
+      aspectRatio: rendition.aspectRatio,
+      width: size.width,
+      height: size.height,
+      format,
+      size: buffer.length,
+      strategy: crop ? 'smartCrop' : 'attention',
+      crop
+    };
+
+    if (!store) {
+      return { ...output, data: buffer.toString('base64') };
+    }
+
+    const url = await uploadImageToBlob(buffer, `${baseName}-${rendition.name.replace(/[^\w.-]+/g, '_')}${formatInfo.extension}`, {
+      metadata: {
+        rendition: rendition.name,
+        aspectRatio: rendition.aspectRatio,
+        width: String(size.width),
+        height: String(size.height),
+        ...getRedactionMetadata(redactionReport, redaction)
+      }
+    });
+    return { ...output, url };
+  }));
+
+  logger.info('Thumbnails generated', { renditions: results.length, smartCrops: vision.status });
+
+  return {
+    success: true,
+    timestamp: new Date().toISOString(),
+    source: { width, height },
+    smartCrops: {
+      status: vision.status,
+      error: vision.error
+    },
+    ...(redactionReport && { redaction: redactionReport }),
+    renditions: results
+  };
+}
+
+module.exports = {
+  THUMBNAIL_PRESETS,
+  THUMBNAIL_FORMATS,
+  ThumbnailError,
+  parseAspectRatio,
+  parseRenditions,
+  generateThumbnails
+};
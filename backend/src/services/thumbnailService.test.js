@@ -0,0 +1,119 @@
+const http = require('http');
+const sharp = require('sharp');
+
+process.env.MODERATION_PROVIDER = 'none';
+
+const { ThumbnailError, parseAspectRatio, parseRenditions, generateThumbnails } = require('./thumbnailService');
+
+jest.mock('../utils/logger');
+
+/**
+ * Error thrown by a parser
+ */
+function parseError(parse, value) {
+  try {
+    parse(value);
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('parseAspectRatio', () => {
+  it('accepts ratios written with a colon, slash or x, and plain numbers', () => {
+    expect(parseAspectRatio('16:9')).toEqual({ label: '16:9', ratio: 16 / 9 });
+    expect(parseAspectRatio(' 4 / 5 ')).toEqual({ label: '4:5', ratio: 0.8 });
+    expect(parseAspectRatio('3x1')).toEqual({ label: '3:1', ratio: 3 });
+    expect(parseAspectRatio('1.5')).toEqual({ label: '1.5', ratio: 1.5 });
+    expect(parseAspectRatio(2)).toEqual({ label: '2', ratio: 2 });
+  });
+
+  it('rejects anything else with a 400', () => {
+    expect(parseError(parseAspectRatio, 'wide')).toMatchObject({ name: 'ThumbnailError', status: 400 });
+    expect(parseError(parseAspectRatio, '16:0')).toBeInstanceOf(ThumbnailError);
+    expect(parseError(parseAspectRatio, -1)).toBeInstanceOf(ThumbnailError);
+  });
+});
+
+describe('parseRenditions', () => {
+  it('defaults to every preset', () => {
+    expect(parseRenditions(undefined).map(rendition => rendition.name)).toEqual(['avatar', 'hero', 'social']);
+  });
+
+  it('reads presets, ratios and custom sizes from lists, JSON and comma-separated strings', () => {
+    expect(parseRenditions('avatar, 3:1')).toEqual([
+      { name: 'avatar', aspectRatio: '1:1', ratio: 1, width: 256, height: null },
+      { name: '3:1', aspectRatio: '3:1', ratio: 3, width: null, height: null }
+    ]);
+    expect(parseRenditions('[{"name": "banner", "width": 600, "height": 200}]')).toEqual([
+      { name: 'banner', aspectRatio: '600:200', ratio: 3, width: 600, height: 200 }
+    ]);
+    expect(parseRenditions([{ preset: 'hero', width: 640 }])).toEqual([
+      { name: 'hero', aspectRatio: '16:9', ratio: 16 / 9, width: 640, height: null }
+    ]);
+  });
+
+  it('rejects renditions without a shape and out-of-range sizes', () => {
+    expect(parseError(parseRenditions, [{ name: 'wide', width: 300 }]).message)
+      .toBe('Each rendition needs a preset, an aspectRatio, or both width and height');
+    expect(parseError(parseRenditions, [{ aspectRatio: '1:1', width: 5000 }]).message)
+      .toBe('width must be an integer between 1 and 4096');
+    expect(parseError(parseRenditions, []).message).toBe('Request between 1 and 10 renditions');
+  });
+});
+
+describe('generateThumbnails', () => {
+  let server;
+  let lastQuery;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      lastQuery = new URL(req.url, 'http://localhost').searchParams;
+      req.resume();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        smartCropsResult: { values: [{ aspectRatio: 1, boundingBox: { x: 200, y: 0, w: 200, h: 200 } }] },
+        metadata: { width: 400, height: 200 }
+      }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.VISION_ENDPOINT = `http://127.0.0.1:${server.address().port}`;
+    process.env.VISION_API_KEY = 'key';
+  });
+
+  afterAll(async () => {
+    delete process.env.VISION_ENDPOINT;
+    delete process.env.VISION_API_KEY;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const image = async () => {
+    const buffer = await sharp({ create: { width: 400, height: 200, channels: 3, background: '#1e90ff' } }).png().toBuffer();
+    return { buffer, size: buffer.length, format: 'png', mimeType: 'image/png', extension: '.png', originalName: 'banner.png' };
+  };
+
+  it('uses Vision smart crops for supported ratios and attention cropping for the rest', async () => {
+    const result = await generateThumbnails(await image(), { renditions: ['1:1', { name: 'strip', aspectRatio: '3:1', width: 300 }], format: 'webp' });
+
+    expect(lastQuery.get('features')).toBe('smartCrops');
+    expect(lastQuery.get('smartcrops-aspect-ratios')).toBe('1');
+    expect(result).toMatchObject({ success: true, source: { width: 400, height: 200 }, smartCrops: { status: 'ok' } });
+
+    const [square, strip] = result.renditions;
+    expect(square).toMatchObject({ name: '1:1', width: 200, height: 200, format: 'webp', strategy: 'smartCrop', crop: { x: 200, y: 0, w: 200, h: 200 } });
+    expect(strip).toMatchObject({ name: 'strip', width: 300, height: 100, strategy: 'attention', crop: null });
+    expect(await sharp(Buffer.from(strip.data, 'base64')).metadata()).toMatchObject({ format: 'webp', width: 300, height: 100 });
+  });
+
+  it('rejects unknown formats and storing without Blob storage', async () => {
+    await expect(generateThumbnails(await image(), { format: 'gif' })).rejects.toThrow('format must be one of: jpeg, webp, png');
+    await expect(generateThumbnails(await image(), { store: 'true' })).rejects.toMatchObject({ name: 'ThumbnailError', status: 503 });
+  });
+
+  it('reports images it cannot decode as 415', async () => {
+    const error = await generateThumbnails({ ...(await image()), buffer: Buffer.from('not an image') }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ThumbnailError);
+    expect(error.status).toBe(415);
+  });
+});
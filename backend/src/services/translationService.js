@@ -0,0 +1,115 @@
+const { isUnexpected } = require('@azure-rest/ai-translation-text');
+const { getAzureClients } = require('../config/azure');
+const logger = require('../utils/logger');
+
+// Translator v3 limits per request
+const MAX_ELEMENTS_PER_REQUEST = 1000;
+const MAX_CHARACTERS_PER_REQUEST = 50000;
+
+/**
+ * Error raised for failed translation requests
+ */
+class TranslationError extends Error {
+  constructor(message, status = 502, code = 'TranslationFailed') {
+    super(message);
+    this.name = 'TranslationError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Split texts into request-sized chunks of indexes
+ * @param {string[]} texts
+ * @returns {number[][]}
+ */
+function chunkTexts(texts) {
+  const chunks = [];
+  let current = [];
+  let characters = 0;
+
+  texts.forEach((text, index) => {
+    if (current.length > 0 &&
+        (current.length >= MAX_ELEMENTS_PER_REQUEST || characters + text.length > MAX_CHARACTERS_PER_REQUEST)) {
+      chunks.push(current);
+      current = [];
+      characters = 0;
+    }
+    current.push(index);
+    characters += text.length;
+  });
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Translate many texts with as few Translator calls as the service limits
+ * allow (one call for typical OCR output)
+ * @param {string[]} texts - Texts to translate
+ * @param {Object} options
+ * @param {string} options.to - Target language
+ * @param {string} [options.from] - Source language, detected per text when omitted
+ * @returns {Promise<Array<{text: string, translation: string, detectedLanguage: {language: string, score: number}|null}>>}
+ */
+async function translateTexts(texts, { to, from } = {}) {
+  if (!to) {
+    throw new TranslationError('targetLanguage is required', 400, 'MissingTargetLanguage');
+  }
+
+  if (texts.length === 0) {
+    return [];
+  }
+
+  const { translator } = getAzureClients();
+  if (!translator) {
+    throw new TranslationError('Azure Translator service is not configured', 503, 'NotConfigured');
+  }
+
+  const queryParameters = { to, textType: 'plain' };
+  if (from && from !== 'auto') {
+    queryParameters.from = from;
+  }
+
+  const results = new Array(texts.length);
+
+  for (const indexes of chunkTexts(texts)) {
+    let response;
+    try {
+      response = await translator.path('/translate').post({
+        body: indexes.map(index => ({ text: texts[index] })),
+        queryParameters
+      });
+    } catch (error) {
+      throw new TranslationError(`Translator request failed: ${error.message}`);
+    }
+
+    if (isUnexpected(response)) {
+      const message = response.body?.error?.message || `Translator returned HTTP ${response.status}`;
+      const status = Number(response.status) === 400 ? 400 : Number(response.status) === 429 ? 429 : 502;
+      throw new TranslationError(message, status, response.body?.error?.code || 'TranslationFailed');
+    }
+
+    response.body.forEach((item, position) => {
+      const index = indexes[position];
+      results[index] = {
+        text: texts[index],
+        translation: item.translations?.[0]?.text ?? '',
+        detectedLanguage: item.detectedLanguage
+          ? { language: item.detectedLanguage.language, score: item.detectedLanguage.score }
+          : (queryParameters.from ? { language: queryParameters.from, score: null } : null)
+      };
+    });
+  }
+
+  logger.info('Texts translated', { count: texts.length, to, from: queryParameters.from || 'auto-detect' });
+
+  return results;
+}
+
+module.exports = {
+  TranslationError,
+  translateTexts
+};
@@ -0,0 +1,83 @@
+const { getAzureClients } = require('../config/azure');
+const { TranslationError, translateTexts } = require('./translationService');
+
+jest.mock('../utils/logger');
+
+/**
+ * Translator client answering each text with its upper-case form
+ */
+function fakeTranslator(respond) {
+  const post = jest.fn(async ({ body, queryParameters }) => ({
+    headers: {},
+    request: { method: 'POST', url: 'https://api.cognitive.microsofttranslator.com/translate' },
+    ...(respond ? respond({ body, queryParameters }) : {
+      status: '200',
+      body: body.map(({ text }) => ({
+        translations: [{ text: text.toUpperCase(), to: queryParameters.to }],
+        ...(!queryParameters.from && { detectedLanguage: { language: 'fr', score: 0.9 } })
+      }))
+    })
+  }));
+  return { path: jest.fn(() => ({ post })), post };
+}
+
+describe('translateTexts', () => {
+  afterEach(() => {
+    getAzureClients().translator = null;
+  });
+
+  it('translates all texts in one call, detecting the source language', async () => {
+    const translator = fakeTranslator();
+    getAzureClients().translator = translator;
+
+    const results = await translateTexts(['sortie', 'entrée'], { to: 'en', from: 'auto' });
+
+    expect(translator.post).toHaveBeenCalledTimes(1);
+    expect(translator.post.mock.calls[0][0].queryParameters).toEqual({ to: 'en', textType: 'plain' });
+    expect(results).toEqual([
+      { text: 'sortie', translation: 'SORTIE', detectedLanguage: { language: 'fr', score: 0.9 } },
+      { text: 'entrée', translation: 'ENTRÉE', detectedLanguage: { language: 'fr', score: 0.9 } }
+    ]);
+  });
+
+  it('reports the given source language and splits at the element limit', async () => {
+    const translator = fakeTranslator();
+    getAzureClients().translator = translator;
+    const texts = Array.from({ length: 1001 }, (_, index) => `line ${index}`);
+
+    const results = await translateTexts(texts, { to: 'de', from: 'en' });
+
+    expect(translator.post.mock.calls.map(([request]) => request.body.length)).toEqual([1000, 1]);
+    expect(results[1000]).toEqual({ text: 'line 1000', translation: 'LINE 1000', detectedLanguage: { language: 'en', score: null } });
+  });
+
+  it('requires a target language and a configured Translator', async () => {
+    await expect(translateTexts(['a'])).rejects.toMatchObject({ status: 400, code: 'MissingTargetLanguage' });
+    await expect(translateTexts(['a'], { to: 'en' })).rejects.toMatchObject({ status: 503, code: 'NotConfigured' });
+    await expect(translateTexts([], { to: 'en' })).resolves.toEqual([]);
+  });
+
+  it.each([
+    ['400', 400, 'InvalidLanguage'],
+    ['429', 429, 'TooManyRequests'],
+    ['500', 502, 'InternalError']
+  ])('maps Translator HTTP %s to %i', async (httpStatus, status, code) => {
+    getAzureClients().translator = fakeTranslator(() => ({ status: httpStatus, body: { error: { code, message: 'Translator failed' } } }));
+
+    const error = await translateTexts(['a'], { to: 'xx' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(TranslationError);
+    expect(error).toMatchObject({ status, code, message: 'Translator failed' });
+  });
+
+  it('wraps network errors', async () => {
+    getAzureClients().translator = fakeTranslator(() => {
+      throw new Error('socket hang up');
+    });
+
+    await expect(translateTexts(['a'], { to: 'en' })).rejects.toMatchObject({
+      status: 502,
+      message: 'Translator request failed: socket hang up'
+    });
+  });
+});
@@ -0,0 +1,242 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+
+const INDEX_FORMAT_VERSION = 1;
+
+/**
+ * Cosine similarity of two vectors of the same length
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Whether an entry passes the metadata filters.
+ * indexedAfter/indexedBefore compare ISO dates with the entry's indexedAt.
+ * Any other key names a metadata field: list fields (tags, objects,
+ * analysisTypes) must contain every requested value, other fields must
+ * equal one of them. String comparisons ignore case.
+ * @param {Object} entry - Index entry
+ * @param {Object} [filter]
+ * @returns {boolean}
+ */
+function matchesFilter(entry, filter = {}) {
+  const normalize = value => (typeof value === 'string' ? value.toLowerCase() : value);
+
+  return Object.entries(filter).every(([key, expected]) => {
+    if (key === 'indexedAfter') {
+      return entry.indexedAt >= new Date(expected).toISOString();
+    }
+    if (key === 'indexedBefore') {
+      return entry.indexedAt <= new Date(expected).toISOString();
+    }
+
+    const wanted = (Array.isArray(expected) ? expected : [expected]).map(normalize);
+    const actual = entry.metadata?.[key];
+    if (Array.isArray(actual)) {
+      const values = actual.map(normalize);
+      return wanted.every(value => values.includes(value));
+    }
+    return wanted.includes(normalize(actual));
+  });
+}
+
+/**
+ * Brute-force vector index persisted to a JSON file. Vectors from
+ * different embedding models are never compared: each entry records its
+ * model and searches only consider entries of the query's model. Changes
+ * are written after a delay, so auto-indexing a burst of analyses costs
+ * one rewrite of the file.
+ */
+class VectorIndex {
+  /**
+   * @param {Object} [options]
+   * @param {string|null} [options.filePath] - Persistence file; memory only when null
+   * @param {number} [options.maxEntries] - Oldest entries are dropped beyond this
+   * @param {number} [options.saveDelayMs] - Delay before changes are written; 0 writes every change
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath === undefined ? azureConfig.embeddings.indexFile : options.filePath;
+    this.maxEntries = options.maxEntries ?? azureConfig.embeddings.maxEntries;
+    this.saveDelayMs = options.saveDelayMs ?? azureConfig.embeddings.saveDelayMs;
+    this.entries = new Map();
+    this.loading = null;
+    this.writing = Promise.resolve();
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load the persisted entries once
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this.readFile();
+    }
+    return this.loading;
+  }
+
+  async readFile() {
+    if (!this.filePath) {
+      return;
+    }
+    try {
+      const stored = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      (stored.entries || []).forEach(entry => this.entries.set(entry.id, entry));
+      logger.info('Vector index loaded', { filePath: this.filePath, entries: this.entries.size });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to load vector index, starting empty', { filePath: this.filePath, message: error.message });
+      }
+    }
+  }
+
+  /**
+   * Write the index, one write at a time, replacing the file atomically
+   */
+  async save() {
+    if (!this.filePath) {
+      return;
+    }
+    this.writing = this.writing.then(async () => {
+      const temporary = `${this.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(temporary, JSON.stringify({ version: INDEX_FORMAT_VERSION, entries: [...this.entries.values()] }));
+      await fs.rename(temporary, this.filePath);
+    }).catch(error => {
+      logger.error('Failed to persist vector index', { filePath: this.filePath, message: error.message });
+    });
+    return this.writing;
+  }
+
+  /**
+   * Write the index once saveDelayMs has passed since the first unsaved change
+   */
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) {
+      return;
+    }
+    if (this.saveDelayMs <= 0) {
+      this.save();
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write pending changes now (on shutdown)
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      this.save();
+    }
+    return this.writing;
+  }
+
+  async get(id) {
+    await this.load();
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Add or replace an entry
+   * @param {Object} entry - { id, model, vector, textVector?, metadata, indexedAt }
+   */
+  async upsert(entry) {
+    await this.load();
+    // Re-insert so insertion order tracks recency for eviction
+    this.entries.delete(entry.id);
+    this.entries.set(entry.id, { ...entry, updatedAt: new Date().toISOString() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.scheduleSave();
+  }
+
+  async delete(entryId) {
+    await this.load();
+    const removed = this.entries.delete(entryId);
+    if (removed) {
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  /**
+   * Top-k entries closest to a vector
+   * @param {number[]} vector - Query vector
+   * @param {Object} options
+   * @param {string} options.model - Embedding model of the query vector
+   * @param {string} [options.field] - 'vector' (image) or 'textVector'
+   * @param {number} [options.topK]
+   * @param {Object} [options.filter] - See matchesFilter
+   * @param {number} [options.minScore]
+   * @returns {Promise<Array<{entry: Object, score: number}>>}
+   */
+  async search(vector, { model, field = 'vector', topK = 10, filter, minScore = -1 }) {
+    await this.load();
+    return [...this.entries.values()]
+      .filter(entry => entry.model === model && entry[field] && matchesFilter(entry, filter))
+      .map(entry => ({ entry, score: cosineSimilarity(vector, entry[field]) }))
+      .filter(({ score }) => score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * Entry counts per embedding model
+   */
+  async getStats() {
+    await this.load();
+    const models = {};
+    this.entries.forEach(entry => {
+      models[entry.model] = (models[entry.model] || 0) + 1;
+    });
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      persistent: Boolean(this.filePath),
+      models
+    };
+  }
+}
+
+let defaultIndex = null;
+
+/**
+ * Get the shared vector index
+ * @returns {VectorIndex}
+ */
+function getVectorIndex() {
+  if (!defaultIndex) {
+    defaultIndex = new VectorIndex();
+  }
+  return defaultIndex;
+}
+
+module.exports = {
+  VectorIndex,
+  cosineSimilarity,
+  matchesFilter,
+  getVectorIndex
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VectorIndex, cosineSimilarity, matchesFilter } = require('./vectorIndex');
+
+jest.mock('../utils/logger');
+
+const entry = (id, vector, metadata = {}, model = 'local-v1') => ({
+  id,
+  model,
+  vector,
+  indexedAt: '2026-01-01T00:00:00.000Z',
+  metadata: { tags: [], ...metadata }
+});
+
+describe('cosineSimilarity', () => {
+  it('compares direction and ignores mismatched vectors', () => {
+    expect(cosineSimilarity([1, 0], [2, 0])).toBe(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+  });
+});
+
+describe('matchesFilter', () => {
+  const indexed = entry('a', [1], { tags: ['Cat', 'indoor'], source: 'multipart' });
+
+  it('requires every listed tag and one of the scalar values, ignoring case', () => {
+    expect(matchesFilter(indexed, { tags: ['cat', 'INDOOR'], source: ['url', 'multipart'] })).toBe(true);
+    expect(matchesFilter(indexed, { tags: ['cat', 'dog'] })).toBe(false);
+  });
+
+  it('compares index dates', () => {
+    expect(matchesFilter(indexed, { indexedAfter: '2025-12-31', indexedBefore: '2026-01-02' })).toBe(true);
+    expect(matchesFilter(indexed, { indexedAfter: '2026-01-02' })).toBe(false);
+  });
+});
+
+describe('VectorIndex', () => {
+  it('searches only entries of the query model, closest first', async () => {
+    const index = new VectorIndex({ filePath: null });
+    await index.upsert(entry('far', [0, 1]));
+    await index.upsert(entry('near', [1, 0.1]));
+    await index.upsert(entry('other-model', [1, 0], {}, 'vision-2023-04-15'));
+
+    const matches = await index.search([1, 0], { model: 'local-v1', minScore: 0.5 });
+
+    expect(matches.map(match => match.entry.id)).toEqual(['near']);
+  });
+
+  describe('persistence', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-index-'));
+      filePath = path.join(directory, 'index.json');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('batches changes into one write after the delay', async () => {
+      const writeFile = jest.spyOn(fs.promises, 'writeFile');
+      const index = new VectorIndex({ filePath, saveDelayMs: 60000 });
+
+      await index.upsert(entry('a', [1, 0]));
+      await index.upsert(entry('b', [0, 1]));
+      await index.delete('a');
+      expect(writeFile).not.toHaveBeenCalled();
+
+      await index.flush();
+      expect(writeFile).toHaveBeenCalledTimes(1);
+
+      const reloaded = new VectorIndex({ filePath });
+      expect((await reloaded.getStats()).models).toEqual({ 'local-v1': 1 });
+      expect(await reloaded.get('b')).toMatchObject({ vector: [0, 1] });
+    });
+
+    it('writes every change when the delay is 0', async () => {
+      const writeFile = jest.spyOn(fs.promises, 'writeFile');
+      const index = new VectorIndex({ filePath, saveDelayMs: 0 });
+
+      await index.upsert(entry('a', [1, 0]));
+      await index.upsert(entry('b', [0, 1]));
+      await index.flush();
+
+      expect(writeFile).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,404 @@
+const axios = require('axios');
+const { azureConfig } = require('../config/azure');
+const logger = require('../utils/logger');
+const { polygonToBoundingBox } = require('../utils/geometry');
+
+// Map our feature names to Image Analysis v4.0 query values
+const FEATURE_MAP = {
+  Caption: 'caption',
+  DenseCaptions: 'denseCaptions',
+  Objects: 'objects',
+  People: 'people',
+  Read: 'read',
+  SmartCrops: 'smartCrops',
+  Tags: 'tags'
+};
+
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Error raised for failed Vision API calls
+ */
+class VisionApiError extends Error {
+  constructor(message, { status = 500, code = null, details = null } = {}) {
+    super(message);
+    this.name = 'VisionApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Default HTTP transport backed by axios.
+ * A transport receives { method, url, headers, data, timeoutMs } and resolves
+ * with { status, headers, data } for any HTTP status; it only rejects on
+ * network-level failures.
+ * @returns {Function} - Transport function
+ */
+function createAxiosTransport() {
+  return async ({ method, url, headers, data, timeoutMs }) => {
+    const response = await axios.request({
+      method,
+      url,
+      headers,
+      data,
+      timeout: timeoutMs,
+      validateStatus: () => true
+    });
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      data: response.data
+    };
+  };
+}
+
+/**
+ * Parse a Retry-After header value (seconds or HTTP date) into milliseconds
+ * @param {string|number|undefined} value - Header value
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Azure AI Vision Image Analysis v4.0 client.
+ * Owns URL building, feature mapping, retries, timeouts and response
+ * normalization for the REST API.
+ */
+class VisionService {
+  /**
+   * @param {Object} options
+   * @param {string} [options.endpoint] - Vision endpoint (defaults to VISION_ENDPOINT)
+   * @param {string} [options.apiKey] - Vision API key (defaults to VISION_API_KEY)
+   * @param {Function} [options.transport] - HTTP transport, see createAxiosTransport
+   */
+  constructor(options = {}) {
+    const config = azureConfig.vision;
+
+    this.endpoint = (options.endpoint || process.env.VISION_ENDPOINT || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.VISION_API_KEY;
+    this.apiVersion = options.apiVersion || config.apiVersion;
+    this.timeoutMs = options.timeoutMs ?? config.timeoutMs;
+    this.maxRetries = options.maxRetries ?? config.maxRetries;
+    this.retryBaseDelayMs = options.retryBaseDelayMs ?? config.retryBaseDelayMs;
+    this.maxRetryDelayMs = options.maxRetryDelayMs ?? config.maxRetryDelayMs;
+    this.transport = options.transport || createAxiosTransport();
+    this.sleep = options.sleep || sleep;
+  }
+
+  /**
+   * Whether endpoint and key are available
+   */
+  isConfigured() {
+    return Boolean(this.endpoint && this.apiKey);
+  }
+
+  /**
+   * Build a Vision REST URL
+   * @param {string} operation - Operation path, e.g. 'imageanalysis:analyze'
+   * @param {Object} params - Query parameters
+   * @returns {string}
+   */
+  buildUrl(operation, params = {}) {
+    const query = new URLSearchParams({ 'api-version': this.apiVersion });
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        query.set(key, String(value));
+      }
+    });
+    return `${this.endpoint}/computervision/${operation}?${query.toString()}`;
+  }
+
+  /**
+   * Map our feature names to v4.0 query values
+   * @param {string[]} features - Feature names such as 'Caption', 'Objects'
+   * @returns {string[]}
+   */
+  mapFeatures(features) {
+    const invalid = features.filter(feature => !FEATURE_MAP[feature.trim()]);
+    if (invalid.length > 0) {
+      throw new VisionApiError(`Unsupported visual features: ${invalid.join(', ')}`, {
+        status: 400,
+        code: 'InvalidFeature'
+      });
+    }
+    return [...new Set(features.map(feature => FEATURE_MAP[feature.trim()]))];
+  }
+
+  /**
+   * Compute the delay before the next retry attempt
+   * @param {number} attempt - Zero-based attempt number
+   * @param {Object} [headers] - Response headers
+   * @returns {number}
+   */
+  getRetryDelay(attempt, headers = {}) {
+    const retryAfter = parseRetryAfter(headers['retry-after']);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxRetryDelayMs);
+    }
+    const backoff = this.retryBaseDelayMs * 2 ** attempt;
+    const jitter = Math.random() * this.retryBaseDelayMs;
+    return Math.min(backoff + jitter, this.maxRetryDelayMs);
+  }
+
+  /**
+   * Send a request to the Vision API with retries
+   * @param {Object} request
+   * @param {string} request.operation - Operation path
+   * @param {Object} [request.params] - Query parameters
+   * @param {Buffer|Object} request.body - Request body
+   * @param {string} [request.contentType] - Body content type
+   * @returns {Promise<Object>} - Response body
+   */
+  async request({ operation, params, body, contentType = 'application/octet-stream' }) {
+    if (!this.isConfigured()) {
+      throw new VisionApiError('Azure Vision service is not configured', {
+        status: 503,
+        code: 'NotConfigured'
+      });
+    }
+
+    const url = this.buildUrl(operation, params);
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+
+      try {
+        response = await this.transport({
+          method: 'POST',
+          url,
+          headers: {
+            'Ocp-Apim-Subscription-Key': this.apiKey,
+            'Content-Type': contentType
+          },
+          data: body,
+          timeoutMs: this.timeoutMs
+        });
+      } catch (error) {
+        const retryable = RETRYABLE_ERROR_CODES.includes(error.code);
+        if (retryable && attempt < this.maxRetries) {
+          const delay = this.getRetryDelay(attempt);
+          logger.warn('Vision API network error, retrying', { code: error.code, attempt: attempt + 1, delay });
+          await this.sleep(delay);
+          continue;
+        }
+        throw new VisionApiError(`Vision API request failed: ${error.message}`, {
+          status: error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 504 : 502,
+          code: error.code || 'NetworkError'
+        });
+      }
+
+      if (response.status >= 200 && response.status < 300) {
+        return response.data;
+      }
+
+      if (RETRYABLE_STATUS_CODES.includes(response.status) && attempt < this.maxRetries) {
+        const delay = this.getRetryDelay(attempt, response.headers);
+        logger.warn('Vision API returned retryable status, retrying', {
+          status: response.status,
+          attempt: attempt + 1,
+          delay
+        });
+        await this.sleep(delay);
+        continue;
+      }
+
+      const apiError = response.data?.error || {};
+      throw new VisionApiError(apiError.message || `Vision API request failed with status ${response.status}`, {
+        status: response.status,
+        code: apiError.code || null,
+        details: response.data
+      });
+    }
+  }
+
+  /**
+   * Analyze an image with the requested visual features
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} options
+   * @param {string[]} options.features - Feature names
+   * @param {string} [options.language] - Output language
+   * @param {boolean} [options.genderNeutralCaption] - Gender-neutral captions
+   * @param {number[]} [options.smartCropsAspectRatios] - Width/height ratios (0.75 to 1.8) for SmartCrops
+   * @returns {Promise<{raw: Object, analysis: Object}>}
+   */
+  async analyzeImage(imageBuffer, { features, language = 'en', genderNeutralCaption, smartCropsAspectRatios } = {}) {
+    const mappedFeatures = this.mapFeatures(features);
+
+    logger.info('Making v4.0 API request', {
+      features: mappedFeatures.join(','),
+      bufferSize: imageBuffer.length
+    });
+
+    const raw = await this.request({
+      operation: 'imageanalysis:analyze',
+      params: {
+        features: mappedFeatures.join(','),
+        language,
+        'gender-neutral-caption': genderNeutralCaption,
+        'smartcrops-aspect-ratios': smartCropsAspectRatios?.join(',')
+      },
+      body: imageBuffer
+    });
+
+    return {
+      raw,
+      analysis: normalizeAnalysisResult(raw)
+    };
+  }
+
+  /**
+   * Extract text from an image with the Read feature
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} options
+   * @param {string} [options.language] - Text language hint
+   * @returns {Promise<{raw: Object, text: string, lines: Array}>}
+   */
+  async readText(imageBuffer, { language = 'en' } = {}) {
+    const raw = await this.request({
+      operation: 'imageanalysis:analyze',
+      params: { features: FEATURE_MAP.Read, language },
+      body: imageBuffer
+    });
+
+    return {
+      raw,
+      ...normalizeReadResult(raw.readResult)
+    };
+  }
+
+  /**
+   * Vectorize an image with the multimodal embeddings API
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} [options]
+   * @param {string} [options.modelVersion] - Embedding model version
+   * @returns {Promise<{vector: number[], modelVersion: string}>}
+   */
+  async vectorizeImage(imageBuffer, { modelVersion } = {}) {
+    const raw = await this.request({
+      operation: 'retrieval:vectorizeImage',
+      params: { 'model-version': modelVersion },
+      body: imageBuffer
+    });
+    return { vector: raw.vector, modelVersion: raw.modelVersion || modelVersion };
+  }
+
+  /**
+   * Vectorize text into the same space as vectorizeImage
+   * @param {string} text - Natural-language query
+   * @param {Object} [options]
+   * @param {string} [options.modelVersion] - Embedding model version
+   * @returns {Promise<{vector: number[], modelVersion: string}>}
+   */
+  async vectorizeText(text, { modelVersion } = {}) {
+    const raw = await this.request({
+      operation: 'retrieval:vectorizeText',
+      params: { 'model-version': modelVersion },
+      body: { text },
+      contentType: 'application/json'
+    });
+    return { vector: raw.vector, modelVersion: raw.modelVersion || modelVersion };
+  }
+}
+
+/**
+ * Normalize a v4.0 Read result into plain text and lines
+ * @param {Object} readResult - readResult from the v4.0 API
+ * @returns {{text: string, lines: Array}}
+ */
+function normalizeReadResult(readResult) {
+  const lines = readResult?.blocks?.flatMap(block =>
+    block.lines.map(line => ({
+      text: line.text,
+      boundingPolygon: line.boundingPolygon || [],
+      boundingBox: polygonToBoundingBox(line.boundingPolygon),
+      words: line.words?.map(word => ({
+        text: word.text,
+        boundingPolygon: word.boundingPolygon || [],
+        boundingBox: polygonToBoundingBox(word.boundingPolygon),
+        confidence: word.confidence
+      })) || []
+    }))
+  ) || [];
+
+  return {
+    text: lines.map(line => line.text).join('\n'),
+    lines
+  };
+}
+
+/**
+ * Normalize a v4.0 analysis result into the Azure Lens response shape
+ * @param {Object} result - Raw v4.0 response
+ * @returns {Object}
+ */
+function normalizeAnalysisResult(result) {
+  const read = normalizeReadResult(result.readResult);
+
+  return {
+    // Caption from v4.0 API
+    caption: result.captionResult?.text || null,
+    confidence: result.captionResult?.confidence || null,
+
+    // Dense captions (v4.0 feature)
+    denseCaptions: result.denseCaptionsResult?.values?.map(cap => ({
+      text: cap.text,
+      confidence: cap.confidence,
+      boundingBox: cap.boundingBox
+    })) || [],
+
+    // Objects from v4.0 API
+    objects: result.objectsResult?.values?.map(obj => ({
+      name: obj.tags?.[0]?.name || obj.name,
+      confidence: obj.tags?.[0]?.confidence || obj.confidence,
+      boundingBox: obj.boundingBox
+    })) || [],
+
+    // People from v4.0 API
+    people: result.peopleResult?.values?.map(person => ({
+      confidence: person.confidence,
+      boundingBox: person.boundingBox
+    })) || [],
+
+    // Tags from v4.0 API
+    tags: result.tagsResult?.values?.map(tag => ({
+      name: tag.name,
+      confidence: tag.confidence
+    })) || [],
+
+    // Smart crops (v4.0 feature)
+    smartCrops: result.smartCropsResult?.values?.map(crop => ({
+      aspectRatio: crop.aspectRatio,
+      boundingBox: crop.boundingBox
+    })) || [],
+
+    // OCR/Read results
+    text: read.text || null,
+    lines: read.lines.map(({ text, boundingPolygon, boundingBox }) => ({ text, boundingPolygon, boundingBox })),
+
+    metadata: result.metadata || null
+  };
+}
+
+module.exports = VisionService;
+module.exports.VisionApiError = VisionApiError;
+module.exports.createAxiosTransport = createAxiosTransport;
+module.exports.normalizeAnalysisResult = normalizeAnalysisResult;
+module.exports.normalizeReadResult = normalizeReadResult;
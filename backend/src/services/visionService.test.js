@@ -0,0 +1,148 @@
+const http = require('http');
+const VisionService = require('./visionService');
+const { VisionApiError } = require('./visionService');
+
+jest.mock('../utils/logger');
+
+/**
+ * Transport replaying canned responses and recording the requests
+ */
+function createScriptedTransport(responses) {
+  const requests = [];
+  const transport = async (request) => {
+    requests.push(request);
+    const next = responses.shift();
+    if (next instanceof Error) {
+      throw next;
+    }
+    return { headers: {}, data: {}, ...next };
+  };
+  return { transport, requests };
+}
+
+function createService(transport, options = {}) {
+  const delays = [];
+  const service = new VisionService({
+    endpoint: 'https://vision.example.com/',
+    apiKey: 'key',
+    transport,
+    maxRetries: 3,
+    retryBaseDelayMs: 100,
+    maxRetryDelayMs: 1000,
+    sleep: async ms => { delays.push(ms); },
+    ...options
+  });
+  return { service, delays };
+}
+
+describe('VisionService.request', () => {
+  it('retries retryable statuses with exponential backoff', async () => {
+    const { transport, requests } = createScriptedTransport([{ status: 503 }, { status: 500 }, { status: 200, data: { ok: true } }]);
+    const { service, delays } = createService(transport);
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+
+    await expect(service.request({ operation: 'imageanalysis:analyze', body: Buffer.from('x') })).resolves.toEqual({ ok: true });
+
+    expect(requests).toHaveLength(3);
+    expect(delays).toEqual([100, 200]);
+    expect(requests[0].url).toBe(`https://vision.example.com/computervision/imageanalysis:analyze?api-version=${service.apiVersion}`);
+    expect(requests[0].headers['Ocp-Apim-Subscription-Key']).toBe('key');
+    Math.random.mockRestore();
+  });
+
+  it('honours Retry-After, capped at the maximum delay', async () => {
+    const { transport } = createScriptedTransport([
+      { status: 429, headers: { 'retry-after': '0.5' } },
+      { status: 429, headers: { 'retry-after': '30' } },
+      { status: 200 }
+    ]);
+    const { service, delays } = createService(transport);
+
+    await service.request({ operation: 'imageanalysis:analyze', body: Buffer.from('x') });
+
+    expect(delays).toEqual([500, 1000]);
+  });
+
+  it('caps backoff at the maximum delay', () => {
+    const { service } = createService(async () => ({ status: 200 }));
+
+    expect(service.getRetryDelay(10)).toBe(1000);
+  });
+
+  it('gives up after maxRetries with the last status', async () => {
+    const { transport, requests } = createScriptedTransport([
+      { status: 503 }, { status: 503 }, { status: 503 },
+      { status: 503, data: { error: { code: 'Busy', message: 'Try later' } } }
+    ]);
+    const { service } = createService(transport);
+
+    const error = await service.request({ operation: 'imageanalysis:analyze', body: Buffer.from('x') }).catch(e => e);
+
+    expect(error).toBeInstanceOf(VisionApiError);
+    expect(error).toMatchObject({ status: 503, code: 'Busy', message: 'Try later' });
+    expect(requests).toHaveLength(4);
+  });
+
+  it('does not retry client errors', async () => {
+    const { transport, requests } = createScriptedTransport([{ status: 400, data: { error: { code: 'InvalidImage', message: 'Bad image' } } }]);
+    const { service, delays } = createService(transport);
+
+    await expect(service.request({ operation: 'imageanalysis:analyze', body: Buffer.from('x') }))
+      .rejects.toMatchObject({ status: 400, code: 'InvalidImage' });
+    expect(requests).toHaveLength(1);
+    expect(delays).toEqual([]);
+  });
+
+  it('retries network errors and maps timeouts to 504', async () => {
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    const timeout = () => Object.assign(new Error('timeout'), { code: 'ECONNABORTED' });
+    const { transport, requests } = createScriptedTransport([reset, timeout(), timeout(), timeout()]);
+    const { service } = createService(transport);
+
+    await expect(service.request({ operation: 'imageanalysis:analyze', body: Buffer.from('x') }))
+      .rejects.toMatchObject({ status: 504, code: 'ECONNABORTED' });
+    expect(requests).toHaveLength(4);
+  });
+
+  it('fails fast when not configured', async () => {
+    const service = new VisionService({ transport: jest.fn() });
+    service.endpoint = '';
+
+    await expect(service.request({ operation: 'imageanalysis:analyze', body: Buffer.from('x') }))
+      .rejects.toMatchObject({ status: 503, code: 'NotConfigured' });
+    expect(service.transport).not.toHaveBeenCalled();
+  });
+});
+
+describe('VisionService with a local fake server', () => {
+  let server;
+  let endpoint;
+  let statuses;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      const status = statuses.shift() || 200;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(status === 200
+        ? { captionResult: { text: 'a cat', confidence: 0.9 }, metadata: { width: 10, height: 10 } }
+        : { error: { code: 'Unavailable', message: 'down' } }));
+    }).listen(0, '127.0.0.1', () => {
+      endpoint = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  it('analyzes an image through the default transport, retrying a 503', async () => {
+    statuses = [503];
+    const service = new VisionService({ endpoint, apiKey: 'key', retryBaseDelayMs: 1, maxRetryDelayMs: 5 });
+
+    const { analysis } = await service.analyzeImage(Buffer.from('image'), { features: ['Caption'] });
+
+    expect(analysis.caption).toBe('a cat');
+    expect(statuses).toEqual([]);
+  });
+});
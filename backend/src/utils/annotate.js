@@ -0,0 +1,161 @@
+/**
+ * SVG overlays for drawing analysis geometry on an image.
+ * Shapes are collected from any analysis response shape (analyze, ocr,
+ * analyze-enhanced) and drawn in the rendered image's pixel space.
+ */
+
+const RENDER_LAYERS = {
+  objects: { color: '#00B4FF', feature: 'Objects' },
+  people: { color: '#FF3B30', feature: 'People' },
+  text: { color: '#34C759', feature: 'Read' },
+  crops: { color: '#FFCC00', feature: 'SmartCrops' }
+};
+
+/**
+ * Escape text for use inside SVG markup
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Format a label with an optional confidence percentage
+ */
+function formatLabel(name, confidence) {
+  if (!name) {
+    return null;
+  }
+  return typeof confidence === 'number' ? `${name} ${Math.round(confidence * 100)}%` : String(name);
+}
+
+/**
+ * Pick the part of a response body that holds the geometry.
+ * /analyze responses nest it under `analysis`; enhanced and OCR responses
+ * keep it at the top level (enhanced `analysis` is the GPT-4o answer).
+ */
+function getGeometrySource(result) {
+  const hasGeometry = value => value && ['objects', 'people', 'lines', 'detailedText', 'textLines', 'smartCrops']
+    .some(key => Array.isArray(value[key]));
+  if (hasGeometry(result)) {
+    return result;
+  }
+  return hasGeometry(result?.analysis) ? result.analysis : result || {};
+}
+
+/**
+ * Dimensions the analysis coordinates refer to, when the result records them
+ * @returns {{width: number, height: number}|null}
+ */
+function getAnalysisDimensions(result) {
+  const source = getGeometrySource(result);
+  const dimensions = source.metadata || source.layout || result?.metadata;
+  if (dimensions?.width > 0 && dimensions?.height > 0) {
+    return { width: dimensions.width, height: dimensions.height };
+  }
+  return null;
+}
+
+/**
+ * Collect the shapes to draw for the selected layers
+ * @param {Object} result - Analysis response body or its analysis object
+ * @param {string[]} layers - Keys of RENDER_LAYERS
+ * @returns {Array<{layer: string, label: string|null, box?: Object, polygon?: Array}>}
+ */
+function collectShapes(result, layers) {
+  const source = getGeometrySource(result);
+  const shapes = [];
+
+  if (layers.includes('crops')) {
+    (source.smartCrops || []).forEach(crop => {
+      shapes.push({ layer: 'crops', label: crop.aspectRatio ? `crop ${crop.aspectRatio}` : 'crop', box: crop.boundingBox });
+    });
+  }
+
+  if (layers.includes('text')) {
+    const lines = source.lines || source.detailedText || source.textLines || [];
+    lines.forEach(line => {
+      const polygon = line.boundingPolygon?.length > 2 ? line.boundingPolygon : null;
+      shapes.push({ layer: 'text', label: null, polygon, box: polygon ? null : line.boundingBox || line.rectangle });
+    });
+  }
+
+  if (layers.includes('people')) {
+    (source.people || []).forEach(person => {
+      shapes.push({ layer: 'people', label: formatLabel('person', person.confidence), box: person.boundingBox || person.rectangle });
+    });
+  }
+
+  if (layers.includes('objects')) {
+    (source.objects || []).forEach(object => {
+      shapes.push({
+        layer: 'objects',
+        label: formatLabel(object.name || object.object, object.confidence),
+        box: object.boundingBox || object.rectangle
+      });
+    });
+  }
+
+  return shapes.filter(shape => shape.polygon || (shape.box && shape.box.w > 0 && shape.box.h > 0));
+}
+
+/**
+ * Build an SVG overlay for the given shapes
+ * @param {Array} shapes - From collectShapes
+ * @param {Object} options
+ * @param {number} options.width - Rendered image width
+ * @param {number} options.height - Rendered image height
+ * @param {number} [options.scaleX] - Analysis-to-image scale on x
+ * @param {number} [options.scaleY] - Analysis-to-image scale on y
+ * @returns {string}
+ */
+function buildOverlaySvg(shapes, { width, height, scaleX = 1, scaleY = 1 }) {
+  const shortest = Math.min(width, height);
+  const strokeWidth = Math.max(2, Math.round(shortest / 250));
+  const fontSize = Math.max(11, Math.round(shortest / 40));
+  const labelHeight = Math.round(fontSize * 1.4);
+
+  const elements = shapes.map(({ layer, label, box, polygon }) => {
+    const { color } = RENDER_LAYERS[layer];
+    const parts = [];
+    let anchor;
+
+    if (polygon) {
+      const points = polygon.map(point => `${(point.x * scaleX).toFixed(1)},${(point.y * scaleY).toFixed(1)}`).join(' ');
+      parts.push(`<polygon points="${points}" fill="${color}" fill-opacity="0.15" stroke="${color}" stroke-width="${strokeWidth}"/>`);
+      anchor = { x: Math.min(...polygon.map(point => point.x)) * scaleX, y: Math.min(...polygon.map(point => point.y)) * scaleY };
+    } else {
+      const x = box.x * scaleX;
+      const y = box.y * scaleY;
+      const dash = layer === 'crops' ? ` stroke-dasharray="${strokeWidth * 4},${strokeWidth * 2}"` : '';
+      parts.push(`<rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${(box.w * scaleX).toFixed(1)}" height="${(box.h * scaleY).toFixed(1)}" fill="none" stroke="${color}" stroke-width="${strokeWidth}"${dash}/>`);
+      anchor = { x, y };
+    }
+
+    if (label) {
+      // Label sits above the shape, or just inside it at the top edge
+      const labelWidth = Math.round(label.length * fontSize * 0.6 + fontSize * 0.6);
+      const labelX = Math.max(0, Math.min(anchor.x, width - labelWidth));
+      const labelY = anchor.y >= labelHeight ? anchor.y - labelHeight : anchor.y;
+      parts.push(`<rect x="${labelX.toFixed(1)}" y="${labelY.toFixed(1)}" width="${labelWidth}" height="${labelHeight}" fill="${color}"/>`);
+      parts.push(`<text x="${(labelX + fontSize * 0.3).toFixed(1)}" y="${(labelY + labelHeight * 0.75).toFixed(1)}" font-family="DejaVu Sans, Arial, sans-serif" font-size="${fontSize}" fill="#000000">${escapeXml(label)}</text>`);
+    }
+
+    return parts.join('');
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${elements.join('')}</svg>`;
+}
+
+module.exports = {
+  RENDER_LAYERS,
+  escapeXml,
+  getGeometrySource,
+  getAnalysisDimensions,
+  collectShapes,
+  buildOverlaySvg
+};
@@ -0,0 +1,70 @@
+const { getGeometrySource, getAnalysisDimensions, collectShapes, buildOverlaySvg } = require('./annotate');
+
+const box = { x: 10, y: 20, w: 30, h: 40 };
+
+describe('getGeometrySource', () => {
+  it('finds the geometry of each stored response shape', () => {
+    const analyze = { success: true, analysis: { objects: [], metadata: { width: 640, height: 480 } } };
+    const enhanced = { enhanced: true, analysis: { objects: ['cat'] }, objects: [], people: [] };
+    const ocr = { text: 'A', detailedText: [], layout: { width: 100, height: 50, blocks: [] } };
+
+    expect(getGeometrySource(analyze)).toBe(analyze.analysis);
+    expect(getGeometrySource(enhanced)).toBe(enhanced);
+    expect(getGeometrySource(ocr)).toBe(ocr);
+    expect(getGeometrySource(null)).toEqual({});
+  });
+
+  it('reads the dimensions the coordinates refer to', () => {
+    expect(getAnalysisDimensions({ analysis: { objects: [], metadata: { width: 640, height: 480 } } })).toEqual({ width: 640, height: 480 });
+    expect(getAnalysisDimensions({ lines: [], layout: { width: 100, height: 50 } })).toEqual({ width: 100, height: 50 });
+    expect(getAnalysisDimensions({ objects: [], metadata: { width: 0, height: 10 } })).toBeNull();
+  });
+});
+
+describe('collectShapes', () => {
+  const result = {
+    objects: [{ name: 'cat', confidence: 0.876, boundingBox: box }, { object: 'ball', rectangle: box }, { name: 'flat', boundingBox: { x: 0, y: 0, w: 0, h: 5 } }],
+    people: [{ confidence: 0.5, boundingBox: box }],
+    lines: [
+      { boundingPolygon: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 5 }] },
+      { boundingPolygon: [], boundingBox: box }
+    ],
+    smartCrops: [{ aspectRatio: 1.5, boundingBox: box }]
+  };
+
+  it('draws only the selected layers and skips empty boxes', () => {
+    expect(collectShapes(result, ['objects'])).toEqual([
+      { layer: 'objects', label: 'cat 88%', box },
+      { layer: 'objects', label: 'ball', box }
+    ]);
+    expect(collectShapes(result, ['people', 'crops']).map(shape => shape.label)).toEqual(['crop 1.5', 'person 50%']);
+  });
+
+  it('prefers text polygons and falls back to boxes', () => {
+    const [polygon, rectangle] = collectShapes(result, ['text']);
+
+    expect(polygon).toMatchObject({ label: null, box: null, polygon: result.lines[0].boundingPolygon });
+    expect(rectangle).toMatchObject({ polygon: null, box });
+  });
+});
+
+describe('buildOverlaySvg', () => {
+  it('scales shapes to the rendered image and escapes labels', () => {
+    const svg = buildOverlaySvg([{ layer: 'objects', label: 'R&D <lab>', box }], { width: 200, height: 100, scaleX: 2, scaleY: 0.5 });
+
+    expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" width="200" height="100">/);
+    expect(svg).toContain('<rect x="20.0" y="10.0" width="60.0" height="20.0" fill="none" stroke="#00B4FF" stroke-width="2"/>');
+    expect(svg).toContain('>R&amp;D &lt;lab&gt;</text>');
+  });
+
+  it('dashes crop outlines and fills text polygons', () => {
+    const svg = buildOverlaySvg([
+      { layer: 'crops', label: null, box },
+      { layer: 'text', label: null, polygon: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 5 }] }
+    ], { width: 100, height: 100 });
+
+    expect(svg).toContain('stroke-dasharray="8,4"');
+    expect(svg).toContain('<polygon points="0.0,0.0 10.0,0.0 10.0,5.0" fill="#34C759" fill-opacity="0.15"');
+    expect(svg).not.toContain('<text');
+  });
+});
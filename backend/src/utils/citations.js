@@ -0,0 +1,154 @@
+/**
+ * Region citations for chat answers.
+ * Analysis items with a bounding box are listed for the model under short
+ * IDs (O1 for objects, P1 for people, L1 for OCR lines, C1 for dense
+ * captions). The model tags each sentence with the IDs it relies on, or
+ * with [ungrounded], and the tags are turned into structured claims.
+ * Sentences without a valid ID are reported as ungrounded claims.
+ */
+const { getGeometrySource, getAnalysisDimensions } = require('./annotate');
+const { polygonToBoundingBox, describeBoxPosition } = require('./geometry');
+
+// Keep the item list within a reasonable share of the prompt
+const MAX_SOURCES_PER_TYPE = 40;
+const UNGROUNDED_MARKER = 'ungrounded';
+
+const SOURCE_TYPES = {
+  object: 'O',
+  person: 'P',
+  text: 'L',
+  denseCaption: 'C'
+};
+
+const MARKER_PATTERN = /\s*\[((?:[OPLC]\d+|ungrounded)(?:\s*,\s*(?:[OPLC]\d+|ungrounded))*)\]/gi;
+
+/**
+ * Box of an item in any analysis response shape
+ */
+function getItemBox(item) {
+  const box = item.boundingBox || item.rectangle ||
+    (item.boundingPolygon?.length > 2 ? polygonToBoundingBox(item.boundingPolygon) : null);
+  return box && box.w > 0 && box.h > 0 ? { x: box.x, y: box.y, w: box.w, h: box.h } : null;
+}
+
+/**
+ * Collect the analysis items an answer can cite
+ * @param {Object} analysisResults - Analysis response body
+ * @returns {Array<{id: string, type: string, label: string, confidence: number|null, boundingBox: Object}>}
+ */
+function collectCitationSources(analysisResults) {
+  const source = getGeometrySource(analysisResults);
+  const denseCaptions = source.denseCaptions || analysisResults?.denseCaptions || [];
+  const groups = {
+    object: (source.objects || []).map(object => ({ ...object, label: object.name || object.object })),
+    person: (source.people || []).map(person => ({ ...person, label: 'person' })),
+    text: (source.lines || source.detailedText || source.textLines || []).map(line => ({ ...line, label: line.text })),
+    denseCaption: denseCaptions.map(caption => ({ ...caption, label: caption.text }))
+  };
+
+  return Object.entries(groups).flatMap(([type, items]) => items
+    .map(item => ({ item, boundingBox: getItemBox(item) }))
+    .filter(({ item, boundingBox }) => boundingBox && item.label)
+    .slice(0, MAX_SOURCES_PER_TYPE)
+    .map(({ item, boundingBox }, index) => ({
+      id: `${SOURCE_TYPES[type]}${index + 1}`,
+      type,
+      label: item.label,
+      confidence: item.confidence ?? null,
+      boundingBox
+    })));
+}
+
+/**
+ * System message listing the citable items and how to tag sentences
+ * @param {Array} sources - From collectCitationSources
+ * @param {Object} analysisResults
+ * @returns {string}
+ */
+function buildCitationPrompt(sources, analysisResults) {
+  const dimensions = getAnalysisDimensions(analysisResults);
+  const items = sources.map(source => {
+    const position = dimensions ? describeBoxPosition(source.boundingBox, dimensions.width, dimensions.height) : null;
+    const where = position ? `, ${position.vertical} ${position.horizontal}` : '';
+    return `${source.id}: ${source.type} "${source.label}"${where}`;
+  });
+
+  return [
+    'Cite your sources. End every sentence with the IDs of the items below it relies on, ' +
+      'in square brackets before the full stop, for example: "A dog sits on the left [O1, C2]."',
+    `If a sentence is about something none of the items show, end it with [${UNGROUNDED_MARKER}] instead. ` +
+      'Untagged sentences count as ungrounded, so leave out greetings and filler. Do not mention the IDs otherwise.',
+    items.length > 0 ? `Items:\n${items.join('\n')}` : 'There are no items to cite.'
+  ].join('\n');
+}
+
+/**
+ * Split an answer into sentences, keeping line breaks as boundaries
+ */
+function splitSentences(text) {
+  return text
+    .split(/\n+/)
+    .flatMap(paragraph => paragraph.match(/[^.!?]+(?:[.!?]+(?:\s*\[[^\]]*\])*|$)/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Remove citation tags from text
+ * @param {string} text
+ * @returns {string}
+ */
+function stripCitationMarkers(text) {
+  return text.replace(MARKER_PATTERN, '').replace(/[ \t]+([.!?,;:])/g, '$1');
+}
+
+/**
+ * Turn a tagged answer into the plain answer and its claims. Every
+ * sentence is a claim. Tags naming unknown items are ignored, so a claim
+ * that is untagged or whose tags are all unknown counts as ungrounded;
+ * `reason` says why (untagged, unknown-source or marked).
+ * @param {string} answer - Answer with citation tags
+ * @param {Array} sources - From collectCitationSources
+ * @param {Object} analysisResults
+ * @returns {{answer: string, citations: Object}}
+ */
+function extractCitations(answer, sources, analysisResults) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+
+  const claims = splitSentences(answer).flatMap(sentence => {
+    const ids = [...sentence.matchAll(MARKER_PATTERN)]
+      .flatMap(match => match[1].split(','))
+      .map(id => id.trim().toUpperCase());
+    const text = stripCitationMarkers(sentence).trim();
+    if (!text) {
+      return [];
+    }
+
+    const cited = [...new Set(ids)].filter(id => byId.has(id)).map(id => byId.get(id));
+    if (cited.length > 0) {
+      return [{ text, grounded: true, sources: cited }];
+    }
+
+    const reason = ids.length === 0 ? 'untagged' : ids.includes(UNGROUNDED_MARKER.toUpperCase()) ? 'marked' : 'unknown-source';
+    return [{ text, grounded: false, reason, sources: [] }];
+  });
+
+  const ungroundedClaims = claims.filter(claim => !claim.grounded).length;
+  return {
+    answer: stripCitationMarkers(answer).trim(),
+    citations: {
+      claims,
+      grounded: claims.length > 0 && ungroundedClaims === 0,
+      ungroundedClaims,
+      // Bounding boxes are in these coordinates
+      dimensions: getAnalysisDimensions(analysisResults)
+    }
+  };
+}
+
+module.exports = {
+  collectCitationSources,
+  buildCitationPrompt,
+  stripCitationMarkers,
+  extractCitations
+};
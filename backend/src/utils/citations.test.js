@@ -0,0 +1,91 @@
+const { collectCitationSources, buildCitationPrompt, extractCitations } = require('./citations');
+
+const analysis = {
+  analysis: {
+    metadata: { width: 100, height: 80 },
+    objects: [{ name: 'cat', confidence: 0.8, boundingBox: { x: 10, y: 10, w: 30, h: 20 } }],
+    people: [{ confidence: 0.9, boundingBox: { x: 50, y: 5, w: 20, h: 60 } }],
+    lines: [{ text: 'HELLO', boundingPolygon: [{ x: 5, y: 60 }, { x: 60, y: 60 }, { x: 60, y: 70 }, { x: 5, y: 70 }] }],
+    denseCaptions: [{ text: 'a cat', confidence: 0.7, boundingBox: { x: 10, y: 10, w: 30, h: 20 } }]
+  }
+};
+
+describe('collectCitationSources', () => {
+  it('numbers items with a bounding box by type', () => {
+    const sources = collectCitationSources(analysis);
+
+    expect(sources.map(source => source.id)).toEqual(['O1', 'P1', 'L1', 'C1']);
+    expect(sources[2]).toMatchObject({ type: 'text', label: 'HELLO', boundingBox: { x: 5, y: 60, w: 55, h: 10 } });
+  });
+
+  it('reads the enhanced result shape', () => {
+    const sources = collectCitationSources({
+      enhanced: true,
+      analysis: { mainDescription: 'a dog' },
+      objects: [{ object: 'dog', rectangle: { x: 1, y: 2, w: 3, h: 4 } }, { object: 'sky' }],
+      textLines: [{ text: 'STOP', rectangle: { x: 0, y: 0, w: 9, h: 2 } }]
+    });
+
+    expect(sources.map(source => `${source.id}:${source.label}`)).toEqual(['O1:dog', 'L1:STOP']);
+  });
+});
+
+describe('buildCitationPrompt', () => {
+  it('lists the items with their position', () => {
+    const prompt = buildCitationPrompt(collectCitationSources(analysis), analysis);
+
+    expect(prompt).toContain('O1: object "cat", top left');
+    expect(prompt).toContain('[ungrounded]');
+  });
+});
+
+describe('extractCitations', () => {
+  const sources = collectCitationSources(analysis);
+  const extract = answer => extractCitations(answer, sources, analysis);
+
+  it('links tagged sentences to their items and strips the tags', () => {
+    const { answer, citations } = extract('A cat sits on the left [O1, C1]. It says HELLO [L1].');
+
+    expect(answer).toBe('A cat sits on the left. It says HELLO.');
+    expect(citations.grounded).toBe(true);
+    expect(citations.ungroundedClaims).toBe(0);
+    expect(citations.claims[0].sources.map(source => source.id)).toEqual(['O1', 'C1']);
+    expect(citations.claims[1].sources[0].boundingBox).toEqual({ x: 5, y: 60, w: 55, h: 10 });
+    expect(citations.dimensions).toEqual({ width: 100, height: 80 });
+  });
+
+  it('flags an answer without tags as ungrounded', () => {
+    const { answer, citations } = extract('The cat is wearing a red hat. It is three years old.');
+
+    expect(answer).toBe('The cat is wearing a red hat. It is three years old.');
+    expect(citations.grounded).toBe(false);
+    expect(citations.ungroundedClaims).toBe(2);
+    expect(citations.claims.every(claim => claim.reason === 'untagged')).toBe(true);
+  });
+
+  it('treats unknown IDs as ungrounded', () => {
+    const { citations } = extract('There is a dog [O7].');
+
+    expect(citations.claims).toEqual([{ text: 'There is a dog.', grounded: false, reason: 'unknown-source', sources: [] }]);
+    expect(citations.grounded).toBe(false);
+  });
+
+  it('reports each sentence of a mixed answer', () => {
+    const { answer, citations } = extract('A person stands nearby [P1].\nThe cat wears a hat [ungrounded]. It is sunny. A dog [O2, C1].');
+
+    expect(answer).toBe('A person stands nearby.\nThe cat wears a hat. It is sunny. A dog.');
+    expect(citations.claims.map(claim => [claim.grounded, claim.reason])).toEqual([
+      [true, undefined],
+      [false, 'marked'],
+      [false, 'untagged'],
+      [true, undefined]
+    ]);
+    expect(citations.claims[3].sources.map(source => source.id)).toEqual(['C1']);
+    expect(citations.grounded).toBe(false);
+    expect(citations.ungroundedClaims).toBe(2);
+  });
+
+  it('is not grounded when the answer is empty', () => {
+    expect(extract('').citations).toMatchObject({ claims: [], grounded: false, ungroundedClaims: 0 });
+  });
+});
@@ -0,0 +1,103 @@
+const sharp = require('sharp');
+
+// Reference colours used to name a pixel colour
+const NAMED_COLORS = [
+  { name: 'black', rgb: [0, 0, 0] },
+  { name: 'white', rgb: [255, 255, 255] },
+  { name: 'gray', rgb: [128, 128, 128] },
+  { name: 'red', rgb: [200, 30, 30] },
+  { name: 'orange', rgb: [240, 140, 20] },
+  { name: 'yellow', rgb: [240, 220, 40] },
+  { name: 'green', rgb: [40, 160, 60] },
+  { name: 'teal', rgb: [0, 128, 128] },
+  { name: 'blue', rgb: [30, 80, 200] },
+  { name: 'purple', rgb: [120, 50, 160] },
+  { name: 'pink', rgb: [240, 140, 180] },
+  { name: 'brown', rgb: [120, 75, 40] }
+];
+
+const SAMPLE_SIZE = 64;
+// Bits kept per channel when bucketing pixels
+const QUANTIZE_BITS = 3;
+
+/**
+ * Name an RGB colour after the closest reference colour
+ * @param {number[]} rgb - [r, g, b]
+ * @returns {string}
+ */
+function nameColor([r, g, b]) {
+  let best = NAMED_COLORS[0];
+  let bestDistance = Infinity;
+  NAMED_COLORS.forEach(color => {
+    const [cr, cg, cb] = color.rgb;
+    const distance = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+    if (distance < bestDistance) {
+      best = color;
+      bestDistance = distance;
+    }
+  });
+  return best.name;
+}
+
+function toHex(rgb) {
+  return `#${rgb.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Compute the dominant colours of an image from its pixels.
+ * The image is downsampled and pixels are bucketed per channel; buckets
+ * sharing a colour name are merged.
+ * @param {Buffer} imageBuffer - Encoded image
+ * @param {Object} [options]
+ * @param {number} [options.count] - Number of colours to return
+ * @returns {Promise<Array<{name: string, hex: string, fraction: number}>>}
+ */
+async function extractDominantColors(imageBuffer, { count = 3 } = {}) {
+  const { data, info } = await sharp(imageBuffer)
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const shift = 8 - QUANTIZE_BITS;
+  const buckets = new Map();
+  const pixelCount = info.width * info.height;
+
+  for (let i = 0; i < data.length; i += info.channels) {
+    const key = (data[i] >> shift) << (QUANTIZE_BITS * 2) | (data[i + 1] >> shift) << QUANTIZE_BITS | (data[i + 2] >> shift);
+    const bucket = buckets.get(key) || { count: 0, sum: [0, 0, 0] };
+    bucket.count++;
+    bucket.sum[0] += data[i];
+    bucket.sum[1] += data[i + 1];
+    bucket.sum[2] += data[i + 2];
+    buckets.set(key, bucket);
+  }
+
+  const byName = new Map();
+  [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .forEach(bucket => {
+      const rgb = bucket.sum.map(total => Math.round(total / bucket.count));
+      const name = nameColor(rgb);
+      const existing = byName.get(name);
+      if (existing) {
+        existing.count += bucket.count;
+      } else {
+        byName.set(name, { name, hex: toHex(rgb), count: bucket.count });
+      }
+    });
+
+  return [...byName.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, count)
+    .map(({ name, hex, count: pixels }) => ({
+      name,
+      hex,
+      fraction: Math.round(pixels / pixelCount * 1000) / 1000
+    }));
+}
+
+module.exports = {
+  extractDominantColors,
+  nameColor
+};
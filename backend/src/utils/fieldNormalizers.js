@@ -0,0 +1,248 @@
+/**
+ * Normalizers for values read from documents by a model.
+ * Each returns the normalized value, null for an empty value, or
+ * undefined when the value cannot be interpreted.
+ */
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₩': 'KRW',
+  '₽': 'RUB',
+  'R$': 'BRL',
+  'CHF': 'CHF'
+};
+
+function isEmpty(value) {
+  return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Build an ISO date when the parts form a real calendar date
+ */
+function isoDate(year, month, day) {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(Date.UTC(fullYear, month - 1, day));
+  if (date.getUTCFullYear() !== fullYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return undefined;
+  }
+  return `${fullYear}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Normalize a date to YYYY-MM-DD
+ * @param {*} value - Date as written on the document
+ * @param {Object} [options]
+ * @param {string} [options.dateOrder] - 'MDY' or 'DMY' for ambiguous numeric dates
+ * @returns {string|null|undefined}
+ */
+function normalizeDate(value, { dateOrder = 'MDY' } = {}) {
+  if (isEmpty(value)) {
+    return null;
+  }
+
+  const text = String(value).trim();
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (match) {
+    return isoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+  }
+
+  match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/);
+  if (match) {
+    const [first, second, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    // Unambiguous when one part cannot be a month
+    if (first > 12) return isoDate(year, second, first);
+    if (second > 12) return isoDate(year, first, second);
+    return dateOrder === 'DMY' ? isoDate(year, second, first) : isoDate(year, first, second);
+  }
+
+  // "12 Jan 2024" and "Jan 12, 2024" style dates
+  match = text.match(/^(\d{1,2})\.?\s+([a-z]+)\.?,?\s+(\d{4})$/i) || text.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (match) {
+    const [dayPart, monthPart] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+    const month = MONTHS.indexOf(monthPart.slice(0, 3).toLowerCase()) + 1;
+    if (month > 0) {
+      return isoDate(Number(match[3]), month, Number(dayPart));
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Normalize a time to HH:MM or HH:MM:SS (24-hour)
+ * @returns {string|null|undefined}
+ */
+function normalizeTime(value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+
+  const match = String(value).trim().match(/^(\d{1,2})[:.](\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+  if (!match) {
+    return undefined;
+  }
+
+  let hours = Number(match[1]);
+  const meridiem = match[4]?.toLowerCase().replace(/\./g, '');
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  if (hours > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) {
+    return undefined;
+  }
+  return `${pad(hours)}:${match[2]}${match[3] ? `:${match[3]}` : ''}`;
+}
+
+/**
+ * Parse a number written with either decimal convention
+ * ("1,234.56", "1.234,56", "12,50", "(4.00)", "-3")
+ * @returns {number|null|undefined}
+ */
+function normalizeNumber(value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : undefined;
+  }
+
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d\-().,]/g, ''));
+  text = text.replace(/[^\d.,]/g, '');
+
+  if (!/\d/.test(text)) {
+    return undefined;
+  }
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // The later separator is the decimal separator
+    const decimal = lastComma > lastDot ? ',' : '.';
+    const thousands = decimal === ',' ? '.' : ',';
+    text = text.split(thousands).join('').replace(decimal, '.');
+  } else if (lastComma !== -1) {
+    const decimals = text.length - lastComma - 1;
+    // A single comma followed by 1-2 digits is a decimal comma
+    text = text.split(',').length === 2 && decimals > 0 && decimals <= 2 ? text.replace(',', '.') : text.replace(/,/g, '');
+  } else if (text.split('.').length > 2) {
+    text = text.replace(/\./g, '');
+  }
+
+  const number = Number(text);
+  if (!Number.isFinite(number)) {
+    return undefined;
+  }
+  return negative ? -number : number;
+}
+
+/**
+ * Normalize a currency amount to a number with at most two decimals
+ * @returns {number|null|undefined}
+ */
+function normalizeAmount(value) {
+  const number = normalizeNumber(value);
+  return typeof number === 'number' ? Math.round(number * 100) / 100 : number;
+}
+
+/**
+ * Normalize a currency to its ISO 4217 code
+ * @returns {string|null|undefined}
+ */
+function normalizeCurrencyCode(value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+  const text = String(value).trim();
+  if (CURRENCY_SYMBOLS[text]) {
+    return CURRENCY_SYMBOLS[text];
+  }
+  return /^[a-z]{3}$/i.test(text) ? text.toUpperCase() : undefined;
+}
+
+/**
+ * Normalize an email address
+ * @returns {string|null|undefined}
+ */
+function normalizeEmail(value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+  const email = String(value).trim().replace(/^mailto:/i, '').toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : undefined;
+}
+
+/**
+ * Normalize a phone number to digits with an optional leading +
+ * @returns {string|null|undefined}
+ */
+function normalizePhone(value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+  const text = String(value).trim().replace(/^tel:/i, '');
+  const international = text.startsWith('+') || text.startsWith('00');
+  const digits = text.replace(/\D/g, '').replace(/^00/, '');
+  if (digits.length < 6 || digits.length > 15) {
+    return undefined;
+  }
+  return international ? `+${digits}` : digits;
+}
+
+/**
+ * Normalize a web address, adding https:// when no scheme is given
+ * @returns {string|null|undefined}
+ */
+function normalizeUrl(value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+  const text = String(value).trim();
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.toString() : undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Normalize a boolean written as text
+ * @returns {boolean|null|undefined}
+ */
+function normalizeBoolean(value) {
+  if (isEmpty(value)) {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'no', 'n', '0'].includes(text)) return false;
+  return undefined;
+}
+
+module.exports = {
+  normalizeDate,
+  normalizeTime,
+  normalizeNumber,
+  normalizeAmount,
+  normalizeCurrencyCode,
+  normalizeEmail,
+  normalizePhone,
+  normalizeUrl,
+  normalizeBoolean
+};
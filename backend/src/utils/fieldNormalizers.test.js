@@ -0,0 +1,73 @@
+const normalizers = require('./fieldNormalizers');
+
+describe('normalizeDate', () => {
+  const { normalizeDate } = normalizers;
+
+  it('reads ISO, numeric and written dates', () => {
+    expect(normalizeDate('2024-1-5')).toBe('2024-01-05');
+    expect(normalizeDate('2024-01-05T10:00:00Z')).toBe('2024-01-05');
+    expect(normalizeDate('12 Jan. 2024')).toBe('2024-01-12');
+    expect(normalizeDate('January 12, 2024')).toBe('2024-01-12');
+    expect(normalizeDate('05.01.24', { dateOrder: 'DMY' })).toBe('2024-01-05');
+  });
+
+  it('uses the date order only when both parts could be the month', () => {
+    expect(normalizeDate('03/04/2024')).toBe('2024-03-04');
+    expect(normalizeDate('03/04/2024', { dateOrder: 'DMY' })).toBe('2024-04-03');
+    expect(normalizeDate('25/04/2024')).toBe('2024-04-25');
+  });
+
+  it('rejects impossible dates and returns null for empty values', () => {
+    expect(normalizeDate('2023-02-29')).toBeUndefined();
+    expect(normalizeDate('next tuesday')).toBeUndefined();
+    expect(normalizeDate('  ')).toBeNull();
+  });
+});
+
+describe('normalizeTime', () => {
+  const { normalizeTime } = normalizers;
+
+  it('converts to 24-hour time', () => {
+    expect(normalizeTime('9.05')).toBe('09:05');
+    expect(normalizeTime('12:30 a.m.')).toBe('00:30');
+    expect(normalizeTime('7:15:30 PM')).toBe('19:15:30');
+    expect(normalizeTime('24:00')).toBeUndefined();
+  });
+});
+
+describe('normalizeNumber and normalizeAmount', () => {
+  const { normalizeNumber, normalizeAmount } = normalizers;
+
+  it('handles both decimal conventions', () => {
+    expect(normalizeNumber('1,234.56')).toBe(1234.56);
+    expect(normalizeNumber('1.234,56')).toBe(1234.56);
+    expect(normalizeNumber('12,50')).toBe(12.5);
+    expect(normalizeNumber('1,234')).toBe(1234);
+    expect(normalizeNumber('1.234.567')).toBe(1234567);
+  });
+
+  it('reads negative amounts and strips currency symbols', () => {
+    expect(normalizeNumber('(4.00)')).toBe(-4);
+    expect(normalizeNumber('-3')).toBe(-3);
+    expect(normalizeAmount('$ 19.999')).toBe(20);
+    expect(normalizeNumber('n/a')).toBeUndefined();
+    expect(normalizeNumber(Infinity)).toBeUndefined();
+  });
+});
+
+describe('other normalizers', () => {
+  it('normalizes currencies, contact details and booleans', () => {
+    expect(normalizers.normalizeCurrencyCode('€')).toBe('EUR');
+    expect(normalizers.normalizeCurrencyCode('usd')).toBe('USD');
+    expect(normalizers.normalizeCurrencyCode('dollars')).toBeUndefined();
+    expect(normalizers.normalizeEmail('mailto:Jane@Example.COM')).toBe('jane@example.com');
+    expect(normalizers.normalizeEmail('jane@')).toBeUndefined();
+    expect(normalizers.normalizePhone('0044 20 7946 0000')).toBe('+442079460000');
+    expect(normalizers.normalizePhone('(555) 0100-22')).toBe('555010022');
+    expect(normalizers.normalizePhone('123')).toBeUndefined();
+    expect(normalizers.normalizeUrl('example.com/about')).toBe('https://example.com/about');
+    expect(normalizers.normalizeUrl('ftp://example.com')).toBeUndefined();
+    expect(normalizers.normalizeBoolean('Yes')).toBe(true);
+    expect(normalizers.normalizeBoolean('maybe')).toBeUndefined();
+  });
+});
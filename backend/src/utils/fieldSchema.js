@@ -0,0 +1,356 @@
+/**
+ * Declarative field specs for structured extraction.
+ * One spec drives the JSON schema given to the model, the normalization of
+ * its answer and the Joi validation of the normalized result.
+ *
+ * A spec maps field names to definitions:
+ *   { type, description?, required?, values? (enum), items? (array), fields? (object), dateOrder? (date) }
+ * Scalar fields are answered by the model as { value, confidence }.
+ */
+const Joi = require('joi');
+const normalizers = require('./fieldNormalizers');
+
+const SCALAR_TYPES = {
+  string: {
+    json: { type: ['string', 'null'] },
+    normalize: value => (value === null || value === undefined ? null : String(value).trim() || null),
+    joi: () => Joi.string()
+  },
+  number: {
+    json: { type: ['number', 'null'] },
+    normalize: normalizers.normalizeNumber,
+    joi: () => Joi.number()
+  },
+  integer: {
+    json: { type: ['integer', 'null'] },
+    normalize: value => {
+      const number = normalizers.normalizeNumber(value);
+      return typeof number === 'number' ? Math.round(number) : number;
+    },
+    joi: () => Joi.number().integer()
+  },
+  amount: {
+    json: { type: ['number', 'null'], description: 'Plain number without currency symbols' },
+    normalize: normalizers.normalizeAmount,
+    joi: () => Joi.number()
+  },
+  date: {
+    json: { type: ['string', 'null'], format: 'date', description: 'ISO 8601 date (YYYY-MM-DD)' },
+    normalize: normalizers.normalizeDate,
+    joi: () => Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'ISO date')
+  },
+  time: {
+    json: { type: ['string', 'null'], description: '24-hour time (HH:MM)' },
+    normalize: normalizers.normalizeTime,
+    joi: () => Joi.string().pattern(/^\d{2}:\d{2}(:\d{2})?$/, '24-hour time')
+  },
+  email: {
+    json: { type: ['string', 'null'], format: 'email' },
+    normalize: normalizers.normalizeEmail,
+    joi: () => Joi.string().email({ tlds: { allow: false } })
+  },
+  phone: {
+    json: { type: ['string', 'null'], description: 'Phone number including country code when shown' },
+    normalize: normalizers.normalizePhone,
+    joi: () => Joi.string().pattern(/^\+?\d{6,15}$/, 'phone number')
+  },
+  url: {
+    json: { type: ['string', 'null'], format: 'uri' },
+    normalize: normalizers.normalizeUrl,
+    joi: () => Joi.string().uri({ scheme: ['http', 'https'] })
+  },
+  currency: {
+    json: { type: ['string', 'null'], description: 'ISO 4217 currency code' },
+    normalize: normalizers.normalizeCurrencyCode,
+    joi: () => Joi.string().pattern(/^[A-Z]{3}$/, 'currency code')
+  },
+  boolean: {
+    json: { type: ['boolean', 'null'] },
+    normalize: normalizers.normalizeBoolean,
+    joi: () => Joi.boolean()
+  },
+  enum: {
+    json: {},
+    normalize: (value, definition) => {
+      if (value === null || value === undefined || value === '') {
+        return null;
+      }
+      return definition.values.find(allowed => String(allowed).toLowerCase() === String(value).trim().toLowerCase());
+    },
+    joi: definition => Joi.valid(...definition.values)
+  }
+};
+
+const FIELD_TYPES = [...Object.keys(SCALAR_TYPES), 'array', 'object'];
+
+// Joi schema for field specs loaded from config
+const fieldDefinitionSchema = Joi.object({
+  type: Joi.string().valid(...FIELD_TYPES).required(),
+  description: Joi.string(),
+  required: Joi.boolean(),
+  values: Joi.when('type', { is: 'enum', then: Joi.array().items(Joi.string()).min(1).required(), otherwise: Joi.forbidden() }),
+  items: Joi.when('type', { is: 'array', then: Joi.link('#fieldDefinition').required(), otherwise: Joi.forbidden() }),
+  fields: Joi.when('type', {
+    is: 'object',
+    then: Joi.object().pattern(Joi.string(), Joi.link('#fieldDefinition')).min(1).required(),
+    otherwise: Joi.forbidden()
+  }),
+  dateOrder: Joi.when('type', { is: 'date', then: Joi.valid('MDY', 'DMY'), otherwise: Joi.forbidden() })
+}).id('fieldDefinition');
+
+const fieldSpecSchema = Joi.object().pattern(Joi.string().pattern(/^[A-Za-z][\w]*$/), fieldDefinitionSchema).min(1).shared(fieldDefinitionSchema);
+
+/**
+ * Validate a field spec
+ * @param {Object} fields - Field spec
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateFieldSpec(fields) {
+  const { error } = fieldSpecSchema.validate(fields, { abortEarly: true });
+  return error ? error.message : null;
+}
+
+function isScalar(definition) {
+  return Boolean(SCALAR_TYPES[definition.type]);
+}
+
+function withDescription({ description: hint, ...schema }, definition) {
+  const description = [definition.description, hint].filter(Boolean).join('. ');
+  return description ? { ...schema, description } : schema;
+}
+
+function scalarValueSchema(definition) {
+  if (definition.type === 'enum') {
+    return { enum: [...definition.values, null] };
+  }
+  // The type hint belongs in the field description, not on the value
+  const schema = { ...SCALAR_TYPES[definition.type].json };
+  delete schema.description;
+  return schema;
+}
+
+/**
+ * JSON schema for the model's answer to a field definition
+ */
+function definitionToJsonSchema(definition) {
+  if (definition.type === 'object') {
+    return withDescription(toJsonSchema(definition.fields), definition);
+  }
+
+  if (definition.type === 'array') {
+    if (isScalar(definition.items)) {
+      // Scalar lists share one confidence
+      return withDescription({
+        type: 'object',
+        properties: {
+          value: { type: 'array', items: scalarValueSchema(definition.items) },
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        },
+        required: ['value', 'confidence']
+      }, definition);
+    }
+    return withDescription({ type: 'array', items: definitionToJsonSchema(definition.items) }, definition);
+  }
+
+  // Type hints (e.g. the ISO date format) are appended to the field description
+  return withDescription({
+    type: 'object',
+    properties: {
+      value: scalarValueSchema(definition),
+      confidence: { type: 'number', minimum: 0, maximum: 1 }
+    },
+    required: ['value', 'confidence'],
+    description: SCALAR_TYPES[definition.type].json.description
+  }, definition);
+}
+
+/**
+ * JSON schema describing the model's answer for a field spec
+ * @param {Object} fields - Field spec
+ * @returns {Object}
+ */
+function toJsonSchema(fields) {
+  const properties = {};
+  Object.entries(fields).forEach(([name, definition]) => {
+    properties[name] = definitionToJsonSchema(definition);
+  });
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(fields)
+  };
+}
+
+function readAnswer(answer) {
+  if (answer && typeof answer === 'object' && !Array.isArray(answer) && 'value' in answer) {
+    const confidence = Number(answer.confidence);
+    return {
+      value: answer.value,
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null
+    };
+  }
+  // Tolerate bare values from the model
+  return { value: answer, confidence: null };
+}
+
+/**
+ * Normalize the model's answer for one field definition
+ */
+function normalizeDefinition(definition, answer, path, issues) {
+  if (definition.type === 'object') {
+    const source = answer && typeof answer === 'object' ? answer : {};
+    return normalizeFields(definition.fields, source, path, issues);
+  }
+
+  if (definition.type === 'array') {
+    if (isScalar(definition.items)) {
+      const { value, confidence } = readAnswer(answer);
+      const list = Array.isArray(value) ? value : (value === null || value === undefined ? [] : [value]);
+      const values = [];
+      list.forEach((item, index) => {
+        const normalized = SCALAR_TYPES[definition.items.type].normalize(item, definition.items);
+        if (normalized === undefined) {
+          issues.push({ field: `${path}[${index}]`, message: 'Value could not be normalized', rawValue: item });
+        } else if (normalized !== null) {
+          values.push(normalized);
+        }
+      });
+      return { value: values, confidence };
+    }
+
+    const list = Array.isArray(answer) ? answer : [];
+    const results = list.map((item, index) => normalizeDefinition(definition.items, item, `${path}[${index}]`, issues));
+    return {
+      value: results.map(result => result.value),
+      confidence: results.map(result => result.confidence)
+    };
+  }
+
+  const { value, confidence } = readAnswer(answer);
+  const normalized = SCALAR_TYPES[definition.type].normalize(value, definition);
+  if (normalized === undefined) {
+    issues.push({ field: path, message: 'Value could not be normalized', rawValue: value });
+    return { value: null, confidence: 0 };
+  }
+  return { value: normalized, confidence: normalized === null ? null : confidence };
+}
+
+/**
+ * Normalize a model answer against a field spec
+ * @param {Object} fields - Field spec
+ * @param {Object} answer - Model output
+ * @param {string} [prefix] - Path prefix for issues
+ * @param {Array} [issues] - Collected issues
+ * @returns {{value: Object, confidence: Object}}
+ */
+function normalizeFields(fields, answer, prefix = '', issues = []) {
+  const value = {};
+  const confidence = {};
+  Object.entries(fields).forEach(([name, definition]) => {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const result = normalizeDefinition(definition, answer?.[name], path, issues);
+    value[name] = result.value;
+    confidence[name] = result.confidence;
+  });
+  return { value, confidence };
+}
+
+/**
+ * Joi schema for normalized values of a field definition
+ */
+function definitionToJoi(definition) {
+  let schema;
+  if (definition.type === 'object') {
+    schema = toJoiSchema(definition.fields);
+  } else if (definition.type === 'array') {
+    schema = Joi.array().items(definitionToJoi({ ...definition.items, required: false }));
+  } else {
+    schema = SCALAR_TYPES[definition.type].joi(definition);
+  }
+
+  if (definition.required) {
+    return definition.type === 'array' ? schema.min(1).required() : schema.required();
+  }
+  return schema.allow(null);
+}
+
+/**
+ * Joi schema validating normalized values for a field spec
+ * @param {Object} fields - Field spec
+ * @returns {Joi.ObjectSchema}
+ */
+function toJoiSchema(fields) {
+  const keys = {};
+  Object.entries(fields).forEach(([name, definition]) => {
+    keys[name] = definitionToJoi(definition);
+  });
+  return Joi.object(keys);
+}
+
+function formatPath(path) {
+  return path.reduce((text, part) => (typeof part === 'number' ? `${text}[${part}]` : text ? `${text}.${part}` : part), '');
+}
+
+/**
+ * Normalize and validate a model answer.
+ * Values that fail validation are replaced with null and reported.
+ * @param {Object} fields - Field spec
+ * @param {Object} answer - Model output
+ * @returns {{values: Object, confidence: Object, issues: Array<{field: string, message: string}>}}
+ */
+function extractFields(fields, answer) {
+  const issues = [];
+  const { value: values, confidence } = normalizeFields(fields, answer, '', issues);
+
+  const { error } = toJoiSchema(fields).validate(values, { abortEarly: false, convert: false });
+  (error?.details || []).forEach(detail => {
+    const field = formatPath(detail.path);
+    const missing = detail.context?.value === null || detail.context?.value === undefined;
+    issues.push({ field, message: missing ? `"${field}" is required` : detail.message });
+
+    // Clear invalid values; missing values are already null
+    if (!missing && detail.type !== 'array.min') {
+      let target = values;
+      let scores = confidence;
+      detail.path.slice(0, -1).forEach(part => {
+        target = target?.[part];
+        scores = scores?.[part];
+      });
+      const last = detail.path[detail.path.length - 1];
+      if (target && last in target) {
+        target[last] = null;
+        if (scores && typeof scores === 'object') scores[last] = 0;
+      }
+    }
+  });
+
+  return { values, confidence, issues };
+}
+
+/**
+ * Mean of all numeric confidences in a confidence tree
+ * @param {*} confidence
+ * @returns {number|null}
+ */
+function averageConfidence(confidence) {
+  const scores = [];
+  const collect = node => {
+    if (typeof node === 'number') {
+      scores.push(node);
+    } else if (node && typeof node === 'object') {
+      Object.values(node).forEach(collect);
+    }
+  };
+  collect(confidence);
+  return scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length * 1000) / 1000 : null;
+}
+
+module.exports = {
+  FIELD_TYPES,
+  validateFieldSpec,
+  toJsonSchema,
+  toJoiSchema,
+  normalizeFields,
+  extractFields,
+  averageConfidence
+};
@@ -0,0 +1,108 @@
+const { validateFieldSpec, toJsonSchema, extractFields, averageConfidence } = require('./fieldSchema');
+
+const spec = {
+  merchant: { type: 'string', required: true },
+  date: { type: 'date', dateOrder: 'DMY', description: 'Date of sale' },
+  total: { type: 'amount', required: true },
+  method: { type: 'enum', values: ['cash', 'card'] },
+  emails: { type: 'array', items: { type: 'email' } },
+  items: {
+    type: 'array',
+    items: { type: 'object', fields: { name: { type: 'string', required: true }, price: { type: 'amount' } } }
+  }
+};
+
+describe('validateFieldSpec', () => {
+  it('accepts nested specs', () => {
+    expect(validateFieldSpec(spec)).toBeNull();
+  });
+
+  it('reports bad specs', () => {
+    expect(validateFieldSpec({})).toMatch(/at least 1/);
+    expect(validateFieldSpec({ total: { type: 'money' } })).toMatch(/"total.type" must be one of/);
+    expect(validateFieldSpec({ method: { type: 'enum' } })).toMatch(/"method.values" is required/);
+    expect(validateFieldSpec({ total: { type: 'amount', values: ['1'] } })).toMatch(/"total.values" is not allowed/);
+    expect(validateFieldSpec({ items: { type: 'array', items: { type: 'object', fields: {} } } })).toMatch(/must have at least 1 key/);
+    expect(validateFieldSpec({ '1st': { type: 'string' } })).toMatch(/is not allowed/);
+  });
+});
+
+describe('toJsonSchema', () => {
+  it('asks for a value and confidence per scalar with the type hint in the description', () => {
+    const schema = toJsonSchema(spec);
+
+    expect(schema.required).toEqual(Object.keys(spec));
+    expect(schema.properties.date).toEqual({
+      type: 'object',
+      properties: {
+        value: { type: ['string', 'null'], format: 'date' },
+        confidence: { type: 'number', minimum: 0, maximum: 1 }
+      },
+      required: ['value', 'confidence'],
+      description: 'Date of sale. ISO 8601 date (YYYY-MM-DD)'
+    });
+    expect(schema.properties.method.properties.value).toEqual({ enum: ['cash', 'card', null] });
+    expect(schema.properties.emails.properties.value).toEqual({ type: 'array', items: { type: ['string', 'null'], format: 'email' } });
+    expect(schema.properties.items.items.properties.price.properties.value).toEqual({ type: ['number', 'null'] });
+  });
+});
+
+describe('extractFields', () => {
+  it('normalizes values and keeps their confidence', () => {
+    const { values, confidence, issues } = extractFields(spec, {
+      merchant: { value: ' Corner Shop ', confidence: 0.9 },
+      date: { value: '03/04/2024', confidence: 1.4 },
+      total: { value: '1.234,50 €', confidence: 0.8 },
+      method: { value: 'CARD', confidence: 0.7 },
+      emails: { value: ['Shop@Example.com', null], confidence: 0.6 },
+      items: [{ name: { value: 'Tea', confidence: 0.9 }, price: '2,50' }]
+    });
+
+    expect(issues).toEqual([]);
+    expect(values).toEqual({
+      merchant: 'Corner Shop',
+      date: '2024-04-03',
+      total: 1234.5,
+      method: 'card',
+      emails: ['shop@example.com'],
+      items: [{ name: 'Tea', price: 2.5 }]
+    });
+    expect(confidence).toMatchObject({ date: 1, items: [{ name: 0.9, price: null }] });
+  });
+
+  it('reports values that cannot be normalized and missing required fields', () => {
+    const { values, confidence, issues } = extractFields(spec, {
+      merchant: { value: null, confidence: 0.2 },
+      date: { value: '31/31/2024', confidence: 0.9 },
+      total: { value: 'twelve', confidence: 0.9 },
+      method: { value: 'cheque', confidence: 0.9 }
+    });
+
+    expect(values).toMatchObject({ merchant: null, date: null, total: null, method: null, emails: [], items: [] });
+    expect(confidence).toMatchObject({ date: 0, total: 0, method: 0 });
+    expect(issues).toEqual(expect.arrayContaining([
+      { field: 'date', message: 'Value could not be normalized', rawValue: '31/31/2024' },
+      { field: 'total', message: 'Value could not be normalized', rawValue: 'twelve' },
+      { field: 'method', message: 'Value could not be normalized', rawValue: 'cheque' },
+      { field: 'merchant', message: '"merchant" is required' },
+      { field: 'total', message: '"total" is required' }
+    ]));
+  });
+
+  it('requires fields nested in array items', () => {
+    const { issues } = extractFields(spec, {
+      merchant: 'Shop',
+      total: 3,
+      items: [{ price: '1.00' }]
+    });
+
+    expect(issues).toEqual([{ field: 'items[0].name', message: '"items[0].name" is required' }]);
+  });
+});
+
+describe('averageConfidence', () => {
+  it('averages every score in the tree', () => {
+    expect(averageConfidence({ a: 1, b: null, c: [0.5, { d: 0 }] })).toBe(0.5);
+    expect(averageConfidence({ a: null })).toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Geometry helpers for Vision bounding boxes and polygons.
+ * Boxes use the Vision v4.0 shape: { x, y, w, h } in pixels.
+ */
+
+/**
+ * Convert a bounding polygon into an axis-aligned bounding box
+ * @param {Array<{x: number, y: number}>} polygon - Polygon points
+ * @returns {{x: number, y: number, w: number, h: number}|null}
+ */
+function polygonToBoundingBox(polygon) {
+  if (!Array.isArray(polygon) || polygon.length === 0) {
+    return null;
+  }
+
+  const xs = polygon.map(point => point.x);
+  const ys = polygon.map(point => point.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+
+  return {
+    x,
+    y,
+    w: Math.max(...xs) - x,
+    h: Math.max(...ys) - y
+  };
+}
+
+/**
+ * Smallest box containing all the given boxes
+ * @param {Array<{x: number, y: number, w: number, h: number}>} boxes - Bounding boxes
+ * @returns {{x: number, y: number, w: number, h: number}|null}
+ */
+function unionBoxes(boxes) {
+  const valid = boxes.filter(Boolean);
+  if (valid.length === 0) {
+    return null;
+  }
+
+  const x = Math.min(...valid.map(box => box.x));
+  const y = Math.min(...valid.map(box => box.y));
+
+  return {
+    x,
+    y,
+    w: Math.max(...valid.map(box => box.x + box.w)) - x,
+    h: Math.max(...valid.map(box => box.y + box.h)) - y
+  };
+}
+
+/**
+ * Describe where a box sits in the image on a 3x3 grid
+ * @param {{x: number, y: number, w: number, h: number}} box - Bounding box
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{horizontal: string, vertical: string}|null}
+ */
+function describeBoxPosition(box, width, height) {
+  if (!box || !width || !height) {
+    return null;
+  }
+
+  const centerX = (box.x + box.w / 2) / width;
+  const centerY = (box.y + box.h / 2) / height;
+
+  return {
+    horizontal: centerX < 1 / 3 ? 'left' : centerX > 2 / 3 ? 'right' : 'center',
+    vertical: centerY < 1 / 3 ? 'top' : centerY > 2 / 3 ? 'bottom' : 'middle'
+  };
+}
+
+module.exports = {
+  polygonToBoundingBox,
+  unionBoxes,
+  describeBoxPosition
+};
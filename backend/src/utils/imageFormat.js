@@ -0,0 +1,71 @@
+/**
+ * Image format detection based on file signatures (magic bytes).
+ * Client-supplied MIME types are unreliable, so the real format is
+ * always sniffed from the first bytes of the buffer.
+ */
+
+const IMAGE_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: '.jpg' },
+  png: { mimeType: 'image/png', extension: '.png' },
+  gif: { mimeType: 'image/gif', extension: '.gif' },
+  bmp: { mimeType: 'image/bmp', extension: '.bmp' },
+  webp: { mimeType: 'image/webp', extension: '.webp' },
+  tiff: { mimeType: 'image/tiff', extension: '.tiff' },
+  heic: { mimeType: 'image/heic', extension: '.heic' },
+  ico: { mimeType: 'image/x-icon', extension: '.ico' }
+};
+
+// ISO-BMFF brands used by HEIC/HEIF files
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+/**
+ * Check whether the buffer starts with the given bytes at an offset
+ * @param {Buffer} buffer
+ * @param {number[]} bytes
+ * @param {number} offset
+ * @returns {boolean}
+ */
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) {
+    return false;
+  }
+  return bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Detect the image format of a buffer from its magic bytes
+ * @param {Buffer} buffer - Image buffer
+ * @returns {{format: string, mimeType: string, extension: string}|null}
+ */
+function detectImageFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) {
+    return null;
+  }
+
+  let format = null;
+
+  if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) {
+    format = 'jpeg';
+  } else if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+    format = 'png';
+  } else if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') {
+    format = 'gif';
+  } else if (buffer.toString('ascii', 0, 2) === 'BM') {
+    format = 'bmp';
+  } else if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    format = 'webp';
+  } else if (startsWith(buffer, [0x49, 0x49, 0x2A, 0x00]) || startsWith(buffer, [0x4D, 0x4D, 0x00, 0x2A])) {
+    format = 'tiff';
+  } else if (buffer.toString('ascii', 4, 8) === 'ftyp' && HEIF_BRANDS.includes(buffer.toString('ascii', 8, 12))) {
+    format = 'heic';
+  } else if (startsWith(buffer, [0x00, 0x00, 0x01, 0x00])) {
+    format = 'ico';
+  }
+
+  return format ? { format, ...IMAGE_FORMATS[format] } : null;
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  detectImageFormat
+};
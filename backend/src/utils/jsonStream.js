@@ -0,0 +1,86 @@
+/**
+ * Incremental scanner for a JSON object arriving in chunks (a streamed
+ * model answer). Reports each top-level member as soon as its value is
+ * complete, so callers can act on early fields before the object closes.
+ */
+class JsonObjectStreamScanner {
+  constructor() {
+    this.text = '';
+    this.position = 0;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    // Start of the current top-level member (after '{' or ',')
+    this.memberStart = null;
+  }
+
+  /**
+   * Add a chunk of text
+   * @param {string} chunk
+   * @returns {Array<[string, *]>} - Top-level members completed by this chunk
+   */
+  push(chunk) {
+    this.text += chunk;
+    const completed = [];
+
+    for (; this.position < this.text.length; this.position++) {
+      const char = this.text[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{' || char === '[') {
+        this.depth++;
+        if (this.depth === 1 && char === '{') {
+          this.memberStart = this.position + 1;
+        }
+      } else if (char === '}' || char === ']') {
+        if (this.depth === 1) {
+          this.completeMember(completed);
+        }
+        this.depth--;
+      } else if (char === ',' && this.depth === 1) {
+        this.completeMember(completed);
+        this.memberStart = this.position + 1;
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Parse the member ending at the current position
+   */
+  completeMember(completed) {
+    if (this.memberStart === null) {
+      return;
+    }
+    const member = this.text.slice(this.memberStart, this.position).trim();
+    this.memberStart = null;
+    if (!member) {
+      return;
+    }
+
+    try {
+      const parsed = JSON.parse(`{${member}}`);
+      const [key] = Object.keys(parsed);
+      completed.push([key, parsed[key]]);
+    } catch (error) {
+      // Malformed members are left for the final parse of the whole text to report
+    }
+  }
+}
+
+module.exports = {
+  JsonObjectStreamScanner
+};
@@ -0,0 +1,39 @@
+const { JsonObjectStreamScanner } = require('./jsonStream');
+
+/**
+ * Feed text to a scanner in fixed-size chunks, collecting completed members per chunk
+ */
+function scan(text, chunkSize) {
+  const scanner = new JsonObjectStreamScanner();
+  const completed = [];
+  for (let index = 0; index < text.length; index += chunkSize) {
+    completed.push(...scanner.push(text.slice(index, index + chunkSize)));
+  }
+  return completed;
+}
+
+describe('JsonObjectStreamScanner', () => {
+  const answer = {
+    mainDescription: 'A "quoted" caption, with {braces} and [brackets]\\',
+    objects: ['cat', 'sofa'],
+    objectDetails: [{ name: 'cat', position: 'left, middle' }],
+    confidence: 0.9
+  };
+  const text = JSON.stringify(answer, null, 2);
+
+  it.each([1, 3, 7, text.length])('reports every top-level member once with %i-character chunks', chunkSize => {
+    expect(scan(text, chunkSize)).toEqual(Object.entries(answer));
+  });
+
+  it('reports a member as soon as the chunk completing it arrives', () => {
+    const scanner = new JsonObjectStreamScanner();
+
+    expect(scanner.push('{"mainDescription": "A cat')).toEqual([]);
+    expect(scanner.push('", "objects": ["cat"')).toEqual([['mainDescription', 'A cat']]);
+    expect(scanner.push(']}')).toEqual([['objects', ['cat']]]);
+  });
+
+  it('skips malformed members', () => {
+    expect(scan('{"a": 1, "b": tru, "c": [2]}', 4)).toEqual([['a', 1], ['c', [2]]]);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Serializers turning an OCR layout (see ocrLayout.js) into archival and
+ * search formats: hOCR 1.2, ALTO v4 and plain text.
+ */
+
+const OCR_EXPORT_FORMATS = {
+  json: 'application/json',
+  hocr: 'text/html; charset=utf-8',
+  alto: 'application/xml; charset=utf-8',
+  txt: 'text/plain; charset=utf-8'
+};
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function hocrBox(box) {
+  if (!box) {
+    return 'bbox 0 0 0 0';
+  }
+  return `bbox ${Math.round(box.x)} ${Math.round(box.y)} ${Math.round(box.x + box.w)} ${Math.round(box.y + box.h)}`;
+}
+
+function altoBox(box) {
+  const { x = 0, y = 0, w = 0, h = 0 } = box || {};
+  return `HPOS="${Math.round(x)}" VPOS="${Math.round(y)}" WIDTH="${Math.round(w)}" HEIGHT="${Math.round(h)}"`;
+}
+
+/**
+ * Serialize a layout as hOCR
+ * @param {Object} layout - OCR layout
+ * @param {Object} [options]
+ * @param {string} [options.language] - Document language
+ * @param {string} [options.fileName] - Source image name
+ * @returns {string}
+ */
+function toHocr(layout, { language = 'en', fileName = 'image' } = {}) {
+  const pageBox = hocrBox({ x: 0, y: 0, w: layout.width || 0, h: layout.height || 0 });
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    `<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">`,
+    '<head>',
+    `<title>${escapeXml(fileName)}</title>`,
+    '<meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+    '<meta name="ocr-system" content="Azure AI Vision"/>',
+    '<meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf"/>',
+    '</head>',
+    '<body>',
+    `<div class="ocr_page" id="page_1" title="image &quot;${escapeXml(fileName)}&quot;; ${pageBox}; ppageno 0">`
+  ];
+
+  layout.blocks.forEach(block => {
+    out.push(`<div class="ocr_carea" id="${block.id}" title="${hocrBox(block.boundingBox)}">`);
+    block.paragraphs.forEach(paragraph => {
+      out.push(`<p class="ocr_par" id="${paragraph.id}" lang="${escapeXml(language)}" title="${hocrBox(paragraph.boundingBox)}">`);
+      paragraph.lines.forEach(line => {
+        const words = line.words.map(word => {
+          const wconf = typeof word.confidence === 'number' ? `; x_wconf ${Math.round(word.confidence * 100)}` : '';
+          return `<span class="ocrx_word" id="${word.id}" title="${hocrBox(word.boundingBox)}${wconf}">${escapeXml(word.text)}</span>`;
+        });
+        out.push(`<span class="ocr_line" id="${line.id}" title="${hocrBox(line.boundingBox)}">${words.join(' ')}</span>`);
+      });
+      out.push('</p>');
+    });
+    out.push('</div>');
+  });
+
+  out.push('</div>', '</body>', '</html>');
+  return out.join('\n');
+}
+
+/**
+ * Serialize a layout as ALTO v4. Each paragraph becomes a TextBlock.
+ * @param {Object} layout - OCR layout
+ * @param {Object} [options]
+ * @param {string} [options.language] - Document language
+ * @param {string} [options.fileName] - Source image name
+ * @param {string} [options.softwareVersion] - OCR engine version
+ * @returns {string}
+ */
+function toAlto(layout, { language = 'en', fileName = 'image', softwareVersion = '' } = {}) {
+  const width = Math.round(layout.width || 0);
+  const height = Math.round(layout.height || 0);
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+      'xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">',
+    '<Description>',
+    '<MeasurementUnit>pixel</MeasurementUnit>',
+    `<sourceImageInformation><fileName>${escapeXml(fileName)}</fileName></sourceImageInformation>`,
+    '<OCRProcessing ID="OCR_1"><ocrProcessingStep><processingSoftware>',
+    '<softwareCreator>Microsoft</softwareCreator><softwareName>Azure AI Vision</softwareName>',
+    `<softwareVersion>${escapeXml(softwareVersion)}</softwareVersion>`,
+    '</processingSoftware></ocrProcessingStep></OCRProcessing>',
+    '</Description>',
+    '<Layout>',
+    `<Page ID="page_1" PHYSICAL_IMG_NR="1" WIDTH="${width}" HEIGHT="${height}">`,
+    `<PrintSpace HPOS="0" VPOS="0" WIDTH="${width}" HEIGHT="${height}">`
+  ];
+
+  layout.blocks.forEach(block => {
+    block.paragraphs.forEach(paragraph => {
+      out.push(`<TextBlock ID="${paragraph.id}" ${altoBox(paragraph.boundingBox)} LANG="${escapeXml(language)}">`);
+      paragraph.lines.forEach(line => {
+        out.push(`<TextLine ID="${line.id}" ${altoBox(line.boundingBox)}>`);
+        line.words.forEach((word, index) => {
+          if (index > 0) {
+            out.push('<SP/>');
+          }
+          const wc = typeof word.confidence === 'number' ? ` WC="${word.confidence.toFixed(3)}"` : '';
+          out.push(`<String ID="${word.id}" ${altoBox(word.boundingBox)} CONTENT="${escapeXml(word.text)}"${wc}/>`);
+        });
+        out.push('</TextLine>');
+      });
+      out.push('</TextBlock>');
+    });
+  });
+
+  out.push('</PrintSpace>', '</Page>', '</Layout>', '</alto>');
+  return out.join('\n');
+}
+
+/**
+ * Serialize a layout as searchable plain text: lines in reading order,
+ * paragraphs separated by a blank line
+ * @param {Object} layout - OCR layout
+ * @returns {string}
+ */
+function toPlainText(layout) {
+  return layout.blocks
+    .flatMap(block => block.paragraphs.map(paragraph => paragraph.lines.map(line => line.text).join('\n')))
+    .join('\n\n');
+}
+
+/**
+ * Serialize an OCR response in the requested export format
+ * @param {Object} result - OCR response body with a layout
+ * @param {string} format - One of OCR_EXPORT_FORMATS
+ * @param {Object} [options] - Serializer options
+ * @returns {{contentType: string, body: string|Object}}
+ */
+function exportOcrResult(result, format, options = {}) {
+  const settings = { language: result.language, ...options };
+  switch (format) {
+    case 'hocr':
+      return { contentType: OCR_EXPORT_FORMATS.hocr, body: toHocr(result.layout, settings) };
+    case 'alto':
+      return { contentType: OCR_EXPORT_FORMATS.alto, body: toAlto(result.layout, settings) };
+    case 'txt':
+      return { contentType: OCR_EXPORT_FORMATS.txt, body: toPlainText(result.layout) };
+    default:
+      return { contentType: OCR_EXPORT_FORMATS.json, body: result };
+  }
+}
+
+module.exports = {
+  OCR_EXPORT_FORMATS,
+  toHocr,
+  toAlto,
+  toPlainText,
+  exportOcrResult
+};
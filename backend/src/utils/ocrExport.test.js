@@ -0,0 +1,70 @@
+const { toHocr, toAlto, toPlainText, exportOcrResult } = require('./ocrExport');
+
+const word = (id, text, x, confidence) => ({ id, text, confidence, boundingBox: { x, y: 10, w: 30, h: 10 } });
+
+const layout = {
+  width: 200,
+  height: 100,
+  blocks: [{
+    id: 'block_1',
+    boundingBox: { x: 10, y: 10, w: 110, h: 30 },
+    paragraphs: [
+      {
+        id: 'par_1',
+        boundingBox: { x: 10, y: 10, w: 70, h: 10 },
+        lines: [{ id: 'line_1', text: 'Fish & <Chips>', boundingBox: { x: 10, y: 10, w: 70, h: 10 }, words: [word('word_1', 'Fish', 10, 0.987), word('word_2', '&', 45, undefined), word('word_3', '<Chips>', 50, 0.5)] }]
+      },
+      {
+        id: 'par_2',
+        boundingBox: { x: 10, y: 30, w: 30, h: 10 },
+        lines: [{ id: 'line_2', text: '£4.50', boundingBox: { x: 10.4, y: 29.6, w: 30, h: 10 }, words: [] }]
+      }
+    ]
+  }]
+};
+
+describe('toHocr', () => {
+  const hocr = toHocr(layout, { language: 'en-GB', fileName: 'menu "a".jpg' });
+
+  it('writes the page, areas, paragraphs, lines and words with bounding boxes', () => {
+    expect(hocr).toContain('<div class="ocr_page" id="page_1" title="image &quot;menu &quot;a&quot;.jpg&quot;; bbox 0 0 200 100; ppageno 0">');
+    expect(hocr).toContain('<div class="ocr_carea" id="block_1" title="bbox 10 10 120 40">');
+    expect(hocr).toContain('<p class="ocr_par" id="par_1" lang="en-GB" title="bbox 10 10 80 20">');
+    expect(hocr).toContain('<span class="ocr_line" id="line_2" title="bbox 10 30 40 40"></span>');
+  });
+
+  it('escapes text and reports word confidence as a percentage when known', () => {
+    expect(hocr).toContain('<span class="ocrx_word" id="word_1" title="bbox 10 10 40 20; x_wconf 99">Fish</span>');
+    expect(hocr).toContain('<span class="ocrx_word" id="word_2" title="bbox 45 10 75 20">&amp;</span>');
+    expect(hocr).toContain('>&lt;Chips&gt;</span>');
+  });
+});
+
+describe('toAlto', () => {
+  const alto = toAlto(layout, { fileName: 'menu.jpg', softwareVersion: '2024-02-01' });
+
+  it('writes one TextBlock per paragraph with word strings and confidences', () => {
+    expect(alto).toContain('<softwareVersion>2024-02-01</softwareVersion>');
+    expect(alto).toContain('<Page ID="page_1" PHYSICAL_IMG_NR="1" WIDTH="200" HEIGHT="100">');
+    expect(alto).toContain('<TextBlock ID="par_2" HPOS="10" VPOS="30" WIDTH="30" HEIGHT="10" LANG="en">');
+    expect(alto).toContain('<String ID="word_1" HPOS="10" VPOS="10" WIDTH="30" HEIGHT="10" CONTENT="Fish" WC="0.987"/>\n<SP/>');
+    expect(alto).toContain('CONTENT="&amp;"/>');
+    expect(alto).toContain('CONTENT="&lt;Chips&gt;" WC="0.500"/>');
+  });
+});
+
+describe('exportOcrResult', () => {
+  const result = { success: true, language: 'fr', layout };
+
+  it('serializes each export format with its content type', () => {
+    expect(exportOcrResult(result, 'hocr')).toMatchObject({ contentType: 'text/html; charset=utf-8', body: expect.stringContaining('xml:lang="fr"') });
+    expect(exportOcrResult(result, 'alto').contentType).toBe('application/xml; charset=utf-8');
+    expect(exportOcrResult(result, 'txt')).toEqual({ contentType: 'text/plain; charset=utf-8', body: 'Fish & <Chips>\n\n£4.50' });
+    expect(exportOcrResult(result, 'json')).toEqual({ contentType: 'application/json', body: result });
+  });
+
+  it('separates paragraphs with a blank line in plain text', () => {
+    expect(toPlainText({ blocks: [] })).toBe('');
+    expect(toPlainText(layout).split('\n\n')).toHaveLength(2);
+  });
+});
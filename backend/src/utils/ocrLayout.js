@@ -0,0 +1,204 @@
+/**
+ * Layout reconstruction for Vision v4.0 Read results.
+ * The API returns blocks of lines in reading order; paragraphs are
+ * derived here from line spacing and indentation.
+ */
+const { polygonToBoundingBox, unionBoxes } = require('./geometry');
+
+// A vertical gap larger than this fraction of the line height starts a paragraph
+const PARAGRAPH_GAP_RATIO = 0.75;
+// A left-edge shift larger than this many line heights starts a paragraph
+const PARAGRAPH_INDENT_RATIO = 1.5;
+const HIGH_CONFIDENCE = 0.9;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Split a block's lines into paragraphs
+ * @param {Array} lines - Lines with boundingBox
+ * @returns {Array<Array>} - Groups of lines
+ */
+function groupParagraphs(lines) {
+  const lineHeight = median(lines.map(line => line.boundingBox?.h).filter(Boolean)) || 0;
+  const paragraphs = [];
+  let current = [];
+
+  lines.forEach((line, index) => {
+    const previous = lines[index - 1];
+    if (previous && previous.boundingBox && line.boundingBox && lineHeight > 0) {
+      const gap = line.boundingBox.y - (previous.boundingBox.y + previous.boundingBox.h);
+      const indent = Math.abs(line.boundingBox.x - previous.boundingBox.x);
+      if (gap > lineHeight * PARAGRAPH_GAP_RATIO || indent > lineHeight * PARAGRAPH_INDENT_RATIO) {
+        paragraphs.push(current);
+        current = [];
+      }
+    }
+    current.push(line);
+  });
+
+  if (current.length > 0) {
+    paragraphs.push(current);
+  }
+  return paragraphs;
+}
+
+/**
+ * Build a block / paragraph / line / word tree from a Read result.
+ * Every element carries an ID, its reading order and its geometry.
+ * @param {Object} readResult - readResult from the v4.0 API
+ * @param {Object} [metadata] - Image metadata with width and height
+ * @returns {{width: number|null, height: number|null, blocks: Array}}
+ */
+function buildOcrLayout(readResult, metadata = {}) {
+  const counters = { block: 0, paragraph: 0, line: 0, word: 0 };
+
+  const blocks = (readResult?.blocks || []).map(block => {
+    const lines = (block.lines || []).map(line => {
+      const words = (line.words || []).map(word => ({
+        id: `word_${++counters.word}`,
+        readingOrder: counters.word,
+        text: word.text,
+        confidence: word.confidence,
+        boundingPolygon: word.boundingPolygon || [],
+        boundingBox: polygonToBoundingBox(word.boundingPolygon)
+      }));
+      const confidences = words.map(word => word.confidence).filter(value => typeof value === 'number');
+
+      return {
+        id: `line_${++counters.line}`,
+        readingOrder: counters.line,
+        text: line.text,
+        confidence: confidences.length > 0 ? round(confidences.reduce((a, b) => a + b, 0) / confidences.length) : null,
+        boundingPolygon: line.boundingPolygon || [],
+        boundingBox: polygonToBoundingBox(line.boundingPolygon),
+        words
+      };
+    });
+
+    const paragraphs = groupParagraphs(lines).map(paragraphLines => ({
+      id: `par_${++counters.paragraph}`,
+      readingOrder: counters.paragraph,
+      text: paragraphLines.map(line => line.text).join(' '),
+      boundingBox: unionBoxes(paragraphLines.map(line => line.boundingBox)),
+      lines: paragraphLines
+    }));
+
+    return {
+      id: `block_${++counters.block}`,
+      readingOrder: counters.block,
+      boundingBox: unionBoxes(paragraphs.map(paragraph => paragraph.boundingBox)),
+      paragraphs
+    };
+  });
+
+  return {
+    width: metadata?.width || null,
+    height: metadata?.height || null,
+    blocks
+  };
+}
+
+/**
+ * Iterate the lines of a layout in reading order, with their ancestors
+ */
+function flattenLines(layout) {
+  return layout.blocks.flatMap(block =>
+    block.paragraphs.flatMap(paragraph =>
+      paragraph.lines.map(line => ({ block, paragraph, line }))));
+}
+
+/**
+ * Word confidence statistics for a layout
+ * @param {Object} layout - Layout from buildOcrLayout
+ * @param {number} threshold - Confidence below which a word is low confidence
+ * @returns {Object}
+ */
+function computeConfidenceStats(layout, threshold) {
+  const confidences = flattenLines(layout)
+    .flatMap(({ line }) => line.words.map(word => word.confidence))
+    .filter(value => typeof value === 'number');
+
+  if (confidences.length === 0) {
+    return {
+      wordCount: 0,
+      mean: null,
+      median: null,
+      min: null,
+      max: null,
+      threshold,
+      distribution: { high: 0, medium: 0, low: 0 },
+      lowConfidenceRatio: 0
+    };
+  }
+
+  const low = confidences.filter(value => value < threshold).length;
+  const high = confidences.filter(value => value >= HIGH_CONFIDENCE).length;
+
+  return {
+    wordCount: confidences.length,
+    mean: round(confidences.reduce((a, b) => a + b, 0) / confidences.length),
+    median: round(median(confidences)),
+    min: round(Math.min(...confidences)),
+    max: round(Math.max(...confidences)),
+    threshold,
+    distribution: { high, medium: confidences.length - high - low, low },
+    lowConfidenceRatio: round(low / confidences.length)
+  };
+}
+
+/**
+ * Regions of consecutive low-confidence words within each line
+ * @param {Object} layout - Layout from buildOcrLayout
+ * @param {number} threshold - Confidence below which a word is low confidence
+ * @returns {Array<{blockId: string, paragraphId: string, lineId: string, text: string, confidence: number, wordIds: string[], boundingBox: Object}>}
+ */
+function findLowConfidenceRegions(layout, threshold) {
+  const regions = [];
+
+  flattenLines(layout).forEach(({ block, paragraph, line }) => {
+    let run = [];
+    const closeRun = () => {
+      if (run.length > 0) {
+        regions.push({
+          blockId: block.id,
+          paragraphId: paragraph.id,
+          lineId: line.id,
+          text: run.map(word => word.text).join(' '),
+          confidence: round(Math.min(...run.map(word => word.confidence))),
+          wordIds: run.map(word => word.id),
+          boundingBox: unionBoxes(run.map(word => word.boundingBox))
+        });
+      }
+      run = [];
+    };
+
+    line.words.forEach(word => {
+      if (typeof word.confidence === 'number' && word.confidence < threshold) {
+        run.push(word);
+      } else {
+        closeRun();
+      }
+    });
+    closeRun();
+  });
+
+  return regions;
+}
+
+module.exports = {
+  buildOcrLayout,
+  flattenLines,
+  computeConfidenceStats,
+  findLowConfidenceRegions
+};
@@ -0,0 +1,93 @@
+const { buildOcrLayout, flattenLines, computeConfidenceStats, findLowConfidenceRegions } = require('./ocrLayout');
+
+const polygon = (x, y, w, h) => [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }];
+
+/**
+ * Read line with words laid out left to right, 40px apart
+ */
+function readLine(x, y, words) {
+  return {
+    text: words.map(([text]) => text).join(' '),
+    boundingPolygon: polygon(x, y, words.length * 40 - 5, 10),
+    words: words.map(([text, confidence], index) => ({ text, confidence, boundingPolygon: polygon(x + index * 40, y, 35, 10) }))
+  };
+}
+
+// Two lines close together, then one after a gap, in a second block
+const readResult = {
+  blocks: [
+    {
+      lines: [
+        readLine(10, 10, [['Invoice', 0.99], ['#1234', 0.95]]),
+        readLine(10, 22, [['Due', 0.98], ['Mrch', 0.4], ['3rd', 0.5], ['2024', 0.97]])
+      ]
+    },
+    {
+      lines: [
+        readLine(10, 60, [['Total', 0.92]]),
+        readLine(80, 72, [['€12', 0.7]])
+      ]
+    }
+  ]
+};
+
+describe('buildOcrLayout', () => {
+  const layout = buildOcrLayout(readResult, { width: 300, height: 100 });
+
+  it('numbers blocks, paragraphs, lines and words in reading order', () => {
+    expect(layout).toMatchObject({ width: 300, height: 100 });
+    expect(layout.blocks.map(block => block.id)).toEqual(['block_1', 'block_2']);
+    expect(flattenLines(layout).map(({ line }) => [line.id, line.readingOrder, line.text])).toEqual([
+      ['line_1', 1, 'Invoice #1234'],
+      ['line_2', 2, 'Due Mrch 3rd 2024'],
+      ['line_3', 3, 'Total'],
+      ['line_4', 4, '€12']
+    ]);
+    expect(layout.blocks[1].paragraphs[1].lines[0].words[0]).toMatchObject({ id: 'word_8', boundingBox: { x: 80, y: 72, w: 35, h: 10 } });
+  });
+
+  it('starts paragraphs at large gaps or indents and averages line confidence', () => {
+    const [first, second] = layout.blocks;
+
+    expect(first.paragraphs).toHaveLength(1);
+    expect(first.paragraphs[0]).toMatchObject({ id: 'par_1', text: 'Invoice #1234 Due Mrch 3rd 2024', boundingBox: { x: 10, y: 10, w: 155, h: 22 } });
+    expect(second.paragraphs.map(paragraph => paragraph.text)).toEqual(['Total', '€12']);
+    expect(first.paragraphs[0].lines[1].confidence).toBe(0.712);
+    expect(first.boundingBox).toEqual(first.paragraphs[0].boundingBox);
+  });
+
+  it('handles empty results', () => {
+    expect(buildOcrLayout(undefined)).toEqual({ width: null, height: null, blocks: [] });
+  });
+});
+
+describe('confidence review', () => {
+  const layout = buildOcrLayout(readResult, { width: 300, height: 100 });
+
+  it('summarizes word confidence', () => {
+    expect(computeConfidenceStats(layout, 0.6)).toEqual({
+      wordCount: 8,
+      mean: 0.801,
+      median: 0.935,
+      min: 0.4,
+      max: 0.99,
+      threshold: 0.6,
+      distribution: { high: 5, medium: 1, low: 2 },
+      lowConfidenceRatio: 0.25
+    });
+    expect(computeConfidenceStats({ blocks: [] }, 0.6)).toMatchObject({ wordCount: 0, mean: null, lowConfidenceRatio: 0 });
+  });
+
+  it('groups consecutive low-confidence words into regions', () => {
+    expect(findLowConfidenceRegions(layout, 0.6)).toEqual([{
+      blockId: 'block_1',
+      paragraphId: 'par_1',
+      lineId: 'line_2',
+      text: 'Mrch 3rd',
+      confidence: 0.4,
+      wordIds: ['word_4', 'word_5'],
+      boundingBox: { x: 50, y: 22, w: 75, h: 10 }
+    }]);
+    expect(findLowConfidenceRegions(layout, 0.8).map(region => region.text)).toEqual(['Mrch 3rd', '€12']);
+  });
+});
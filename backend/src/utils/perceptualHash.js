@@ -0,0 +1,118 @@
+/**
+ * Perceptual image hashes for near-duplicate detection.
+ * Both hashes are 64-bit values as 16 hex characters; similar images have
+ * a small Hamming distance between their hashes.
+ */
+const sharp = require('sharp');
+
+const DCT_SIZE = 32;
+const HASH_SIZE = 8;
+
+/**
+ * Grayscale pixels of an upright, resized copy
+ */
+async function grayscalePixels(buffer, width, height) {
+  const { data } = await sharp(buffer)
+    .rotate()
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .resize(width, height, { fit: 'fill' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return data;
+}
+
+/**
+ * Pack 64 booleans into a hex string
+ */
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Difference hash: whether each pixel is brighter than its right neighbour
+ * on a 9x8 thumbnail. Robust to scaling and re-encoding.
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<string>}
+ */
+async function computeDHash(buffer) {
+  const pixels = await grayscalePixels(buffer, HASH_SIZE + 1, HASH_SIZE);
+  const bits = [];
+  for (let y = 0; y < HASH_SIZE; y++) {
+    for (let x = 0; x < HASH_SIZE; x++) {
+      const offset = y * (HASH_SIZE + 1) + x;
+      bits.push(pixels[offset] > pixels[offset + 1] ? 1 : 0);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+/**
+ * DCT hash: the lowest 8x8 frequencies of a 32x32 thumbnail compared with
+ * their median. Robust to scaling, compression and small colour changes.
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<string>}
+ */
+async function computePHash(buffer) {
+  const pixels = await grayscalePixels(buffer, DCT_SIZE, DCT_SIZE);
+
+  // Separable DCT-II, keeping only the low frequencies
+  const cosines = [];
+  for (let u = 0; u < HASH_SIZE; u++) {
+    cosines.push(Array.from({ length: DCT_SIZE }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * DCT_SIZE))));
+  }
+
+  const rows = [];
+  for (let y = 0; y < DCT_SIZE; y++) {
+    rows.push(cosines.map(cos => cos.reduce((sum, c, x) => sum + c * pixels[y * DCT_SIZE + x], 0)));
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      coefficients.push(cosines[v].reduce((sum, c, y) => sum + c * rows[y][u], 0));
+    }
+  }
+
+  // The DC term only reflects overall brightness
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(coefficients.map(value => (value > median ? 1 : 0)));
+}
+
+/**
+ * Compute both perceptual hashes
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<{pHash: string, dHash: string}>}
+ */
+async function computePerceptualHashes(buffer) {
+  const [pHash, dHash] = await Promise.all([computePHash(buffer), computeDHash(buffer)]);
+  return { pHash, dHash };
+}
+
+/**
+ * Number of differing bits between two hex hashes of the same length
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function hammingDistance(a, b) {
+  let xor = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (xor > 0n) {
+    distance += Number(xor & 1n);
+    xor >>= 1n;
+  }
+  return distance;
+}
+
+module.exports = {
+  computeDHash,
+  computePHash,
+  computePerceptualHashes,
+  hammingDistance
+};
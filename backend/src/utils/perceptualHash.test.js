@@ -0,0 +1,45 @@
+const sharp = require('sharp');
+const { computePerceptualHashes, hammingDistance } = require('./perceptualHash');
+
+/**
+ * Diagonal split of two colours, at any size
+ */
+function drawScene(size, { from = '#1e90ff', to = '#ffd700' } = {}) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+    `<rect width="100%" height="100%" fill="${from}"/>` +
+    `<polygon points="0,0 ${size},0 0,${size}" fill="${to}"/>` +
+    `<circle cx="${size * 0.7}" cy="${size * 0.7}" r="${size * 0.15}" fill="#222"/></svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+describe('hammingDistance', () => {
+  it('counts the differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('000000000000000f', '0000000000000000')).toBe(4);
+    expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+  });
+});
+
+describe('computePerceptualHashes', () => {
+  it('returns two 64-bit hex hashes', async () => {
+    const hashes = await computePerceptualHashes(await drawScene(128));
+
+    expect(hashes.pHash).toMatch(/^[0-9a-f]{16}$/);
+    expect(hashes.dHash).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  it('keeps resized and re-encoded copies within a small distance', async () => {
+    const original = await computePerceptualHashes(await drawScene(256));
+    const copy = await computePerceptualHashes(await sharp(await drawScene(256)).resize(120).jpeg({ quality: 60 }).toBuffer());
+
+    expect(hammingDistance(original.pHash, copy.pHash)).toBeLessThanOrEqual(6);
+    expect(hammingDistance(original.dHash, copy.dHash)).toBeLessThanOrEqual(6);
+  });
+
+  it('tells different images apart', async () => {
+    const original = await computePerceptualHashes(await drawScene(256));
+    const flipped = await computePerceptualHashes(await sharp(await drawScene(256)).flop().toBuffer());
+
+    expect(hammingDistance(original.pHash, flipped.pHash) + hammingDistance(original.dHash, flipped.dHash)).toBeGreaterThan(12);
+  });
+});
@@ -0,0 +1,174 @@
+const sharp = require('sharp');
+
+const REDACTION_METHODS = ['blur', 'pixelate'];
+
+// Formats sharp can write; others are stored as PNG
+const ENCODABLE_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'tiff'];
+
+// Size of the working copy used for local skin detection
+const DETECTION_DIMENSION = 256;
+
+/**
+ * Grow a box by a fraction of its size and clamp it to the image
+ */
+function padBox(box, padding, width, height) {
+  const padX = Math.round(box.w * padding);
+  const padY = Math.round(box.h * padding);
+  const left = Math.max(0, Math.floor(box.x - padX));
+  const top = Math.max(0, Math.floor(box.y - padY));
+  const right = Math.min(width, Math.ceil(box.x + box.w + padX));
+  const bottom = Math.min(height, Math.ceil(box.y + box.h + padY));
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Blur or pixelate one region of an image
+ * @returns {Promise<Buffer>} - PNG of the obscured region
+ */
+async function obscureRegion(source, region, method) {
+  const extracted = sharp(source).extract(region);
+  const longest = Math.max(region.width, region.height);
+
+  if (method === 'pixelate') {
+    // Roughly 12 blocks along the longest side, never finer than 8px blocks
+    const block = Math.max(8, Math.round(longest / 12));
+    const small = await extracted
+      .resize(Math.max(1, Math.round(region.width / block)), Math.max(1, Math.round(region.height / block)), { fit: 'fill' })
+      .toBuffer();
+    return sharp(small).resize(region.width, region.height, { fit: 'fill', kernel: 'nearest' }).png().toBuffer();
+  }
+
+  return extracted.blur(Math.min(1000, Math.max(8, longest / 8))).png().toBuffer();
+}
+
+/**
+ * Blur or pixelate rectangular regions of an image.
+ * The image is auto-oriented first so boxes use upright pixel coordinates,
+ * and metadata is dropped from the output.
+ * @param {Buffer} buffer - Image data
+ * @param {Array<{x: number, y: number, w: number, h: number}>} boxes - Regions to obscure
+ * @param {Object} [options]
+ * @param {string} [options.method] - 'blur' or 'pixelate'
+ * @param {number} [options.padding] - Fraction of each box added on every side
+ * @returns {Promise<{buffer: Buffer, format: string, regions: number}>}
+ */
+async function redactRegions(buffer, boxes, { method = 'blur', padding = 0.1 } = {}) {
+  const metadata = await sharp(buffer).metadata();
+  const format = ENCODABLE_FORMATS.includes(metadata.format) ? metadata.format : 'png';
+  // Lossless upright working copy
+  const oriented = await sharp(buffer).rotate().png().toBuffer({ resolveWithObject: true });
+  const { width, height } = oriented.info;
+
+  const regions = boxes
+    .map(box => padBox(box, padding, width, height))
+    .filter(region => region.width > 0 && region.height > 0);
+
+  if (regions.length === 0) {
+    return { buffer: await sharp(oriented.data).toFormat(format).toBuffer(), format, regions: 0 };
+  }
+
+  const overlays = await Promise.all(regions.map(async region => ({
+    input: await obscureRegion(oriented.data, region, method),
+    left: region.left,
+    top: region.top
+  })));
+
+  const output = await sharp(oriented.data).composite(overlays).toFormat(format).toBuffer();
+  return { buffer: output, format, regions: regions.length };
+}
+
+/**
+ * Whether an RGB pixel falls in the YCbCr skin-tone range
+ */
+function isSkinPixel(r, g, b) {
+  const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+  const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+  return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+}
+
+/**
+ * Local detector for exposed skin (faces, arms) used when no People boxes
+ * are available. Skin-tone pixels on a downscaled copy are grouped into
+ * connected regions; small or sparse regions are dropped. It over-detects
+ * skin-coloured surfaces, which errs on the side of privacy.
+ * @param {Buffer} buffer - Image data
+ * @param {Object} [options]
+ * @param {number} [options.minAreaRatio] - Smallest region as a fraction of the image
+ * @param {number} [options.minFillRatio] - Smallest share of skin pixels inside a region's box
+ * @returns {Promise<Array<{x: number, y: number, w: number, h: number}>>} - Boxes in upright image pixels
+ */
+async function detectSkinRegions(buffer, { minAreaRatio = 0.002, minFillRatio = 0.3 } = {}) {
+  const image = sharp(buffer).rotate();
+  const { data, info } = await image
+    .resize({ width: DETECTION_DIMENSION, height: DETECTION_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height, channels } = info;
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < width * height; i++) {
+    const offset = i * channels;
+    mask[i] = isSkinPixel(data[offset], data[offset + 1], data[offset + 2]) ? 1 : 0;
+  }
+
+  // Connected components (4-neighbour flood fill)
+  const boxes = [];
+  const stack = [];
+  for (let start = 0; start < mask.length; start++) {
+    if (mask[start] !== 1) {
+      continue;
+    }
+
+    let minX = width;
+    let minY = height;
+    let maxX = 0;
+    let maxY = 0;
+    let count = 0;
+    mask[start] = 2;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % width;
+      const y = (index - x) / width;
+      count++;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+
+      [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+        const next = ny * width + nx;
+        if (nx >= 0 && nx < width && ny >= 0 && ny < height && mask[next] === 1) {
+          mask[next] = 2;
+          stack.push(next);
+        }
+      });
+    }
+
+    const boxArea = (maxX - minX + 1) * (maxY - minY + 1);
+    if (count >= width * height * minAreaRatio && count / boxArea >= minFillRatio) {
+      boxes.push({ x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 });
+    }
+  }
+
+  // Scale back to the upright full-size image
+  const metadata = await sharp(buffer).metadata();
+  const rotated = (metadata.orientation || 1) >= 5;
+  const fullWidth = rotated ? metadata.height : metadata.width;
+  const scale = fullWidth / width;
+
+  return boxes.map(box => ({
+    x: Math.round(box.x * scale),
+    y: Math.round(box.y * scale),
+    w: Math.round(box.w * scale),
+    h: Math.round(box.h * scale)
+  }));
+}
+
+module.exports = {
+  REDACTION_METHODS,
+  redactRegions,
+  detectSkinRegions
+};
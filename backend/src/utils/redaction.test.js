@@ -0,0 +1,91 @@
+const sharp = require('sharp');
+const { redactRegions, detectSkinRegions } = require('./redaction');
+
+/**
+ * Black and white stripes, so blurring visibly changes pixels
+ */
+function stripes(width, height) {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    Array.from({ length: width / 4 }, (_, index) => `<rect x="${index * 4}" width="2" height="${height}" fill="#fff"/>`).join('') +
+    '</svg>';
+  return sharp({ create: { width, height, channels: 3, background: '#000' } })
+    .composite([{ input: Buffer.from(svg) }])
+    .png()
+    .toBuffer();
+}
+
+/**
+ * Raw RGB pixels of a region
+ */
+function pixels(buffer, region) {
+  return sharp(buffer).extract(region).removeAlpha().raw().toBuffer();
+}
+
+describe('redactRegions', () => {
+  it('obscures the padded boxes and leaves the rest of the image untouched', async () => {
+    const input = await stripes(200, 100);
+
+    const { buffer, format, regions } = await redactRegions(input, [{ x: 20, y: 20, w: 40, h: 40 }], { method: 'blur', padding: 0.25 });
+
+    expect({ format, regions }).toEqual({ format: 'png', regions: 1 });
+    expect(await pixels(buffer, { left: 30, top: 30, width: 20, height: 20 }))
+      .not.toEqual(await pixels(input, { left: 30, top: 30, width: 20, height: 20 }));
+    expect(await pixels(buffer, { left: 120, top: 0, width: 80, height: 100 }))
+      .toEqual(await pixels(input, { left: 120, top: 0, width: 80, height: 100 }));
+  });
+
+  it('pixelates into flat blocks', async () => {
+    const { buffer } = await redactRegions(await stripes(200, 100), [{ x: 0, y: 0, w: 96, h: 96 }], { method: 'pixelate', padding: 0 });
+
+    const block = await pixels(buffer, { left: 0, top: 0, width: 8, height: 8 });
+    const colours = new Set();
+    for (let offset = 0; offset < block.length; offset += 3) {
+      colours.add(block.subarray(offset, offset + 3).join(','));
+    }
+    expect(colours.size).toBe(1);
+  });
+
+  it('clamps boxes to the image and drops those outside it', async () => {
+    const input = await stripes(100, 50);
+
+    const clamped = await redactRegions(input, [{ x: 80, y: 30, w: 60, h: 60 }]);
+    const outside = await redactRegions(input, [{ x: 500, y: 500, w: 10, h: 10 }, { x: 10, y: 10, w: 0, h: 0 }], { padding: 0 });
+
+    expect(clamped.regions).toBe(1);
+    expect(outside.regions).toBe(0);
+    expect(await sharp(outside.buffer).raw().toBuffer()).toEqual(await sharp(input).raw().toBuffer());
+  });
+
+  it('keeps the input format and applies boxes to the upright image', async () => {
+    // Stored sideways: 100x50 pixels that display as 50x100
+    const input = await sharp(await stripes(100, 50)).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+
+    const { buffer, format } = await redactRegions(input, [{ x: 0, y: 80, w: 50, h: 20 }]);
+    const metadata = await sharp(buffer).metadata();
+
+    expect(format).toBe('jpeg');
+    expect(metadata).toMatchObject({ format: 'jpeg', width: 50, height: 100 });
+    expect(metadata.orientation).toBeUndefined();
+  });
+});
+
+describe('detectSkinRegions', () => {
+  it('finds skin-toned areas in image coordinates', async () => {
+    const input = await sharp({ create: { width: 512, height: 256, channels: 3, background: '#2050c0' } })
+      .composite([{
+        input: await sharp({ create: { width: 128, height: 96, channels: 3, background: '#e0ac90' } }).png().toBuffer(),
+        left: 256,
+        top: 64
+      }])
+      .png()
+      .toBuffer();
+
+    expect(await detectSkinRegions(input)).toEqual([{ x: 256, y: 64, w: 128, h: 96 }]);
+  });
+
+  it('finds nothing in images without skin tones', async () => {
+    const input = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#2050c0' } }).png().toBuffer();
+
+    expect(await detectSkinRegions(input)).toEqual([]);
+  });
+});
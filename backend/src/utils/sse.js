@@ -0,0 +1,51 @@
+/**
+ * Server-Sent Events helpers shared by the streaming routes
+ */
+
+/**
+ * Send the event stream headers before the first event
+ * @param {import('express').Response} res
+ */
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write one Server-Sent Event, flushing past the compression middleware
+ * @param {import('express').Response} res
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+/**
+ * Abort controller fired when the client goes away before the response ends
+ * @param {import('express').Response} res
+ * @returns {AbortController}
+ */
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller;
+}
+
+module.exports = {
+  openEventStream,
+  sendEvent,
+  abortOnDisconnect
+};